@@ -11,10 +11,14 @@ import roomRoutes from "./routes/rooms.js";
 import meetingRoutes from "./routes/meetings.js";
 import turnRoutes from "./routes/turn.js";
 import webhookRoutes from "./routes/webhooks.js";
+import adminRoutes from "./routes/admin.js";
 import { config } from "./config.js";
 import { isDBConnected } from "./db/connection.js";
 
 const app = express();
+
+// Client IPs (rate limits, passcode throttling) come from X-Forwarded-For only behind trusted proxies
+app.set("trust proxy", config.trustProxy);
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 const distPath = path.resolve(__dirname, "../../frontend/dist");
@@ -51,6 +55,7 @@ app.use("/api/v1/meetings", meetingRoutes);  // New meeting routes
 app.use("/api/meetings", meetingRoutes);     // Short alias
 app.use("/api/v1/turn", turnRoutes);
 app.use("/api/v1/webhooks", webhookRoutes);
+app.use("/api/v1/admin", adminRoutes);       // Tenant management
 
 // Meeting direct access route (e.g., /meet/abc-1234-xyz)
 app.get("/meet/:meetingId", (_req, res) => res.sendFile(path.join(distPath, "index.html")));
@@ -69,7 +74,9 @@ app.use((_req, _res, next) => next(createError(404, "Not found")));
 // error handler
 app.use((err, _req, res, _next) => {
   const status = err.status || 500;
-  res.status(status).json({ error: err.message || "Server error" });
+  // Client errors may carry a machine-readable code (e.g. "passcode_required")
+  const code = err.expose && typeof err.code === "string" ? { code: err.code } : {};
+  res.status(status).json({ error: err.message || "Server error", ...code });
 });
 
 export default app;
@@ -13,7 +13,47 @@ export const config = {
   jwtSecret: process.env.JWT_SECRET || "dev-jwt-secret",
   appJwtAudience: process.env.JWT_AUDIENCE || "webrtc-api",
   jwtAuthEnabled: process.env.JWT_AUTH_ENABLED !== "true", // Default: enabled
+
+  // Participant join tokens (issued by POST /api/meetings/:id/join, verified at socket handshake)
+  participantToken: {
+    audience: process.env.PARTICIPANT_TOKEN_AUDIENCE || "chamcall-participant",
+    // Short-lived; connected sockets receive a refreshed token before it expires
+    ttlSeconds: Number(process.env.PARTICIPANT_TOKEN_TTL_SECONDS || 600)
+  },
+  
+  // Admin API (tenant management) - disabled when no key is configured
+  adminApiKey: process.env.ADMIN_API_KEY || "",
+
+  // App API keys (X-App-Key) - stored as bcrypt hashes
+  apiKeys: {
+    bcryptRounds: Number(process.env.API_KEY_BCRYPT_ROUNDS || 10),
+    // How long a successful verification is cached in-process to avoid re-hashing every request
+    verifyCacheSeconds: Number(process.env.API_KEY_VERIFY_CACHE_SECONDS || 60),
+    // End of the migration window for unprefixed secrets (legacy appSecret, DEMO_APP_SECRET);
+    // after it only "key_xxx.secret" keys authenticate. Unset keeps the window open.
+    legacySecretsUntil: process.env.API_KEY_LEGACY_SECRETS_UNTIL
+      ? new Date(process.env.API_KEY_LEGACY_SECRETS_UNTIL)
+      : null
+  },
+
+  // Demo app seeded on startup for the quickstart
+  demoApp: {
+    enabled: process.env.SEED_DEMO_APP !== "false",
+    appId: "demo-app",
+    appSecret: process.env.DEMO_APP_SECRET || "demo-secret",
+    webhookSecret: "demo-webhook"
+  },
   
+  // Socket.IO Redis adapter (opt-in): lets several signaling nodes share rooms and broadcasts
+  redis: {
+    adapterEnabled: process.env.REDIS_ADAPTER_ENABLED === "true",
+    url: process.env.REDIS_URL || "redis://127.0.0.1:6379",
+    // Channel prefix; all nodes of one deployment must use the same value
+    key: process.env.REDIS_ADAPTER_KEY || "chamcall",
+    // How long cross-node queries (e.g. listing a room's sockets) wait for other nodes
+    requestsTimeoutMs: Number(process.env.REDIS_ADAPTER_TIMEOUT_MS || 5000)
+  },
+
   // Meeting settings
   meeting: {
     // Meeting link base URL for external sharing
@@ -21,7 +61,71 @@ export const config = {
     // Default meeting duration in minutes
     defaultDurationMinutes: Number(process.env.DEFAULT_MEETING_DURATION || 60),
     // Meeting expiry buffer (how long after scheduled end time before expiry)
-    expiryBufferMinutes: Number(process.env.MEETING_EXPIRY_BUFFER || 30)
+    expiryBufferMinutes: Number(process.env.MEETING_EXPIRY_BUFFER || 30),
+    // Calls are peer-to-peer mesh: every participant uploads to every other, so keep rooms small
+    meshMaxParticipants: Number(process.env.MESH_MAX_PARTICIPANTS || 6)
+  },
+
+  // In-call chat
+  chat: {
+    // Messages sent to a socket when it enters the call
+    historyLimit: Number(process.env.CHAT_HISTORY_LIMIT || 200),
+    // Upper bound for GET /api/meetings/:id/chat
+    exportLimit: Number(process.env.CHAT_EXPORT_LIMIT || 10000)
+  },
+
+  // Recurring meetings (POST /api/meetings with `recurrence`)
+  recurrence: {
+    // Most occurrences one series may have
+    maxOccurrences: Number(process.env.RECURRENCE_MAX_OCCURRENCES || 366)
+  },
+
+  // Calendar export (GET /api/meetings/:id.ics and the subscription feed)
+  calendarFeed: {
+    audience: process.env.CALENDAR_FEED_AUDIENCE || "chamcall-calendar-feed",
+    // Feed tokens expire; apps issue a new subscription URL before then
+    ttlDays: Number(process.env.CALENDAR_FEED_TTL_DAYS || 365),
+    // Window of meetings in the feed, around now
+    pastDays: Number(process.env.CALENDAR_FEED_PAST_DAYS || 7),
+    futureDays: Number(process.env.CALENDAR_FEED_FUTURE_DAYS || 90)
+  },
+
+  // Usage analytics (GET /api/meetings/analytics)
+  analytics: {
+    // Range used when the request gives no `from`
+    defaultRangeDays: Number(process.env.ANALYTICS_DEFAULT_RANGE_DAYS || 30),
+    // Longest range one request may cover
+    maxRangeDays: Number(process.env.ANALYTICS_MAX_RANGE_DAYS || 366)
+  },
+
+  // Call recordings (uploaded in chunks by the recording browser)
+  recording: {
+    // Storage backend; "local" writes under storageDir
+    storage: process.env.RECORDING_STORAGE || "local",
+    storageDir: process.env.RECORDING_STORAGE_DIR || "./recordings",
+    // Upper bound for one uploaded chunk
+    maxChunkBytes: Number(process.env.RECORDING_MAX_CHUNK_MB || 32) * 1024 * 1024,
+    // Upper bound for a whole recording
+    maxBytes: Number(process.env.RECORDING_MAX_MB || 4096) * 1024 * 1024,
+    // Most chunks one recording may have (chunk indexes and totalChunks stay below it)
+    maxChunks: Number(process.env.RECORDING_MAX_CHUNKS || 50000),
+    // With settings.recordingConsentRequired: how long participants have to answer
+    consentTimeoutSeconds: Number(process.env.RECORDING_CONSENT_TIMEOUT_SECONDS || 60)
+  },
+
+  // Meeting passcodes (settings.passcode)
+  passcode: {
+    bcryptRounds: Number(process.env.PASSCODE_BCRYPT_ROUNDS || 10),
+    // Failed attempts allowed per IP and meeting within the window
+    maxAttempts: Number(process.env.PASSCODE_MAX_ATTEMPTS || 5),
+    windowMinutes: Number(process.env.PASSCODE_WINDOW_MINUTES || 15)
+  },
+
+  // Invite links (POST /api/meetings/:id/invites)
+  invites: {
+    audience: process.env.INVITE_TOKEN_AUDIENCE || "chamcall-invite",
+    // Used when an invite is created without an expiry
+    defaultTtlHours: Number(process.env.INVITE_DEFAULT_TTL_HOURS || 168)
   },
   
   // TURN/STUN
@@ -34,15 +138,90 @@ export const config = {
       .filter(Boolean)
   },
   
+  // Hops of reverse proxies to trust for the client IP (X-Forwarded-For); 0 = none
+  trustProxy: Number(process.env.TRUST_PROXY || 0),
+
+  // Rate limits (in-process counters, enforced per node)
+  // REST limits count requests per client IP and per app within the window;
+  // apps can override any number through App.rateLimits (admin API)
+  rateLimits: {
+    enabled: process.env.RATE_LIMIT_ENABLED !== "false",
+    windowSeconds: Number(process.env.RATE_LIMIT_WINDOW_SECONDS || 60),
+    rest: {
+      createMeeting: {
+        perIp: Number(process.env.RATE_LIMIT_CREATE_MEETING_PER_IP || 20),
+        perApp: Number(process.env.RATE_LIMIT_CREATE_MEETING_PER_APP || 300)
+      },
+      // Recurring series (each can create up to recurrence.maxOccurrences meetings)
+      createSeries: {
+        perIp: Number(process.env.RATE_LIMIT_CREATE_SERIES_PER_IP || 5),
+        perApp: Number(process.env.RATE_LIMIT_CREATE_SERIES_PER_APP || 20)
+      },
+      join: {
+        perIp: Number(process.env.RATE_LIMIT_JOIN_PER_IP || 30),
+        perApp: Number(process.env.RATE_LIMIT_JOIN_PER_APP || 1000)
+      },
+      validate: {
+        perIp: Number(process.env.RATE_LIMIT_VALIDATE_PER_IP || 60),
+        perApp: Number(process.env.RATE_LIMIT_VALIDATE_PER_APP || 2000)
+      },
+      authToken: {
+        perIp: Number(process.env.RATE_LIMIT_AUTH_TOKEN_PER_IP || 20),
+        perApp: Number(process.env.RATE_LIMIT_AUTH_TOKEN_PER_APP || 200)
+      },
+      cleanup: {
+        perIp: Number(process.env.RATE_LIMIT_CLEANUP_PER_IP || 10),
+        perApp: Number(process.env.RATE_LIMIT_CLEANUP_PER_APP || 100)
+      }
+    },
+    // Socket events per socket within socketWindowSeconds; excess events are dropped
+    socketWindowSeconds: Number(process.env.SOCKET_RATE_LIMIT_WINDOW_SECONDS || 10),
+    socket: {
+      // webrtc-offer, webrtc-answer, ice-candidate
+      signaling: { perSocket: Number(process.env.SOCKET_RATE_LIMIT_SIGNALING || 300) },
+      // user-media-updated, screen-share-started/stopped
+      media: { perSocket: Number(process.env.SOCKET_RATE_LIMIT_MEDIA || 30) },
+      // chat-message
+      chat: { perSocket: Number(process.env.SOCKET_RATE_LIMIT_CHAT || 20) },
+      // quality-report (the web client sends one every 10 seconds)
+      quality: { perSocket: Number(process.env.SOCKET_RATE_LIMIT_QUALITY || 5) }
+    },
+    // How long an app's overrides are cached in-process
+    overrideCacheSeconds: Number(process.env.RATE_LIMIT_OVERRIDE_CACHE_SECONDS || 60)
+  },
+
   // CORS
   cors: {
     allowedOrigins: (process.env.ALLOWED_ORIGINS || "").split(",").filter(Boolean)
   },
   
+  // Background jobs (expiry, starting-soon reminders, no-shows); one instance at a time runs
+  // them, holding a lease in MongoDB
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== "false",
+    intervalSeconds: Number(process.env.SCHEDULER_INTERVAL_SECONDS || 30),
+    // How long a holder keeps the lease without renewing it; keep above intervalSeconds
+    leaseSeconds: Number(process.env.SCHEDULER_LEASE_SECONDS || 90),
+    // meeting.starting_soon fires this long before scheduledAt
+    startingSoonMinutes: Number(process.env.MEETING_STARTING_SOON_MINUTES || 15),
+    // meeting.no_show fires when nobody has joined this long after scheduledAt
+    noShowGraceMinutes: Number(process.env.MEETING_NO_SHOW_GRACE_MINUTES || 15),
+    // Meetings handled per job per tick
+    batchSize: Number(process.env.SCHEDULER_BATCH_SIZE || 100)
+  },
+
   // Webhooks
   webhook: {
+    // Delay before each attempt (first entry applies to the initial attempt)
     retryScheduleSeconds: [0, 30, 120, 600, 1800],
-    defaultSecret: process.env.WEBHOOK_SECRET || "webhook-secret"
+    defaultSecret: process.env.WEBHOOK_SECRET || "webhook-secret",
+    // Background worker that drains the delivery queue
+    pollIntervalSeconds: Number(process.env.WEBHOOK_POLL_INTERVAL || 5),
+    batchSize: Number(process.env.WEBHOOK_BATCH_SIZE || 20),
+    // How long a worker holds a delivery before another instance may retry it
+    leaseSeconds: Number(process.env.WEBHOOK_LEASE_SECONDS || 60),
+    requestTimeoutMs: Number(process.env.WEBHOOK_TIMEOUT_MS || 10000),
+    maxSubscriptionsPerApp: Number(process.env.WEBHOOK_MAX_SUBSCRIPTIONS || 10)
   }
 };
 
@@ -1,20 +1,9 @@
 import { v4 as uuid } from "uuid";
 
-// In-memory placeholder storage; replace with database in production.
-export const apps = new Map();
+// In-memory placeholder storage for legacy rooms; apps live in MongoDB (see models/App.js).
 export const rooms = new Map();
 export const participants = new Map(); // roomId -> array
 
-// Seed with a demo app for quickstart.
-const demoAppId = "demo-app";
-apps.set(demoAppId, {
-  appId: demoAppId,
-  appSecret: "demo-secret",
-  allowedDomains: ["*"],
-  webhookUrl: null,
-  webhookSecret: "demo-webhook"
-});
-
 export function createRoom(appId, createdBy, metadata = {}) {
   const id = `room_${uuid().slice(0, 8)}`;
   const room = {
@@ -0,0 +1,79 @@
+import os from "os";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { isDBConnected } from "../db/connection.js";
+import { jobLeaseRepository } from "../repositories/index.js";
+import meetingService from "../services/meetingService.js";
+import recordingService from "../services/recordingService.js";
+
+// In-process scheduler for time-based jobs: meeting expiry, abandoned calls, starting-soon notices,
+// no-shows and recording consent timeouts.
+// Safe to run on several instances: only the holder of the "meeting-scheduler" lease runs
+// the jobs, and each notice is recorded atomically before its webhook goes out.
+const LEASE_NAME = "meeting-scheduler";
+const holder = `${os.hostname()}:${process.pid}`;
+
+const JOBS = [
+  ["expire overdue meetings", () => meetingService.expireOverdueMeetings()],
+  ["close abandoned calls", () => meetingService.expireAbandonedMeetings()],
+  ["starting-soon notices", () => meetingService.sendStartingSoonNotices()],
+  ["no-show check", () => meetingService.flagNoShows()],
+  ["recording consent timeouts", () => recordingService.expireOverdueConsentRequests()]
+];
+
+let timer = null;
+let running = false;
+let leaseHeld = false;
+
+async function tick() {
+  if (running || !isDBConnected()) return;
+  running = true;
+  try {
+    const lease = await jobLeaseRepository.acquire(LEASE_NAME, holder, config.scheduler.leaseSeconds * 1000);
+    if (!!lease !== leaseHeld) {
+      leaseHeld = !!lease;
+      logger.info(leaseHeld ? `Scheduler lease acquired by ${holder}` : "Scheduler lease held by another instance");
+    }
+    if (!lease) return;
+
+    // One failing job doesn't hold up the others
+    for (const [name, run] of JOBS) {
+      try {
+        await run();
+      } catch (err) {
+        logger.error(`Scheduler job failed (${name})`, err.message);
+      }
+    }
+    await jobLeaseRepository.recordRun(LEASE_NAME, holder);
+  } catch (err) {
+    logger.error("Scheduler error", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+export function startScheduler() {
+  if (timer) return;
+  if (!config.scheduler.enabled) {
+    logger.info("Scheduler disabled (SCHEDULER_ENABLED=false)");
+    return;
+  }
+  timer = setInterval(tick, config.scheduler.intervalSeconds * 1000);
+  timer.unref();
+  logger.info(`Scheduler started (every ${config.scheduler.intervalSeconds}s)`);
+}
+
+export async function stopScheduler() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+
+  // Hand the lease over right away instead of letting it run out
+  if (leaseHeld && isDBConnected()) {
+    leaseHeld = false;
+    await jobLeaseRepository.release(LEASE_NAME, holder).catch(err => {
+      logger.warn("Failed to release scheduler lease", err.message);
+    });
+  }
+  logger.info("Scheduler stopped");
+}
@@ -1,15 +1,19 @@
 import createError from "http-errors";
-import { apps } from "../data/store.js";
+import appService from "../services/appService.js";
 import { verifyToken } from "../services/tokenService.js";
 
-export function requireAppKey(req, _res, next) {
+export async function requireAppKey(req, _res, next) {
   const appId = req.header("X-App-Id");
   const appKey = req.header("X-App-Key");
   if (!appId || !appKey) return next(createError(401, "Missing app credentials"));
-  const app = apps.get(appId);
-  if (!app || app.appSecret !== appKey) return next(createError(401, "Invalid app credentials"));
-  req.appContext = { app };
-  next();
+  try {
+    const app = await appService.authenticate(appId, appKey);
+    if (!app) return next(createError(401, "Invalid app credentials"));
+    req.appContext = { app };
+    next();
+  } catch (err) {
+    next(err);
+  }
 }
 
 export function requireJwt(req, _res, next) {
@@ -12,8 +12,9 @@
 
 import createError from "http-errors";
 import { config } from "../config.js";
-import { verifyToken } from "../services/tokenService.js";
-import { apps } from "../data/store.js";
+import { verifyToken, verifyParticipantToken } from "../services/tokenService.js";
+import appService from "../services/appService.js";
+import { safeEqual } from "../utils/crypto.js";
 import { logger } from "../utils/logger.js";
 
 /**
@@ -46,14 +47,10 @@ function extractToken(req) {
 /**
  * Validate app credentials (API key authentication)
  */
-function validateAppCredentials(appId, appKey) {
+async function validateAppCredentials(appId, appKey) {
   if (!appId || !appKey) return null;
   
-  const app = apps.get(appId);
-  if (!app) return null;
-  if (app.appSecret !== appKey) return null;
-  
-  return app;
+  return appService.authenticate(appId, appKey);
 }
 
 /**
@@ -73,10 +70,15 @@ function validateJwtToken(token) {
  * Middleware: Require authentication (app key OR JWT)
  * Use this for API endpoints that need to identify the caller
  */
-export function requireAuth(req, res, next) {
+export async function requireAuth(req, res, next) {
   // Try app credentials first
   const { appId, appKey } = extractAppCredentials(req);
-  const app = validateAppCredentials(appId, appKey);
+  let app;
+  try {
+    app = await validateAppCredentials(appId, appKey);
+  } catch (error) {
+    return next(error);
+  }
   
   if (app) {
     req.appContext = { app, appId };
@@ -107,10 +109,15 @@ export function requireAuth(req, res, next) {
  * Middleware: Optional authentication
  * Attaches auth context if present, but doesn't require it
  */
-export function optionalAuth(req, res, next) {
+export async function optionalAuth(req, res, next) {
   // Try app credentials
   const { appId, appKey } = extractAppCredentials(req);
-  const app = validateAppCredentials(appId, appKey);
+  let app;
+  try {
+    app = await validateAppCredentials(appId, appKey);
+  } catch (error) {
+    return next(error);
+  }
   
   if (app) {
     req.appContext = { app, appId };
@@ -136,19 +143,24 @@ export function optionalAuth(req, res, next) {
  * Middleware: Require app-level authentication only
  * For admin/management endpoints
  */
-export function requireAppAuth(req, res, next) {
+export async function requireAppAuth(req, res, next) {
   const { appId, appKey } = extractAppCredentials(req);
-  const app = validateAppCredentials(appId, appKey);
-  
-  if (app) {
-    req.appContext = { app, appId };
-    return next();
-  }
   
-  if (!isAuthEnabled()) {
-    logger.debug("Auth disabled - allowing app request without credentials");
-    req.appContext = { appId: "default-app", app: apps.get("demo-app") };
-    return next();
+  try {
+    const app = await validateAppCredentials(appId, appKey);
+    
+    if (app) {
+      req.appContext = { app, appId };
+      return next();
+    }
+    
+    if (!isAuthEnabled()) {
+      logger.debug("Auth disabled - allowing app request without credentials");
+      req.appContext = { appId: "default-app", app: await appService.getActiveApp(config.demoApp.appId) };
+      return next();
+    }
+  } catch (error) {
+    return next(error);
   }
   
   return next(createError(401, "App authentication required"));
@@ -165,10 +177,15 @@ export function requireAppAuth(req, res, next) {
  * When JWT is enabled:
  * - Requires valid authentication
  */
-export function meetingAccess(req, res, next) {
+export async function meetingAccess(req, res, next) {
   // Always try to extract auth context
   const { appId, appKey } = extractAppCredentials(req);
-  const app = validateAppCredentials(appId, appKey);
+  let app;
+  try {
+    app = await validateAppCredentials(appId, appKey);
+  } catch (error) {
+    return next(error);
+  }
   
   if (app) {
     req.appContext = { app, appId };
@@ -193,6 +210,45 @@ export function meetingAccess(req, res, next) {
   return next(createError(401, "Authentication required to join meeting"));
 }
 
+/**
+ * Middleware: Participant token (from POST /join) for the meeting in the path
+ * For requests made from inside a call, e.g. recording uploads
+ */
+export function requireParticipant(req, res, next) {
+  const token = extractToken(req);
+  if (!token) {
+    return next(createError(401, "Participant token required"));
+  }
+
+  try {
+    const claims = verifyParticipantToken(token);
+    if (claims.meetingId !== req.params.meetingId) {
+      return next(createError(403, "Participant token is for a different meeting"));
+    }
+    req.participant = { userId: claims.sub, name: claims.name, role: claims.role, appId: claims.appId };
+    return next();
+  } catch (error) {
+    return next(error);
+  }
+}
+
+/**
+ * Middleware: Platform admin authentication (X-Admin-Key)
+ * For tenant management endpoints; disabled unless ADMIN_API_KEY is set
+ */
+export function requireAdmin(req, res, next) {
+  if (!config.adminApiKey) {
+    return next(createError(403, "Admin API is disabled"));
+  }
+  
+  const adminKey = req.headers["x-admin-key"];
+  if (!safeEqual(adminKey, config.adminApiKey)) {
+    return next(createError(401, "Admin authentication required"));
+  }
+  
+  return next();
+}
+
 /**
  * Export legacy middleware for backward compatibility
  */
@@ -203,6 +259,8 @@ export default {
   optionalAuth,
   requireAppAuth,
   meetingAccess,
+  requireParticipant,
+  requireAdmin,
   isAuthEnabled
 };
 
@@ -0,0 +1,94 @@
+/**
+ * Rate Limiting Middleware
+ *
+ * Each named limit in config.rateLimits.rest counts requests per client IP
+ * and per authenticated app within a fixed window. Apps may override the numbers
+ * (App.rateLimits). Counters are in-process, so each node enforces its own.
+ *
+ * Responses carry the per-IP budget in standard RateLimit-* headers;
+ * rejected requests get 429 with Retry-After and code "rate_limited".
+ */
+
+import rateLimit from "express-rate-limit";
+import createError from "http-errors";
+import { config } from "../config.js";
+import appService from "../services/appService.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * The app a request counts against: the authenticated app or token only.
+ * Unauthenticated requests name their app themselves (token request body,
+ * meeting URL), so they are limited per IP alone; otherwise anyone could
+ * use up another app's budget
+ */
+function resolveAppId(req) {
+  return req.appContext?.app?.appId || req.token?.appId || null;
+}
+
+/**
+ * Reject with 429 (Retry-After is already set)
+ */
+function limitReached(name, scope) {
+  return (req, _res, next) => {
+    logger.warn(`Rate limit "${name}" (${scope}) exceeded: ${req.method} ${req.originalUrl} ` +
+      `ip=${req.ip} app=${req.rateLimitApp?.appId || "-"}`);
+    next(createError(429, "Too many requests, please try again later", { code: "rate_limited" }));
+  };
+}
+
+/**
+ * Middleware chain enforcing the named limit per IP and per app
+ */
+export function rateLimitFor(name) {
+  const defaults = config.rateLimits.rest[name];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  if (!config.rateLimits.enabled) {
+    return (_req, _res, next) => next();
+  }
+
+  const windowMs = config.rateLimits.windowSeconds * 1000;
+  const limitFor = (req, field) => req.rateLimitApp?.overrides[name]?.[field] ?? defaults[field];
+
+  async function resolveApp(req, _res, next) {
+    try {
+      const appId = resolveAppId(req);
+      req.rateLimitApp = {
+        appId,
+        overrides: await appService.getRateLimitOverrides(appId)
+      };
+      next();
+    } catch (error) {
+      logger.error(`Rate limit "${name}" app lookup error:`, error.message);
+      next(error);
+    }
+  }
+
+  const perIp = rateLimit({
+    windowMs,
+    limit: (req) => limitFor(req, "perIp"),
+    standardHeaders: "draft-6",
+    legacyHeaders: false,
+    handler: limitReached(name, "ip")
+  });
+
+  const perApp = rateLimit({
+    windowMs,
+    limit: (req) => limitFor(req, "perApp"),
+    keyGenerator: (req) => req.rateLimitApp.appId,
+    skip: (req) => !req.rateLimitApp?.appId,
+    // Headers describe the per-IP budget; only a rejection reports the app window
+    standardHeaders: false,
+    legacyHeaders: false,
+    requestPropertyName: "appRateLimit",
+    handler: (req, res, next) => {
+      const resetMs = req.appRateLimit.resetTime ? req.appRateLimit.resetTime - Date.now() : windowMs;
+      res.set("Retry-After", String(Math.max(Math.ceil(resetMs / 1000), 1)));
+      limitReached(name, "app")(req, res, next);
+    }
+  });
+
+  return [resolveApp, perIp, perApp];
+}
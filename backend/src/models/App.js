@@ -0,0 +1,141 @@
+/**
+ * App Model
+ * Represents a tenant application that integrates with the platform
+ */
+
+import mongoose from "mongoose";
+
+// API key used as X-App-Key; only the bcrypt hash is stored
+const ApiKeySchema = new mongoose.Schema({
+  // Public key identifier (also the prefix of the issued secret)
+  keyId: {
+    type: String,
+    required: true
+  },
+
+  label: {
+    type: String,
+    default: "default",
+    maxlength: 100
+  },
+
+  // bcrypt hash of the full secret
+  secretHash: {
+    type: String,
+    required: true
+  },
+
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastUsedAt: {
+    type: Date
+  },
+
+  // Optional expiry - expired keys are rejected
+  expiresAt: {
+    type: Date
+  },
+
+  revokedAt: {
+    type: Date
+  },
+
+  // Secret without the keyId prefix (migrated appSecret or the demo key)
+  legacy: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// Per-app override of a named rate limit (see config.rateLimits); unset fields use the defaults
+const RateLimitOverrideSchema = new mongoose.Schema({
+  perIp: { type: Number, min: 1 },
+  perApp: { type: Number, min: 1 },
+  perSocket: { type: Number, min: 1 }
+}, { _id: false });
+
+const AppSchema = new mongoose.Schema({
+  // Public application identifier (sent as X-App-Id)
+  appId: {
+    type: String,
+    required: true,
+    unique: true,
+    index: true,
+    match: /^[a-zA-Z0-9_-]{3,64}$/,
+    immutable: true
+  },
+
+  // Human-readable tenant name
+  name: {
+    type: String,
+    required: true,
+    maxlength: 200
+  },
+
+  // Active and revoked API keys (several may be active during rotation)
+  apiKeys: {
+    type: [ApiKeySchema],
+    default: []
+  },
+
+  // Legacy plain-text secret; migrated to a hashed API key on first use
+  appSecret: {
+    type: String
+  },
+
+  // App lifecycle status - disabled apps cannot authenticate
+  status: {
+    type: String,
+    enum: ["active", "disabled"],
+    default: "active",
+    index: true
+  },
+
+  // Origins allowed to embed or call the API ("*" for any)
+  allowedDomains: {
+    type: [String],
+    default: ["*"]
+  },
+
+  // Outbound webhook settings
+  webhookUrl: {
+    type: String,
+    default: null
+  },
+
+  webhookSecret: {
+    type: String,
+    default: null
+  },
+
+  disabledAt: {
+    type: Date
+  },
+
+  // Rate limit overrides by limit name (e.g. { join: { perIp: 100 } })
+  rateLimits: {
+    type: Map,
+    of: RateLimitOverrideSchema,
+    default: {}
+  },
+
+  // Custom metadata (billing references, contact, etc.)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+
+}, {
+  timestamps: true,
+  collection: "apps"
+});
+
+// Virtual for checking if app can authenticate
+AppSchema.virtual("isActive").get(function() {
+  return this.status === "active";
+});
+
+export default mongoose.model("App", AppSchema);
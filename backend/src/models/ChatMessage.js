@@ -0,0 +1,55 @@
+/**
+ * ChatMessage Model
+ * In-call text chat, kept per meeting for history and transcript export
+ */
+
+import mongoose from "mongoose";
+
+const ChatMessageSchema = new mongoose.Schema({
+  // Public message identifier
+  messageId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+
+  // Meeting (or legacy room) the message was sent in
+  meetingId: {
+    type: String,
+    required: true
+  },
+
+  // Application/tenant
+  appId: {
+    type: String,
+    required: true
+  },
+
+  // Sender
+  userId: {
+    type: String,
+    required: true
+  },
+
+  // Sender display name at the time of sending
+  name: {
+    type: String,
+    default: "Guest"
+  },
+
+  // Message body (plain text; links and code are rendered by the client)
+  text: {
+    type: String,
+    required: true,
+    maxlength: 4000
+  }
+
+}, {
+  timestamps: true,
+  collection: "chat_messages"
+});
+
+ChatMessageSchema.index({ meetingId: 1, createdAt: 1 });
+
+export default mongoose.model("ChatMessage", ChatMessageSchema);
@@ -0,0 +1,105 @@
+/**
+ * Invite Model
+ * A per-participant invite link for a meeting, bound to a name and role
+ */
+
+import mongoose from "mongoose";
+
+// One successful redemption of an invite
+const RedemptionSchema = new mongoose.Schema({
+  // Generated unless the invite has a fixed userId
+  userId: String,
+  // sha256 of the rejoin key handed to the redeemer
+  keyHash: String,
+  redeemedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const InviteSchema = new mongoose.Schema({
+  // Public invite identifier (carried in the signed invite token)
+  inviteId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+
+  // Meeting the invite is for
+  meetingId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Application/tenant
+  appId: {
+    type: String,
+    required: true
+  },
+
+  // Display name the invitee joins with
+  name: {
+    type: String,
+    required: true,
+    maxlength: 100
+  },
+
+  // Role assigned on redemption
+  role: {
+    type: String,
+    enum: ["host", "participant", "observer"],
+    default: "participant"
+  },
+
+  // Optional fixed identity; otherwise each redemption gets a generated userId
+  userId: {
+    type: String,
+    default: null
+  },
+
+  // Optional invitee email (matched against the meeting allowlist)
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: null
+  },
+
+  // Number of distinct users that may redeem the invite (null = unlimited)
+  maxUses: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+
+  uses: {
+    type: Number,
+    default: 0
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+
+  createdBy: {
+    type: String
+  },
+
+  redemptions: {
+    type: [RedemptionSchema],
+    default: []
+  }
+
+}, {
+  timestamps: true,
+  collection: "invites"
+});
+
+InviteSchema.index({ meetingId: 1, createdAt: -1 });
+
+export default mongoose.model("Invite", InviteSchema);
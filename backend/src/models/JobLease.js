@@ -0,0 +1,41 @@
+/**
+ * JobLease Model
+ * Leader lease for background jobs: only the instance holding an unexpired
+ * lease runs the job, so several API nodes can share one database
+ */
+
+import mongoose from "mongoose";
+
+const JobLeaseSchema = new mongoose.Schema({
+  // Job name (e.g. "meeting-scheduler")
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+
+  // Instance holding the lease (hostname:pid)
+  holder: {
+    type: String,
+    required: true
+  },
+
+  // The lease is free for others to take after this
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+
+  // Last time the holder ran the job
+  lastRunAt: {
+    type: Date,
+    default: null
+  }
+
+}, {
+  timestamps: true,
+  collection: "job_leases"
+});
+
+export default mongoose.model("JobLease", JobLeaseSchema);
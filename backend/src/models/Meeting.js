@@ -5,6 +5,16 @@
 
 import mongoose from "mongoose";
 
+// One lifecycle transition: who moved the meeting from one status to another, when and why
+const StatusTransitionSchema = new mongoose.Schema({
+  // null for the meeting's creation
+  from: { type: String, default: null },
+  to: { type: String, required: true },
+  actor: { type: String, default: "system" },
+  reason: { type: String, default: null },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
 const MeetingSchema = new mongoose.Schema({
   // Unique meeting ID in format: abc-1234-xyz
   meetingId: {
@@ -36,7 +46,7 @@ const MeetingSchema = new mongoose.Schema({
     required: true
   },
 
-  // Meeting lifecycle status
+  // Meeting lifecycle status (allowed transitions: MEETING_TRANSITIONS in meetingService)
   status: {
     type: String,
     enum: ["created", "scheduled", "active", "completed", "expired", "cancelled"],
@@ -44,6 +54,12 @@ const MeetingSchema = new mongoose.Schema({
     index: true
   },
 
+  // Every status change, oldest first
+  statusHistory: {
+    type: [StatusTransitionSchema],
+    default: []
+  },
+
   // Scheduling information
   scheduledAt: {
     type: Date,
@@ -82,7 +98,18 @@ const MeetingSchema = new mongoose.Schema({
     allowAnonymous: { type: Boolean, default: false },
     waitingRoomEnabled: { type: Boolean, default: false },
     recordingEnabled: { type: Boolean, default: false },
-    maxParticipants: { type: Number, default: 10, min: 2, max: 100 }
+    // Everyone else in the call must agree before a recording starts
+    recordingConsentRequired: { type: Boolean, default: false },
+    maxParticipants: { type: Number, default: 10, min: 2, max: 100 },
+    // bcrypt hash of the optional join passcode (never returned by the API)
+    passcodeHash: { type: String, default: null }
+  },
+
+  // Optional participant allowlist (empty = no restriction)
+  allowlist: {
+    userIds: { type: [String], default: [] },
+    // Stored lowercased
+    emails: { type: [String], default: [] }
   },
 
   // Custom metadata for integrations
@@ -91,6 +118,21 @@ const MeetingSchema = new mongoose.Schema({
     default: {}
   },
 
+  // Recurring meetings: the series and occurrence this meeting hosts
+  // (in a shared series the occurrence moves on after each call)
+  series: {
+    seriesId: { type: String, index: true },
+    occurrenceId: String,
+    shared: Boolean
+  },
+
+  // Scheduler notices: the scheduledAt each was last sent for, so rescheduling
+  // (or a shared series meeting moving on) makes them due again
+  notifications: {
+    startingSoonFor: { type: Date, default: null },
+    noShowFor: { type: Date, default: null }
+  },
+
   // Integration references (calendar, email, etc.)
   integrations: {
     calendarEventId: String,
@@ -107,6 +149,12 @@ const MeetingSchema = new mongoose.Schema({
 MeetingSchema.index({ appId: 1, status: 1 });
 MeetingSchema.index({ appId: 1, scheduledAt: 1 });
 MeetingSchema.index({ createdBy: 1, status: 1 });
+// Usage analytics (GET /api/meetings/analytics)
+MeetingSchema.index({ appId: 1, createdAt: -1 });
+MeetingSchema.index({ appId: 1, startedAt: 1 });
+// Background jobs (jobs/scheduler.js)
+MeetingSchema.index({ status: 1, expiresAt: 1 });
+MeetingSchema.index({ status: 1, scheduledAt: 1 });
 
 // Virtual for checking if meeting is joinable
 MeetingSchema.virtual("isJoinable").get(function() {
@@ -0,0 +1,124 @@
+/**
+ * MeetingSeries Model
+ * A recurring meeting: the recurrence rule and the schedule of its occurrences.
+ * Each occurrence is backed by its own meeting, or all of them by one shared meeting.
+ */
+
+import mongoose from "mongoose";
+
+// One occurrence; occurrenceId is its original start (UTC, e.g. "20261020T090000Z") and never changes
+const OccurrenceSchema = new mongoose.Schema({
+  occurrenceId: { type: String, required: true },
+  originalStartAt: { type: Date, required: true },
+  // Current start (differs from originalStartAt when this occurrence was moved)
+  startAt: { type: Date, required: true },
+  durationMinutes: Number,
+  // Title override for this occurrence only
+  title: { type: String, default: null },
+  // Meeting that hosts the occurrence (the shared meeting in "shared" mode)
+  meetingId: String,
+  // "completed" once its meeting has ended
+  status: { type: String, enum: ["scheduled", "completed", "cancelled"], default: "scheduled" },
+  // Edited or cancelled individually
+  modified: { type: Boolean, default: false }
+}, { _id: false });
+
+const MeetingSeriesSchema = new mongoose.Schema({
+  // Public series identifier
+  seriesId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+
+  // Application/tenant
+  appId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  createdBy: {
+    type: String,
+    required: true
+  },
+
+  title: {
+    type: String,
+    default: "Video Meeting"
+  },
+
+  // First occurrence as requested (scheduledAt at creation)
+  startAt: {
+    type: Date,
+    required: true
+  },
+
+  durationMinutes: {
+    type: Number,
+    default: 60
+  },
+
+  // IANA timezone occurrences keep their wall-clock time in (across DST changes)
+  timezone: {
+    type: String,
+    default: "UTC"
+  },
+
+  // Normalized rule; byWeekday holds RRULE BYDAY entries ("MO", "1MO", "-1FR")
+  recurrence: {
+    frequency: { type: String, enum: ["daily", "weekly", "monthly"], required: true },
+    interval: { type: Number, default: 1 },
+    count: { type: Number, default: null },
+    until: { type: Date, default: null },
+    byWeekday: { type: [String], default: [] }
+  },
+
+  // The same rule as an RRULE string
+  rrule: {
+    type: String,
+    required: true
+  },
+
+  // "per_occurrence": a meeting ID per occurrence; "shared": one meeting ID reused by every occurrence
+  meetingIdMode: {
+    type: String,
+    enum: ["per_occurrence", "shared"],
+    default: "per_occurrence"
+  },
+
+  // The reused meeting in "shared" mode
+  meetingId: {
+    type: String,
+    default: null
+  },
+
+  status: {
+    type: String,
+    enum: ["active", "cancelled"],
+    default: "active"
+  },
+
+  cancelledAt: {
+    type: Date,
+    default: null
+  },
+
+  occurrences: {
+    type: [OccurrenceSchema],
+    default: []
+  },
+
+  // Custom metadata for integrations (copied to every occurrence's meeting)
+  metadata: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  }
+
+}, {
+  timestamps: true,
+  collection: "meeting_series"
+});
+
+export default mongoose.model("MeetingSeries", MeetingSeriesSchema);
@@ -5,6 +5,14 @@
 
 import mongoose from "mongoose";
 
+// Running rollup of one connection statistic (average = sum / count)
+const MetricRollupSchema = new mongoose.Schema({
+  count: { type: Number, default: 0 },
+  sum: { type: Number, default: 0 },
+  max: { type: Number, default: null },
+  last: { type: Number, default: null }
+}, { _id: false });
+
 const ParticipantSchema = new mongoose.Schema({
   // Reference to the meeting
   meetingId: {
@@ -39,10 +47,10 @@ const ParticipantSchema = new mongoose.Schema({
     default: "participant"
   },
 
-  // Connection status
+  // Connection status ("waiting" = held in the waiting room, "denied" = refused by a host)
   status: {
     type: String,
-    enum: ["joined", "connected", "disconnected", "left"],
+    enum: ["waiting", "joined", "connected", "disconnected", "left", "denied", "removed"],
     default: "joined"
   },
 
@@ -60,6 +68,37 @@ const ParticipantSchema = new mongoose.Schema({
     type: Date
   },
 
+  // Waiting room admission
+  admittedAt: {
+    type: Date
+  },
+
+  admittedBy: {
+    type: String
+  },
+
+  deniedAt: {
+    type: Date
+  },
+
+  deniedBy: {
+    type: String
+  },
+
+  // Host moderation (a banned participant cannot rejoin)
+  removedAt: {
+    type: Date
+  },
+
+  removedBy: {
+    type: String
+  },
+
+  banned: {
+    type: Boolean,
+    default: false
+  },
+
   // Duration in seconds (calculated when left)
   durationSeconds: {
     type: Number,
@@ -73,12 +112,22 @@ const ParticipantSchema = new mongoose.Schema({
     screenSharing: { type: Boolean, default: false }
   },
 
-  // Connection quality metrics (for analytics)
+  // Connection quality metrics (for analytics), rolled up from the client's getStats() samples
   metrics: {
-    connectionQuality: String, // "excellent", "good", "fair", "poor"
-    networkType: String,
+    connectionQuality: String, // "excellent", "good", "fair", "poor" (latest sample)
+    networkType: String, // e.g. "wifi", "ethernet", "cellular" (when the browser reports it)
     browser: String,
-    device: String
+    device: String, // "desktop", "mobile" or "tablet"
+    candidateType: String, // latest ICE candidate type: "host", "srflx", "prflx" or "relay"
+    samples: { type: Number, default: 0 },
+    relaySamples: { type: Number, default: 0 }, // samples sent through a TURN relay
+    rttMs: MetricRollupSchema,
+    jitterMs: MetricRollupSchema,
+    packetLossPct: MetricRollupSchema,
+    inboundKbps: MetricRollupSchema,
+    outboundKbps: MetricRollupSchema,
+    firstSampleAt: Date,
+    lastSampleAt: Date
   },
 
   // Client info
@@ -114,6 +163,11 @@ ParticipantSchema.statics.getActiveInMeeting = function(meetingId) {
   });
 };
 
+// Static method to get participants held in the waiting room
+ParticipantSchema.statics.getWaitingInMeeting = function(meetingId) {
+  return this.find({ meetingId, status: "waiting" }).sort({ joinedAt: 1 });
+};
+
 // Static method to get participant history for a meeting
 ParticipantSchema.statics.getMeetingHistory = function(meetingId) {
   return this.find({ meetingId }).sort({ joinedAt: 1 });
@@ -0,0 +1,97 @@
+/**
+ * ParticipantSession Model
+ * One stay in a call: from entering (socket joins the room) to leaving.
+ * Rejoins and reconnects start new sessions; the Participant row keeps the latest state only.
+ */
+
+import mongoose from "mongoose";
+
+// Media state right after a change (mute, camera, screen share)
+const MediaChangeSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now },
+  audioEnabled: Boolean,
+  videoEnabled: Boolean,
+  screenSharing: Boolean
+}, { _id: false });
+
+const ParticipantSessionSchema = new mongoose.Schema({
+  // Public session identifier
+  sessionId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+
+  // Meeting attended
+  meetingId: {
+    type: String,
+    required: true
+  },
+
+  // Application/tenant
+  appId: {
+    type: String,
+    required: true
+  },
+
+  userId: {
+    type: String,
+    required: true
+  },
+
+  // Display name and role during this session
+  name: {
+    type: String,
+    default: "Guest"
+  },
+
+  role: {
+    type: String,
+    enum: ["host", "participant", "observer"],
+    default: "participant"
+  },
+
+  // Socket that carried the session (closed when it disconnects)
+  socketId: {
+    type: String,
+    required: true
+  },
+
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // null while the session is ongoing
+  leftAt: {
+    type: Date,
+    default: null
+  },
+
+  durationSeconds: {
+    type: Number,
+    default: null
+  },
+
+  // How the session ended
+  endReason: {
+    type: String,
+    enum: ["left", "connection_lost", "disconnected", "removed", "meeting_ended", "meeting_cancelled", "meeting_expired"],
+    default: null
+  },
+
+  mediaChanges: {
+    type: [MediaChangeSchema],
+    default: []
+  }
+
+}, {
+  timestamps: true,
+  collection: "participant_sessions"
+});
+
+ParticipantSessionSchema.index({ meetingId: 1, joinedAt: 1 });
+ParticipantSessionSchema.index({ socketId: 1, leftAt: 1 });
+
+export default mongoose.model("ParticipantSession", ParticipantSessionSchema);
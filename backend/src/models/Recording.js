@@ -0,0 +1,151 @@
+/**
+ * Recording Model
+ * A call recording made in a participant's browser and uploaded in chunks
+ */
+
+import mongoose from "mongoose";
+
+// A participant asked to agree to the recording, and their answer
+const ConsentSchema = new mongoose.Schema({
+  userId: String,
+  name: String,
+  granted: { type: Boolean, default: null },
+  answeredAt: { type: Date, default: null }
+}, { _id: false });
+
+// One audit entry: who did what to the recording, and when
+const AuditEntrySchema = new mongoose.Schema({
+  action: {
+    type: String,
+    enum: ["requested", "consent_granted", "consent_declined", "started", "declined", "cancelled", "stopped", "ready", "failed"]
+  },
+  userId: String,
+  name: String,
+  at: { type: Date, default: Date.now },
+  detail: String
+}, { _id: false });
+
+const RecordingSchema = new mongoose.Schema({
+  // Public recording identifier
+  recordingId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+
+  // Meeting that was recorded
+  meetingId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Application/tenant
+  appId: {
+    type: String,
+    required: true
+  },
+
+  // Participant whose browser records and uploads
+  startedBy: {
+    userId: { type: String, required: true },
+    name: String
+  },
+
+  // [awaiting_consent ->] recording -> processing (chunks being assembled) -> ready | failed
+  // awaiting_consent ends in declined (refused or timed out) or cancelled (stopped while waiting)
+  status: {
+    type: String,
+    enum: ["awaiting_consent", "declined", "cancelled", "recording", "processing", "ready", "failed"],
+    default: "recording"
+  },
+
+  // Participants whose consent was requested (settings.recordingConsentRequired)
+  consents: {
+    type: [ConsentSchema],
+    default: []
+  },
+
+  // While awaiting_consent: when the request times out (declined by the scheduler)
+  consentDeadline: {
+    type: Date
+  },
+
+  // Container type reported by MediaRecorder (e.g. "video/webm;codecs=vp9")
+  mimeType: {
+    type: String,
+    default: "video/webm"
+  },
+
+  // Indexes of the chunks stored so far (uploads may arrive out of order or be retried)
+  receivedChunks: {
+    type: [Number],
+    default: []
+  },
+
+  // Bytes received across all chunks
+  uploadedBytes: {
+    type: Number,
+    default: 0
+  },
+
+  // Number of chunks the client reported when stopping
+  totalChunks: {
+    type: Number,
+    default: null
+  },
+
+  // Location of the assembled file in the recording storage
+  storageKey: {
+    type: String,
+    required: true
+  },
+
+  // Size of the assembled file
+  sizeBytes: {
+    type: Number,
+    default: null
+  },
+
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  stoppedAt: {
+    type: Date,
+    default: null
+  },
+
+  readyAt: {
+    type: Date,
+    default: null
+  },
+
+  durationSeconds: {
+    type: Number,
+    default: null
+  },
+
+  // Why assembly failed
+  error: {
+    type: String,
+    default: null
+  },
+
+  // Who requested, consented to, started and stopped the recording
+  audit: {
+    type: [AuditEntrySchema],
+    default: []
+  }
+
+}, {
+  timestamps: true,
+  collection: "recordings"
+});
+
+RecordingSchema.index({ meetingId: 1, createdAt: -1 });
+RecordingSchema.index({ status: 1, consentDeadline: 1 });
+
+export default mongoose.model("Recording", RecordingSchema);
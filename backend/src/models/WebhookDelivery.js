@@ -0,0 +1,106 @@
+/**
+ * WebhookDelivery Model
+ * Durable outbound webhook queue entry and delivery log
+ */
+
+import mongoose from "mongoose";
+
+// One HTTP attempt for a delivery
+const DeliveryAttemptSchema = new mongoose.Schema({
+  attemptedAt: { type: Date, default: Date.now },
+  responseStatus: Number,
+  error: String,
+  durationMs: Number
+}, { _id: false });
+
+const WebhookDeliverySchema = new mongoose.Schema({
+  // Public delivery identifier (sent as X-Delivery-Id)
+  deliveryId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+
+  // Application/tenant that owns the delivery
+  appId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Event name (e.g. "user.joined")
+  event: {
+    type: String,
+    required: true
+  },
+
+  // Event payload (sent as the request body)
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+
+  // Target URL captured at enqueue time
+  url: {
+    type: String,
+    required: true
+  },
+
+  // Subscription this delivery targets (null for the app's legacy webhookUrl)
+  subscriptionId: {
+    type: String,
+    default: null
+  },
+
+  // Queue status
+  status: {
+    type: String,
+    enum: ["pending", "delivering", "succeeded", "failed"],
+    default: "pending",
+    index: true
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  maxAttempts: {
+    type: Number,
+    required: true
+  },
+
+  // When the worker should next try this delivery
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  lastAttemptAt: Date,
+  deliveredAt: Date,
+  lastResponseStatus: Number,
+  lastError: String,
+
+  attemptLog: {
+    type: [DeliveryAttemptSchema],
+    default: []
+  },
+
+  // Worker lease (prevents two instances sending the same delivery)
+  lockedBy: String,
+  lockedUntil: Date,
+
+  // Set when this delivery was created by a manual redelivery
+  redeliveryOf: String
+
+}, {
+  timestamps: true,
+  collection: "webhook_deliveries"
+});
+
+// Worker polling and per-app listing
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ appId: 1, createdAt: -1 });
+
+export default mongoose.model("WebhookDelivery", WebhookDeliverySchema);
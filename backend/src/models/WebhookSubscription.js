@@ -0,0 +1,80 @@
+/**
+ * WebhookSubscription Model
+ * A webhook endpoint registered by an app, with its own secret and event filter
+ */
+
+import mongoose from "mongoose";
+
+const WebhookSubscriptionSchema = new mongoose.Schema({
+  // Public subscription identifier
+  subscriptionId: {
+    type: String,
+    required: true,
+    unique: true,
+    immutable: true
+  },
+
+  // Application/tenant that owns the subscription
+  appId: {
+    type: String,
+    required: true,
+    index: true
+  },
+
+  // Target URL
+  url: {
+    type: String,
+    required: true,
+    match: /^https?:\/\/.+/
+  },
+
+  // Signing secret for X-Signature
+  secret: {
+    type: String,
+    required: true
+  },
+
+  // Event filter: exact names ("meeting.ended"), prefixes ("meeting.*") or "*"
+  // An empty list receives every event
+  events: {
+    type: [String],
+    default: []
+  },
+
+  enabled: {
+    type: Boolean,
+    default: true
+  },
+
+  description: {
+    type: String,
+    maxlength: 200
+  }
+
+}, {
+  timestamps: true,
+  collection: "webhook_subscriptions"
+});
+
+WebhookSubscriptionSchema.index({ appId: 1, enabled: 1 });
+
+/**
+ * Check an event name against a subscription filter
+ */
+function matchesEventFilter(filter, event) {
+  if (!filter || filter.length === 0) return true;
+
+  return filter.some((pattern) => {
+    if (pattern === "*") return true;
+    if (pattern.endsWith(".*")) return event.startsWith(pattern.slice(0, -1));
+    return pattern === event;
+  });
+}
+
+// Static method to find enabled subscriptions that want an event
+WebhookSubscriptionSchema.statics.findForEvent = async function(appId, event) {
+  const subscriptions = await this.find({ appId, enabled: true }).lean();
+  return subscriptions.filter((sub) => matchesEventFilter(sub.events, event));
+};
+
+export default mongoose.model("WebhookSubscription", WebhookSubscriptionSchema);
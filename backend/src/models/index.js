@@ -7,3 +7,12 @@ export { default as Meeting } from "./Meeting.js";
 export { default as Participant } from "./Participant.js";
 export { default as RoomIdTracker } from "./RoomIdTracker.js";
 
+export { default as App } from "./App.js";
+export { default as WebhookDelivery } from "./WebhookDelivery.js";
+export { default as WebhookSubscription } from "./WebhookSubscription.js";
+export { default as Invite } from "./Invite.js";
+export { default as ChatMessage } from "./ChatMessage.js";
+export { default as Recording } from "./Recording.js";
+export { default as ParticipantSession } from "./ParticipantSession.js";
+export { default as MeetingSeries } from "./MeetingSeries.js";
+export { default as JobLease } from "./JobLease.js";
@@ -0,0 +1,174 @@
+/**
+ * App Repository
+ * Data access layer for tenant applications
+ */
+
+import { App } from "../models/index.js";
+import { logger } from "../utils/logger.js";
+
+class AppRepository {
+  /**
+   * Create a new app
+   */
+  async create(appData) {
+    try {
+      const app = new App(appData);
+      await app.save();
+      return app.toObject();
+    } catch (error) {
+      logger.error("AppRepository.create error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find app by appId
+   */
+  async findByAppId(appId) {
+    try {
+      return await App.findOne({ appId }).lean();
+    } catch (error) {
+      logger.error("AppRepository.findByAppId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List apps
+   */
+  async findAll(options = {}) {
+    try {
+      const { status, limit = 50, skip = 0 } = options;
+      const query = {};
+
+      if (status) {
+        query.status = status;
+      }
+
+      return await App.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      logger.error("AppRepository.findAll error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update app
+   */
+  async update(appId, updateData) {
+    try {
+      return await App.findOneAndUpdate(
+        { appId },
+        { $set: updateData },
+        { new: true, runValidators: true }
+      ).lean();
+    } catch (error) {
+      logger.error("AppRepository.update error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update app status
+   */
+  async updateStatus(appId, status) {
+    try {
+      const update = { status };
+
+      if (status === "disabled") {
+        update.disabledAt = new Date();
+      }
+
+      return await App.findOneAndUpdate(
+        { appId },
+        status === "disabled" ? { $set: update } : { $set: update, $unset: { disabledAt: 1 } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("AppRepository.updateStatus error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Add an API key to an app
+   */
+  async addApiKey(appId, apiKey) {
+    try {
+      return await App.findOneAndUpdate(
+        { appId },
+        { $push: { apiKeys: apiKey } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("AppRepository.addApiKey error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark an API key as revoked
+   */
+  async revokeApiKey(appId, keyId) {
+    try {
+      return await App.findOneAndUpdate(
+        { appId, apiKeys: { $elemMatch: { keyId, revokedAt: null } } },
+        { $set: { "apiKeys.$.revokedAt": new Date() } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("AppRepository.revokeApiKey error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record API key usage
+   */
+  async touchApiKey(appId, keyId, usedAt = new Date()) {
+    try {
+      await App.updateOne(
+        { appId, "apiKeys.keyId": keyId },
+        { $set: { "apiKeys.$.lastUsedAt": usedAt } }
+      );
+    } catch (error) {
+      logger.error("AppRepository.touchApiKey error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a legacy plain-text secret with a hashed API key
+   */
+  async migrateLegacySecret(appId, apiKey) {
+    try {
+      return await App.findOneAndUpdate(
+        { appId, appSecret: { $exists: true } },
+        { $push: { apiKeys: apiKey }, $unset: { appSecret: 1 } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("AppRepository.migrateLegacySecret error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Check if app ID exists
+   */
+  async appIdExists(appId) {
+    try {
+      const count = await App.countDocuments({ appId });
+      return count > 0;
+    } catch (error) {
+      logger.error("AppRepository.appIdExists error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new AppRepository();
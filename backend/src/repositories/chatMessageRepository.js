@@ -0,0 +1,41 @@
+/**
+ * Chat Message Repository
+ * Data access layer for in-call chat messages
+ */
+
+import { ChatMessage } from "../models/index.js";
+import { logger } from "../utils/logger.js";
+
+class ChatMessageRepository {
+  /**
+   * Store a message
+   */
+  async create(messageData) {
+    try {
+      const message = new ChatMessage(messageData);
+      await message.save();
+      return message.toObject();
+    } catch (error) {
+      logger.error("ChatMessageRepository.create error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * The most recent messages of a meeting, oldest first
+   */
+  async findRecentByMeetingId(meetingId, limit) {
+    try {
+      const messages = await ChatMessage.find({ meetingId })
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .lean();
+      return messages.reverse();
+    } catch (error) {
+      logger.error("ChatMessageRepository.findRecentByMeetingId error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new ChatMessageRepository();
@@ -6,3 +6,12 @@
 export { default as meetingRepository } from "./meetingRepository.js";
 export { default as participantRepository } from "./participantRepository.js";
 
+export { default as appRepository } from "./appRepository.js";
+export { default as webhookDeliveryRepository } from "./webhookDeliveryRepository.js";
+export { default as webhookSubscriptionRepository } from "./webhookSubscriptionRepository.js";
+export { default as inviteRepository } from "./inviteRepository.js";
+export { default as chatMessageRepository } from "./chatMessageRepository.js";
+export { default as recordingRepository } from "./recordingRepository.js";
+export { default as participantSessionRepository } from "./participantSessionRepository.js";
+export { default as meetingSeriesRepository } from "./meetingSeriesRepository.js";
+export { default as jobLeaseRepository } from "./jobLeaseRepository.js";
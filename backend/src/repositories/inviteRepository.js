@@ -0,0 +1,112 @@
+/**
+ * Invite Repository
+ * Data access layer for meeting invite links
+ */
+
+import { Invite } from "../models/index.js";
+import { logger } from "../utils/logger.js";
+
+class InviteRepository {
+  /**
+   * Create an invite
+   */
+  async create(inviteData) {
+    try {
+      const invite = new Invite(inviteData);
+      await invite.save();
+      return invite.toObject();
+    } catch (error) {
+      logger.error("InviteRepository.create error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an invite by its inviteId
+   */
+  async findByInviteId(inviteId) {
+    try {
+      return await Invite.findOne({ inviteId }).lean();
+    } catch (error) {
+      logger.error("InviteRepository.findByInviteId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List a meeting's invites (newest first)
+   */
+  async findByMeetingId(meetingId) {
+    try {
+      return await Invite.find({ meetingId }).sort({ createdAt: -1 }).lean();
+    } catch (error) {
+      logger.error("InviteRepository.findByMeetingId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Consume one use for a new user
+   * Atomic: only succeeds while the invite is active and has uses left
+   */
+  async recordRedemption(inviteId, userId, keyHash) {
+    try {
+      return await Invite.findOneAndUpdate(
+        {
+          inviteId,
+          revokedAt: null,
+          expiresAt: { $gt: new Date() },
+          $or: [
+            { maxUses: null },
+            { $expr: { $lt: ["$uses", "$maxUses"] } }
+          ]
+        },
+        {
+          $inc: { uses: 1 },
+          $push: { redemptions: { userId, keyHash, redeemedAt: new Date() } }
+        },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("InviteRepository.recordRedemption error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Undo a redemption (identified by its rejoin key hash) and give its use back
+   */
+  async releaseRedemption(inviteId, keyHash) {
+    try {
+      return await Invite.findOneAndUpdate(
+        { inviteId, "redemptions.keyHash": keyHash },
+        {
+          $inc: { uses: -1 },
+          $pull: { redemptions: { keyHash } }
+        },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("InviteRepository.releaseRedemption error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an invite
+   */
+  async revoke(meetingId, inviteId) {
+    try {
+      return await Invite.findOneAndUpdate(
+        { meetingId, inviteId, revokedAt: null },
+        { $set: { revokedAt: new Date() } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("InviteRepository.revoke error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new InviteRepository();
@@ -0,0 +1,56 @@
+/**
+ * Job Lease Repository
+ * Data access layer for background job leases
+ */
+
+import { JobLease } from "../models/index.js";
+import { logger } from "../utils/logger.js";
+
+class JobLeaseRepository {
+  /**
+   * Take or renew a lease
+   * Succeeds when the lease is free, expired or already ours; returns null when another
+   * instance holds it
+   */
+  async acquire(name, holder, leaseMs) {
+    try {
+      const now = new Date();
+      return await JobLease.findOneAndUpdate(
+        { name, $or: [{ lockedUntil: { $lt: now } }, { holder }] },
+        { $set: { holder, lockedUntil: new Date(now.getTime() + leaseMs) } },
+        { new: true, upsert: true }
+      ).lean();
+    } catch (error) {
+      // The upsert lost to a lease held by someone else
+      if (error.code === 11000) return null;
+      logger.error("JobLeaseRepository.acquire error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a completed run
+   */
+  async recordRun(name, holder) {
+    try {
+      await JobLease.updateOne({ name, holder }, { $set: { lastRunAt: new Date() } });
+    } catch (error) {
+      logger.error("JobLeaseRepository.recordRun error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Give up a lease (on shutdown) so another instance can take over right away
+   */
+  async release(name, holder) {
+    try {
+      await JobLease.updateOne({ name, holder }, { $set: { lockedUntil: new Date(0) } });
+    } catch (error) {
+      logger.error("JobLeaseRepository.release error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new JobLeaseRepository();
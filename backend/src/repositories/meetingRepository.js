@@ -6,6 +6,7 @@
 
 import { Meeting, RoomIdTracker } from "../models/index.js";
 import { logger } from "../utils/logger.js";
+import { periodStartExpression } from "../utils/periods.js";
 
 class MeetingRepository {
   /**
@@ -69,6 +70,18 @@ class MeetingRepository {
     }
   }
 
+  /**
+   * Meetings of a recurring series, in schedule order
+   */
+  async findBySeriesId(seriesId) {
+    try {
+      return await Meeting.find({ "series.seriesId": seriesId }).sort({ scheduledAt: 1 }).lean();
+    } catch (error) {
+      logger.error("MeetingRepository.findBySeriesId error:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Find active/joinable meetings
    */
@@ -82,27 +95,48 @@ class MeetingRepository {
   }
 
   /**
-   * Update meeting status
+   * Move a meeting to `status` only if it is currently one of `fromStatuses`,
+   * appending { from, to, actor, reason, at } to its statusHistory
+   * Atomic: returns null when the meeting was not in an expected state
    */
-  async updateStatus(meetingId, status, additionalFields = {}) {
+  async transitionStatus(meetingId, fromStatuses, status, additionalFields = {}, { actor = "system", reason = null } = {}) {
     try {
-      const update = { status, ...additionalFields };
-      
+      const now = new Date();
+      const fields = { ...additionalFields };
+
       // Set timestamps based on status
-      if (status === "active" && !additionalFields.startedAt) {
-        update.startedAt = new Date();
+      if (status === "active" && !fields.startedAt) {
+        fields.startedAt = now;
+      }
+      if (status === "completed" && !fields.endedAt) {
+        fields.endedAt = now;
       }
-      if (status === "completed" && !additionalFields.endedAt) {
-        update.endedAt = new Date();
+
+      // Pipeline update so the entry can record the previous status; values are
+      // wrapped in $literal so strings starting with "$" are not read as field paths
+      const set = {};
+      for (const [key, value] of Object.entries(fields)) {
+        set[key] = { $literal: value };
       }
 
       return await Meeting.findOneAndUpdate(
-        { meetingId },
-        { $set: update },
+        { meetingId, status: { $in: fromStatuses } },
+        [{
+          $set: {
+            ...set,
+            status: { $literal: status },
+            statusHistory: {
+              $concatArrays: [
+                { $ifNull: ["$statusHistory", []] },
+                [{ from: "$status", to: { $literal: status }, actor: { $literal: actor }, reason: { $literal: reason }, at: now }]
+              ]
+            }
+          }
+        }],
         { new: true }
       ).lean();
     } catch (error) {
-      logger.error("MeetingRepository.updateStatus error:", error.message);
+      logger.error("MeetingRepository.transitionStatus error:", error.message);
       throw error;
     }
   }
@@ -123,6 +157,48 @@ class MeetingRepository {
     }
   }
 
+  /**
+   * Add entries to a meeting's allowlist (duplicates ignored)
+   */
+  async addToAllowlist(meetingId, { userIds = [], emails = [] }) {
+    try {
+      return await Meeting.findOneAndUpdate(
+        { meetingId },
+        {
+          $addToSet: {
+            "allowlist.userIds": { $each: userIds },
+            "allowlist.emails": { $each: emails }
+          }
+        },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("MeetingRepository.addToAllowlist error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove entries from a meeting's allowlist
+   */
+  async removeFromAllowlist(meetingId, { userIds = [], emails = [] }) {
+    try {
+      return await Meeting.findOneAndUpdate(
+        { meetingId },
+        {
+          $pull: {
+            "allowlist.userIds": { $in: userIds },
+            "allowlist.emails": { $in: emails }
+          }
+        },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("MeetingRepository.removeFromAllowlist error:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Check if meeting ID exists
    */
@@ -179,21 +255,104 @@ class MeetingRepository {
   }
 
   /**
-   * Expire old meetings
+   * Meetings not yet started whose expiry has passed (oldest first)
    */
-  async expireOldMeetings() {
+  async findOverdue(now, limit) {
     try {
-      const now = new Date();
-      const result = await Meeting.updateMany(
-        {
-          status: { $in: ["created", "scheduled"] },
-          expiresAt: { $lt: now }
-        },
-        { $set: { status: "expired" } }
-      );
-      return result.modifiedCount;
+      return await Meeting.find({
+        status: { $in: ["created", "scheduled"] },
+        expiresAt: { $lt: now }
+      }).sort({ expiresAt: 1 }).limit(limit).lean();
+    } catch (error) {
+      logger.error("MeetingRepository.findOverdue error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Active meetings still running `graceMs` after their planned end (startedAt + durationMinutes), oldest first
+   */
+  async findOverrunning(now, graceMs, limit) {
+    try {
+      return await Meeting.find({
+        status: "active",
+        $expr: {
+          $lt: [
+            { $add: ["$startedAt", { $multiply: ["$durationMinutes", 60000] }, graceMs] },
+            now
+          ]
+        }
+      }).sort({ startedAt: 1 }).limit(limit).lean();
+    } catch (error) {
+      logger.error("MeetingRepository.findOverrunning error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Scheduled meetings starting in (from, to] that have no starting-soon notice for that time yet
+   */
+  async findStartingSoon(from, to, limit) {
+    try {
+      return await Meeting.find({
+        status: "scheduled",
+        scheduledAt: { $gt: from, $lte: to },
+        $expr: { $ne: ["$notifications.startingSoonFor", "$scheduledAt"] }
+      }).sort({ scheduledAt: 1 }).limit(limit).lean();
+    } catch (error) {
+      logger.error("MeetingRepository.findStartingSoon error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Meetings still waiting for their first participant since `cutoff` or earlier
+   * that have not been flagged as a no-show for that time yet
+   */
+  async findNoShows(cutoff, limit) {
+    try {
+      return await Meeting.find({
+        status: "scheduled",
+        scheduledAt: { $lte: cutoff },
+        $expr: { $ne: ["$notifications.noShowFor", "$scheduledAt"] }
+      }).sort({ scheduledAt: 1 }).limit(limit).lean();
+    } catch (error) {
+      logger.error("MeetingRepository.findNoShows error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Shared series meetings whose current occurrence ended without anyone joining
+   */
+  async findMissedSharedOccurrences(now, limit) {
+    try {
+      return await Meeting.find({
+        "series.shared": true,
+        status: "scheduled",
+        scheduledAt: { $lt: now },
+        $expr: { $lt: [{ $add: ["$scheduledAt", { $multiply: [{ $ifNull: ["$durationMinutes", 60] }, 60000] }] }, now] }
+      }).sort({ scheduledAt: 1 }).limit(limit).lean();
+    } catch (error) {
+      logger.error("MeetingRepository.findMissedSharedOccurrences error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record that a notice (`startingSoon` or `noShow`) went out for the meeting's current
+   * scheduledAt; returns null when it already had, or the meeting was rescheduled meanwhile
+   */
+  async markNotified(meetingId, notice, scheduledAt) {
+    try {
+      const field = `notifications.${notice}For`;
+      return await Meeting.findOneAndUpdate(
+        { meetingId, scheduledAt, [field]: { $ne: scheduledAt } },
+        { $set: { [field]: scheduledAt } },
+        { new: true }
+      ).lean();
     } catch (error) {
-      logger.error("MeetingRepository.expireOldMeetings error:", error.message);
+      logger.error("MeetingRepository.markNotified error:", error.message);
       throw error;
     }
   }
@@ -217,6 +376,122 @@ class MeetingRepository {
       throw error;
     }
   }
+
+  /**
+   * Meetings created, completed and expired per period within [from, to)
+   * Completed meetings count at endedAt, expired ones at expiresAt
+   * Returns [{ periodStart, kind, count }]
+   */
+  async countLifecycleByPeriod(appId, { from, to, unit, timezone }) {
+    try {
+      const inRange = (at) => ({ $and: [{ $gte: [at, from] }, { $lt: [at, to] }] });
+
+      return await Meeting.aggregate([
+        {
+          $match: {
+            appId,
+            $or: [
+              { createdAt: { $gte: from, $lt: to } },
+              { status: "completed", endedAt: { $gte: from, $lt: to } },
+              { status: "expired", expiresAt: { $gte: from, $lt: to } }
+            ]
+          }
+        },
+        {
+          $project: {
+            events: [
+              { $cond: [inRange("$createdAt"), { kind: "created", at: "$createdAt" }, null] },
+              {
+                $cond: [
+                  { $and: [{ $eq: ["$status", "completed"] }, inRange("$endedAt")] },
+                  { kind: "completed", at: "$endedAt" },
+                  null
+                ]
+              },
+              {
+                $cond: [
+                  { $and: [{ $eq: ["$status", "expired"] }, inRange("$expiresAt")] },
+                  { kind: "expired", at: "$expiresAt" },
+                  null
+                ]
+              }
+            ]
+          }
+        },
+        { $unwind: "$events" },
+        { $match: { events: { $ne: null } } },
+        {
+          $group: {
+            _id: {
+              periodStart: periodStartExpression("$events.at", { unit, timezone }),
+              kind: "$events.kind"
+            },
+            count: { $sum: 1 }
+          }
+        },
+        { $project: { _id: 0, periodStart: "$_id.periodStart", kind: "$_id.kind", count: 1 } },
+        { $sort: { periodStart: 1 } }
+      ]);
+    } catch (error) {
+      logger.error("MeetingRepository.countLifecycleByPeriod error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Highest number of meetings running at the same time, per period within [from, to)
+   * Sweeps start (+1) and end (-1) events in time order; meetings still active end at `now`.
+   * A period only appears when a meeting starts or ends in it.
+   * Returns [{ periodStart, peak }]
+   */
+  async peakConcurrentByPeriod(appId, { from, to, unit, timezone, now }) {
+    try {
+      return await Meeting.aggregate([
+        {
+          $match: {
+            appId,
+            startedAt: { $lt: to },
+            $or: [
+              { endedAt: { $gte: from } },
+              { endedAt: null, status: "active" }
+            ]
+          }
+        },
+        {
+          $project: {
+            events: [
+              { at: { $max: ["$startedAt", from] }, delta: 1 },
+              { at: { $ifNull: ["$endedAt", now] }, delta: -1 }
+            ]
+          }
+        },
+        { $unwind: "$events" },
+        { $replaceWith: "$events" },
+        { $match: { at: { $lt: to } } },
+        // Ends sort before starts at the same instant, so back-to-back meetings do not overlap
+        {
+          $setWindowFields: {
+            sortBy: { at: 1, delta: 1 },
+            output: {
+              running: { $sum: "$delta", window: { documents: ["unbounded", "current"] } }
+            }
+          }
+        },
+        {
+          $group: {
+            _id: periodStartExpression("$at", { unit, timezone }),
+            // Meetings running just after a start, or just before an end
+            peak: { $max: { $cond: [{ $eq: ["$delta", 1] }, "$running", { $add: ["$running", 1] }] } }
+          }
+        },
+        { $project: { _id: 0, periodStart: "$_id", peak: 1 } },
+        { $sort: { periodStart: 1 } }
+      ]).allowDiskUse(true);
+    } catch (error) {
+      logger.error("MeetingRepository.peakConcurrentByPeriod error:", error.message);
+      throw error;
+    }
+  }
 }
 
 export default new MeetingRepository();
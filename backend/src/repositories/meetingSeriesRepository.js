@@ -0,0 +1,114 @@
+/**
+ * Meeting Series Repository
+ * Data access layer for recurring meeting series
+ */
+
+import { MeetingSeries } from "../models/index.js";
+import { logger } from "../utils/logger.js";
+
+class MeetingSeriesRepository {
+  /**
+   * Create a series
+   */
+  async create(seriesData) {
+    try {
+      const series = new MeetingSeries(seriesData);
+      await series.save();
+      return series.toObject();
+    } catch (error) {
+      logger.error("MeetingSeriesRepository.create error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a series by its seriesId
+   */
+  async findBySeriesId(seriesId) {
+    try {
+      return await MeetingSeries.findOne({ seriesId }).lean();
+    } catch (error) {
+      logger.error("MeetingSeriesRepository.findBySeriesId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List an app's series (newest first)
+   */
+  async findByAppId(appId, { status, limit = 50, skip = 0 } = {}) {
+    try {
+      const query = { appId };
+      if (status) query.status = status;
+
+      return await MeetingSeries.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      logger.error("MeetingSeriesRepository.findByAppId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update series fields
+   */
+  async update(seriesId, updateData) {
+    try {
+      return await MeetingSeries.findOneAndUpdate(
+        { seriesId },
+        { $set: updateData },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("MeetingSeriesRepository.update error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update one occurrence's fields (e.g. { startAt, status })
+   * Only while the occurrence is still scheduled; returns null otherwise
+   */
+  async updateOccurrence(seriesId, occurrenceId, fields) {
+    try {
+      const update = {};
+      for (const [key, value] of Object.entries(fields)) {
+        update[`occurrences.$.${key}`] = value;
+      }
+
+      return await MeetingSeries.findOneAndUpdate(
+        { seriesId, occurrences: { $elemMatch: { occurrenceId, status: "scheduled" } } },
+        { $set: update },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("MeetingSeriesRepository.updateOccurrence error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel the series and those of its occurrences that have not taken place yet
+   * Returns null when the series was already cancelled
+   */
+  async cancel(seriesId, occurrenceIds) {
+    try {
+      return await MeetingSeries.findOneAndUpdate(
+        { seriesId, status: "active" },
+        { $set: { status: "cancelled", cancelledAt: new Date(), "occurrences.$[pending].status": "cancelled" } },
+        {
+          new: true,
+          arrayFilters: [{ "pending.status": "scheduled", "pending.occurrenceId": { $in: occurrenceIds } }]
+        }
+      ).lean();
+    } catch (error) {
+      logger.error("MeetingSeriesRepository.cancel error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new MeetingSeriesRepository();
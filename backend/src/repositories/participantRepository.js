@@ -5,6 +5,7 @@
 
 import { Participant } from "../models/index.js";
 import { logger } from "../utils/logger.js";
+import { periodStartExpression } from "../utils/periods.js";
 
 class ParticipantRepository {
   /**
@@ -82,6 +83,35 @@ class ParticipantRepository {
     }
   }
 
+  /**
+   * Update participant status only if it is currently one of `fromStatuses`
+   * Returns null when the participant was not in an expected state
+   */
+  async transitionStatus(meetingId, userId, fromStatuses, status, additionalFields = {}) {
+    try {
+      return await Participant.findOneAndUpdate(
+        { meetingId, userId, status: { $in: fromStatuses } },
+        { $set: { status, ...additionalFields } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("ParticipantRepository.transitionStatus error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get participants waiting for admission
+   */
+  async getWaitingInMeeting(meetingId) {
+    try {
+      return await Participant.getWaitingInMeeting(meetingId).lean();
+    } catch (error) {
+      logger.error("ParticipantRepository.getWaitingInMeeting error:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Update participant media state
    */
@@ -98,6 +128,68 @@ class ParticipantRepository {
     }
   }
 
+  /**
+   * Fold one connection quality sample into the participant's metrics rollups
+   * `stats` maps rollup names (e.g. "rttMs") to numbers; `fields` are set as-is
+   */
+  async addQualitySample(meetingId, userId, stats, fields) {
+    try {
+      const now = new Date();
+      const update = {
+        $set: { "metrics.lastSampleAt": now },
+        $min: { "metrics.firstSampleAt": now },
+        $inc: { "metrics.samples": 1 },
+        $max: {}
+      };
+
+      for (const [key, value] of Object.entries(fields)) {
+        update.$set[`metrics.${key}`] = value;
+      }
+      if (fields.candidateType === "relay") {
+        update.$inc["metrics.relaySamples"] = 1;
+      }
+      for (const [key, value] of Object.entries(stats)) {
+        update.$inc[`metrics.${key}.count`] = 1;
+        update.$inc[`metrics.${key}.sum`] = value;
+        update.$max[`metrics.${key}.max`] = value;
+        update.$set[`metrics.${key}.last`] = value;
+      }
+      if (Object.keys(update.$max).length === 0) delete update.$max;
+
+      return await Participant.findOneAndUpdate(
+        { meetingId, userId },
+        update,
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("ParticipantRepository.addQualitySample error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the client's connection details (user agent, IP, browser, device)
+   */
+  async updateClientInfo(meetingId, userId, clientInfo, { browser, device }) {
+    try {
+      return await Participant.findOneAndUpdate(
+        { meetingId, userId },
+        {
+          $set: {
+            "clientInfo.userAgent": clientInfo.userAgent,
+            "clientInfo.ip": clientInfo.ip,
+            "metrics.browser": browser,
+            "metrics.device": device
+          }
+        },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("ParticipantRepository.updateClientInfo error:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Count participants in a meeting
    */
@@ -115,13 +207,13 @@ class ParticipantRepository {
   }
 
   /**
-   * Mark all participants as left when meeting ends
+   * Mark all participants as left when meeting ends (including guests waiting in the lobby)
    */
   async markAllLeft(meetingId) {
     try {
       const now = new Date();
       const result = await Participant.updateMany(
-        { meetingId, status: { $in: ["joined", "connected"] } },
+        { meetingId, status: { $in: ["waiting", "joined", "connected"] } },
         { $set: { status: "left", leftAt: now } }
       );
       return result.modifiedCount;
@@ -159,6 +251,93 @@ class ParticipantRepository {
       throw error;
     }
   }
+
+  /**
+   * Attendance of an app's meetings within [from, to), per period (by join time) and in total
+   * Minutes run from admission to leaving, capped at `to`; sessions still in the call count until `now`.
+   * Participants never admitted from the waiting room are left out.
+   * Returns { periods: [{ periodStart, meetings, sessions, minutes, samples, relaySamples }], totals }
+   */
+  async usageByPeriod(appId, { from, to, unit, timezone, now }) {
+    try {
+      // meetings = distinct meetings with attendance (grouped per meeting first)
+      const sumPerMeeting = {
+        sessions: { $sum: 1 },
+        minutes: { $sum: "$minutes" },
+        samples: { $sum: "$samples" },
+        relaySamples: { $sum: "$relaySamples" }
+      };
+      const sumMeetings = {
+        meetings: { $sum: 1 },
+        sessions: { $sum: "$sessions" },
+        minutes: { $sum: "$minutes" },
+        samples: { $sum: "$samples" },
+        relaySamples: { $sum: "$relaySamples" }
+      };
+
+      const [result] = await Participant.aggregate([
+        {
+          $match: {
+            appId,
+            joinedAt: { $gte: from, $lt: to },
+            // Only people who got into the call (left-from-lobby entries have no admittedAt)
+            status: { $nin: ["waiting", "denied"] },
+            admittedAt: { $ne: null }
+          }
+        },
+        {
+          $project: {
+            meetingId: 1,
+            periodStart: periodStartExpression("$joinedAt", { unit, timezone }),
+            minutes: {
+              $divide: [
+                {
+                  $max: [0, {
+                    $subtract: [
+                      {
+                        $min: [to, {
+                          $ifNull: ["$leftAt", {
+                            $cond: [{ $in: ["$status", ["joined", "connected"]] }, now, "$updatedAt"]
+                          }]
+                        }]
+                      },
+                      "$admittedAt"
+                    ]
+                  }]
+                },
+                60000
+              ]
+            },
+            samples: { $ifNull: ["$metrics.samples", 0] },
+            relaySamples: { $ifNull: ["$metrics.relaySamples", 0] }
+          }
+        },
+        {
+          $facet: {
+            periods: [
+              { $group: { _id: { periodStart: "$periodStart", meetingId: "$meetingId" }, ...sumPerMeeting } },
+              { $group: { _id: "$_id.periodStart", ...sumMeetings } },
+              { $project: { _id: 0, periodStart: "$_id", meetings: 1, sessions: 1, minutes: 1, samples: 1, relaySamples: 1 } },
+              { $sort: { periodStart: 1 } }
+            ],
+            totals: [
+              { $group: { _id: "$meetingId", ...sumPerMeeting } },
+              { $group: { _id: null, ...sumMeetings } },
+              { $project: { _id: 0 } }
+            ]
+          }
+        }
+      ]).allowDiskUse(true);
+
+      return {
+        periods: result.periods,
+        totals: result.totals[0] || { meetings: 0, sessions: 0, minutes: 0, samples: 0, relaySamples: 0 }
+      };
+    } catch (error) {
+      logger.error("ParticipantRepository.usageByPeriod error:", error.message);
+      throw error;
+    }
+  }
 }
 
 export default new ParticipantRepository();
@@ -0,0 +1,22 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Participant } from "../models/index.js";
+import participantRepository from "./participantRepository.js";
+
+test("markAllLeft sends away guests waiting in the lobby too", async () => {
+  const participants = ["waiting", "joined", "connected", "left", "denied"].map((status, i) => ({
+    meetingId: "abc-1234-xyz",
+    userId: `u${i}`,
+    status
+  }));
+
+  // In-memory stand-in for the status filter of the update
+  Participant.updateMany = async (filter, { $set }) => {
+    const matched = participants.filter(p => p.meetingId === filter.meetingId && filter.status.$in.includes(p.status));
+    matched.forEach(p => Object.assign(p, $set));
+    return { modifiedCount: matched.length };
+  };
+
+  assert.equal(await participantRepository.markAllLeft("abc-1234-xyz"), 3);
+  assert.deepEqual(participants.map(p => p.status), ["left", "left", "left", "left", "denied"]);
+});
@@ -0,0 +1,116 @@
+/**
+ * Participant Session Repository
+ * Data access layer for per-session attendance records
+ */
+
+import { ParticipantSession } from "../models/index.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Update pipeline that ends a session now, with its duration
+ */
+function closeUpdate(endReason) {
+  const now = new Date();
+  return [{
+    $set: {
+      leftAt: now,
+      endReason,
+      durationSeconds: { $floor: { $divide: [{ $subtract: [now, "$joinedAt"] }, 1000] } }
+    }
+  }];
+}
+
+class ParticipantSessionRepository {
+  /**
+   * Create a session
+   */
+  async create(sessionData) {
+    try {
+      const session = new ParticipantSession(sessionData);
+      await session.save();
+      return session.toObject();
+    } catch (error) {
+      logger.error("ParticipantSessionRepository.create error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * A meeting's sessions in join order
+   */
+  async findByMeetingId(meetingId) {
+    try {
+      return await ParticipantSession.find({ meetingId }).sort({ joinedAt: 1 }).lean();
+    } catch (error) {
+      logger.error("ParticipantSessionRepository.findByMeetingId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Append a media state change to the socket's open session
+   */
+  async addMediaChange(socketId, change) {
+    try {
+      return await ParticipantSession.findOneAndUpdate(
+        { socketId, leftAt: null },
+        { $push: { mediaChanges: change } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("ParticipantSessionRepository.addMediaChange error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * End the socket's open session
+   * Atomic: returns null when it was already closed
+   */
+  async closeBySocket(socketId, endReason) {
+    try {
+      return await ParticipantSession.findOneAndUpdate(
+        { socketId, leftAt: null },
+        closeUpdate(endReason),
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("ParticipantSessionRepository.closeBySocket error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * End a user's open sessions in a meeting (all of their tabs)
+   */
+  async closeByUser(meetingId, userId, endReason) {
+    try {
+      const result = await ParticipantSession.updateMany(
+        { meetingId, userId, leftAt: null },
+        closeUpdate(endReason)
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error("ParticipantSessionRepository.closeByUser error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * End every open session of a meeting
+   */
+  async closeAllInMeeting(meetingId, endReason) {
+    try {
+      const result = await ParticipantSession.updateMany(
+        { meetingId, leftAt: null },
+        closeUpdate(endReason)
+      );
+      return result.modifiedCount;
+    } catch (error) {
+      logger.error("ParticipantSessionRepository.closeAllInMeeting error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new ParticipantSessionRepository();
@@ -0,0 +1,159 @@
+/**
+ * Recording Repository
+ * Data access layer for call recordings
+ */
+
+import { Recording } from "../models/index.js";
+import { logger } from "../utils/logger.js";
+
+class RecordingRepository {
+  /**
+   * Create a recording
+   */
+  async create(recordingData) {
+    try {
+      const recording = new Recording(recordingData);
+      await recording.save();
+      return recording.toObject();
+    } catch (error) {
+      logger.error("RecordingRepository.create error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a recording by its recordingId
+   */
+  async findByRecordingId(recordingId) {
+    try {
+      return await Recording.findOne({ recordingId }).lean();
+    } catch (error) {
+      logger.error("RecordingRepository.findByRecordingId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List a meeting's recordings (newest first)
+   */
+  async findByMeetingId(meetingId) {
+    try {
+      return await Recording.find({ meetingId }).sort({ createdAt: -1 }).lean();
+    } catch (error) {
+      logger.error("RecordingRepository.findByMeetingId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * A meeting's recordings that are running or waiting for consent
+   */
+  async findActiveByMeetingId(meetingId) {
+    try {
+      return await Recording.find({ meetingId, status: { $in: ["awaiting_consent", "recording"] } })
+        .sort({ createdAt: 1 })
+        .lean();
+    } catch (error) {
+      logger.error("RecordingRepository.findActiveByMeetingId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Consent requests whose deadline has passed (oldest first)
+   */
+  async findOverdueConsentRequests(now, limit) {
+    try {
+      return await Recording.find({ status: "awaiting_consent", consentDeadline: { $lte: now } })
+        .sort({ consentDeadline: 1 })
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      logger.error("RecordingRepository.findOverdueConsentRequests error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Store a participant's consent answer
+   * Atomic: only while consent is pending, before its deadline, and the participant has not answered yet
+   */
+  async answerConsent(meetingId, recordingId, userId, granted, auditEntry) {
+    try {
+      return await Recording.findOneAndUpdate(
+        {
+          recordingId,
+          meetingId,
+          status: "awaiting_consent",
+          consentDeadline: { $gt: new Date() },
+          consents: { $elemMatch: { userId, granted: null } }
+        },
+        {
+          $set: { "consents.$.granted": granted, "consents.$.answeredAt": new Date() },
+          $push: { audit: auditEntry }
+        },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("RecordingRepository.answerConsent error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Note a stored chunk
+   * Only counts each index once, and only while the recording is still recording;
+   * returns null otherwise
+   */
+  async addChunk(recordingId, index, bytes) {
+    try {
+      return await Recording.findOneAndUpdate(
+        { recordingId, status: "recording", receivedChunks: { $ne: index } },
+        {
+          $push: { receivedChunks: index },
+          $inc: { uploadedBytes: bytes }
+        },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("RecordingRepository.addChunk error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Decline a consent request whose deadline has passed
+   * Atomic: returns null when it was answered, stopped or is not overdue yet
+   */
+  async declineOverdueConsent(recordingId, now, auditEntry) {
+    try {
+      return await Recording.findOneAndUpdate(
+        { recordingId, status: "awaiting_consent", consentDeadline: { $lte: now } },
+        { $set: { status: "declined" }, $push: { audit: auditEntry } },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("RecordingRepository.declineOverdueConsent error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Move a recording from one status to another, optionally adding an audit entry
+   * Atomic: returns null when it is no longer in `fromStatus`
+   */
+  async transition(recordingId, fromStatus, updateData, auditEntry = null) {
+    try {
+      return await Recording.findOneAndUpdate(
+        { recordingId, status: fromStatus },
+        auditEntry ? { $set: updateData, $push: { audit: auditEntry } } : { $set: updateData },
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("RecordingRepository.transition error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new RecordingRepository();
@@ -0,0 +1,132 @@
+/**
+ * Webhook Delivery Repository
+ * Data access layer for the webhook delivery queue and log
+ */
+
+import { WebhookDelivery } from "../models/index.js";
+import { logger } from "../utils/logger.js";
+
+class WebhookDeliveryRepository {
+  /**
+   * Enqueue a delivery
+   */
+  async create(deliveryData) {
+    try {
+      const delivery = new WebhookDelivery(deliveryData);
+      await delivery.save();
+      return delivery.toObject();
+    } catch (error) {
+      logger.error("WebhookDeliveryRepository.create error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a delivery by its deliveryId (scoped to an app)
+   */
+  async findByDeliveryId(appId, deliveryId) {
+    try {
+      return await WebhookDelivery.findOne({ appId, deliveryId }).lean();
+    } catch (error) {
+      logger.error("WebhookDeliveryRepository.findByDeliveryId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List deliveries for an app (newest first)
+   */
+  async findByAppId(appId, options = {}) {
+    try {
+      const { status, event, limit = 50, skip = 0 } = options;
+      const query = { appId };
+
+      if (status) {
+        query.status = Array.isArray(status) ? { $in: status } : status;
+      }
+      if (event) {
+        query.event = event;
+      }
+
+      return await WebhookDelivery.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean();
+    } catch (error) {
+      logger.error("WebhookDeliveryRepository.findByAppId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Atomically claim the next due delivery for a worker
+   * Also reclaims deliveries whose lease expired (worker crashed mid-send)
+   */
+  async claimNextDue(workerId, leaseMs, deliveryId = null) {
+    try {
+      const now = new Date();
+      const query = {
+        $or: [
+          { status: "pending", nextAttemptAt: { $lte: now } },
+          { status: "delivering", lockedUntil: { $lt: now } }
+        ]
+      };
+
+      if (deliveryId) {
+        query.deliveryId = deliveryId;
+      }
+
+      return await WebhookDelivery.findOneAndUpdate(
+        query,
+        {
+          $set: {
+            status: "delivering",
+            lockedBy: workerId,
+            lockedUntil: new Date(now.getTime() + leaseMs)
+          }
+        },
+        { new: true, sort: { nextAttemptAt: 1 } }
+      ).lean();
+    } catch (error) {
+      logger.error("WebhookDeliveryRepository.claimNextDue error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record the outcome of an attempt and release the lease
+   */
+  async recordAttempt(deliveryId, attempt, outcome) {
+    try {
+      const { status, nextAttemptAt = null } = outcome;
+      const update = {
+        $set: {
+          status,
+          nextAttemptAt,
+          lastAttemptAt: attempt.attemptedAt,
+          lastResponseStatus: attempt.responseStatus,
+          lastError: attempt.error
+        },
+        $inc: { attempts: 1 },
+        $push: { attemptLog: attempt },
+        $unset: { lockedBy: 1, lockedUntil: 1 }
+      };
+
+      if (status === "succeeded") {
+        update.$set.deliveredAt = attempt.attemptedAt;
+      }
+
+      return await WebhookDelivery.findOneAndUpdate(
+        { deliveryId },
+        update,
+        { new: true }
+      ).lean();
+    } catch (error) {
+      logger.error("WebhookDeliveryRepository.recordAttempt error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new WebhookDeliveryRepository();
@@ -0,0 +1,102 @@
+/**
+ * Webhook Subscription Repository
+ * Data access layer for per-app webhook endpoints
+ */
+
+import { WebhookSubscription } from "../models/index.js";
+import { logger } from "../utils/logger.js";
+
+class WebhookSubscriptionRepository {
+  /**
+   * Create a subscription
+   */
+  async create(subscriptionData) {
+    try {
+      const subscription = new WebhookSubscription(subscriptionData);
+      await subscription.save();
+      return subscription.toObject();
+    } catch (error) {
+      logger.error("WebhookSubscriptionRepository.create error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a subscription by its subscriptionId (scoped to an app)
+   */
+  async findBySubscriptionId(appId, subscriptionId) {
+    try {
+      return await WebhookSubscription.findOne({ appId, subscriptionId }).lean();
+    } catch (error) {
+      logger.error("WebhookSubscriptionRepository.findBySubscriptionId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List an app's subscriptions
+   */
+  async findByAppId(appId) {
+    try {
+      return await WebhookSubscription.find({ appId }).sort({ createdAt: 1 }).lean();
+    } catch (error) {
+      logger.error("WebhookSubscriptionRepository.findByAppId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find enabled subscriptions whose event filter matches
+   */
+  async findForEvent(appId, event) {
+    try {
+      return await WebhookSubscription.findForEvent(appId, event);
+    } catch (error) {
+      logger.error("WebhookSubscriptionRepository.findForEvent error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Count an app's subscriptions
+   */
+  async countByAppId(appId) {
+    try {
+      return await WebhookSubscription.countDocuments({ appId });
+    } catch (error) {
+      logger.error("WebhookSubscriptionRepository.countByAppId error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a subscription
+   */
+  async update(appId, subscriptionId, updateData) {
+    try {
+      return await WebhookSubscription.findOneAndUpdate(
+        { appId, subscriptionId },
+        { $set: updateData },
+        { new: true, runValidators: true }
+      ).lean();
+    } catch (error) {
+      logger.error("WebhookSubscriptionRepository.update error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a subscription
+   */
+  async delete(appId, subscriptionId) {
+    try {
+      const result = await WebhookSubscription.deleteOne({ appId, subscriptionId });
+      return result.deletedCount > 0;
+    } catch (error) {
+      logger.error("WebhookSubscriptionRepository.delete error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new WebhookSubscriptionRepository();
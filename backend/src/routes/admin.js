@@ -0,0 +1,312 @@
+/**
+ * Admin Routes
+ * Tenant (app) management endpoints for platform operators
+ *
+ * All endpoints require the X-Admin-Key header (ADMIN_API_KEY)
+ */
+
+import { Router } from "express";
+import createError from "http-errors";
+import appService from "../services/appService.js";
+import { requireAdmin } from "../middleware/authMiddleware.js";
+import { logger } from "../utils/logger.js";
+
+const router = Router();
+
+router.use(requireAdmin);
+
+/**
+ * POST /api/v1/admin/apps
+ * Onboard a new app
+ *
+ * Body:
+ * - name: Tenant name
+ * - appId (optional): Custom app ID (generated if omitted)
+ * - allowedDomains (optional): Array of allowed origins (default: ["*"])
+ * - webhookUrl, webhookSecret (optional): Webhook settings
+ * - metadata (optional): Custom metadata
+ *
+ * Returns the app including its appSecret (shown only once)
+ */
+router.post("/apps", async (req, res, next) => {
+  try {
+    const { appId, name, allowedDomains, webhookUrl, webhookSecret, metadata } = req.body;
+
+    if (!name) {
+      return next(createError(400, "name is required"));
+    }
+
+    if (allowedDomains !== undefined && !Array.isArray(allowedDomains)) {
+      return next(createError(400, "allowedDomains must be an array"));
+    }
+
+    const app = await appService.createApp({
+      appId,
+      name,
+      allowedDomains,
+      webhookUrl,
+      webhookSecret,
+      metadata
+    });
+
+    res.status(201).json(app);
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return next(createError(409, "App ID already exists"));
+    }
+    if (error.name === "ValidationError") {
+      return next(createError(400, error.message));
+    }
+    logger.error("POST /api/v1/admin/apps error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/admin/apps
+ * List apps
+ *
+ * Query params:
+ * - status (optional): "active" or "disabled"
+ * - limit (optional): Max results (default: 50)
+ * - skip (optional): Skip results for pagination
+ */
+router.get("/apps", async (req, res, next) => {
+  try {
+    const { status, limit = 50, skip = 0 } = req.query;
+
+    const apps = await appService.listApps({
+      status,
+      limit: parseInt(limit, 10),
+      skip: parseInt(skip, 10)
+    });
+
+    res.json({ apps, count: apps.length });
+
+  } catch (error) {
+    logger.error("GET /api/v1/admin/apps error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/admin/apps/:appId
+ * Get app details
+ */
+router.get("/apps/:appId", async (req, res, next) => {
+  try {
+    const app = await appService.getApp(req.params.appId);
+
+    if (!app) {
+      return next(createError(404, "App not found"));
+    }
+
+    res.json(app);
+
+  } catch (error) {
+    logger.error("GET /api/v1/admin/apps/:appId error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/admin/apps/:appId
+ * Update app settings
+ *
+ * Body (all optional):
+ * - name
+ * - allowedDomains
+ * - webhookUrl
+ * - webhookSecret
+ * - metadata
+ * - rateLimits: Overrides by limit name, e.g. { join: { perIp: 100, perApp: 5000 }, signaling: { perSocket: 600 } }
+ *   (replaces existing overrides; {} restores the defaults)
+ */
+router.put("/apps/:appId", async (req, res, next) => {
+  try {
+    if (req.body.allowedDomains !== undefined && !Array.isArray(req.body.allowedDomains)) {
+      return next(createError(400, "allowedDomains must be an array"));
+    }
+
+    const app = await appService.updateApp(req.params.appId, req.body);
+
+    if (!app) {
+      return next(createError(404, "App not found"));
+    }
+
+    res.json(app);
+
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return next(createError(400, error.message));
+    }
+    logger.error("PUT /api/v1/admin/apps/:appId error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/admin/apps/:appId/allowed-domains
+ * Replace the app's allowed domains
+ *
+ * Body:
+ * - allowedDomains: Array of origins (e.g. ["https://ats.example.com"])
+ */
+router.put("/apps/:appId/allowed-domains", async (req, res, next) => {
+  try {
+    const { allowedDomains } = req.body;
+
+    if (!Array.isArray(allowedDomains)) {
+      return next(createError(400, "allowedDomains must be an array"));
+    }
+
+    const app = await appService.setAllowedDomains(req.params.appId, allowedDomains);
+
+    if (!app) {
+      return next(createError(404, "App not found"));
+    }
+
+    res.json(app);
+
+  } catch (error) {
+    logger.error("PUT /api/v1/admin/apps/:appId/allowed-domains error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/v1/admin/apps/:appId/webhook
+ * Configure the app's webhook endpoint
+ *
+ * Body:
+ * - url: Webhook URL (null to remove)
+ * - secret (optional): Signing secret (kept or generated if omitted)
+ */
+router.put("/apps/:appId/webhook", async (req, res, next) => {
+  try {
+    const { url, secret } = req.body;
+
+    const app = await appService.updateWebhook(req.params.appId, { url, secret });
+
+    if (!app) {
+      return next(createError(404, "App not found"));
+    }
+
+    res.json(app);
+
+  } catch (error) {
+    logger.error("PUT /api/v1/admin/apps/:appId/webhook error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/v1/admin/apps/:appId/keys
+ * List the app's API keys (hashes are never returned)
+ */
+router.get("/apps/:appId/keys", async (req, res, next) => {
+  try {
+    const keys = await appService.listApiKeys(req.params.appId);
+
+    if (!keys) {
+      return next(createError(404, "App not found"));
+    }
+
+    res.json({ keys, count: keys.length });
+
+  } catch (error) {
+    logger.error("GET /api/v1/admin/apps/:appId/keys error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/admin/apps/:appId/keys
+ * Issue a new API key (existing keys keep working until revoked)
+ *
+ * Body:
+ * - label (optional): Key label (e.g. "production-2025")
+ * - expiresAt (optional): ISO date after which the key is rejected
+ *
+ * Returns the key including its appSecret (shown only once)
+ */
+router.post("/apps/:appId/keys", async (req, res, next) => {
+  try {
+    const { label, expiresAt } = req.body;
+
+    const key = await appService.issueApiKey(req.params.appId, { label, expiresAt });
+
+    if (!key) {
+      return next(createError(404, "App not found"));
+    }
+
+    res.status(201).json(key);
+
+  } catch (error) {
+    logger.error("POST /api/v1/admin/apps/:appId/keys error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/v1/admin/apps/:appId/keys/:keyId
+ * Revoke an API key
+ */
+router.delete("/apps/:appId/keys/:keyId", async (req, res, next) => {
+  try {
+    const key = await appService.revokeApiKey(req.params.appId, req.params.keyId);
+
+    if (!key) {
+      return next(createError(404, "App not found"));
+    }
+
+    res.json(key);
+
+  } catch (error) {
+    logger.error("DELETE /api/v1/admin/apps/:appId/keys/:keyId error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/admin/apps/:appId/disable
+ * Disable an app (its credentials stop working immediately)
+ */
+router.post("/apps/:appId/disable", async (req, res, next) => {
+  try {
+    const app = await appService.disableApp(req.params.appId);
+
+    if (!app) {
+      return next(createError(404, "App not found"));
+    }
+
+    res.json(app);
+
+  } catch (error) {
+    logger.error("POST /api/v1/admin/apps/:appId/disable error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/v1/admin/apps/:appId/enable
+ * Re-enable a disabled app
+ */
+router.post("/apps/:appId/enable", async (req, res, next) => {
+  try {
+    const app = await appService.enableApp(req.params.appId);
+
+    if (!app) {
+      return next(createError(404, "App not found"));
+    }
+
+    res.json(app);
+
+  } catch (error) {
+    logger.error("POST /api/v1/admin/apps/:appId/enable error:", error.message);
+    next(error);
+  }
+});
+
+export default router;
@@ -1,16 +1,54 @@
 import express from "express";
 import createError from "http-errors";
-import { apps } from "../data/store.js";
+import appService from "../services/appService.js";
 import { signAppToken } from "../services/tokenService.js";
+import { requireAppKey } from "../middleware/auth.js";
+import { rateLimitFor } from "../middleware/rateLimit.js";
 
 const router = express.Router();
 
-router.post("/token", (req, res, next) => {
-  const { appId, appSecret, user } = req.body || {};
-  const app = apps.get(appId);
-  if (!app || app.appSecret !== appSecret) return next(createError(401, "Invalid app credentials"));
-  const token = signAppToken(appId, user);
-  res.json({ token, expiresIn: 3600 });
+router.post("/token", rateLimitFor("authToken"), async (req, res, next) => {
+  try {
+    const { appId, appSecret, user } = req.body || {};
+    const app = await appService.authenticate(appId, appSecret);
+    if (!app) return next(createError(401, "Invalid app credentials"));
+    const token = await signAppToken(appId, user);
+    res.json({ token, expiresIn: 3600 });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Self-service key rotation: issue a new key, switch clients over, revoke the old one.
+router.get("/keys", requireAppKey, async (req, res, next) => {
+  try {
+    const keys = await appService.listApiKeys(req.appContext.app.appId);
+    if (!keys) return next(createError(404, "App not found"));
+    res.json({ keys });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post("/keys", requireAppKey, async (req, res, next) => {
+  try {
+    const { label, expiresAt } = req.body || {};
+    const key = await appService.issueApiKey(req.appContext.app.appId, { label, expiresAt });
+    if (!key) return next(createError(404, "App not found"));
+    res.status(201).json(key);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/keys/:keyId", requireAppKey, async (req, res, next) => {
+  try {
+    const key = await appService.revokeApiKey(req.appContext.app.appId, req.params.keyId);
+    if (!key) return next(createError(404, "App not found"));
+    res.json(key);
+  } catch (err) {
+    next(err);
+  }
 });
 
 export default router;
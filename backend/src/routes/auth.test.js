@@ -0,0 +1,48 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import app from "../app.js";
+import appService from "../services/appService.js";
+import { config } from "../config.js";
+
+let server;
+let baseUrl;
+
+appService.authenticate = async (appId, appKey) => (appKey === "key" ? { appId, status: "active" } : null);
+appService.getRateLimitOverrides = async () => ({});
+
+function request(method, path, body) {
+  const headers = { "content-type": "application/json", "x-app-id": "app-1", "x-app-key": "key" };
+  return fetch(`${baseUrl}/api/v1/auth${path}`, { method, headers, body: body && JSON.stringify(body) });
+}
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+test("key routes answer 404 when the app record is gone", async () => {
+  appService.listApiKeys = async () => null;
+  appService.issueApiKey = async () => null;
+  appService.revokeApiKey = async () => null;
+
+  assert.equal((await request("GET", "/keys")).status, 404);
+  assert.equal((await request("POST", "/keys", { label: "ci" })).status, 404);
+  assert.equal((await request("DELETE", "/keys/key_abc")).status, 404);
+});
+
+test("token requests don't count against the app they name", async () => {
+  const limits = config.rateLimits.rest.authToken;
+  const perApp = limits.perApp;
+  limits.perApp = 1;
+
+  try {
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await request("POST", "/token", { appId: "app-1", appSecret: "guess" })).status, 401);
+    }
+  } finally {
+    limits.perApp = perApp;
+  }
+});
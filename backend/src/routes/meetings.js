@@ -6,18 +6,56 @@
  * Authentication is modular and can be disabled for meeting access
  */
 
-import { Router } from "express";
+import { Router, raw } from "express";
 import createError from "http-errors";
 import meetingService from "../services/meetingService.js";
+import inviteService from "../services/inviteService.js";
+import chatService from "../services/chatService.js";
+import recordingService from "../services/recordingService.js";
+import qualityService from "../services/qualityService.js";
+import analyticsService from "../services/analyticsService.js";
+import attendanceService from "../services/attendanceService.js";
+import seriesService from "../services/seriesService.js";
+import calendarService from "../services/calendarService.js";
+import { config } from "../config.js";
 import { 
   requireAppAuth, 
   meetingAccess, 
-  optionalAuth 
+  optionalAuth,
+  requireParticipant,
+  isAuthEnabled
 } from "../middleware/authMiddleware.js";
+import { rateLimitFor } from "../middleware/rateLimit.js";
 import { logger } from "../utils/logger.js";
 
 const router = Router();
 
+/**
+ * Middleware: the meeting in the path must belong to the calling app (use after requireAppAuth)
+ * Other apps' meetings get the same 404 as unknown ones. Sets req.meeting.
+ */
+async function requireMeetingOwner(req, res, next) {
+  try {
+    const { meetingId } = req.params;
+
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const meeting = await meetingService.getMeeting(meetingId);
+
+    // Without auth every caller acts as the same default app
+    if (!meeting || (isAuthEnabled() && meeting.appId !== req.appContext?.appId)) {
+      return next(createError(404, "Meeting not found"));
+    }
+
+    req.meeting = meeting;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * POST /api/meetings
  * Create a new meeting
@@ -26,25 +64,39 @@ const router = Router();
  * - title (optional): Meeting title
  * - scheduledAt (optional): ISO date for scheduled meetings
  * - durationMinutes (optional): Meeting duration (default: 60)
- * - settings (optional): { allowAnonymous, waitingRoomEnabled, maxParticipants }
+ * - settings (optional): { allowAnonymous, waitingRoomEnabled, recordingEnabled, recordingConsentRequired, maxParticipants, passcode }
+ *   allowAnonymous (default false) lets people join without an invite or authenticated identity
+ * - allowlist (optional): { userIds, emails } permitted to join
  * - metadata (optional): Custom metadata for integrations
  * - integrations (optional): { calendarEventId, externalId, source }
+ * - recurrence (optional, requires scheduledAt and app credentials): creates a recurring series instead
+ *   { rrule } (e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10") or
+ *   { frequency: "daily"|"weekly"|"monthly", interval, count | until, byWeekday: ["MO", "1FR"] },
+ *   plus timezone (IANA, default "UTC") and meetingIdMode ("per_occurrence" default, or "shared")
+ *   Returns the series with its occurrences
  */
-router.post("/", optionalAuth, async (req, res, next) => {
+async function createMeetingHandler(req, res, next) {
   try {
     const appId = req.appContext?.appId || "public";
     const createdBy = req.body.createdBy || req.token?.sub || "anonymous";
-    
-    const meeting = await meetingService.createMeeting({
+    const params = {
       appId,
       createdBy,
       title: req.body.title,
       scheduledAt: req.body.scheduledAt,
       durationMinutes: req.body.durationMinutes,
       settings: req.body.settings,
+      allowlist: req.body.allowlist,
       metadata: req.body.metadata,
       integrations: req.body.integrations
-    });
+    };
+
+    if (req.body.recurrence) {
+      const series = await seriesService.createSeries(params, req.body.recurrence);
+      return res.status(201).json(series);
+    }
+    
+    const meeting = await meetingService.createMeeting(params);
 
     res.status(201).json(meeting);
     
@@ -52,7 +104,13 @@ router.post("/", optionalAuth, async (req, res, next) => {
     logger.error("POST /api/meetings error:", error.message);
     next(error);
   }
-});
+}
+
+// A series creates up to RECURRENCE_MAX_OCCURRENCES meetings in one request,
+// so it needs app credentials and has its own, smaller limit
+router.post("/", (req, res, next) => next(req.body?.recurrence ? undefined : "route"),
+  requireAppAuth, rateLimitFor("createSeries"), createMeetingHandler);
+router.post("/", optionalAuth, rateLimitFor("createMeeting"), createMeetingHandler);
 
 /**
  * GET /api/meetings
@@ -84,6 +142,255 @@ router.get("/", requireAppAuth, async (req, res, next) => {
   }
 });
 
+/**
+ * GET /api/meetings/analytics
+ * Usage report for the authenticated app
+ * 
+ * Query params:
+ * - from (optional): ISO date, start of the range (default: 30 days before `to`)
+ * - to (optional): ISO date, end of the range, exclusive (default: now)
+ * - groupBy (optional): "day" (default), "week" (starting Monday) or "month"
+ * - timezone (optional): IANA timezone for period boundaries (default: "UTC")
+ * 
+ * Returns totals and per-period counts of meetings created/completed/expired,
+ * participant minutes, peak concurrent meetings and TURN relay share
+ */
+router.get("/analytics", requireAppAuth, async (req, res, next) => {
+  try {
+    const { appId } = req.appContext;
+    const { from, to, groupBy, timezone } = req.query;
+
+    const report = await analyticsService.getUsageReport(appId, { from, to, groupBy, timezone });
+    res.json(report);
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/analytics error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/series
+ * List recurring series of the authenticated app
+ * 
+ * Query params:
+ * - status (optional): "active" or "cancelled"
+ * - limit (optional): Max results (default: 50)
+ * - skip (optional): Skip results for pagination
+ */
+router.get("/series", requireAppAuth, async (req, res, next) => {
+  try {
+    const { appId } = req.appContext;
+    const { status, limit = 50, skip = 0 } = req.query;
+
+    const series = await seriesService.listSeries(appId, {
+      status,
+      limit: parseInt(limit, 10),
+      skip: parseInt(skip, 10)
+    });
+
+    res.json({ series, count: series.length });
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/series error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/series/:seriesId
+ * Get a series with its occurrences and the status of their meetings
+ */
+router.get("/series/:seriesId", requireAppAuth, async (req, res, next) => {
+  try {
+    const { seriesId } = req.params;
+
+    if (!seriesService.isValidSeriesId(seriesId)) {
+      return next(createError(400, "Invalid series ID format"));
+    }
+
+    const series = await seriesService.getSeries(req.appContext.appId, seriesId);
+    res.json(series);
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/series/:seriesId error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/meetings/series/:seriesId
+ * Edit the whole series (occurrences that have not started)
+ * 
+ * Body (all optional):
+ * - title
+ * - durationMinutes
+ * - settings (merged per field; `passcode: null` removes the passcode)
+ * - metadata
+ */
+router.put("/series/:seriesId", requireAppAuth, async (req, res, next) => {
+  try {
+    const { seriesId } = req.params;
+
+    if (!seriesService.isValidSeriesId(seriesId)) {
+      return next(createError(400, "Invalid series ID format"));
+    }
+
+    const series = await seriesService.updateSeries(req.appContext.appId, seriesId, req.body);
+    res.json(series);
+    
+  } catch (error) {
+    logger.error("PUT /api/meetings/series/:seriesId error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/meetings/series/:seriesId/cancel
+ * Cancel the whole series (occurrences that have not started)
+ */
+router.post("/series/:seriesId/cancel", requireAppAuth, async (req, res, next) => {
+  try {
+    const { seriesId } = req.params;
+    const cancelledBy = req.body.cancelledBy || req.token?.sub || "api";
+
+    if (!seriesService.isValidSeriesId(seriesId)) {
+      return next(createError(400, "Invalid series ID format"));
+    }
+
+    const series = await seriesService.cancelSeries(req.appContext.appId, seriesId, cancelledBy);
+    res.json(series);
+    
+  } catch (error) {
+    logger.error("POST /api/meetings/series/:seriesId/cancel error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/meetings/series/:seriesId/occurrences/:occurrenceId
+ * Edit one occurrence; it keeps its occurrenceId
+ * 
+ * Body (all optional):
+ * - startAt: ISO date
+ * - durationMinutes
+ * - title (null restores the series title)
+ */
+router.put("/series/:seriesId/occurrences/:occurrenceId", requireAppAuth, async (req, res, next) => {
+  try {
+    const { seriesId, occurrenceId } = req.params;
+
+    if (!seriesService.isValidSeriesId(seriesId) || !seriesService.isValidOccurrenceId(occurrenceId)) {
+      return next(createError(400, "Invalid series or occurrence ID format"));
+    }
+
+    const series = await seriesService.updateOccurrence(req.appContext.appId, seriesId, occurrenceId, req.body);
+    res.json(series);
+    
+  } catch (error) {
+    logger.error("PUT /api/meetings/series/:seriesId/occurrences/:occurrenceId error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/meetings/series/:seriesId/occurrences/:occurrenceId/cancel
+ * Cancel one occurrence
+ */
+router.post("/series/:seriesId/occurrences/:occurrenceId/cancel", requireAppAuth, async (req, res, next) => {
+  try {
+    const { seriesId, occurrenceId } = req.params;
+    const cancelledBy = req.body.cancelledBy || req.token?.sub || "api";
+
+    if (!seriesService.isValidSeriesId(seriesId) || !seriesService.isValidOccurrenceId(occurrenceId)) {
+      return next(createError(400, "Invalid series or occurrence ID format"));
+    }
+
+    const series = await seriesService.cancelOccurrence(req.appContext.appId, seriesId, occurrenceId, cancelledBy);
+    res.json(series);
+    
+  } catch (error) {
+    logger.error("POST /api/meetings/series/:seriesId/occurrences/:occurrenceId/cancel error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/meetings/calendar/feeds
+ * Issue a calendar subscription URL for the authenticated app
+ * 
+ * Body:
+ * - userId (optional): Only meetings this user created or is allowlisted for
+ * 
+ * Returns { url, token, userId, expiresAt }
+ */
+router.post("/calendar/feeds", requireAppAuth, async (req, res, next) => {
+  try {
+    const { appId } = req.appContext;
+    const feed = calendarService.createFeedToken(appId, { userId: req.body.userId });
+    const url = `${req.protocol}://${req.get("host")}${req.baseUrl}/calendar/feed.ics?token=${encodeURIComponent(feed.token)}`;
+
+    res.status(201).json({ url, ...feed });
+    
+  } catch (error) {
+    logger.error("POST /api/meetings/calendar/feeds error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/calendar/feed.ics
+ * iCalendar feed of scheduled meetings (for calendar subscriptions)
+ * 
+ * Query:
+ * - token: Feed token from POST /api/meetings/calendar/feeds
+ */
+router.get("/calendar/feed.ics", async (req, res, next) => {
+  try {
+    if (!req.query.token) {
+      return next(createError(401, "Calendar feed token required"));
+    }
+
+    const calendar = await calendarService.getFeed(String(req.query.token));
+
+    res.type("text/calendar; charset=utf-8");
+    res.set("Cache-Control", "private, max-age=300");
+    res.send(calendar);
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/calendar/feed.ics error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId.ics
+ * Download the meeting as an iCalendar event
+ */
+router.get("/:meetingId.ics", optionalAuth, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const calendar = await calendarService.getMeetingCalendar(meetingId, { appId: req.appContext?.app ? req.appContext.appId : req.token?.appId });
+    
+    if (!calendar) {
+      return next(createError(404, "Meeting not found"));
+    }
+
+    res.type("text/calendar; charset=utf-8");
+    res.attachment(`${meetingId}.ics`);
+    res.send(calendar);
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId.ics error:", error.message);
+    next(error);
+  }
+});
+
 /**
  * GET /api/meetings/:meetingId
  * Get meeting details
@@ -141,36 +448,98 @@ router.get("/:meetingId/status", optionalAuth, async (req, res, next) => {
  * Join a meeting
  * 
  * Body:
- * - userId: Unique identifier for the participant
+ * - userId: Unique identifier for the participant (optional with an invite or user JWT)
  * - name (optional): Display name
- * - role (optional): "host", "participant", or "observer"
+ * - email (optional): Matched against the allowlist (app-authenticated callers only)
+ * - role (optional): "host", "participant", or "observer"; only honored for
+ *   app-authenticated callers (app credentials or an app-level JWT, not user JWTs;
+ *   the meeting creator joins as host when the app vouches for the userId)
+ * - invite (optional): Invite token; name, role and userId come from the invite
+ *   (userId is the invite's fixed one or generated; the response's `rejoinKey`, sent back
+ *   as `rejoinKey` with the same invite, rejoins as that user without using up the invite)
+ * 
+ * Identity: invite, app JWT (Bearer) or app credentials. Anonymous joins are
+ * only allowed when settings.allowAnonymous is true.
+ * - passcode (optional): Required when the meeting has a passcode (not with an invite)
  * 
  * Returns connection info (signaling URL, ICE servers, etc.)
  */
-router.post("/:meetingId/join", async (req, res, next) => {
+router.post("/:meetingId/join", optionalAuth, rateLimitFor("join"), async (req, res, next) => {
   try {
     const { meetingId } = req.params;
-    const { userId, name, role } = req.body;
+    const { invite } = req.body;
     
     if (!meetingService.isValidMeetingId(meetingId)) {
       return next(createError(400, "Invalid meeting ID format"));
     }
 
-    if (!userId) {
-      return next(createError(400, "userId is required"));
+    let participant;
+    let identity;
+    let redemption = null;
+    if (invite) {
+      // Invitees join with the identity the invite assigns; body userId is ignored
+      redemption = await inviteService.redeemInvite(meetingId, invite, { rejoinKey: req.body.rejoinKey });
+      const { userId, name, role, email } = redemption;
+      participant = { userId, name, role };
+      identity = { via: "invite", email };
+    } else {
+      const { name, role } = req.body;
+
+      // User JWTs carry the identity; app-level tokens (sub = appId) and app keys act on behalf of body.userId
+      const tokenUserId = req.token && req.token.sub !== req.token.appId ? req.token.sub : null;
+      const userId = tokenUserId || req.body.userId;
+
+      if (!userId) {
+        return next(createError(400, "userId is required"));
+      }
+
+      if (tokenUserId) {
+        identity = { via: "jwt", email: req.token.email };
+      } else if (req.token || req.appContext?.app) {
+        identity = { via: "app", email: req.body.email };
+      } else {
+        identity = { via: "anonymous" };
+      }
+
+      participant = {
+        userId,
+        name: name || req.token?.name || "Guest",
+        // Users (even with a JWT) can't promote themselves; only the app picks roles
+        role: identity.via === "app" && role ? role : "participant"
+      };
     }
 
-    const result = await meetingService.joinMeeting(meetingId, {
-      userId,
-      name: name || "Guest",
-      role: role || "participant"
-    });
+    // A join that doesn't happen doesn't use up the invite
+    const releaseInvite = async () => {
+      if (redemption?.newRedemption) {
+        await inviteService.releaseRedemption(redemption.inviteId, redemption.rejoinKey);
+      }
+    };
+
+    let result;
+    try {
+      result = await meetingService.joinMeeting(meetingId, participant, {
+        passcode: req.body.passcode,
+        clientIp: req.ip,
+        passcodeVerified: !!invite,
+        identity
+      });
+    } catch (error) {
+      await releaseInvite();
+      throw error;
+    }
 
     if (!result.success) {
-      return next(createError(403, result.reason));
+      await releaseInvite();
+      if (result.code === "passcode_throttled") {
+        res.set("Retry-After", String(result.retryAfter));
+        return next(createError(429, result.reason, { code: result.code }));
+      }
+      const status = result.code?.startsWith("passcode_") ? 401 : 403;
+      return next(createError(status, result.reason, { code: result.code }));
     }
 
-    res.json(result);
+    res.json(redemption ? { ...result, rejoinKey: redemption.rejoinKey } : result);
     
   } catch (error) {
     logger.error("POST /api/meetings/:meetingId/join error:", error.message);
@@ -213,20 +582,22 @@ router.post("/:meetingId/leave", meetingAccess, async (req, res, next) => {
  * 
  * Body (all optional):
  * - title
- * - scheduledAt
- * - durationMinutes
- * - settings
+ * - scheduledAt (only before the meeting starts; expiresAt follows)
+ * - durationMinutes (only before the meeting starts; expiresAt follows)
+ * - settings (merged per field; `passcode: null` removes the passcode)
  * - metadata
+ * - updatedBy: User making the change (recorded when the meeting becomes scheduled)
  */
-router.put("/:meetingId", requireAppAuth, async (req, res, next) => {
+router.put("/:meetingId", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
   try {
     const { meetingId } = req.params;
+    const updatedBy = req.body.updatedBy || req.token?.sub || "api";
     
     if (!meetingService.isValidMeetingId(meetingId)) {
       return next(createError(400, "Invalid meeting ID format"));
     }
 
-    const meeting = await meetingService.updateMeeting(meetingId, req.body);
+    const meeting = await meetingService.updateMeeting(meetingId, req.body, updatedBy);
     
     if (!meeting) {
       return next(createError(404, "Meeting not found"));
@@ -242,12 +613,13 @@ router.put("/:meetingId", requireAppAuth, async (req, res, next) => {
 
 /**
  * POST /api/meetings/:meetingId/end
- * End a meeting (mark as completed)
+ * End an active meeting (mark as completed); 409 for meetings in any other status
  * 
  * Body:
  * - endedBy (optional): User who ended the meeting
+ * - reason (optional): Recorded in the meeting's history
  */
-router.post("/:meetingId/end", requireAppAuth, async (req, res, next) => {
+router.post("/:meetingId/end", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
   try {
     const { meetingId } = req.params;
     const endedBy = req.body.endedBy || req.token?.sub || "api";
@@ -256,7 +628,7 @@ router.post("/:meetingId/end", requireAppAuth, async (req, res, next) => {
       return next(createError(400, "Invalid meeting ID format"));
     }
 
-    const result = await meetingService.endMeeting(meetingId, endedBy);
+    const result = await meetingService.endMeeting(meetingId, endedBy, { reason: req.body.reason });
     res.json(result);
     
   } catch (error) {
@@ -267,9 +639,13 @@ router.post("/:meetingId/end", requireAppAuth, async (req, res, next) => {
 
 /**
  * POST /api/meetings/:meetingId/cancel
- * Cancel a scheduled meeting
+ * Cancel a meeting that has not ended (created, scheduled or active); 409 otherwise
+ * 
+ * Body:
+ * - cancelledBy (optional): User who cancelled the meeting
+ * - reason (optional): Recorded in the meeting's history
  */
-router.post("/:meetingId/cancel", requireAppAuth, async (req, res, next) => {
+router.post("/:meetingId/cancel", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
   try {
     const { meetingId } = req.params;
     const cancelledBy = req.body.cancelledBy || req.token?.sub || "api";
@@ -278,7 +654,7 @@ router.post("/:meetingId/cancel", requireAppAuth, async (req, res, next) => {
       return next(createError(400, "Invalid meeting ID format"));
     }
 
-    const result = await meetingService.cancelMeeting(meetingId, cancelledBy);
+    const result = await meetingService.cancelMeeting(meetingId, cancelledBy, { reason: req.body.reason });
     res.json(result);
     
   } catch (error) {
@@ -288,33 +664,114 @@ router.post("/:meetingId/cancel", requireAppAuth, async (req, res, next) => {
 });
 
 /**
- * GET /api/meetings/:meetingId/validate
- * Check if a meeting is valid and joinable (no auth required)
- * Useful for pre-flight checks before showing join screen
+ * GET /api/meetings/:meetingId/history
+ * Lifecycle history: every status change with actor, timestamp and reason, oldest first
  */
-router.get("/:meetingId/validate", async (req, res, next) => {
+router.get("/:meetingId/history", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
   try {
     const { meetingId } = req.params;
     
     if (!meetingService.isValidMeetingId(meetingId)) {
-      return res.json({ valid: false, reason: "Invalid meeting ID format" });
+      return next(createError(400, "Invalid meeting ID format"));
     }
 
-    const result = await meetingService.canJoinMeeting(meetingId);
-    res.json({ valid: result.allowed, ...result });
+    const history = await meetingService.getMeetingHistory(meetingId);
+    
+    if (!history) {
+      return next(createError(404, "Meeting not found"));
+    }
+
+    res.json(history);
     
   } catch (error) {
-    logger.error("GET /api/meetings/:meetingId/validate error:", error.message);
+    logger.error("GET /api/meetings/:meetingId/history error:", error.message);
     next(error);
   }
 });
 
 /**
- * POST /api/meetings/:meetingId/cleanup
- * Clean up stale participants (mark all as left)
- * Useful for resetting a meeting's participant state
+ * POST /api/meetings/:meetingId/invites
+ * Create a signed invite link
+ * 
+ * Body:
+ * - name: Display name the invitee joins with
+ * - role (optional): "host", "participant" (default) or "observer"
+ * - userId (optional): Fixed identity for the invitee
+ * - maxUses (optional): Distinct users who may redeem it (default 1, null = unlimited)
+ * - expiresAt (optional): ISO date (default INVITE_DEFAULT_TTL_HOURS from now)
+ * 
+ * Returns the invite with its `url`
+ */
+router.post("/:meetingId/invites", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    const createdBy = req.body.createdBy || req.token?.sub || req.appContext.appId;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const invite = await inviteService.createInvite(meetingId, req.body, createdBy);
+    res.status(201).json(invite);
+    
+  } catch (error) {
+    logger.error("POST /api/meetings/:meetingId/invites error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/invites
+ * List a meeting's invites with their state and usage
+ */
+router.get("/:meetingId/invites", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const invites = await inviteService.listInvites(meetingId);
+    res.json({ invites });
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId/invites error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/meetings/:meetingId/invites/:inviteId
+ * Revoke an invite (already-joined participants are not affected)
+ */
+router.delete("/:meetingId/invites/:inviteId", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId, inviteId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const invite = await inviteService.revokeInvite(meetingId, inviteId);
+    
+    if (!invite) {
+      return next(createError(404, "Invite not found or already revoked"));
+    }
+
+    res.json(invite);
+    
+  } catch (error) {
+    logger.error("DELETE /api/meetings/:meetingId/invites/:inviteId error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/allowlist
+ * Get the meeting's participant allowlist
  */
-router.post("/:meetingId/cleanup", async (req, res, next) => {
+router.get("/:meetingId/allowlist", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
   try {
     const { meetingId } = req.params;
     
@@ -322,11 +779,435 @@ router.post("/:meetingId/cleanup", async (req, res, next) => {
       return next(createError(400, "Invalid meeting ID format"));
     }
 
-    // Import participant repository for cleanup
-    const { participantRepository } = await import("../repositories/index.js");
-    const count = await participantRepository.markAllLeft(meetingId);
+    const allowlist = await meetingService.getAllowlist(meetingId);
+    
+    if (!allowlist) {
+      return next(createError(404, "Meeting not found"));
+    }
+
+    res.json(allowlist);
     
-    logger.info(`Cleaned up ${count} stale participants in meeting ${meetingId}`);
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId/allowlist error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/meetings/:meetingId/allowlist
+ * Replace the allowlist
+ * 
+ * Body:
+ * - userIds (optional): Permitted user IDs
+ * - emails (optional): Permitted emails
+ * 
+ * Empty lists remove the restriction
+ */
+router.put("/:meetingId/allowlist", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const allowlist = await meetingService.setAllowlist(meetingId, req.body);
+    
+    if (!allowlist) {
+      return next(createError(404, "Meeting not found"));
+    }
+
+    res.json(allowlist);
+    
+  } catch (error) {
+    logger.error("PUT /api/meetings/:meetingId/allowlist error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/meetings/:meetingId/allowlist
+ * Add entries to the allowlist
+ * 
+ * Body: { userIds?, emails? }
+ */
+router.post("/:meetingId/allowlist", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const allowlist = await meetingService.addToAllowlist(meetingId, req.body);
+    
+    if (!allowlist) {
+      return next(createError(404, "Meeting not found"));
+    }
+
+    res.json(allowlist);
+    
+  } catch (error) {
+    logger.error("POST /api/meetings/:meetingId/allowlist error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * DELETE /api/meetings/:meetingId/allowlist/:entry
+ * Remove a userId or email from the allowlist
+ */
+router.delete("/:meetingId/allowlist/:entry", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId, entry } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const allowlist = await meetingService.removeFromAllowlist(meetingId, entry);
+    
+    if (!allowlist) {
+      return next(createError(404, "Meeting not found"));
+    }
+
+    res.json(allowlist);
+    
+  } catch (error) {
+    logger.error("DELETE /api/meetings/:meetingId/allowlist/:entry error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/chat
+ * Export the meeting's chat
+ * 
+ * Query:
+ * - format (optional): "json" (default) or "text" (plain-text transcript download)
+ */
+router.get("/:meetingId/chat", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    const { meeting } = req;
+    const format = req.query.format || "json";
+    
+    if (!["json", "text"].includes(format)) {
+      return next(createError(400, "format must be json or text"));
+    }
+
+    const messages = await chatService.getHistory(meetingId, config.chat.exportLimit);
+
+    if (format === "text") {
+      res.type("text/plain");
+      res.attachment(`chat-${meetingId}.txt`);
+      return res.send(chatService.formatTranscript(meeting, messages));
+    }
+
+    res.json({ meetingId, count: messages.length, messages });
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId/chat error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/meetings/:meetingId/record/start
+ * Start a recording (participant token; hosts and participants only)
+ * Requires settings.recordingEnabled (403, code "recording_disabled")
+ * 
+ * Body:
+ * - mimeType (optional): MediaRecorder container type (default "video/webm")
+ * 
+ * Returns the recording; upload its chunks to PUT .../record/:recordingId/chunks/:index.
+ * With settings.recordingConsentRequired the status is "awaiting_consent" until
+ * everyone else in the call agrees (socket `recording-started`) or someone declines.
+ */
+router.post("/:meetingId/record/start", requireParticipant, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const recording = await recordingService.startRecording(meetingId, req.participant, req.body);
+    res.status(201).json(recording);
+    
+  } catch (error) {
+    logger.error("POST /api/meetings/:meetingId/record/start error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * PUT /api/meetings/:meetingId/record/:recordingId/chunks/:index
+ * Upload one MediaRecorder chunk (raw body, indexes start at 0)
+ * Re-sending an index replaces it, so failed uploads can simply be retried
+ */
+router.put(
+  "/:meetingId/record/:recordingId/chunks/:index",
+  requireParticipant,
+  raw({ type: () => true, limit: config.recording.maxChunkBytes }),
+  async (req, res, next) => {
+    try {
+      const { meetingId, recordingId } = req.params;
+      const index = Number(req.params.index);
+      
+      if (!meetingService.isValidMeetingId(meetingId)) {
+        return next(createError(400, "Invalid meeting ID format"));
+      }
+
+      const recording = await recordingService.uploadChunk(meetingId, recordingId, req.participant.userId, index, req.body);
+      res.json(recording);
+      
+    } catch (error) {
+      logger.error("PUT /api/meetings/:meetingId/record/:recordingId/chunks/:index error:", error.message);
+      next(error);
+    }
+  }
+);
+
+/**
+ * GET /api/meetings/:meetingId/record/:recordingId
+ * Upload state of the caller's recording; `upload.nextChunk` is where to resume
+ */
+router.get("/:meetingId/record/:recordingId", requireParticipant, async (req, res, next) => {
+  try {
+    const { meetingId, recordingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const recording = await recordingService.getUploadStatus(meetingId, recordingId, req.participant.userId);
+    res.json(recording);
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId/record/:recordingId error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/meetings/:meetingId/record/stop
+ * Stop a recording (or cancel its consent request); the chunks are assembled in the background and
+ * the app receives a `recording.ready` webhook once the file is available
+ * 
+ * Body:
+ * - recordingId: Recording to stop
+ * - totalChunks (optional): Number of chunks produced (default: chunks received)
+ * 
+ * Responds 409 (code "chunks_missing") until every chunk below totalChunks is uploaded
+ */
+router.post("/:meetingId/record/stop", requireParticipant, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    const { recordingId, totalChunks } = req.body;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+    if (!recordingId || typeof recordingId !== "string") {
+      return next(createError(400, "recordingId is required"));
+    }
+
+    const recording = await recordingService.stopRecording(meetingId, recordingId, req.participant, { totalChunks });
+    res.status(recording.status === "ready" ? 200 : 202).json(recording);
+    
+  } catch (error) {
+    logger.error("POST /api/meetings/:meetingId/record/stop error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/recordings
+ * List a meeting's recordings
+ */
+router.get("/:meetingId/recordings", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const recordings = await recordingService.listRecordings(meetingId);
+    res.json({ recordings });
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId/recordings error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/recordings/audit
+ * Who requested, consented to, started and stopped recordings, oldest first
+ */
+router.get("/:meetingId/recordings/audit", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const entries = await recordingService.getAuditLog(meetingId);
+    res.json({ meetingId, entries });
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId/recordings/audit error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/recordings/:recordingId
+ * A recording's details
+ */
+router.get("/:meetingId/recordings/:recordingId", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId, recordingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const recording = await recordingService.getRecording(meetingId, recordingId);
+    
+    if (!recording) {
+      return next(createError(404, "Recording not found"));
+    }
+
+    res.json(recording);
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId/recordings/:recordingId error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/recordings/:recordingId/file
+ * Download a ready recording
+ */
+router.get("/:meetingId/recordings/:recordingId/file", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId, recordingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const file = await recordingService.openRecordingFile(meetingId, recordingId);
+
+    res.type(file.mimeType);
+    res.set("Content-Length", String(file.size));
+    res.attachment(file.filename);
+    file.stream.on("error", (err) => {
+      logger.error(`Recording ${recordingId} stream error:`, err.message);
+      res.destroy(err);
+    });
+    file.stream.pipe(res);
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId/recordings/:recordingId/file error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/quality
+ * Connection quality per participant (RTT, jitter, packet loss, bitrate,
+ * relay share) rolled up from the clients' getStats() samples
+ */
+router.get("/:meetingId/quality", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+
+    const quality = await qualityService.getMeetingQuality(meetingId);
+    res.json(quality);
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId/quality error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/participants
+ * Attendance report: participants with their total time, and every session
+ * (each rejoin or reconnect is its own session) with duration, role and media state changes
+ * 
+ * Query:
+ * - format (optional): "json" (default) or "csv" (one row per session, download)
+ */
+router.get("/:meetingId/participants", requireAppAuth, requireMeetingOwner, async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    const format = req.query.format || "json";
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return next(createError(400, "Invalid meeting ID format"));
+    }
+    if (!["json", "csv"].includes(format)) {
+      return next(createError(400, "format must be json or csv"));
+    }
+
+    const report = await attendanceService.getAttendanceReport(meetingId);
+
+    if (format === "csv") {
+      res.type("text/csv");
+      res.attachment(`attendance-${meetingId}.csv`);
+      return res.send(attendanceService.formatCsv(report));
+    }
+
+    res.json(report);
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId/participants error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * GET /api/meetings/:meetingId/validate
+ * Check if a meeting is valid and joinable (no auth required)
+ * Useful for pre-flight checks before showing join screen
+ */
+router.get("/:meetingId/validate", rateLimitFor("validate"), async (req, res, next) => {
+  try {
+    const { meetingId } = req.params;
+    
+    if (!meetingService.isValidMeetingId(meetingId)) {
+      return res.json({ valid: false, reason: "Invalid meeting ID format" });
+    }
+
+    // Pre-flight only: reports settings.passcodeRequired instead of checking a passcode
+    const result = await meetingService.canJoinMeeting(meetingId, null, { preflight: true });
+    res.json({ valid: result.allowed, ...result });
+    
+  } catch (error) {
+    logger.error("GET /api/meetings/:meetingId/validate error:", error.message);
+    next(error);
+  }
+});
+
+/**
+ * POST /api/meetings/:meetingId/cleanup
+ * Clean up stale participants (mark all as left and close their attendance sessions)
+ * Useful for resetting a meeting's participant state; 409 while anyone is still connected
+ */
+router.post("/:meetingId/cleanup", requireAppAuth, requireMeetingOwner, rateLimitFor("cleanup"), async (req, res, next) => {
+  try {
+    const count = await meetingService.cleanupParticipants(req.params.meetingId);
     res.json({ success: true, cleanedUp: count });
     
   } catch (error) {
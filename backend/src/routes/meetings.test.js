@@ -0,0 +1,218 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { Readable } from "node:stream";
+import jwt from "jsonwebtoken";
+import app from "../app.js";
+import appService from "../services/appService.js";
+import meetingService from "../services/meetingService.js";
+import inviteService from "../services/inviteService.js";
+import chatService from "../services/chatService.js";
+import recordingService from "../services/recordingService.js";
+import qualityService from "../services/qualityService.js";
+import attendanceService from "../services/attendanceService.js";
+import seriesService from "../services/seriesService.js";
+import { config } from "../config.js";
+
+const MEETING_ID = "abc-1234-xyz";
+let server;
+let baseUrl;
+let meetings;
+
+// Two tenants; app credentials are "<appId>" / "key"
+appService.authenticate = async (appId, appKey) => (appKey === "key" ? { appId, status: "active" } : null);
+appService.getActiveApp = async () => null;
+appService.getRateLimitOverrides = async () => ({});
+meetingService.getMeeting = async (meetingId) => structuredClone(meetings.get(meetingId) || null);
+
+function request(method, path, { appId, body } = {}) {
+  const headers = { "content-type": "application/json" };
+  if (appId) Object.assign(headers, { "x-app-id": appId, "x-app-key": "key" });
+  const payload = body && !["GET", "HEAD"].includes(method) ? JSON.stringify(body) : undefined;
+  return fetch(`${baseUrl}/api/meetings${path}`, { method, headers, body: payload });
+}
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once("listening", resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  meetings = new Map([[MEETING_ID, { meetingId: MEETING_ID, appId: "app-1", status: "scheduled" }]]);
+});
+
+test("invite routes answer 404 to other apps", async () => {
+  inviteService.createInvite = async (meetingId, params) => ({ meetingId, ...params });
+  inviteService.listInvites = async () => [];
+  inviteService.revokeInvite = async (meetingId, inviteId) => ({ inviteId });
+
+  const create = await request("POST", `/${MEETING_ID}/invites`, { appId: "app-2", body: { name: "Eve", role: "host" } });
+  assert.equal(create.status, 404);
+  assert.equal((await request("GET", `/${MEETING_ID}/invites`, { appId: "app-2" })).status, 404);
+  assert.equal((await request("DELETE", `/${MEETING_ID}/invites/inv_1`, { appId: "app-2" })).status, 404);
+
+  const own = await request("POST", `/${MEETING_ID}/invites`, { appId: "app-1", body: { name: "Dana" } });
+  assert.equal(own.status, 201);
+});
+
+test("allowlist routes answer 404 to other apps", async () => {
+  const allowlist = { userIds: ["u1"], emails: [] };
+  meetingService.getAllowlist = async () => allowlist;
+  meetingService.setAllowlist = async () => allowlist;
+  meetingService.addToAllowlist = async () => allowlist;
+  meetingService.removeFromAllowlist = async () => allowlist;
+
+  for (const [method, path] of [["GET", "/allowlist"], ["PUT", "/allowlist"], ["POST", "/allowlist"], ["DELETE", "/allowlist/u1"]]) {
+    const other = await request(method, `/${MEETING_ID}${path}`, { appId: "app-2", body: { userIds: ["eve"] } });
+    assert.equal(other.status, 404, `${method} ${path}`);
+    const own = await request(method, `/${MEETING_ID}${path}`, { appId: "app-1", body: { userIds: ["u1"] } });
+    assert.equal(own.status, 200, `${method} ${path}`);
+  }
+});
+
+test("chat export answers 404 to other apps", async () => {
+  chatService.getHistory = async () => [{ userId: "u1", name: "Dana", text: "hi" }];
+
+  assert.equal((await request("GET", `/${MEETING_ID}/chat`, { appId: "app-2" })).status, 404);
+  const own = await request("GET", `/${MEETING_ID}/chat`, { appId: "app-1" });
+  assert.equal(own.status, 200);
+  assert.equal((await own.json()).count, 1);
+});
+
+test("recording routes answer 404 to other apps", async () => {
+  recordingService.listRecordings = async () => [];
+  recordingService.getRecording = async (meetingId, recordingId) => ({ recordingId });
+  recordingService.openRecordingFile = async () => ({
+    mimeType: "video/webm", size: 3, filename: "rec.webm", stream: Readable.from([Buffer.from("abc")])
+  });
+
+  for (const path of ["/recordings", "/recordings/rec_1", "/recordings/rec_1/file"]) {
+    assert.equal((await request("GET", `/${MEETING_ID}${path}`, { appId: "app-2" })).status, 404, path);
+    const own = await request("GET", `/${MEETING_ID}${path}`, { appId: "app-1" });
+    assert.equal(own.status, 200, path);
+    await own.arrayBuffer();
+  }
+});
+
+test("recording audit answers 404 to other apps", async () => {
+  recordingService.getAuditLog = async () => [];
+
+  assert.equal((await request("GET", `/${MEETING_ID}/recordings/audit`, { appId: "app-2" })).status, 404);
+  assert.equal((await request("GET", `/${MEETING_ID}/recordings/audit`, { appId: "app-1" })).status, 200);
+});
+
+test("quality report answers 404 to other apps", async () => {
+  qualityService.getMeetingQuality = async (meetingId) => ({ meetingId, participants: [] });
+
+  assert.equal((await request("GET", `/${MEETING_ID}/quality`, { appId: "app-2" })).status, 404);
+  assert.equal((await request("GET", `/${MEETING_ID}/quality`, { appId: "app-1" })).status, 200);
+});
+
+test("participants report answers 404 to other apps", async () => {
+  attendanceService.getAttendanceReport = async (meetingId) => ({ meetingId, participants: [] });
+
+  assert.equal((await request("GET", `/${MEETING_ID}/participants`, { appId: "app-2" })).status, 404);
+  assert.equal((await request("GET", `/${MEETING_ID}/participants?format=csv`, { appId: "app-2" })).status, 404);
+  assert.equal((await request("GET", `/${MEETING_ID}/participants`, { appId: "app-1" })).status, 200);
+});
+
+test("meeting history answers 404 to other apps", async () => {
+  meetingService.getMeetingHistory = async (meetingId) => ({ meetingId, status: "scheduled", history: [] });
+
+  assert.equal((await request("GET", `/${MEETING_ID}/history`, { appId: "app-2" })).status, 404);
+  assert.equal((await request("GET", `/${MEETING_ID}/history`, { appId: "app-1" })).status, 200);
+});
+
+test("join honors the body role only for app-authenticated callers", async () => {
+  const joins = [];
+  meetingService.joinMeeting = async (meetingId, participant, options) => {
+    joins.push({ participant, via: options.identity.via });
+    return { success: true, participant };
+  };
+  const token = (sub) => jwt.sign({ sub, appId: "app-1", aud: config.appJwtAudience }, config.jwtSecret);
+  const join = (headers) => fetch(`${baseUrl}/api/meetings/${MEETING_ID}/join`, {
+    method: "POST",
+    headers: { "content-type": "application/json", ...headers },
+    body: JSON.stringify({ userId: "u1", role: "host" })
+  });
+
+  await join({ authorization: `Bearer ${token("user-7")}` });
+  await join({ authorization: `Bearer ${token("app-1")}` });
+  await join({ "x-app-id": "app-1", "x-app-key": "key" });
+  await join({});
+
+  assert.deepEqual(joins.map(j => [j.via, j.participant.userId, j.participant.role]), [
+    ["jwt", "user-7", "participant"],
+    ["app", "u1", "host"],
+    ["app", "u1", "host"],
+    ["anonymous", "u1", "participant"]
+  ]);
+});
+
+test("end and cancel answer 404 to other apps", async () => {
+  const calls = [];
+  meetingService.endMeeting = async (meetingId) => { calls.push(["end", meetingId]); return { success: true }; };
+  meetingService.cancelMeeting = async (meetingId) => { calls.push(["cancel", meetingId]); return { success: true }; };
+
+  for (const action of ["end", "cancel"]) {
+    assert.equal((await request("POST", `/${MEETING_ID}/${action}`, { appId: "app-2", body: {} })).status, 404, action);
+    assert.equal((await request("POST", `/${MEETING_ID}/${action}`, { appId: "app-1", body: {} })).status, 200, action);
+  }
+  assert.deepEqual(calls, [["end", MEETING_ID], ["cancel", MEETING_ID]]);
+});
+
+test("updates answer 404 to other apps", async () => {
+  const updates = [];
+  meetingService.updateMeeting = async (meetingId, body) => { updates.push(body); return { meetingId }; };
+
+  const clearPasscode = { settings: { passcode: null } };
+  assert.equal((await request("PUT", `/${MEETING_ID}`, { appId: "app-2", body: clearPasscode })).status, 404);
+  assert.equal(updates.length, 0);
+  assert.equal((await request("PUT", `/${MEETING_ID}`, { appId: "app-1", body: clearPasscode })).status, 200);
+  assert.deepEqual(updates, [clearPasscode]);
+});
+
+test("another app cannot change who may join", async () => {
+  const updates = [];
+  meetingService.updateMeeting = async (meetingId, body) => { updates.push(body); return { meetingId }; };
+
+  for (const settings of [{ allowAnonymous: true }, { waitingRoomEnabled: false }]) {
+    assert.equal((await request("PUT", `/${MEETING_ID}`, { appId: "app-2", body: { settings } })).status, 404);
+  }
+  assert.equal(updates.length, 0);
+});
+
+test("recurring series need app credentials", async () => {
+  const createSeries = seriesService.createSeries;
+  const created = [];
+  seriesService.createSeries = async (params) => { created.push(params.appId); return { seriesId: "ser_1" }; };
+
+  const body = { scheduledAt: "2030-01-07T09:00:00Z", recurrence: { frequency: "daily", count: 366 } };
+  try {
+    assert.equal((await request("POST", "", { body })).status, 401);
+    assert.equal((await request("POST", "", { appId: "app-1", body })).status, 201);
+    assert.deepEqual(created, ["app-1"]);
+  } finally {
+    seriesService.createSeries = createSeries;
+  }
+});
+
+test("a recurrence with a non-array byWeekday is a 400", async () => {
+  const recurrence = { frequency: "weekly", count: 3, byWeekday: "MO" };
+  const res = await request("POST", "", { appId: "app-1", body: { scheduledAt: "2030-01-07T09:00:00Z", recurrence } });
+
+  assert.equal(res.status, 400);
+  assert.match((await res.json()).error, /byWeekday/);
+});
+
+test("cleanup needs the owning app", async () => {
+  const cleaned = [];
+  meetingService.cleanupParticipants = async (meetingId) => { cleaned.push(meetingId); return 0; };
+
+  assert.equal((await request("POST", `/${MEETING_ID}/cleanup`, { body: {} })).status, 401);
+  assert.equal((await request("POST", `/${MEETING_ID}/cleanup`, { appId: "app-2", body: {} })).status, 404);
+  assert.equal((await request("POST", `/${MEETING_ID}/cleanup`, { appId: "app-1", body: {} })).status, 200);
+  assert.deepEqual(cleaned, [MEETING_ID]);
+});
@@ -1,7 +1,7 @@
 import express from "express";
 import createError from "http-errors";
 import { requireAppOrJwt } from "../middleware/auth.js";
-import { apps, createRoom, getRoom, addParticipant, getParticipants } from "../data/store.js";
+import { createRoom, getRoom, addParticipant, getParticipants } from "../data/store.js";
 import { signRoomToken } from "../services/tokenService.js";
 import { generateTurnCredentials } from "../utils/crypto.js";
 
@@ -14,7 +14,7 @@ router.post("/", requireAppOrJwt, (req, res, next) => {
   res.status(201).json({ roomId: room.id, status: room.status });
 });
 
-router.post("/:roomId/join", requireAppOrJwt, (req, res, next) => {
+router.post("/:roomId/join", requireAppOrJwt, async (req, res, next) => {
   const appId = req.token?.appId || req.appContext?.app?.appId;
   const { roomId } = req.params;
   const room = getRoom(roomId);
@@ -22,7 +22,12 @@ router.post("/:roomId/join", requireAppOrJwt, (req, res, next) => {
   const user = { id: req.body.userId, name: req.body.name, role: req.body.role || "participant" };
   if (!user.id) return next(createError(400, "userId required"));
   addParticipant(roomId, { userId: user.id, name: user.name, role: user.role });
-  const token = signRoomToken({ appId, roomId, user: { id: user.id, name: user.name, role: user.role } });
+  let token;
+  try {
+    token = await signRoomToken({ appId, roomId, user: { id: user.id, name: user.name, role: user.role } });
+  } catch (err) {
+    return next(err);
+  }
   const turn = generateTurnCredentials(appId);
 
   // Socket.IO client expects HTTP/HTTPS URL (it handles ws upgrade internally)
@@ -1,28 +1,128 @@
 import express from "express";
 import createError from "http-errors";
 import { requireAppOrJwt } from "../middleware/auth.js";
-import { apps } from "../data/store.js";
+import appService from "../services/appService.js";
+import webhookService from "../services/webhookService.js";
 import { dispatchWebhook } from "../webhooks/dispatcher.js";
 
 const router = express.Router();
 
-router.post("/subscribe", requireAppOrJwt, (req, res, next) => {
-  const appId = req.token?.appId || req.appContext?.app?.appId;
-  const app = apps.get(appId);
-  if (!app) return next(createError(404, "App not found"));
-  app.webhookUrl = req.body.url;
-  app.webhookSecret = req.body.secret || app.webhookSecret;
-  apps.set(appId, app);
-  res.json({ ok: true, webhookUrl: app.webhookUrl });
+// Subscriptions: each app may register several endpoints, each with its own
+// secret and event filter (["meeting.*", "participant.joined"]; empty = all events).
+async function createSubscription(req, res, next) {
+  try {
+    const appId = req.token?.appId || req.appContext?.app?.appId;
+    const { url, secret, events, description, enabled } = req.body || {};
+    const subscription = await webhookService.createSubscription(appId, { url, secret, events, description, enabled });
+    res.status(201).json({ ok: true, ...subscription });
+  } catch (err) {
+    next(err);
+  }
+}
+
+router.post("/subscribe", requireAppOrJwt, createSubscription);
+router.post("/subscriptions", requireAppOrJwt, createSubscription);
+
+router.get("/subscriptions", requireAppOrJwt, async (req, res, next) => {
+  try {
+    const appId = req.token?.appId || req.appContext?.app?.appId;
+    const subscriptions = await webhookService.listSubscriptions(appId);
+    res.json({ subscriptions, count: subscriptions.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/subscriptions/:subscriptionId", requireAppOrJwt, async (req, res, next) => {
+  try {
+    const appId = req.token?.appId || req.appContext?.app?.appId;
+    const subscription = await webhookService.getSubscription(appId, req.params.subscriptionId);
+    if (!subscription) return next(createError(404, "Subscription not found"));
+    res.json(subscription);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.put("/subscriptions/:subscriptionId", requireAppOrJwt, async (req, res, next) => {
+  try {
+    const appId = req.token?.appId || req.appContext?.app?.appId;
+    const subscription = await webhookService.updateSubscription(appId, req.params.subscriptionId, req.body || {});
+    if (!subscription) return next(createError(404, "Subscription not found"));
+    res.json(subscription);
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.delete("/subscriptions/:subscriptionId", requireAppOrJwt, async (req, res, next) => {
+  try {
+    const appId = req.token?.appId || req.appContext?.app?.appId;
+    const deleted = await webhookService.deleteSubscription(appId, req.params.subscriptionId);
+    if (!deleted) return next(createError(404, "Subscription not found"));
+    res.json({ ok: true });
+  } catch (err) {
+    next(err);
+  }
 });
 
+// Sends test.event to every enabled endpoint (ignoring filters), or to one subscription.
 router.post("/test", requireAppOrJwt, async (req, res, next) => {
-  const appId = req.token?.appId || req.appContext?.app?.appId;
-  const app = apps.get(appId);
-  if (!app || !app.webhookUrl) return next(createError(400, "Webhook not configured"));
-  await dispatchWebhook({ app, event: "test.event", payload: { hello: "world" } });
-  res.json({ ok: true });
+  try {
+    const appId = req.token?.appId || req.appContext?.app?.appId;
+    const app = await appService.getActiveApp(appId);
+    if (!app) return next(createError(404, "App not found"));
+    const deliveries = await dispatchWebhook({
+      app,
+      event: "test.event",
+      payload: { hello: "world" },
+      subscriptionId: req.body?.subscriptionId,
+      allEndpoints: true
+    });
+    if (deliveries.length === 0) return next(createError(400, "Webhook not configured"));
+    res.json({ ok: true, deliveryIds: deliveries.map((d) => d.deliveryId) });
+  } catch (err) {
+    next(err);
+  }
 });
 
-export default router;
+// Delivery log: ?status=pending|delivering|succeeded|failed&event=&limit=&skip=
+router.get("/deliveries", requireAppOrJwt, async (req, res, next) => {
+  try {
+    const appId = req.token?.appId || req.appContext?.app?.appId;
+    const { status, event, limit = 50, skip = 0 } = req.query;
+    const deliveries = await webhookService.listDeliveries(appId, {
+      status: status ? status.split(",").map((s) => s.trim()) : null,
+      event,
+      limit: Math.min(parseInt(limit, 10) || 50, 200),
+      skip: parseInt(skip, 10) || 0
+    });
+    res.json({ deliveries, count: deliveries.length });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.get("/deliveries/:deliveryId", requireAppOrJwt, async (req, res, next) => {
+  try {
+    const appId = req.token?.appId || req.appContext?.app?.appId;
+    const delivery = await webhookService.getDelivery(appId, req.params.deliveryId);
+    if (!delivery) return next(createError(404, "Delivery not found"));
+    res.json(delivery);
+  } catch (err) {
+    next(err);
+  }
+});
 
+router.post("/deliveries/:deliveryId/redeliver", requireAppOrJwt, async (req, res, next) => {
+  try {
+    const appId = req.token?.appId || req.appContext?.app?.appId;
+    const delivery = await webhookService.redeliver(appId, req.params.deliveryId);
+    if (!delivery) return next(createError(404, "Delivery not found"));
+    res.status(202).json(delivery);
+  } catch (err) {
+    next(err);
+  }
+});
+
+export default router;
@@ -4,6 +4,9 @@ import { config } from "./config.js";
 import { createSocketServer } from "./socket/index.js";
 import { logger } from "./utils/logger.js";
 import { connectDB, disconnectDB } from "./db/connection.js";
+import appService from "./services/appService.js";
+import { startWebhookWorker, stopWebhookWorker } from "./webhooks/worker.js";
+import { startScheduler, stopScheduler } from "./jobs/scheduler.js";
 
 const server = http.createServer(app);
 
@@ -22,6 +25,15 @@ async function startServer() {
     // Connect to MongoDB
     await connectDB();
     
+    // Seed the quickstart demo app
+    await appService.ensureDemoApp();
+    
+    // Drain the persisted webhook delivery queue
+    startWebhookWorker();
+    
+    // Expire overdue meetings, send starting-soon and no-show webhooks
+    startScheduler();
+    
     // Start HTTP server
     server.listen(config.port, () => {
       logger.info(`API and signaling listening on port ${config.port}`);
@@ -39,6 +51,9 @@ async function startServer() {
 async function shutdown(signal) {
   logger.info(`Received ${signal}. Shutting down gracefully...`);
   
+  stopWebhookWorker();
+  await stopScheduler();
+  
   server.close(async () => {
     logger.info("HTTP server closed");
     await disconnectDB();
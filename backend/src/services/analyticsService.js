@@ -0,0 +1,144 @@
+/**
+ * Analytics Service
+ * Per-app usage reports aggregated in MongoDB: meeting lifecycle counts,
+ * participant minutes, peak concurrency and TURN relay share
+ */
+
+import createError from "http-errors";
+import { meetingRepository, participantRepository } from "../repositories/index.js";
+import { PERIOD_UNITS } from "../utils/periods.js";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parse an optional date query value (400 when it is not a date)
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createError(400, `${name} must be an ISO 8601 date`);
+  }
+  return date;
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const share = (part, total) => (total ? round(part / total, 3) : null);
+
+class AnalyticsService {
+  /**
+   * Validate the report query: from/to (ISO dates, `to` exclusive), groupBy, timezone
+   */
+  parseReportQuery({ from, to, groupBy = "day", timezone = "UTC" } = {}) {
+    const now = new Date();
+    const end = parseDate(to, "to") || now;
+    const start = parseDate(from, "from") || new Date(end.getTime() - config.analytics.defaultRangeDays * DAY_MS);
+
+    if (start >= end) {
+      throw createError(400, "from must be before to");
+    }
+    if (end - start > config.analytics.maxRangeDays * DAY_MS) {
+      throw createError(400, `Date range cannot exceed ${config.analytics.maxRangeDays} days`);
+    }
+    if (!PERIOD_UNITS.includes(groupBy)) {
+      throw createError(400, `groupBy must be one of: ${PERIOD_UNITS.join(", ")}`);
+    }
+    if (!isValidTimezone(timezone)) {
+      throw createError(400, "Invalid timezone");
+    }
+
+    return { from: start, to: end, unit: groupBy, timezone, now };
+  }
+
+  /**
+   * Usage report for an app, per period and in total
+   */
+  async getUsageReport(appId, query) {
+    try {
+      const range = this.parseReportQuery(query);
+
+      const [lifecycle, peaks, usage, statusCounts] = await Promise.all([
+        meetingRepository.countLifecycleByPeriod(appId, range),
+        meetingRepository.peakConcurrentByPeriod(appId, range),
+        participantRepository.usageByPeriod(appId, range),
+        meetingRepository.countByStatus(appId)
+      ]);
+
+      // periodStart (ISO) -> row; periods without any activity are omitted
+      const periods = new Map();
+      const periodFor = (periodStart) => {
+        const key = new Date(periodStart).toISOString();
+        if (!periods.has(key)) {
+          periods.set(key, {
+            periodStart: key,
+            created: 0, completed: 0, expired: 0,
+            participantSessions: 0, participantMinutes: 0, averageParticipantMinutes: null,
+            meetingsAttended: 0, peakConcurrentMeetings: 0, relayShare: null
+          });
+        }
+        return periods.get(key);
+      };
+
+      for (const { periodStart, kind, count } of lifecycle) {
+        periodFor(periodStart)[kind] = count;
+      }
+      for (const { periodStart, peak } of peaks) {
+        periodFor(periodStart).peakConcurrentMeetings = peak;
+      }
+      for (const row of usage.periods) {
+        Object.assign(periodFor(row.periodStart), {
+          participantSessions: row.sessions,
+          participantMinutes: round(row.minutes),
+          averageParticipantMinutes: row.sessions ? round(row.minutes / row.sessions) : null,
+          meetingsAttended: row.meetings,
+          relayShare: share(row.relaySamples, row.samples)
+        });
+      }
+
+      const rows = [...periods.values()].sort((a, b) => a.periodStart.localeCompare(b.periodStart));
+      const sum = (field) => rows.reduce((total, row) => total + row[field], 0);
+      const { totals } = usage;
+
+      return {
+        appId,
+        from: range.from,
+        to: range.to,
+        groupBy: range.unit,
+        timezone: range.timezone,
+        totals: {
+          created: sum("created"),
+          completed: sum("completed"),
+          expired: sum("expired"),
+          participantSessions: totals.sessions,
+          participantMinutes: round(totals.minutes),
+          averageParticipantMinutes: totals.sessions ? round(totals.minutes / totals.sessions) : null,
+          meetingsAttended: totals.meetings,
+          averageMeetingParticipantMinutes: totals.meetings ? round(totals.minutes / totals.meetings) : null,
+          peakConcurrentMeetings: rows.reduce((peak, row) => Math.max(peak, row.peakConcurrentMeetings), 0),
+          qualitySamples: totals.samples,
+          relayShare: share(totals.relaySamples, totals.samples)
+        },
+        periods: rows,
+        // Current meetings of the app by status (not limited to the range)
+        statusCounts
+      };
+
+    } catch (error) {
+      logger.error("AnalyticsService.getUsageReport error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new AnalyticsService();
@@ -0,0 +1,531 @@
+/**
+ * App Service
+ * Business logic for tenant applications (onboarding, credentials, settings)
+ */
+
+import crypto from "crypto";
+import bcrypt from "bcryptjs";
+import createError from "http-errors";
+import { nanoid } from "nanoid";
+import { config } from "../config.js";
+import { appRepository } from "../repositories/index.js";
+import { randomSecret, safeEqual } from "../utils/crypto.js";
+import { logger } from "../utils/logger.js";
+
+// Successful key verifications: sha256(appId:key) -> { keyId, expiresAt }
+const verifiedKeyCache = new Map();
+const VERIFIED_KEY_CACHE_MAX = 1000;
+
+// Avoid a database write on every authenticated request
+const KEY_USAGE_WRITE_INTERVAL_MS = 60 * 1000;
+
+// Rate limit overrides per app: appId -> { limits, expiresAt }
+const rateLimitOverrideCache = new Map();
+const RATE_LIMIT_OVERRIDE_CACHE_MAX = 1000;
+const RATE_LIMIT_FIELDS = ["perIp", "perApp", "perSocket"];
+
+/**
+ * Compute the state of an API key
+ */
+function getKeyStatus(key, now = new Date()) {
+  if (key.revokedAt) return "revoked";
+  if (key.expiresAt && now > new Date(key.expiresAt)) return "expired";
+  return "active";
+}
+
+/**
+ * Shape an API key for API responses (never exposes the hash)
+ */
+function toPublicKey(key) {
+  return {
+    keyId: key.keyId,
+    label: key.label,
+    status: getKeyStatus(key),
+    createdAt: key.createdAt,
+    lastUsedAt: key.lastUsedAt,
+    expiresAt: key.expiresAt,
+    revokedAt: key.revokedAt
+  };
+}
+
+/**
+ * Shape an app record for API responses (never exposes secrets)
+ */
+function toPublicApp(app) {
+  return {
+    appId: app.appId,
+    name: app.name,
+    status: app.status,
+    apiKeys: (app.apiKeys || []).map(toPublicKey),
+    allowedDomains: app.allowedDomains,
+    webhookUrl: app.webhookUrl,
+    hasWebhookSecret: !!app.webhookSecret,
+    rateLimits: app.rateLimits || {},
+    metadata: app.metadata,
+    disabledAt: app.disabledAt,
+    createdAt: app.createdAt,
+    updatedAt: app.updatedAt
+  };
+}
+
+/**
+ * Build a new API key record
+ * Issued secrets are prefixed with their keyId ("key_xxx.secret") so
+ * verification only needs a single bcrypt comparison; a given secret
+ * (legacy appSecret, demo key) is kept as is and marked legacy
+ */
+async function buildApiKey({ label = "default", expiresAt = null, secret = null } = {}) {
+  const keyId = `key_${nanoid(10)}`;
+  const plainSecret = secret || `${keyId}.${randomSecret()}`;
+  const secretHash = await bcrypt.hash(plainSecret, config.apiKeys.bcryptRounds);
+
+  return {
+    record: {
+      keyId,
+      label,
+      secretHash,
+      createdAt: new Date(),
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      legacy: !!secret
+    },
+    secret: plainSecret
+  };
+}
+
+/**
+ * Extract the keyId prefix from a presented secret (if any)
+ */
+function parseKeyId(appKey) {
+  const match = /^(key_[A-Za-z0-9_-]+)\./.exec(appKey);
+  return match ? match[1] : null;
+}
+
+/**
+ * Whether unprefixed secrets are still accepted (API_KEY_LEGACY_SECRETS_UNTIL)
+ */
+function legacySecretsAccepted(now = new Date()) {
+  const until = config.apiKeys.legacySecretsUntil;
+  return !until || now < until;
+}
+
+/**
+ * Cache key for a verified credential (the raw secret is never stored)
+ */
+function verificationCacheKey(appId, appKey) {
+  return crypto.createHash("sha256").update(`${appId}:${appKey}`).digest("hex");
+}
+
+/**
+ * Remember a successful verification (bounded, oldest entries evicted first)
+ */
+function rememberVerifiedKey(cacheKey, keyId) {
+  if (verifiedKeyCache.size >= VERIFIED_KEY_CACHE_MAX) {
+    verifiedKeyCache.delete(verifiedKeyCache.keys().next().value);
+  }
+  verifiedKeyCache.set(cacheKey, {
+    keyId,
+    expiresAt: Date.now() + config.apiKeys.verifyCacheSeconds * 1000
+  });
+}
+
+/**
+ * Validate rate limit overrides: { <limit name>: { perIp?, perApp?, perSocket? } }
+ */
+function parseRateLimits(rateLimits) {
+  if (!rateLimits || typeof rateLimits !== "object" || Array.isArray(rateLimits)) {
+    throw createError(400, "rateLimits must be an object");
+  }
+
+  const names = [...Object.keys(config.rateLimits.rest), ...Object.keys(config.rateLimits.socket)];
+  const parsed = {};
+
+  for (const [name, override] of Object.entries(rateLimits)) {
+    if (!names.includes(name)) {
+      throw createError(400, `Unknown rate limit "${name}" (expected one of: ${names.join(", ")})`);
+    }
+    parsed[name] = {};
+    for (const field of RATE_LIMIT_FIELDS) {
+      const value = override?.[field];
+      if (value === undefined || value === null) continue;
+      if (!Number.isInteger(value) || value < 1) {
+        throw createError(400, `rateLimits.${name}.${field} must be a positive integer`);
+      }
+      parsed[name][field] = value;
+    }
+  }
+
+  return parsed;
+}
+
+class AppService {
+  /**
+   * Create (onboard) a new app
+   * Returns the app secret once - it is not retrievable afterwards
+   */
+  async createApp(params) {
+    const {
+      appId = `app_${nanoid(12)}`,
+      name,
+      allowedDomains = ["*"],
+      webhookUrl = null,
+      webhookSecret = null,
+      metadata = {}
+    } = params;
+
+    try {
+      const { record, secret } = await buildApiKey({ label: "default" });
+
+      const app = await appRepository.create({
+        appId,
+        name: name || appId,
+        apiKeys: [record],
+        allowedDomains,
+        webhookUrl,
+        webhookSecret: webhookSecret || (webhookUrl ? randomSecret() : null),
+        metadata
+      });
+
+      logger.info(`App created: ${appId}`);
+
+      return { ...toPublicApp(app), appSecret: secret, keyId: record.keyId, webhookSecret: app.webhookSecret };
+
+    } catch (error) {
+      logger.error("AppService.createApp error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get app details by ID (public shape)
+   */
+  async getApp(appId) {
+    try {
+      const app = await appRepository.findByAppId(appId);
+      return app ? toPublicApp(app) : null;
+    } catch (error) {
+      logger.error("AppService.getApp error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the full app record for internal use (webhooks, token signing)
+   * Returns null for unknown or disabled apps
+   */
+  async getActiveApp(appId) {
+    if (!appId) return null;
+
+    try {
+      const app = await appRepository.findByAppId(appId);
+      if (!app || app.status !== "active") return null;
+      return app;
+    } catch (error) {
+      logger.error("AppService.getActiveApp error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List apps
+   */
+  async listApps(options = {}) {
+    try {
+      const apps = await appRepository.findAll(options);
+      return apps.map(toPublicApp);
+    } catch (error) {
+      logger.error("AppService.listApps error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update app settings
+   */
+  async updateApp(appId, updates) {
+    try {
+      const allowedUpdates = ["name", "allowedDomains", "webhookUrl", "webhookSecret", "metadata"];
+      const filteredUpdates = {};
+
+      for (const key of allowedUpdates) {
+        if (updates[key] !== undefined) {
+          filteredUpdates[key] = updates[key];
+        }
+      }
+
+      // Replaces all overrides; {} restores the defaults
+      if (updates.rateLimits !== undefined) {
+        filteredUpdates.rateLimits = parseRateLimits(updates.rateLimits);
+      }
+
+      const app = await appRepository.update(appId, filteredUpdates);
+      rateLimitOverrideCache.delete(appId);
+      return app ? toPublicApp(app) : null;
+
+    } catch (error) {
+      logger.error("AppService.updateApp error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Rate limit overrides for an app ({} when none or the app is unknown)
+   * Cached in-process for config.rateLimits.overrideCacheSeconds
+   */
+  async getRateLimitOverrides(appId) {
+    if (!appId) return {};
+
+    const cached = rateLimitOverrideCache.get(appId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.limits;
+    }
+
+    try {
+      const app = await appRepository.findByAppId(appId);
+      const limits = app?.rateLimits || {};
+
+      if (rateLimitOverrideCache.size >= RATE_LIMIT_OVERRIDE_CACHE_MAX) {
+        rateLimitOverrideCache.delete(rateLimitOverrideCache.keys().next().value);
+      }
+      rateLimitOverrideCache.set(appId, {
+        limits,
+        expiresAt: Date.now() + config.rateLimits.overrideCacheSeconds * 1000
+      });
+
+      return limits;
+    } catch (error) {
+      logger.error("AppService.getRateLimitOverrides error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace the list of allowed domains
+   */
+  async setAllowedDomains(appId, allowedDomains) {
+    return this.updateApp(appId, { allowedDomains });
+  }
+
+  /**
+   * Configure the app's webhook endpoint
+   */
+  async updateWebhook(appId, { url, secret }) {
+    try {
+      const existing = await appRepository.findByAppId(appId);
+      if (!existing) return null;
+
+      const app = await appRepository.update(appId, {
+        webhookUrl: url || null,
+        webhookSecret: secret || existing.webhookSecret || (url ? randomSecret() : null)
+      });
+
+      logger.info(`Webhook updated for app ${appId}: ${app.webhookUrl || "(none)"}`);
+      return { ...toPublicApp(app), webhookSecret: app.webhookSecret };
+
+    } catch (error) {
+      logger.error("AppService.updateWebhook error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Disable an app (credentials stop working immediately)
+   */
+  async disableApp(appId) {
+    try {
+      const app = await appRepository.updateStatus(appId, "disabled");
+      if (app) logger.info(`App disabled: ${appId}`);
+      return app ? toPublicApp(app) : null;
+    } catch (error) {
+      logger.error("AppService.disableApp error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Re-enable a disabled app
+   */
+  async enableApp(appId) {
+    try {
+      const app = await appRepository.updateStatus(appId, "active");
+      if (app) logger.info(`App enabled: ${appId}`);
+      return app ? toPublicApp(app) : null;
+    } catch (error) {
+      logger.error("AppService.enableApp error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a new API key (the secret is returned only once)
+   */
+  async issueApiKey(appId, { label, expiresAt } = {}) {
+    try {
+      if (expiresAt) {
+        const expiry = new Date(expiresAt);
+        if (Number.isNaN(expiry.getTime())) {
+          throw createError(400, "expiresAt must be a valid date");
+        }
+        if (expiry <= new Date()) {
+          throw createError(400, "expiresAt must be in the future");
+        }
+      }
+
+      const { record, secret } = await buildApiKey({ label, expiresAt });
+      const app = await appRepository.addApiKey(appId, record);
+
+      if (!app) return null;
+
+      logger.info(`API key ${record.keyId} issued for app ${appId}`);
+      return { ...toPublicKey(record), appSecret: secret };
+
+    } catch (error) {
+      logger.error("AppService.issueApiKey error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List an app's API keys
+   */
+  async listApiKeys(appId) {
+    try {
+      const app = await appRepository.findByAppId(appId);
+      return app ? (app.apiKeys || []).map(toPublicKey) : null;
+    } catch (error) {
+      logger.error("AppService.listApiKeys error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * The last usable key cannot be revoked (issue a replacement first)
+   */
+  async revokeApiKey(appId, keyId) {
+    try {
+      const app = await appRepository.findByAppId(appId);
+      if (!app) return null;
+
+      const keys = app.apiKeys || [];
+      const key = keys.find(k => k.keyId === keyId);
+
+      if (!key) {
+        throw createError(404, "API key not found");
+      }
+      if (key.revokedAt) {
+        throw createError(409, "API key already revoked");
+      }
+
+      const otherActive = keys.filter(k => k.keyId !== keyId && getKeyStatus(k) === "active");
+      if (otherActive.length === 0) {
+        throw createError(409, "Cannot revoke the last active API key");
+      }
+
+      const updated = await appRepository.revokeApiKey(appId, keyId);
+      const revoked = updated?.apiKeys.find(k => k.keyId === keyId);
+
+      logger.info(`API key ${keyId} revoked for app ${appId}`);
+      return revoked ? toPublicKey(revoked) : null;
+
+    } catch (error) {
+      logger.error("AppService.revokeApiKey error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate app credentials (X-App-Id + X-App-Key)
+   * Returns the app record on success, null otherwise
+   */
+  async authenticate(appId, appKey) {
+    if (!appId || !appKey) return null;
+
+    const app = await this.getActiveApp(appId);
+    if (!app) return null;
+
+    const now = new Date();
+    const usableKeys = (app.apiKeys || []).filter(k => getKeyStatus(k, now) === "active");
+
+    // A prefixed secret is checked against its own key only; an unprefixed one only
+    // against legacy keys, and only during the migration window
+    // (keys stored before the legacy flag existed have none and count as legacy)
+    const prefixedKeyId = parseKeyId(appKey);
+    if (!prefixedKeyId && !legacySecretsAccepted(now)) return null;
+
+    // Fast path: recently verified (key status is still re-checked above)
+    const cacheKey = verificationCacheKey(appId, appKey);
+    const cached = verifiedKeyCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+      const key = usableKeys.find(k => k.keyId === cached.keyId);
+      if (key) {
+        this.recordKeyUsage(appId, key, now);
+        return app;
+      }
+    }
+    verifiedKeyCache.delete(cacheKey);
+
+    const candidates = prefixedKeyId
+      ? usableKeys.filter(k => k.keyId === prefixedKeyId)
+      : usableKeys.filter(k => k.legacy !== false);
+
+    for (const key of candidates) {
+      if (await bcrypt.compare(appKey, key.secretHash)) {
+        rememberVerifiedKey(cacheKey, key.keyId);
+        this.recordKeyUsage(appId, key, now);
+        return app;
+      }
+    }
+
+    // Legacy plain-text secret: accept once and migrate to a hashed key
+    if (!prefixedKeyId && app.appSecret && safeEqual(app.appSecret, appKey)) {
+      const { record } = await buildApiKey({ label: "migrated", secret: appKey });
+      await appRepository.migrateLegacySecret(appId, { ...record, lastUsedAt: now });
+      rememberVerifiedKey(cacheKey, record.keyId);
+      logger.info(`Migrated legacy secret for app ${appId} to API key ${record.keyId}`);
+      return app;
+    }
+
+    return null;
+  }
+
+  /**
+   * Update a key's lastUsedAt (throttled, fire-and-forget)
+   */
+  recordKeyUsage(appId, key, usedAt) {
+    if (key.lastUsedAt && usedAt - new Date(key.lastUsedAt) < KEY_USAGE_WRITE_INTERVAL_MS) return;
+
+    appRepository.touchApiKey(appId, key.keyId, usedAt).catch(() => {});
+  }
+
+  /**
+   * Seed the demo app used by the quickstart (idempotent)
+   */
+  async ensureDemoApp() {
+    if (!config.demoApp.enabled) return;
+
+    try {
+      const { appId, appSecret, webhookSecret } = config.demoApp;
+      if (await appRepository.appIdExists(appId)) return;
+
+      const { record } = await buildApiKey({ label: "demo", secret: appSecret });
+
+      await appRepository.create({
+        appId,
+        name: "Demo App",
+        apiKeys: [record],
+        allowedDomains: ["*"],
+        webhookUrl: null,
+        webhookSecret
+      });
+      logger.info(`Seeded demo app: ${appId}`);
+
+    } catch (error) {
+      // Another instance may have seeded it concurrently
+      if (error.code === 11000) return;
+      // Non-fatal: the server can still run without the demo app
+      logger.error("AppService.ensureDemoApp error:", error.message);
+    }
+  }
+}
+
+export default new AppService();
@@ -0,0 +1,104 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import appService from "./appService.js";
+import { appRepository } from "../repositories/index.js";
+import { config } from "../config.js";
+
+let apps;
+let compares;
+
+// Cheap hashes keep the tests fast
+config.apiKeys.bcryptRounds = 4;
+
+// In-memory stand-in for the apps collection
+appRepository.addApiKey = async (appId, key) => {
+  const app = apps.get(appId);
+  if (!app) return null;
+  app.apiKeys.push(key);
+  return structuredClone(app);
+};
+appRepository.touchApiKey = async () => {};
+appRepository.migrateLegacySecret = async (appId, key) => {
+  const app = apps.get(appId);
+  app.apiKeys.push(key);
+  delete app.appSecret;
+  return structuredClone(app);
+};
+appService.getActiveApp = async (appId) => structuredClone(apps.get(appId) || null);
+
+// Count bcrypt comparisons made by authenticate
+const compare = bcrypt.compare;
+bcrypt.compare = (...args) => {
+  compares++;
+  return compare(...args);
+};
+
+async function issueKeys(count) {
+  const secrets = [];
+  for (let i = 0; i < count; i++) secrets.push((await appService.issueApiKey("app-1", { label: `k${i}` })).appSecret);
+  return secrets;
+}
+
+beforeEach(() => {
+  apps = new Map([["app-1", { appId: "app-1", status: "active", apiKeys: [] }]]);
+  compares = 0;
+  config.apiKeys.legacySecretsUntil = null;
+});
+
+test("issueApiKey stores only a bcrypt hash of the prefixed secret", async () => {
+  const issued = await appService.issueApiKey("app-1", { label: "ci" });
+
+  assert.match(issued.appSecret, new RegExp(`^${issued.keyId}\\.`));
+  assert.equal("secretHash" in issued, false);
+
+  const [stored] = apps.get("app-1").apiKeys;
+  assert.equal(stored.keyId, issued.keyId);
+  assert.notEqual(stored.secretHash, issued.appSecret);
+  assert.ok(await bcrypt.compare(issued.appSecret, stored.secretHash));
+});
+
+test("issueApiKey rejects an unparseable or past expiresAt with 400", async () => {
+  for (const expiresAt of ["next tuesday", "2001-01-01T00:00:00Z"]) {
+    await assert.rejects(appService.issueApiKey("app-1", { expiresAt }), { status: 400 }, expiresAt);
+  }
+  assert.equal(apps.get("app-1").apiKeys.length, 0);
+});
+
+test("authenticate compares a prefixed secret with its own key only", async () => {
+  const [, second] = await issueKeys(3);
+
+  assert.ok(await appService.authenticate("app-1", second));
+  assert.equal(compares, 1);
+
+  compares = 0;
+  const [keyId] = second.split(".");
+  assert.equal(await appService.authenticate("app-1", `${keyId}.wrong`), null);
+  assert.equal(compares, 1);
+});
+
+test("authenticate never compares an unprefixed secret with prefixed keys", async () => {
+  await issueKeys(3);
+
+  assert.equal(await appService.authenticate("app-1", "guess-1"), null);
+  assert.equal(compares, 0);
+});
+
+test("unprefixed secrets work only during the legacy window", async () => {
+  await issueKeys(2);
+  apps.get("app-1").appSecret = "old-plain-secret";
+
+  // Accepted as the plain-text secret and migrated to a legacy key
+  assert.ok(await appService.authenticate("app-1", "old-plain-secret"));
+  assert.equal(apps.get("app-1").apiKeys.filter(k => k.legacy).length, 1);
+
+  // A wrong unprefixed secret is compared with the legacy key alone
+  compares = 0;
+  assert.equal(await appService.authenticate("app-1", "old-plain-secret-2"), null);
+  assert.equal(compares, 1);
+
+  config.apiKeys.legacySecretsUntil = new Date(Date.now() - 1000);
+  compares = 0;
+  assert.equal(await appService.authenticate("app-1", "old-plain-secret"), null);
+  assert.equal(compares, 0);
+});
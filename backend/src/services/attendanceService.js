@@ -0,0 +1,223 @@
+/**
+ * Attendance Service
+ * Per-session join/leave history of a meeting (rejoins are separate sessions),
+ * with durations, roles and media state changes, as JSON or CSV
+ */
+
+import createError from "http-errors";
+import { nanoid } from "nanoid";
+import {
+  meetingRepository,
+  participantRepository,
+  participantSessionRepository
+} from "../repositories/index.js";
+import { logger } from "../utils/logger.js";
+
+// Socket.IO disconnect reasons -> session end reasons (anything else: connection_lost)
+const DISCONNECT_REASONS = {
+  "client namespace disconnect": "left",
+  "server namespace disconnect": "disconnected"
+};
+
+const CSV_COLUMNS = [
+  "session_id", "user_id", "name", "role", "joined_at", "left_at",
+  "duration_seconds", "end_reason", "media_changes"
+];
+
+/**
+ * Quote a CSV field; values starting with a formula character are prefixed
+ * so spreadsheets do not evaluate names typed by participants
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+function describeMediaChange(change) {
+  const state = (value) => (value === undefined || value === null ? "?" : value ? "on" : "off");
+  return `${new Date(change.at).toISOString()} mic:${state(change.audioEnabled)} cam:${state(change.videoEnabled)} share:${state(change.screenSharing)}`;
+}
+
+/**
+ * Public shape of a session; ongoing sessions report their duration so far
+ */
+function toPublicSession(session, now) {
+  return {
+    sessionId: session.sessionId,
+    userId: session.userId,
+    name: session.name,
+    role: session.role,
+    joinedAt: session.joinedAt,
+    leftAt: session.leftAt,
+    ongoing: !session.leftAt,
+    durationSeconds: session.leftAt
+      ? session.durationSeconds
+      : Math.floor((now - new Date(session.joinedAt)) / 1000),
+    endReason: session.endReason,
+    mediaChanges: session.mediaChanges.map(({ at, audioEnabled, videoEnabled, screenSharing }) => ({
+      at, audioEnabled, videoEnabled, screenSharing
+    }))
+  };
+}
+
+class AttendanceService {
+  /**
+   * Start a session when a participant's socket enters the call
+   */
+  async openSession(meetingId, { appId, userId, name, role, socketId }) {
+    try {
+      return await participantSessionRepository.create({
+        sessionId: `ses_${nanoid(16)}`,
+        meetingId,
+        appId,
+        userId,
+        name,
+        role,
+        socketId
+      });
+    } catch (error) {
+      logger.error("AttendanceService.openSession error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Note the socket's media state after a change
+   */
+  async recordMediaChange(socketId, { audio, video, sharing }) {
+    try {
+      return await participantSessionRepository.addMediaChange(socketId, {
+        at: new Date(),
+        audioEnabled: audio,
+        videoEnabled: video,
+        screenSharing: sharing
+      });
+    } catch (error) {
+      logger.error("AttendanceService.recordMediaChange error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * End the socket's session (no-op when a removal or the meeting's end already closed it)
+   */
+  async closeSession(socketId, disconnectReason) {
+    try {
+      return await participantSessionRepository.closeBySocket(
+        socketId,
+        DISCONNECT_REASONS[disconnectReason] || "connection_lost"
+      );
+    } catch (error) {
+      logger.error("AttendanceService.closeSession error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * End a user's sessions, e.g. "removed" by a host
+   */
+  async closeUserSessions(meetingId, userId, endReason) {
+    try {
+      return await participantSessionRepository.closeByUser(meetingId, userId, endReason);
+    } catch (error) {
+      logger.error("AttendanceService.closeUserSessions error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * End all sessions of a meeting ("meeting_ended" / "meeting_cancelled")
+   */
+  async closeMeetingSessions(meetingId, endReason) {
+    try {
+      return await participantSessionRepository.closeAllInMeeting(meetingId, endReason);
+    } catch (error) {
+      logger.error("AttendanceService.closeMeetingSessions error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Attendance report: every participant with their total time, and every session
+   */
+  async getAttendanceReport(meetingId) {
+    try {
+      const meeting = await meetingRepository.findByMeetingId(meetingId);
+      if (!meeting) {
+        throw createError(404, "Meeting not found");
+      }
+
+      const [stats, sessionRecords] = await Promise.all([
+        participantRepository.getMeetingStats(meetingId),
+        participantSessionRepository.findByMeetingId(meetingId)
+      ]);
+
+      const now = new Date();
+      const sessions = sessionRecords.map(s => toPublicSession(s, now));
+
+      // userId -> { sessions, totalSeconds }
+      const attendance = new Map();
+      for (const session of sessions) {
+        const entry = attendance.get(session.userId) || { sessions: 0, totalSeconds: 0 };
+        entry.sessions += 1;
+        entry.totalSeconds += session.durationSeconds || 0;
+        attendance.set(session.userId, entry);
+      }
+
+      const participants = stats.participants.map(p => ({
+        userId: p.userId,
+        name: p.name,
+        role: p.role,
+        status: p.status,
+        joinedAt: p.joinedAt,
+        leftAt: p.leftAt,
+        sessions: attendance.get(p.userId)?.sessions || 0,
+        totalSeconds: attendance.get(p.userId)?.totalSeconds || 0
+      }));
+      const attended = participants.filter(p => p.sessions > 0);
+      const totalSeconds = attended.reduce((sum, p) => sum + p.totalSeconds, 0);
+
+      return {
+        meetingId,
+        title: meeting.title,
+        status: meeting.status,
+        summary: {
+          participants: stats.total,
+          active: stats.active,
+          attended: attended.length,
+          sessions: sessions.length,
+          totalSeconds,
+          averageSecondsPerAttendee: attended.length ? Math.round(totalSeconds / attended.length) : 0
+        },
+        participants,
+        sessions
+      };
+
+    } catch (error) {
+      logger.error("AttendanceService.getAttendanceReport error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * CSV export of a report: one row per session
+   */
+  formatCsv(report) {
+    const rows = report.sessions.map(s => [
+      s.sessionId,
+      s.userId,
+      s.name,
+      s.role,
+      s.joinedAt,
+      s.leftAt,
+      s.durationSeconds,
+      s.ongoing ? "ongoing" : s.endReason,
+      s.mediaChanges.map(describeMediaChange).join("; ")
+    ]);
+    return [CSV_COLUMNS, ...rows].map(row => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+  }
+}
+
+export default new AttendanceService();
@@ -0,0 +1,118 @@
+/**
+ * Calendar Service
+ * Meetings as iCalendar events: a single meeting's .ics and token-protected
+ * subscription feeds of an app's (or one user's) scheduled meetings
+ */
+
+import createError from "http-errors";
+import appService from "./appService.js";
+import { signCalendarFeedToken, verifyCalendarFeedToken } from "./tokenService.js";
+import { meetingRepository } from "../repositories/index.js";
+import { buildCalendar } from "../utils/ics.js";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EMAIL_PATTERN = /^[^@\s]+@[^@\s]+\.[^@\s]+$/;
+
+/**
+ * VEVENT fields for a meeting
+ * UIDs stay stable across updates; SEQUENCE grows with every change so calendars replace the
+ * event. Each occurrence of a shared series meeting is its own event.
+ */
+function toEvent(meeting, { organizer = true } = {}) {
+  const host = new URL(config.meeting.baseUrl).hostname;
+  const start = new Date(meeting.scheduledAt || meeting.startedAt || meeting.createdAt);
+  const occurrence = meeting.series?.shared ? `-${meeting.series.occurrenceId}` : "";
+  const description = [`Join: ${meeting.meetingUrl}`];
+  if (meeting.settings?.passcodeHash) description.push("A passcode is required to join.");
+
+  return {
+    uid: `${meeting.meetingId}${occurrence}@${host}`,
+    start,
+    end: new Date(start.getTime() + (meeting.durationMinutes || config.meeting.defaultDurationMinutes) * 60000),
+    summary: meeting.title,
+    description: description.join("\n"),
+    url: meeting.meetingUrl,
+    organizer: !organizer ? null : EMAIL_PATTERN.test(meeting.createdBy)
+      ? { name: meeting.createdBy, email: meeting.createdBy }
+      : { name: meeting.createdBy, uri: `urn:chamcall:user:${encodeURIComponent(meeting.createdBy)}` },
+    status: meeting.status === "cancelled" ? "CANCELLED" : "CONFIRMED",
+    sequence: meeting.updatedAt && meeting.createdAt
+      ? Math.max(0, Math.floor((new Date(meeting.updatedAt) - new Date(meeting.createdAt)) / 1000))
+      : 0,
+    lastModified: meeting.updatedAt
+  };
+}
+
+class CalendarService {
+  /**
+   * iCalendar document for one meeting (null when it doesn't exist)
+   * ORGANIZER (the creator's userId) is only included for the meeting's own app
+   */
+  async getMeetingCalendar(meetingId, { appId } = {}) {
+    try {
+      const meeting = await meetingRepository.findByMeetingId(meetingId);
+      if (!meeting) return null;
+
+      return buildCalendar([toEvent(meeting, { organizer: appId === meeting.appId })]);
+
+    } catch (error) {
+      logger.error("CalendarService.getMeetingCalendar error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Issue a feed subscription token for an app, or for one of its users
+   * (meetings the user created or is allowlisted for)
+   */
+  createFeedToken(appId, { userId } = {}) {
+    if (userId !== undefined && userId !== null && (typeof userId !== "string" || !userId.trim())) {
+      throw createError(400, "userId must be a non-empty string");
+    }
+
+    const token = signCalendarFeedToken({ appId, userId: userId?.trim() });
+    return {
+      token,
+      userId: userId?.trim() || null,
+      expiresAt: new Date(Date.now() + config.calendarFeed.ttlDays * DAY_MS)
+    };
+  }
+
+  /**
+   * iCalendar feed for a subscription token: meetings scheduled from CALENDAR_FEED_PAST_DAYS
+   * ago to CALENDAR_FEED_FUTURE_DAYS ahead, cancelled ones included as STATUS:CANCELLED
+   */
+  async getFeed(token) {
+    try {
+      const claims = verifyCalendarFeedToken(token);
+
+      // Feeds stop working when their app is suspended
+      const app = await appService.getActiveApp(claims.sub);
+      if (!app) {
+        throw createError(401, "Invalid calendar feed token");
+      }
+
+      const now = Date.now();
+      const meetings = await meetingRepository.findScheduledBetween(
+        app.appId,
+        new Date(now - config.calendarFeed.pastDays * DAY_MS),
+        new Date(now + config.calendarFeed.futureDays * DAY_MS)
+      );
+      const visible = claims.uid
+        ? meetings.filter(m => m.createdBy === claims.uid || m.allowlist?.userIds?.includes(claims.uid))
+        : meetings;
+
+      return buildCalendar(visible.map(m => toEvent(m)), {
+        name: claims.uid ? `${app.name || app.appId} – ${claims.uid}` : app.name || app.appId
+      });
+
+    } catch (error) {
+      logger.error("CalendarService.getFeed error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new CalendarService();
@@ -0,0 +1,87 @@
+/**
+ * Chat Service
+ * Business logic for in-call text chat (persistence, history, transcript export)
+ */
+
+import createError from "http-errors";
+import { nanoid } from "nanoid";
+import { config } from "../config.js";
+import { chatMessageRepository } from "../repositories/index.js";
+import { logger } from "../utils/logger.js";
+
+// Matches ChatMessage.text maxlength
+const MAX_MESSAGE_LENGTH = 4000;
+
+/**
+ * Shape a message for clients and API responses
+ */
+function toPublicMessage(message) {
+  return {
+    messageId: message.messageId,
+    meetingId: message.meetingId,
+    userId: message.userId,
+    name: message.name,
+    text: message.text,
+    sentAt: message.createdAt
+  };
+}
+
+class ChatService {
+  /**
+   * Store a message sent in a meeting
+   */
+  async postMessage(meetingId, { appId, userId, name }, text) {
+    try {
+      const body = typeof text === "string" ? text.trim() : "";
+      if (!body) {
+        throw createError(400, "Message text is required");
+      }
+      if (body.length > MAX_MESSAGE_LENGTH) {
+        throw createError(400, `Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+      }
+
+      const message = await chatMessageRepository.create({
+        messageId: `msg_${nanoid(16)}`,
+        meetingId,
+        appId,
+        userId,
+        name: name || "Guest",
+        text: body
+      });
+
+      return toPublicMessage(message);
+
+    } catch (error) {
+      logger.error("ChatService.postMessage error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Recent messages for a meeting, oldest first
+   */
+  async getHistory(meetingId, limit = config.chat.historyLimit) {
+    try {
+      const messages = await chatMessageRepository.findRecentByMeetingId(meetingId, limit);
+      return messages.map(toPublicMessage);
+    } catch (error) {
+      logger.error("ChatService.getHistory error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Plain-text transcript: one "[time] name: text" entry per message
+   */
+  formatTranscript(meeting, messages) {
+    const header = [
+      `Chat transcript for ${meeting.title || meeting.meetingId} (${meeting.meetingId})`,
+      `Exported ${new Date().toISOString()}`,
+      ""
+    ];
+    const lines = messages.map(m => `[${new Date(m.sentAt).toISOString()}] ${m.name}: ${m.text}`);
+    return [...header, ...lines].join("\n") + "\n";
+  }
+}
+
+export default new ChatService();
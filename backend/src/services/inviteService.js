@@ -0,0 +1,230 @@
+/**
+ * Invite Service
+ * Business logic for per-participant meeting invite links
+ */
+
+import crypto from "crypto";
+import createError from "http-errors";
+import { nanoid } from "nanoid";
+import { config } from "../config.js";
+import { inviteRepository, meetingRepository } from "../repositories/index.js";
+import { signInviteToken, verifyInviteToken } from "./tokenService.js";
+import { randomSecret, safeEqual } from "../utils/crypto.js";
+import { logger } from "../utils/logger.js";
+
+const INVITE_ROLES = ["host", "participant", "observer"];
+const JOINABLE_STATUSES = ["created", "scheduled", "active"];
+
+// Why an invite can no longer be redeemed, by state
+const UNUSABLE_REASONS = {
+  revoked: "Invite has been revoked",
+  expired: "Invite has expired",
+  used: "Invite has already been used"
+};
+
+/**
+ * Stored form of a redemption's rejoin key
+ */
+function hashRejoinKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+/**
+ * Derive invite state from its timestamps and usage
+ */
+function getInviteState(invite, now = new Date()) {
+  if (invite.revokedAt) return "revoked";
+  if (now > new Date(invite.expiresAt)) return "expired";
+  if (invite.maxUses && invite.uses >= invite.maxUses) return "used";
+  return "active";
+}
+
+/**
+ * Build the shareable link for an invite (token is re-signed; any copy stays valid)
+ */
+function buildInviteUrl(invite) {
+  const token = signInviteToken(invite);
+  return `${config.meeting.baseUrl}/${invite.meetingId}?invite=${encodeURIComponent(token)}`;
+}
+
+/**
+ * Shape an invite for API responses
+ */
+function toPublicInvite(invite) {
+  const state = getInviteState(invite);
+
+  return {
+    inviteId: invite.inviteId,
+    meetingId: invite.meetingId,
+    name: invite.name,
+    role: invite.role,
+    userId: invite.userId,
+    email: invite.email,
+    maxUses: invite.maxUses,
+    uses: invite.uses,
+    expiresAt: invite.expiresAt,
+    revokedAt: invite.revokedAt,
+    state,
+    createdBy: invite.createdBy,
+    createdAt: invite.createdAt,
+    url: state === "active" ? buildInviteUrl(invite) : null
+  };
+}
+
+/**
+ * Validate and normalize invite input
+ */
+function parseInviteInput({ name, role = "participant", userId = null, email = null, maxUses = 1, expiresAt }) {
+  if (!name || typeof name !== "string") {
+    throw createError(400, "name is required");
+  }
+  if (!INVITE_ROLES.includes(role)) {
+    throw createError(400, `role must be one of: ${INVITE_ROLES.join(", ")}`);
+  }
+  if (maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    throw createError(400, "maxUses must be a positive integer or null");
+  }
+
+  const expiry = expiresAt
+    ? new Date(expiresAt)
+    : new Date(Date.now() + config.invites.defaultTtlHours * 60 * 60 * 1000);
+
+  if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+    throw createError(400, "expiresAt must be a future date");
+  }
+
+  return { name: name.trim(), role, userId: userId || null, email: email || null, maxUses, expiresAt: expiry };
+}
+
+class InviteService {
+  /**
+   * Create an invite link for a meeting
+   */
+  async createInvite(meetingId, params, createdBy) {
+    try {
+      const input = parseInviteInput(params);
+
+      const meeting = await meetingRepository.findByMeetingId(meetingId);
+      if (!meeting) {
+        throw createError(404, "Meeting not found");
+      }
+      if (!JOINABLE_STATUSES.includes(meeting.status)) {
+        throw createError(409, `Meeting is ${meeting.status}`);
+      }
+
+      const invite = await inviteRepository.create({
+        inviteId: `inv_${nanoid(16)}`,
+        meetingId,
+        appId: meeting.appId,
+        createdBy,
+        ...input
+      });
+
+      logger.info(`Invite ${invite.inviteId} created for meeting ${meetingId} (${input.role})`);
+      return toPublicInvite(invite);
+
+    } catch (error) {
+      logger.error("InviteService.createInvite error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List a meeting's invites
+   */
+  async listInvites(meetingId) {
+    try {
+      const invites = await inviteRepository.findByMeetingId(meetingId);
+      return invites.map(toPublicInvite);
+    } catch (error) {
+      logger.error("InviteService.listInvites error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke an invite; returns null if it does not exist or is already revoked
+   */
+  async revokeInvite(meetingId, inviteId) {
+    try {
+      const invite = await inviteRepository.revoke(meetingId, inviteId);
+      if (!invite) return null;
+
+      logger.info(`Invite ${inviteId} revoked for meeting ${meetingId}`);
+      return toPublicInvite(invite);
+
+    } catch (error) {
+      logger.error("InviteService.revokeInvite error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Redeem an invite token for a meeting
+   * Returns the identity to join with: { inviteId, userId, name, role, email, rejoinKey }
+   * The joiner's userId is the invite's fixed userId or one generated here, never one the
+   * caller picks. Each redemption gets a `rejoinKey`; presenting it again (e.g. after a
+   * refresh) rejoins as the same user without using up the invite.
+   */
+  async redeemInvite(meetingId, token, { rejoinKey } = {}) {
+    try {
+      const claims = verifyInviteToken(token);
+      if (claims.meetingId !== meetingId) {
+        throw createError(403, "Invite is for a different meeting");
+      }
+
+      const invite = await inviteRepository.findByInviteId(claims.sub);
+      if (!invite) {
+        throw createError(404, "Invite not found");
+      }
+
+      const state = getInviteState(invite);
+      const keyHash = rejoinKey ? hashRejoinKey(rejoinKey) : null;
+      const previous = keyHash && invite.redemptions.find(r => r.keyHash && safeEqual(r.keyHash, keyHash));
+
+      if (state !== "active" && !(state === "used" && previous)) {
+        throw createError(410, UNUSABLE_REASONS[state]);
+      }
+
+      const identity = {
+        inviteId: invite.inviteId,
+        name: invite.name,
+        role: invite.role,
+        email: invite.email
+      };
+
+      if (previous) {
+        logger.info(`Invite ${invite.inviteId} redeemed again by ${previous.userId} for meeting ${meetingId}`);
+        return { ...identity, userId: previous.userId, rejoinKey, newRedemption: false };
+      }
+
+      const userId = invite.userId || `guest-${nanoid(12)}`;
+      const key = randomSecret();
+      const updated = await inviteRepository.recordRedemption(invite.inviteId, userId, hashRejoinKey(key));
+      if (!updated) {
+        throw createError(410, "Invite has already been used");
+      }
+
+      logger.info(`Invite ${invite.inviteId} redeemed by ${userId} for meeting ${meetingId}`);
+      return { ...identity, userId, rejoinKey: key, newRedemption: true };
+
+    } catch (error) {
+      logger.error("InviteService.redeemInvite error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Give back the use taken by a redemption whose join then failed
+   */
+  async releaseRedemption(inviteId, rejoinKey) {
+    try {
+      await inviteRepository.releaseRedemption(inviteId, hashRejoinKey(rejoinKey));
+    } catch (error) {
+      logger.error("InviteService.releaseRedemption error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new InviteService();
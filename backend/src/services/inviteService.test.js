@@ -0,0 +1,101 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import inviteService from "./inviteService.js";
+import { inviteRepository } from "../repositories/index.js";
+import { signInviteToken } from "./tokenService.js";
+
+const MEETING_ID = "abc-1234-xyz";
+let invites;
+
+// In-memory stand-in for the invites collection
+inviteRepository.findByInviteId = async (inviteId) => structuredClone(invites.get(inviteId) || null);
+inviteRepository.recordRedemption = async (inviteId, userId, keyHash) => {
+  const invite = invites.get(inviteId);
+  if (!invite || (invite.maxUses && invite.uses >= invite.maxUses)) return null;
+  invite.uses++;
+  invite.redemptions.push({ userId, keyHash, redeemedAt: new Date() });
+  return structuredClone(invite);
+};
+inviteRepository.releaseRedemption = async (inviteId, keyHash) => {
+  const invite = invites.get(inviteId);
+  const index = invite.redemptions.findIndex(r => r.keyHash === keyHash);
+  if (index === -1) return null;
+  invite.redemptions.splice(index, 1);
+  invite.uses--;
+  return structuredClone(invite);
+};
+
+function addInvite(fields = {}) {
+  const invite = {
+    inviteId: `inv_${invites.size}`,
+    meetingId: MEETING_ID,
+    appId: "app-1",
+    name: "Dana",
+    role: "participant",
+    userId: null,
+    email: null,
+    maxUses: 1,
+    uses: 0,
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+    revokedAt: null,
+    redemptions: [],
+    ...fields
+  };
+  invites.set(invite.inviteId, invite);
+  return { invite, token: signInviteToken(invite) };
+}
+
+beforeEach(() => {
+  invites = new Map();
+});
+
+test("redeemInvite generates the userId and ignores one from the caller", async () => {
+  const { token } = addInvite();
+
+  const first = await inviteService.redeemInvite(MEETING_ID, token, { userId: "meeting-creator" });
+
+  assert.match(first.userId, /^guest-/);
+  assert.notEqual(first.userId, "meeting-creator");
+  assert.equal(first.newRedemption, true);
+  assert.ok(first.rejoinKey);
+});
+
+test("redeemInvite uses the invite's bound userId", async () => {
+  const { token } = addInvite({ userId: "user-42", role: "host" });
+
+  const redemption = await inviteService.redeemInvite(MEETING_ID, token);
+
+  assert.equal(redemption.userId, "user-42");
+  assert.equal(redemption.role, "host");
+});
+
+test("a used single-use invite only rejoins with its rejoin key", async () => {
+  const { token } = addInvite();
+  const first = await inviteService.redeemInvite(MEETING_ID, token);
+
+  const again = await inviteService.redeemInvite(MEETING_ID, token, { rejoinKey: first.rejoinKey });
+  assert.equal(again.userId, first.userId);
+  assert.equal(again.newRedemption, false);
+
+  await assert.rejects(inviteService.redeemInvite(MEETING_ID, token), { status: 410 });
+  await assert.rejects(inviteService.redeemInvite(MEETING_ID, token, { rejoinKey: "guessed" }), { status: 410 });
+});
+
+test("releaseRedemption gives the use back", async () => {
+  const { invite, token } = addInvite();
+  const first = await inviteService.redeemInvite(MEETING_ID, token);
+
+  await inviteService.releaseRedemption(invite.inviteId, first.rejoinKey);
+
+  assert.equal(invites.get(invite.inviteId).uses, 0);
+  const second = await inviteService.redeemInvite(MEETING_ID, token);
+  assert.notEqual(second.userId, first.userId);
+});
+
+test("redeemInvite rejects invites for another meeting and revoked invites", async () => {
+  const { token } = addInvite();
+  await assert.rejects(inviteService.redeemInvite("zzz-9999-zzz", token), { status: 403 });
+
+  const { token: revoked } = addInvite({ revokedAt: new Date() });
+  await assert.rejects(inviteService.redeemInvite(MEETING_ID, revoked), { status: 410 });
+});
@@ -4,17 +4,158 @@
  * Follows clean architecture - Controller → Service → Repository
  */
 
+import bcrypt from "bcryptjs";
+import createError from "http-errors";
 import { config } from "../config.js";
-import { meetingRepository, participantRepository } from "../repositories/index.js";
+import { meetingRepository, participantRepository, meetingSeriesRepository } from "../repositories/index.js";
 import { generateUniqueRoomId, isValidRoomId } from "../utils/roomIdGenerator.js";
 import { generateTurnCredentials } from "../utils/crypto.js";
 import { logger } from "../utils/logger.js";
+import { emitAppEvent } from "../webhooks/dispatcher.js";
+import { closeMeetingRoom, countRoomSockets } from "../socket/signaling.js";
+import { signParticipantToken } from "./tokenService.js";
+import qualityService from "./qualityService.js";
+import attendanceService from "./attendanceService.js";
+import { createAttemptLimiter } from "../utils/attemptLimiter.js";
+
+const PASSCODE_PATTERN = /^[A-Za-z0-9]{4,32}$/;
+
+// Meeting lifecycle: the statuses each status may move to
+// (completed → scheduled only reopens a shared series meeting for its next occurrence)
+export const MEETING_TRANSITIONS = {
+  created: ["scheduled", "active", "cancelled", "expired"],
+  scheduled: ["active", "cancelled", "expired"],
+  active: ["completed", "cancelled", "expired"],
+  completed: ["scheduled"],
+  cancelled: [],
+  expired: []
+};
+
+// Statuses a meeting can be joined in
+const JOINABLE_STATUSES = ["created", "scheduled", "active"];
+
+// Identities whose userId comes from the app rather than the joiner
+const VOUCHED_IDENTITIES = ["app", "jwt"];
+
+// Failed passcode attempts, keyed by client IP and meeting
+const passcodeAttempts = createAttemptLimiter({
+  maxAttempts: config.passcode.maxAttempts,
+  windowMs: config.passcode.windowMinutes * 60 * 1000
+});
+
+/**
+ * Hash a meeting passcode (4-32 letters or digits)
+ */
+async function hashPasscode(passcode) {
+  if (typeof passcode !== "string" || !PASSCODE_PATTERN.test(passcode)) {
+    throw createError(400, "passcode must be 4-32 letters or digits");
+  }
+  return bcrypt.hash(passcode, config.passcode.bcryptRounds);
+}
+
+/**
+ * Validate and normalize allowlist input ({ userIds, emails })
+ */
+function normalizeAllowlist({ userIds = [], emails = [] } = {}) {
+  if (!Array.isArray(userIds) || !Array.isArray(emails)) {
+    throw createError(400, "userIds and emails must be arrays");
+  }
+
+  const normalizedEmails = emails.map(e => String(e).trim().toLowerCase()).filter(Boolean);
+  const invalid = normalizedEmails.find(e => !/^[^\s@]+@[^\s@]+$/.test(e));
+  if (invalid) {
+    throw createError(400, `Invalid email: ${invalid}`);
+  }
+
+  return {
+    userIds: [...new Set(userIds.map(u => String(u).trim()).filter(Boolean))],
+    emails: [...new Set(normalizedEmails)]
+  };
+}
+
+/**
+ * Shape an allowlist for API responses
+ */
+function toPublicAllowlist(meeting) {
+  const { userIds = [], emails = [] } = meeting.allowlist || {};
+  return {
+    meetingId: meeting.meetingId,
+    enabled: userIds.length > 0 || emails.length > 0,
+    userIds,
+    emails
+  };
+}
+
+/**
+ * Shape meeting settings for API responses (hides the passcode hash)
+ */
+function toPublicSettings(settings) {
+  if (!settings) return settings;
+  const { passcodeHash, ...rest } = typeof settings.toObject === "function" ? settings.toObject() : settings;
+  return { ...rest, passcodeRequired: !!passcodeHash };
+}
+
+/**
+ * The recurring series a meeting belongs to, for API responses (null for one-off meetings)
+ */
+function toPublicSeriesRef(meeting) {
+  if (!meeting.series?.seriesId) return null;
+  const { seriesId, occurrenceId, shared } = meeting.series;
+  return { seriesId, occurrenceId, shared: !!shared };
+}
+
+/**
+ * Expiry of a meeting scheduled at `scheduledAt` for `durationMinutes`
+ */
+function computeExpiry(scheduledAt, durationMinutes) {
+  const expiresAt = new Date(scheduledAt);
+  expiresAt.setMinutes(expiresAt.getMinutes() + durationMinutes + config.meeting.expiryBufferMinutes);
+  return expiresAt;
+}
+
+/**
+ * Build a consistent webhook payload for meeting lifecycle events
+ * Every event carries the meeting snapshot; participant events add the participant
+ */
+function buildEventPayload(event, meeting, extra = {}) {
+  return {
+    event,
+    occurredAt: new Date().toISOString(),
+    appId: meeting.appId,
+    meeting: {
+      meetingId: meeting.meetingId,
+      title: meeting.title,
+      status: meeting.status,
+      meetingUrl: meeting.meetingUrl,
+      createdBy: meeting.createdBy,
+      scheduledAt: meeting.scheduledAt,
+      startedAt: meeting.startedAt,
+      endedAt: meeting.endedAt,
+      durationMinutes: meeting.durationMinutes,
+      expiresAt: meeting.expiresAt,
+      metadata: meeting.metadata,
+      integrations: meeting.integrations,
+      series: toPublicSeriesRef(meeting)
+    },
+    ...extra
+  };
+}
+
+/**
+ * Dispatch a meeting lifecycle webhook (fire-and-forget)
+ */
+function emitMeetingEvent(event, meeting, extra = {}) {
+  if (!meeting) return;
+  emitAppEvent({ appId: meeting.appId, event, payload: buildEventPayload(event, meeting, extra) });
+}
 
 class MeetingService {
   /**
    * Create a new meeting (instant or scheduled)
+   * Recurring series pass `options`: the occurrence (`series`), a passcode hashed once
+   * for all occurrences (`passcodeHash`) and, for a shared meeting, the series' `expiresAt`
    */
-  async createMeeting(params) {
+  async createMeeting(params, options = {}) {
     const {
       appId,
       createdBy,
@@ -22,11 +163,18 @@ class MeetingService {
       scheduledAt,
       durationMinutes = config.meeting.defaultDurationMinutes,
       settings = {},
+      allowlist,
       metadata = {},
       integrations = {}
     } = params;
 
     try {
+      // Validate and hash the optional passcode before reserving an ID
+      const passcodeHash = options.passcodeHash !== undefined
+        ? options.passcodeHash
+        : settings.passcode ? await hashPasscode(settings.passcode) : null;
+      const initialAllowlist = normalizeAllowlist(allowlist);
+
       // Generate unique room ID
       const meetingId = await generateUniqueRoomId(appId);
 
@@ -34,12 +182,9 @@ class MeetingService {
       const meetingUrl = `${config.meeting.baseUrl}/${meetingId}`;
 
       // Calculate expiry
-      let expiresAt = null;
-      if (scheduledAt) {
-        expiresAt = new Date(scheduledAt);
-        expiresAt.setMinutes(
-          expiresAt.getMinutes() + durationMinutes + config.meeting.expiryBufferMinutes
-        );
+      let expiresAt = options.expiresAt || null;
+      if (scheduledAt && !expiresAt) {
+        expiresAt = computeExpiry(scheduledAt, durationMinutes);
       }
 
       // Determine initial status
@@ -60,14 +205,21 @@ class MeetingService {
           allowAnonymous: settings.allowAnonymous ?? false,
           waitingRoomEnabled: settings.waitingRoomEnabled ?? false,
           recordingEnabled: settings.recordingEnabled ?? false,
-          maxParticipants: settings.maxParticipants ?? 2
+          recordingConsentRequired: settings.recordingConsentRequired ?? false,
+          maxParticipants: settings.maxParticipants ?? 2,
+          passcodeHash
         },
+        statusHistory: [{ from: null, to: status, actor: createdBy, reason: "created" }],
+        allowlist: initialAllowlist,
         metadata,
-        integrations
+        integrations,
+        series: options.series || undefined
       });
 
       logger.info(`Meeting created: ${meetingId} by ${createdBy} (app: ${appId})`);
 
+      emitMeetingEvent("meeting.created", meeting.toObject());
+
       return {
         meetingId: meeting.meetingId,
         title: meeting.title,
@@ -76,7 +228,8 @@ class MeetingService {
         scheduledAt: meeting.scheduledAt,
         durationMinutes: meeting.durationMinutes,
         expiresAt: meeting.expiresAt,
-        settings: meeting.settings,
+        settings: toPublicSettings(meeting.settings),
+        series: toPublicSeriesRef(meeting),
         createdAt: meeting.createdAt
       };
 
@@ -86,6 +239,78 @@ class MeetingService {
     }
   }
 
+  /**
+   * Move a meeting to another status along MEETING_TRANSITIONS, recording who, when and why
+   * `from` narrows the statuses it may leave; returns null when the meeting is in none of them
+   */
+  async transitionMeeting(meetingId, to, { from, actor = "system", reason = null, fields = {} } = {}) {
+    const allowed = (from || Object.keys(MEETING_TRANSITIONS))
+      .filter(status => MEETING_TRANSITIONS[status].includes(to));
+    // Actor and reason may come straight from request bodies
+    return meetingRepository.transitionStatus(meetingId, allowed, to, fields, {
+      actor: String(actor).slice(0, 200),
+      reason: reason === null || reason === undefined ? null : String(reason).slice(0, 500)
+    });
+  }
+
+  /**
+   * transitionMeeting for API calls: 404 when the meeting is missing, 409 when it can't make the move
+   */
+  async requireTransition(meetingId, to, options = {}) {
+    const meeting = await this.transitionMeeting(meetingId, to, options);
+    if (meeting) return meeting;
+
+    const current = await meetingRepository.findByMeetingId(meetingId);
+    if (!current) {
+      throw createError(404, "Meeting not found");
+    }
+    throw createError(409, `Meeting is ${current.status} and cannot become ${to}`, { code: "invalid_status_transition" });
+  }
+
+  /**
+   * Start a meeting on its first admitted participant
+   * Returns the active meeting, or null when it can no longer start (ended, cancelled, expired)
+   */
+  async startMeeting(meetingId, startedBy) {
+    const meeting = await this.transitionMeeting(meetingId, "active", {
+      from: ["created", "scheduled"],
+      actor: startedBy.userId,
+      reason: "first_join"
+    });
+
+    if (meeting) {
+      emitMeetingEvent("meeting.started", meeting, { startedBy });
+      return meeting;
+    }
+
+    // Someone else may have started it first
+    const current = await meetingRepository.findByMeetingId(meetingId);
+    return current?.status === "active" ? current : null;
+  }
+
+  /**
+   * A meeting's status changes, oldest first (null when the meeting doesn't exist)
+   */
+  async getMeetingHistory(meetingId) {
+    try {
+      const meeting = await meetingRepository.findByMeetingId(meetingId);
+      
+      if (!meeting) {
+        return null;
+      }
+
+      return {
+        meetingId: meeting.meetingId,
+        status: meeting.status,
+        history: (meeting.statusHistory || []).map(({ from, to, actor, reason, at }) => ({ from, to, actor, reason, at }))
+      };
+
+    } catch (error) {
+      logger.error("MeetingService.getMeetingHistory error:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get meeting details by ID
    */
@@ -107,9 +332,9 @@ class MeetingService {
         endedAt: meeting.endedAt,
         durationMinutes: meeting.durationMinutes,
         expiresAt: meeting.expiresAt,
-        settings: meeting.settings,
+        settings: toPublicSettings(meeting.settings),
         appId: meeting.appId,
-        createdBy: meeting.createdBy,
+        series: toPublicSeriesRef(meeting),
         createdAt: meeting.createdAt
       };
 
@@ -122,7 +347,10 @@ class MeetingService {
   /**
    * Check if user can join a meeting
    */
-  async canJoinMeeting(meetingId, userId = null) {
+  async canJoinMeeting(meetingId, userId = null, options = {}) {
+    // preflight: only status/expiry/capacity (GET /validate); identity: see checkAccess
+    const { passcode, clientIp, passcodeVerified = false, identity, preflight = false } = options;
+
     try {
       const meeting = await meetingRepository.findByMeetingId(meetingId);
       
@@ -131,21 +359,44 @@ class MeetingService {
       }
 
       // Check status
-      const validStatuses = ["created", "scheduled", "active"];
-      if (!validStatuses.includes(meeting.status)) {
+      if (!JOINABLE_STATUSES.includes(meeting.status)) {
         return { allowed: false, reason: `Meeting is ${meeting.status}` };
       }
 
-      // Check expiry
-      if (meeting.expiresAt && new Date() > new Date(meeting.expiresAt)) {
+      // Check expiry (a call in progress runs past it)
+      if (meeting.status !== "active" && meeting.expiresAt && new Date() > new Date(meeting.expiresAt)) {
         // Auto-expire the meeting
-        await meetingRepository.updateStatus(meetingId, "expired");
+        const expired = await this.transitionMeeting(meetingId, "expired", {
+          from: ["created", "scheduled"],
+          reason: "expired_on_join_attempt"
+        });
+        emitMeetingEvent("meeting.expired", expired, { reason: "expired_on_join_attempt" });
         return { allowed: false, reason: "Meeting has expired" };
       }
 
+      // Check who may join (anonymous access and allowlist)
+      if (!preflight) {
+        const access = this.checkAccess(meeting, userId, identity);
+        if (!access.allowed) {
+          return access;
+        }
+      }
+
+      // Check passcode (skipped for invitees and participant tokens issued after a check)
+      if (!preflight && meeting.settings?.passcodeHash && !passcodeVerified) {
+        const passcodeCheck = await this.verifyPasscode(meeting, passcode, clientIp);
+        if (!passcodeCheck.allowed) {
+          return passcodeCheck;
+        }
+      }
+
       // Check participant limit (exclude current user if they're rejoining)
       // Also skip limit check if maxParticipants is not set or is 0
-      const maxParticipants = meeting.settings?.maxParticipants || 100;
+      // Mesh calls are capped regardless of the meeting setting
+      const maxParticipants = Math.min(
+        meeting.settings?.maxParticipants || 100,
+        config.meeting.meshMaxParticipants
+      );
       
       if (maxParticipants > 0 && maxParticipants < 100) {
         const activeParticipants = await participantRepository.getActiveInMeeting(meetingId);
@@ -172,7 +423,7 @@ class MeetingService {
           meetingId: meeting.meetingId,
           title: meeting.title,
           status: meeting.status,
-          settings: meeting.settings
+          settings: toPublicSettings(meeting.settings)
         }
       };
 
@@ -182,33 +433,129 @@ class MeetingService {
     }
   }
 
+  /**
+   * Enforce settings.allowAnonymous and the meeting allowlist
+   * identity: { via: "invite" | "jwt" | "app" | "anonymous", email }
+   * Invites are per-person grants, so they are not checked against the allowlist
+   */
+  checkAccess(meeting, userId, identity = {}) {
+    const via = identity?.via || "anonymous";
+
+    if (via === "anonymous" && !meeting.settings?.allowAnonymous) {
+      return {
+        allowed: false,
+        reason: "This meeting requires an invite or an authenticated user",
+        code: "identity_required"
+      };
+    }
+
+    const { userIds = [], emails = [] } = meeting.allowlist || {};
+    if (via !== "invite" && (userIds.length > 0 || emails.length > 0)) {
+      // Anonymous identities are self-declared and can never match
+      const email = identity?.email?.toLowerCase();
+      const listed = via !== "anonymous" &&
+        (userIds.includes(userId) || (!!email && emails.includes(email)));
+
+      if (!listed) {
+        return {
+          allowed: false,
+          reason: "You are not on this meeting's allowlist",
+          code: "not_allowlisted"
+        };
+      }
+    }
+
+    return { allowed: true };
+  }
+
+  /**
+   * Check a meeting passcode with per-IP throttling of failed attempts
+   */
+  async verifyPasscode(meeting, passcode, clientIp = "unknown") {
+    const key = `${clientIp}:${meeting.meetingId}`;
+
+    const retryAfter = passcodeAttempts.retryAfterSeconds(key);
+    if (retryAfter > 0) {
+      logger.warn(`Passcode attempts throttled for ${key}`);
+      return {
+        allowed: false,
+        reason: "Too many passcode attempts, try again later",
+        code: "passcode_throttled",
+        retryAfter
+      };
+    }
+
+    if (!passcode) {
+      return { allowed: false, reason: "Passcode required", code: "passcode_required" };
+    }
+
+    const matches = await bcrypt.compare(String(passcode), meeting.settings.passcodeHash);
+    if (!matches) {
+      passcodeAttempts.recordFailure(key);
+      return { allowed: false, reason: "Incorrect passcode", code: "passcode_invalid" };
+    }
+
+    passcodeAttempts.reset(key);
+    return { allowed: true };
+  }
+
   /**
    * Join a meeting
    * Returns the information needed to connect to the meeting
+   * Options: { passcode, clientIp, passcodeVerified, identity } (see canJoinMeeting)
    */
-  async joinMeeting(meetingId, participant) {
-    const { userId, name = "Guest", role = "participant" } = participant;
+  async joinMeeting(meetingId, participant, options = {}) {
+    const { userId, name = "Guest" } = participant;
+    let { role = "participant" } = participant;
 
     try {
       // Check if can join
-      const canJoin = await this.canJoinMeeting(meetingId, userId);
+      const canJoin = await this.canJoinMeeting(meetingId, userId, options);
       if (!canJoin.allowed) {
         return { success: false, ...canJoin };
       }
 
-      const meeting = await meetingRepository.findByMeetingId(meetingId);
+      let meeting = await meetingRepository.findByMeetingId(meetingId);
+
+      // The meeting may have ended since the join was checked
+      if (!JOINABLE_STATUSES.includes(meeting?.status)) {
+        return { success: false, allowed: false, reason: `Meeting is ${meeting?.status || "not found"}` };
+      }
+
+      // The meeting's creator joins as host, but only when the app vouches for the userId
+      // (app credentials or a JWT it issued); self-declared and invite userIds never match
+      if (meeting.createdBy && meeting.createdBy === userId && VOUCHED_IDENTITIES.includes(options.identity?.via)) {
+        role = "host";
+      }
+
+      const existingParticipant = await participantRepository.findByMeetingAndUser(meetingId, userId);
+
+      if (existingParticipant?.status === "denied") {
+        return { success: false, allowed: false, reason: "Entry denied by host" };
+      }
+
+      if (existingParticipant?.banned) {
+        return { success: false, allowed: false, reason: "You have been removed from this meeting" };
+      }
+
+      // Waiting room: non-hosts wait until a host admits them (once admitted, rejoins skip the lobby)
+      const waiting = this.requiresAdmission(meeting, existingParticipant || { role });
+      const status = waiting ? "waiting" : "joined";
+      const admission = waiting ? {} : { admittedAt: existingParticipant?.admittedAt || new Date() };
 
       // Update meeting status to active if first join
-      if (meeting.status === "created" || meeting.status === "scheduled") {
-        await meetingRepository.updateStatus(meetingId, "active");
+      if (!waiting && (meeting.status === "created" || meeting.status === "scheduled")) {
+        const started = await this.startMeeting(meetingId, { userId, name, role });
+        if (!started) {
+          return { success: false, allowed: false, reason: `Meeting is ${meeting.status}` };
+        }
+        meeting = started;
       }
 
       // Add/update participant
-      let existingParticipant = await participantRepository.findByMeetingAndUser(meetingId, userId);
-      
       if (existingParticipant) {
         // Rejoin - update status
-        await participantRepository.updateStatus(meetingId, userId, "joined");
+        await participantRepository.updateStatus(meetingId, userId, status, admission);
       } else {
         // New participant
         await participantRepository.add({
@@ -217,7 +564,8 @@ class MeetingService {
           userId,
           name,
           role,
-          status: "joined"
+          status,
+          ...admission
         });
       }
 
@@ -227,7 +575,15 @@ class MeetingService {
       // Build signaling URL
       const signalingUrl = config.meeting.baseUrl.replace(/\/meet$/, "");
 
-      logger.info(`User ${userId} joined meeting ${meetingId}`);
+      if (waiting) {
+        logger.info(`User ${userId} is waiting for admission to meeting ${meetingId}`);
+      } else {
+        logger.info(`User ${userId} joined meeting ${meetingId}`);
+
+        emitMeetingEvent("participant.joined", meeting, {
+          participant: { userId, name, role, rejoin: !!existingParticipant }
+        });
+      }
 
       return {
         success: true,
@@ -240,10 +596,17 @@ class MeetingService {
           credential: turnCreds.credential
         })),
         ttl: turnCreds.ttl,
+        // Socket handshake credential (auth.participantToken)
+        participantToken: signParticipantToken({
+          meetingId, appId: meeting.appId, userId, name, role, identity: options.identity, passcodeVerified: true
+        }),
+        participantTokenExpiresIn: config.participantToken.ttlSeconds,
+        waitingRoom: waiting,
         participant: {
           userId,
           name,
-          role
+          role,
+          status
         }
       };
 
@@ -253,24 +616,232 @@ class MeetingService {
     }
   }
 
+  /**
+   * Check whether a participant must wait in the waiting room
+   * Hosts and previously admitted participants go straight in
+   */
+  requiresAdmission(meeting, participant) {
+    if (!meeting?.settings?.waitingRoomEnabled) return false;
+    if (participant?.role === "host") return false;
+    return !participant?.admittedAt;
+  }
+
+  /**
+   * Put a participant (back) into the waiting room
+   * Used when a socket connects for someone who has not been admitted yet
+   */
+  async holdInWaitingRoom(meetingId, userId) {
+    try {
+      return await participantRepository.updateStatus(meetingId, userId, "waiting", {
+        joinedAt: new Date()
+      });
+    } catch (error) {
+      logger.error("MeetingService.holdInWaitingRoom error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List participants waiting for admission
+   */
+  async getWaitingParticipants(meetingId) {
+    try {
+      const waiting = await participantRepository.getWaitingInMeeting(meetingId);
+
+      return waiting.map(p => ({
+        userId: p.userId,
+        name: p.name,
+        role: p.role,
+        requestedAt: p.joinedAt
+      }));
+
+    } catch (error) {
+      logger.error("MeetingService.getWaitingParticipants error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Admit a participant from the waiting room
+   * Returns null if the participant is not waiting
+   */
+  async admitParticipant(meetingId, userId, admittedBy) {
+    try {
+      let meeting = await meetingRepository.findByMeetingId(meetingId);
+      if (!JOINABLE_STATUSES.includes(meeting?.status)) return null;
+
+      const participant = await participantRepository.transitionStatus(
+        meetingId, userId, ["waiting"], "joined",
+        { admittedAt: new Date(), admittedBy, joinedAt: new Date() }
+      );
+
+      if (!participant) return null;
+
+      if (meeting.status === "created" || meeting.status === "scheduled") {
+        meeting = await this.startMeeting(meetingId, { userId, name: participant.name, role: participant.role })
+          || await meetingRepository.findByMeetingId(meetingId);
+      }
+
+      logger.info(`User ${userId} admitted to meeting ${meetingId} by ${admittedBy}`);
+
+      emitMeetingEvent("participant.joined", meeting, {
+        participant: { userId, name: participant.name, role: participant.role, rejoin: false, admittedBy }
+      });
+
+      return participant;
+
+    } catch (error) {
+      logger.error("MeetingService.admitParticipant error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Deny a participant waiting for admission (they cannot rejoin this meeting)
+   * Returns null if the participant is not waiting
+   */
+  async denyParticipant(meetingId, userId, deniedBy) {
+    try {
+      const participant = await participantRepository.transitionStatus(
+        meetingId, userId, ["waiting"], "denied",
+        { deniedAt: new Date(), deniedBy }
+      );
+
+      if (participant) {
+        logger.info(`User ${userId} denied entry to meeting ${meetingId} by ${deniedBy}`);
+      }
+      return participant;
+
+    } catch (error) {
+      logger.error("MeetingService.denyParticipant error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a participant from the waiting room when they give up (disconnect)
+   */
+  async leaveWaitingRoom(meetingId, userId) {
+    try {
+      return await participantRepository.transitionStatus(
+        meetingId, userId, ["waiting"], "left", { leftAt: new Date() }
+      );
+    } catch (error) {
+      logger.error("MeetingService.leaveWaitingRoom error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a participant at a host's request
+   * With `ban`, the participant cannot rejoin this meeting
+   * Returns null if the participant is not in the meeting
+   */
+  async removeParticipant(meetingId, userId, { removedBy, ban = false } = {}) {
+    try {
+      const now = new Date();
+      const participant = await participantRepository.transitionStatus(
+        meetingId, userId, ["waiting", "joined", "connected", "disconnected"], "removed",
+        { removedAt: now, removedBy, banned: !!ban, leftAt: now }
+      );
+
+      if (!participant) return null;
+      await attendanceService.closeUserSessions(meetingId, userId, "removed");
+
+      const meeting = await meetingRepository.findByMeetingId(meetingId);
+      emitMeetingEvent("participant.left", meeting, {
+        participant: {
+          userId,
+          name: participant.name,
+          role: participant.role,
+          durationSeconds: participant.joinedAt
+            ? Math.floor((now - new Date(participant.joinedAt)) / 1000)
+            : 0,
+          removedBy,
+          banned: !!ban
+        }
+      });
+
+      logger.info(`User ${userId} removed from meeting ${meetingId} by ${removedBy}${ban ? " (banned)" : ""}`);
+      return participant;
+
+    } catch (error) {
+      logger.error("MeetingService.removeParticipant error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark every participant left and close their attendance sessions
+   * For resetting stale state, so only while nobody is in the call on any node (409 otherwise)
+   * Returns how many participants were marked left
+   */
+  async cleanupParticipants(meetingId) {
+    try {
+      if (await countRoomSockets(meetingId) !== 0) {
+        throw createError(409, "Participants are still connected to this meeting", { code: "participants_connected" });
+      }
+
+      const count = await participantRepository.markAllLeft(meetingId);
+      await attendanceService.closeMeetingSessions(meetingId, "disconnected");
+
+      logger.info(`Cleaned up ${count} stale participants in meeting ${meetingId}`);
+      return count;
+
+    } catch (error) {
+      logger.error("MeetingService.cleanupParticipants error:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Leave a meeting
    */
   async leaveMeeting(meetingId, userId) {
     try {
-      await participantRepository.updateStatus(meetingId, userId, "left", {
+      const before = await participantRepository.findByMeetingAndUser(meetingId, userId);
+      const wasActive = before && ["joined", "connected"].includes(before.status);
+
+      // Keep denials and removals on record (a removal already emitted participant.left)
+      if (["denied", "removed"].includes(before?.status)) {
+        return { success: true };
+      }
+
+      const participant = await participantRepository.updateStatus(meetingId, userId, "left", {
         leftAt: new Date()
       });
 
+      let meeting = await meetingRepository.findByMeetingId(meetingId);
+
+      // Only notify once (REST leave and socket disconnect may both call this)
+      if (wasActive) {
+        emitMeetingEvent("participant.left", meeting, {
+          participant: {
+            userId,
+            name: participant?.name,
+            role: participant?.role,
+            durationSeconds: participant?.leftAt && participant?.joinedAt
+              ? Math.floor((new Date(participant.leftAt) - new Date(participant.joinedAt)) / 1000)
+              : 0
+          }
+        });
+      }
+
       // Check if meeting should end (no active participants)
       const activeCount = await participantRepository.countInMeeting(meetingId, true);
       
-      if (activeCount === 0) {
-        // Auto-complete meeting when everyone leaves
-        await meetingRepository.updateStatus(meetingId, "completed", {
-          endedAt: new Date()
+      if (activeCount === 0 && meeting?.status === "active") {
+        // Auto-complete meeting when everyone leaves (once, if several leave at the same time)
+        const completed = await this.transitionMeeting(meetingId, "completed", {
+          from: ["active"],
+          actor: userId,
+          reason: "all_participants_left"
         });
-        logger.info(`Meeting ${meetingId} completed - all participants left`);
+        if (completed) {
+          logger.info(`Meeting ${meetingId} completed - all participants left`);
+          emitMeetingEvent("meeting.ended", completed, { reason: "all_participants_left" });
+          if (completed.series?.seriesId) await this.completeOccurrence(completed);
+        }
       }
 
       logger.info(`User ${userId} left meeting ${meetingId}`);
@@ -283,19 +854,26 @@ class MeetingService {
   }
 
   /**
-   * End a meeting
+   * End an active meeting
    */
-  async endMeeting(meetingId, endedBy) {
+  async endMeeting(meetingId, endedBy, { reason = "ended" } = {}) {
     try {
+      // Update meeting status
+      const meeting = await this.requireTransition(meetingId, "completed", {
+        from: ["active"],
+        actor: endedBy,
+        reason
+      });
+
       // Mark all participants as left
       await participantRepository.markAllLeft(meetingId);
 
-      // Update meeting status
-      await meetingRepository.updateStatus(meetingId, "completed", {
-        endedAt: new Date()
-      });
+      await attendanceService.closeMeetingSessions(meetingId, "meeting_ended");
 
       logger.info(`Meeting ${meetingId} ended by ${endedBy}`);
+      emitMeetingEvent("meeting.ended", meeting, { reason: "ended", endedBy });
+      closeMeetingRoom(meetingId, { reason: "ended", endedBy });
+      if (meeting?.series?.seriesId) await this.completeOccurrence(meeting);
       return { success: true };
 
     } catch (error) {
@@ -316,6 +894,8 @@ class MeetingService {
       }
 
       const participants = await participantRepository.getActiveInMeeting(meetingId);
+      // Live socket count across all signaling nodes (null if unavailable)
+      const connectedSockets = await countRoomSockets(meetingId);
 
       return {
         meetingId: meeting.meetingId,
@@ -328,9 +908,11 @@ class MeetingService {
           role: p.role,
           status: p.status,
           joinedAt: p.joinedAt,
-          mediaState: p.mediaState
+          mediaState: p.mediaState,
+          metrics: qualityService.summarize(p.metrics)
         })),
-        participantCount: participants.length
+        participantCount: participants.length,
+        connectedSockets
       };
 
     } catch (error) {
@@ -364,30 +946,66 @@ class MeetingService {
 
   /**
    * Update meeting settings
+   * Rescheduling (scheduledAt, durationMinutes) recomputes expiresAt and is only possible
+   * before the meeting starts
    */
-  async updateMeeting(meetingId, updates) {
+  async updateMeeting(meetingId, updates, updatedBy = "api") {
     try {
-      const allowedUpdates = ["title", "scheduledAt", "durationMinutes", "settings", "metadata"];
-      const filteredUpdates = {};
-      
-      for (const key of allowedUpdates) {
-        if (updates[key] !== undefined) {
-          filteredUpdates[key] = updates[key];
+      const current = await meetingRepository.findByMeetingId(meetingId);
+
+      if (!current) {
+        return null;
+      }
+
+      const filteredUpdates = await this.prepareMeetingUpdate(updates);
+
+      if (filteredUpdates.scheduledAt !== undefined || filteredUpdates.durationMinutes !== undefined) {
+        if (!["created", "scheduled"].includes(current.status)) {
+          throw createError(409, `Meeting is ${current.status} and cannot be rescheduled`);
         }
+        if (current.series?.shared) {
+          throw createError(409, "Reschedule occurrences of a shared series through /api/meetings/series");
+        }
+
+        const scheduledAt = filteredUpdates.scheduledAt !== undefined ? filteredUpdates.scheduledAt : current.scheduledAt;
+        const durationMinutes = filteredUpdates.durationMinutes ?? current.durationMinutes;
+        filteredUpdates.expiresAt = scheduledAt ? computeExpiry(scheduledAt, durationMinutes) : null;
       }
 
-      const meeting = await meetingRepository.update(meetingId, filteredUpdates);
+      let meeting = await meetingRepository.update(meetingId, filteredUpdates);
       
       if (!meeting) {
         return null;
       }
 
+      // An instant meeting given a start time becomes scheduled
+      if (meeting.status === "created" && meeting.scheduledAt) {
+        meeting = await this.transitionMeeting(meetingId, "scheduled", {
+          from: ["created"],
+          actor: updatedBy,
+          reason: "scheduled"
+        }) || meeting;
+      }
+
+      // Keep a recurring series' schedule in step with its occurrence's meeting
+      if (meeting.series?.seriesId && !meeting.series.shared) {
+        const occurrenceUpdate = { modified: true };
+        if (updates.scheduledAt !== undefined) occurrenceUpdate.startAt = meeting.scheduledAt;
+        if (updates.durationMinutes !== undefined) occurrenceUpdate.durationMinutes = meeting.durationMinutes;
+        if (updates.title !== undefined) occurrenceUpdate.title = meeting.title;
+        if (Object.keys(occurrenceUpdate).length > 1) {
+          await meetingSeriesRepository.updateOccurrence(meeting.series.seriesId, meeting.series.occurrenceId, occurrenceUpdate);
+        }
+      }
+
       return {
         meetingId: meeting.meetingId,
         title: meeting.title,
         status: meeting.status,
         scheduledAt: meeting.scheduledAt,
-        settings: meeting.settings,
+        durationMinutes: meeting.durationMinutes,
+        expiresAt: meeting.expiresAt,
+        settings: toPublicSettings(meeting.settings),
         updatedAt: meeting.updatedAt
       };
 
@@ -398,17 +1016,221 @@ class MeetingService {
   }
 
   /**
-   * Cancel a meeting
+   * Validate meeting updates and turn them into repository fields
+   * (settings are merged field by field; `passcode: null` removes the passcode)
    */
-  async cancelMeeting(meetingId, cancelledBy) {
+  async prepareMeetingUpdate(updates) {
+    const allowedUpdates = ["title", "scheduledAt", "durationMinutes", "metadata"];
+    const allowedSettings = ["allowAnonymous", "waitingRoomEnabled", "recordingEnabled", "recordingConsentRequired", "maxParticipants"];
+    const filteredUpdates = {};
+    
+    for (const key of allowedUpdates) {
+      if (updates[key] !== undefined) {
+        filteredUpdates[key] = updates[key];
+      }
+    }
+
+    if (filteredUpdates.scheduledAt) {
+      filteredUpdates.scheduledAt = new Date(filteredUpdates.scheduledAt);
+      if (Number.isNaN(filteredUpdates.scheduledAt.getTime())) {
+        throw createError(400, "scheduledAt must be an ISO 8601 date");
+      }
+    }
+    if (filteredUpdates.durationMinutes !== undefined) {
+      const minutes = Number(filteredUpdates.durationMinutes);
+      if (!Number.isInteger(minutes) || minutes < 1) {
+        throw createError(400, "durationMinutes must be a positive integer");
+      }
+      filteredUpdates.durationMinutes = minutes;
+    }
+
+    const settings = updates.settings || {};
+    for (const key of allowedSettings) {
+      if (settings[key] !== undefined) {
+        filteredUpdates[`settings.${key}`] = settings[key];
+      }
+    }
+    if (settings.passcode !== undefined) {
+      filteredUpdates["settings.passcodeHash"] = settings.passcode === null || settings.passcode === ""
+        ? null
+        : await hashPasscode(settings.passcode);
+    }
+
+    return filteredUpdates;
+  }
+
+  /**
+   * Validate and hash a meeting passcode (recurring series hash once for all occurrences)
+   */
+  async hashPasscode(passcode) {
+    return hashPasscode(passcode);
+  }
+
+  /**
+   * Expiry of a meeting scheduled at `scheduledAt` for `durationMinutes`
+   */
+  computeExpiry(scheduledAt, durationMinutes) {
+    return computeExpiry(scheduledAt, durationMinutes);
+  }
+
+  /**
+   * Record that a series meeting's occurrence took place
+   * A shared meeting then moves on to the next occurrence
+   */
+  async completeOccurrence(meeting) {
     try {
-      // Mark all participants as left
-      await participantRepository.markAllLeft(meetingId);
+      const { seriesId, occurrenceId, shared } = meeting.series;
+      await meetingSeriesRepository.updateOccurrence(seriesId, occurrenceId, { status: "completed" });
+      if (shared) await this.advanceSharedMeeting(meeting.meetingId);
+    } catch (error) {
+      logger.error("MeetingService.completeOccurrence error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Point a shared series meeting at its next occurrence
+   * Picks the earliest scheduled occurrence that has not ended yet, moves scheduledAt and
+   * durationMinutes there and reopens a completed meeting (never one in progress or cancelled).
+   * Returns the meeting, or null when the series is over or cancelled.
+   */
+  async advanceSharedMeeting(meetingId) {
+    try {
+      const meeting = await meetingRepository.findByMeetingId(meetingId);
+      if (!meeting?.series?.shared || !["created", "scheduled", "completed"].includes(meeting.status)) return null;
+
+      const series = await meetingSeriesRepository.findBySeriesId(meeting.series.seriesId);
+      if (!series || series.status !== "active") return null;
+
+      const endOf = (o) => new Date(o.startAt).getTime() + (o.durationMinutes || series.durationMinutes) * 60000;
+      const scheduled = series.occurrences
+        .filter(o => o.status === "scheduled")
+        .sort((a, b) => new Date(a.startAt) - new Date(b.startAt));
+      const next = scheduled.find(o => endOf(o) > Date.now());
+
+      if (!next) return null;
+
+      const schedule = {
+        title: next.title || series.title,
+        scheduledAt: next.startAt,
+        durationMinutes: next.durationMinutes || series.durationMinutes,
+        expiresAt: new Date(Math.max(...scheduled.map(endOf)) + config.meeting.expiryBufferMinutes * 60000),
+        "series.occurrenceId": next.occurrenceId
+      };
+      const updated = meeting.status === "completed"
+        ? await this.transitionMeeting(meetingId, "scheduled", {
+          from: ["completed"],
+          reason: "next_occurrence",
+          fields: { ...schedule, startedAt: null, endedAt: null }
+        })
+        : await meetingRepository.update(meetingId, schedule);
+
+      if (!updated) return null;
+
+      logger.info(`Shared meeting ${meetingId} moved to occurrence ${next.occurrenceId} of series ${series.seriesId}`);
+      return updated;
+
+    } catch (error) {
+      logger.error("MeetingService.advanceSharedMeeting error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a meeting's allowlist
+   */
+  async getAllowlist(meetingId) {
+    try {
+      const meeting = await meetingRepository.findByMeetingId(meetingId);
+      return meeting ? toPublicAllowlist(meeting) : null;
+    } catch (error) {
+      logger.error("MeetingService.getAllowlist error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Replace a meeting's allowlist (empty lists disable it)
+   */
+  async setAllowlist(meetingId, allowlist) {
+    try {
+      const meeting = await meetingRepository.update(meetingId, {
+        allowlist: normalizeAllowlist(allowlist)
+      });
+      if (!meeting) return null;
+
+      logger.info(`Allowlist replaced for meeting ${meetingId}`);
+      return toPublicAllowlist(meeting);
+
+    } catch (error) {
+      logger.error("MeetingService.setAllowlist error:", error.message);
+      throw error;
+    }
+  }
 
+  /**
+   * Add userIds/emails to a meeting's allowlist
+   */
+  async addToAllowlist(meetingId, entries) {
+    try {
+      const meeting = await meetingRepository.addToAllowlist(meetingId, normalizeAllowlist(entries));
+      return meeting ? toPublicAllowlist(meeting) : null;
+    } catch (error) {
+      logger.error("MeetingService.addToAllowlist error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a single userId or email from a meeting's allowlist
+   */
+  async removeFromAllowlist(meetingId, entry) {
+    try {
+      const meeting = await meetingRepository.removeFromAllowlist(meetingId, {
+        userIds: [entry],
+        emails: [entry.toLowerCase()]
+      });
+      return meeting ? toPublicAllowlist(meeting) : null;
+    } catch (error) {
+      logger.error("MeetingService.removeFromAllowlist error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel a meeting that has not ended (a call in progress is closed)
+   */
+  async cancelMeeting(meetingId, cancelledBy, { reason = "cancelled" } = {}) {
+    try {
       // Update meeting status
-      await meetingRepository.updateStatus(meetingId, "cancelled");
+      const meeting = await this.requireTransition(meetingId, "cancelled", {
+        actor: cancelledBy,
+        reason
+      });
+
+      // Mark all participants as left (e.g. people waiting in the lobby)
+      await participantRepository.markAllLeft(meetingId);
+
+      // Cancelling an occurrence's own meeting cancels that occurrence of its series;
+      // cancelling a shared meeting cancels every occurrence still to come
+      if (meeting?.series?.seriesId && !meeting.series.shared) {
+        await meetingSeriesRepository.updateOccurrence(meeting.series.seriesId, meeting.series.occurrenceId, {
+          status: "cancelled",
+          modified: true
+        });
+      } else if (meeting?.series?.shared) {
+        const series = await meetingSeriesRepository.findBySeriesId(meeting.series.seriesId);
+        if (series) {
+          const pending = series.occurrences.filter(o => new Date(o.startAt) >= new Date(meeting.scheduledAt));
+          await meetingSeriesRepository.cancel(series.seriesId, pending.map(o => o.occurrenceId));
+        }
+      }
+
+      await attendanceService.closeMeetingSessions(meetingId, "meeting_cancelled");
 
       logger.info(`Meeting ${meetingId} cancelled by ${cancelledBy}`);
+      emitMeetingEvent("meeting.cancelled", meeting, { cancelledBy });
+      closeMeetingRoom(meetingId, { reason: "cancelled", endedBy: cancelledBy });
       return { success: true };
 
     } catch (error) {
@@ -417,6 +1239,144 @@ class MeetingService {
     }
   }
 
+  /**
+   * Expire meetings that never started before their expiry (scheduler job)
+   * Returns how many were expired
+   */
+  async expireOverdueMeetings({ now = new Date(), limit = config.scheduler.batchSize } = {}) {
+    try {
+      let expiredCount = 0;
+
+      for (const overdue of await meetingRepository.findOverdue(now, limit)) {
+        // Someone may have joined (or cancelled) since the query
+        const expired = await this.transitionMeeting(overdue.meetingId, "expired", {
+          from: ["created", "scheduled"],
+          reason: "expired"
+        });
+        if (!expired) continue;
+
+        // Anyone still waiting in the lobby is sent away
+        await participantRepository.markAllLeft(expired.meetingId);
+        emitMeetingEvent("meeting.expired", expired, { reason: "expired" });
+        closeMeetingRoom(expired.meetingId, { reason: "expired", endedBy: "system" });
+        expiredCount++;
+      }
+
+      if (expiredCount > 0) logger.info(`Expired ${expiredCount} overdue meetings`);
+      return expiredCount;
+
+    } catch (error) {
+      logger.error("MeetingService.expireOverdueMeetings error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Close calls left active with nobody connected (scheduler job)
+   * A meeting qualifies once it has run MEETING_EXPIRY_BUFFER past startedAt + durationMinutes
+   * and no socket is in its call on any node; the call becomes expired (reason "abandoned"),
+   * except a shared series meeting, which completes and moves on to its next occurrence.
+   * Returns how many were closed
+   */
+  async expireAbandonedMeetings({ now = new Date(), limit = config.scheduler.batchSize } = {}) {
+    try {
+      const graceMs = config.meeting.expiryBufferMinutes * 60000;
+      let closedCount = 0;
+
+      for (const overrunning of await meetingRepository.findOverrunning(now, graceMs, limit)) {
+        // Still in use, or other nodes didn't answer: leave it alone
+        if (await countRoomSockets(overrunning.meetingId) !== 0) continue;
+
+        const shared = !!overrunning.series?.shared;
+        const closed = await this.transitionMeeting(overrunning.meetingId, shared ? "completed" : "expired", {
+          from: ["active"],
+          reason: "abandoned"
+        });
+        if (!closed) continue;
+
+        await participantRepository.markAllLeft(closed.meetingId);
+        await attendanceService.closeMeetingSessions(closed.meetingId, shared ? "meeting_ended" : "meeting_expired");
+        if (shared) {
+          emitMeetingEvent("meeting.ended", closed, { reason: "abandoned" });
+          await this.completeOccurrence(closed);
+        } else {
+          emitMeetingEvent("meeting.expired", closed, { reason: "abandoned" });
+        }
+        closeMeetingRoom(closed.meetingId, { reason: "expired", endedBy: "system" });
+        closedCount++;
+      }
+
+      if (closedCount > 0) logger.info(`Closed ${closedCount} abandoned meetings`);
+      return closedCount;
+
+    } catch (error) {
+      logger.error("MeetingService.expireAbandonedMeetings error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Emit meeting.starting_soon for meetings starting within the next
+   * MEETING_STARTING_SOON_MINUTES (scheduler job; once per scheduled time)
+   * Returns how many notices went out
+   */
+  async sendStartingSoonNotices({ now = new Date(), limit = config.scheduler.batchSize } = {}) {
+    try {
+      const until = new Date(now.getTime() + config.scheduler.startingSoonMinutes * 60000);
+      let sent = 0;
+
+      for (const upcoming of await meetingRepository.findStartingSoon(now, until, limit)) {
+        const meeting = await meetingRepository.markNotified(upcoming.meetingId, "startingSoon", upcoming.scheduledAt);
+        if (!meeting) continue;
+
+        emitMeetingEvent("meeting.starting_soon", meeting, {
+          startsInMinutes: Math.max(0, Math.round((new Date(meeting.scheduledAt) - now) / 60000))
+        });
+        sent++;
+      }
+
+      return sent;
+
+    } catch (error) {
+      logger.error("MeetingService.sendStartingSoonNotices error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Emit meeting.no_show for scheduled meetings nobody joined within
+   * MEETING_NO_SHOW_GRACE_MINUTES of their start (scheduler job; once per scheduled time)
+   * The meeting stays joinable until it expires. A shared series meeting whose occurrence
+   * ended unattended moves on to its next occurrence.
+   * Returns how many meetings were flagged
+   */
+  async flagNoShows({ now = new Date(), limit = config.scheduler.batchSize } = {}) {
+    try {
+      const graceMinutes = config.scheduler.noShowGraceMinutes;
+      const cutoff = new Date(now.getTime() - graceMinutes * 60000);
+      let flagged = 0;
+
+      for (const missed of await meetingRepository.findNoShows(cutoff, limit)) {
+        const meeting = await meetingRepository.markNotified(missed.meetingId, "noShow", missed.scheduledAt);
+        if (!meeting) continue;
+
+        logger.info(`Meeting ${meeting.meetingId} flagged as no-show`);
+        emitMeetingEvent("meeting.no_show", meeting, { graceMinutes });
+        flagged++;
+      }
+
+      for (const shared of await meetingRepository.findMissedSharedOccurrences(now, limit)) {
+        await this.advanceSharedMeeting(shared.meetingId);
+      }
+
+      return flagged;
+
+    } catch (error) {
+      logger.error("MeetingService.flagNoShows error:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Validate meeting ID format
    */
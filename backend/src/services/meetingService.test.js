@@ -0,0 +1,271 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import bcrypt from "bcryptjs";
+import meetingService from "./meetingService.js";
+import appService from "./appService.js";
+import attendanceService from "./attendanceService.js";
+import { meetingRepository, participantRepository, meetingSeriesRepository } from "../repositories/index.js";
+import { setSignalingServer } from "../socket/signaling.js";
+import { config } from "../config.js";
+
+const MEETING_ID = "abc-1234-xyz";
+let meetings;
+let participants;
+
+// In-memory stand-ins for the meetings and participants collections
+meetingRepository.findByMeetingId = async (meetingId) => structuredClone(meetings.get(meetingId) || null);
+meetingRepository.transitionStatus = async (meetingId, fromStatuses, status, fields = {}, { actor = "system", reason = null } = {}) => {
+  const meeting = meetings.get(meetingId);
+  if (!meeting || !fromStatuses.includes(meeting.status)) return null;
+  meeting.statusHistory.push({ from: meeting.status, to: status, actor, reason, at: new Date() });
+  Object.assign(meeting, fields, { status });
+  return structuredClone(meeting);
+};
+participantRepository.findByMeetingAndUser = async (meetingId, userId) =>
+  structuredClone(participants.find(p => p.meetingId === meetingId && p.userId === userId) || null);
+participantRepository.add = async (participant) => { participants.push(participant); return participant; };
+participantRepository.updateStatus = async (meetingId, userId, status, fields = {}) => {
+  const participant = participants.find(p => p.meetingId === meetingId && p.userId === userId);
+  if (participant) Object.assign(participant, fields, { status });
+  return structuredClone(participant || null);
+};
+participantRepository.transitionStatus = async (meetingId, userId, fromStatuses, status, fields = {}) => {
+  const participant = participants.find(p => p.meetingId === meetingId && p.userId === userId);
+  if (!participant || !fromStatuses.includes(participant.status)) return null;
+  Object.assign(participant, fields, { status });
+  return structuredClone(participant);
+};
+participantRepository.markAllLeft = async (meetingId) => {
+  for (const participant of participants) {
+    if (participant.meetingId === meetingId && ["waiting", "joined", "connected"].includes(participant.status)) {
+      participant.status = "left";
+    }
+  }
+};
+attendanceService.closeMeetingSessions = async () => {};
+// No webhooks
+appService.getActiveApp = async () => null;
+
+function addMeeting(fields = {}) {
+  const meeting = {
+    meetingId: MEETING_ID,
+    appId: "app-1",
+    title: "Standup",
+    createdBy: "creator",
+    status: "scheduled",
+    scheduledAt: new Date(),
+    durationMinutes: 30,
+    settings: { allowAnonymous: true, waitingRoomEnabled: true, maxParticipants: 10 },
+    allowlist: { userIds: [], emails: [] },
+    statusHistory: [],
+    ...fields
+  };
+  meetings.set(meeting.meetingId, meeting);
+  return meeting;
+}
+
+beforeEach(() => {
+  meetings = new Map();
+  participants = [];
+  meetingService.canJoinMeeting = async () => ({ allowed: true });
+});
+
+test("joinMeeting makes the creator host when the app vouches for the userId", async () => {
+  addMeeting();
+
+  for (const via of ["app", "jwt"]) {
+    participants = [];
+    const result = await meetingService.joinMeeting(MEETING_ID, { userId: "creator" }, { identity: { via } });
+    assert.equal(result.participant.role, "host", via);
+    assert.equal(result.waitingRoom, false, via);
+  }
+});
+
+test("joinMeeting never makes a self-declared creator userId host", async () => {
+  addMeeting();
+
+  for (const via of ["anonymous", "invite"]) {
+    participants = [];
+    const result = await meetingService.joinMeeting(MEETING_ID, { userId: "creator" }, { identity: { via } });
+    assert.equal(result.participant.role, "participant", via);
+    assert.equal(result.waitingRoom, true, via);
+  }
+});
+
+test("getMeeting does not expose createdBy", async () => {
+  addMeeting();
+
+  const meeting = await meetingService.getMeeting(MEETING_ID);
+
+  assert.equal(meeting.meetingId, MEETING_ID);
+  assert.equal("createdBy" in meeting, false);
+});
+
+test("cancelMeeting cancels a call in progress", async () => {
+  addMeeting({ status: "active", startedAt: new Date() });
+
+  await meetingService.cancelMeeting(MEETING_ID, "host-1", { reason: "wrong room" });
+
+  const meeting = meetings.get(MEETING_ID);
+  assert.equal(meeting.status, "cancelled");
+  assert.deepEqual(meeting.statusHistory.map(h => [h.from, h.to, h.actor, h.reason]), [
+    ["active", "cancelled", "host-1", "wrong room"]
+  ]);
+});
+
+test("cancelMeeting sends away guests waiting in the lobby", async () => {
+  addMeeting();
+  await meetingService.joinMeeting(MEETING_ID, { userId: "guest", name: "Guest" }, { identity: { via: "anonymous" } });
+  assert.equal(participants[0].status, "waiting");
+
+  await meetingService.cancelMeeting(MEETING_ID, "host-1");
+
+  assert.equal(participants[0].status, "left");
+});
+
+test("cancelMeeting and endMeeting refuse statuses they can't leave", async () => {
+  addMeeting({ status: "completed" });
+  await assert.rejects(meetingService.cancelMeeting(MEETING_ID, "host-1"), { status: 409, code: "invalid_status_transition" });
+
+  meetings.get(MEETING_ID).status = "scheduled";
+  await assert.rejects(meetingService.endMeeting(MEETING_ID, "host-1"), { status: 409, code: "invalid_status_transition" });
+
+  await assert.rejects(meetingService.cancelMeeting("zzz-9999-zzz", "host-1"), { status: 404 });
+  assert.equal(meetings.get(MEETING_ID).statusHistory.length, 0);
+});
+
+test("expireAbandonedMeetings closes overrunning calls nobody is connected to", async () => {
+  const longAgo = new Date(Date.now() - 3 * 60 * 60 * 1000);
+  addMeeting({ meetingId: "abc-0001-xyz", status: "active", startedAt: longAgo });
+  addMeeting({ meetingId: "abc-0002-xyz", status: "active", startedAt: longAgo });
+  addMeeting({ meetingId: "abc-0003-xyz", status: "active", startedAt: longAgo, series: { seriesId: "ser_1", occurrenceId: "occ_1", shared: true } });
+  addMeeting({ meetingId: "abc-0004-xyz", status: "active", startedAt: new Date() });
+
+  const connected = new Map([["abc-0002-xyz", [{ id: "s1" }]]]);
+  const closedRooms = [];
+  meetingRepository.findOverrunning = async (now, graceMs) => [...meetings.values()]
+    .filter(m => m.status === "active" && m.startedAt.getTime() + m.durationMinutes * 60000 + graceMs < now.getTime())
+    .map(m => structuredClone(m));
+  meetingSeriesRepository.updateOccurrence = async () => {};
+  meetingSeriesRepository.findBySeriesId = async () => null;
+  setSignalingServer({
+    in: (room) => ({ fetchSockets: async () => connected.get(room) || [], disconnectSockets: () => {} }),
+    to: (rooms) => ({ emit: () => closedRooms.push(rooms[0]) })
+  });
+
+  try {
+    assert.equal(await meetingService.expireAbandonedMeetings(), 2);
+  } finally {
+    setSignalingServer(null);
+  }
+
+  assert.equal(meetings.get("abc-0001-xyz").status, "expired");
+  assert.equal(meetings.get("abc-0001-xyz").statusHistory.at(-1).reason, "abandoned");
+  assert.equal(meetings.get("abc-0002-xyz").status, "active");
+  assert.equal(meetings.get("abc-0003-xyz").status, "completed");
+  assert.equal(meetings.get("abc-0004-xyz").status, "active");
+  assert.deepEqual(closedRooms, ["abc-0001-xyz", "abc-0003-xyz"]);
+});
+
+test("expireAbandonedMeetings skips meetings whose sockets can't be counted", async () => {
+  addMeeting({ status: "active", startedAt: new Date(Date.now() - 3 * 60 * 60 * 1000) });
+  meetingRepository.findOverrunning = async () => [structuredClone(meetings.get(MEETING_ID))];
+
+  // No signaling server: countRoomSockets answers null
+  assert.equal(await meetingService.expireAbandonedMeetings(), 0);
+  assert.equal(meetings.get(MEETING_ID).status, "active");
+});
+
+test("cleanupParticipants resets participants only when nobody is connected", async () => {
+  addMeeting({ status: "active", startedAt: new Date() });
+  participants = [
+    { meetingId: MEETING_ID, userId: "u1", status: "connected" },
+    { meetingId: MEETING_ID, userId: "u2", status: "waiting" }
+  ];
+  const connected = [{ id: "s1" }];
+  const closedSessions = [];
+  attendanceService.closeMeetingSessions = async (meetingId, endReason) => { closedSessions.push([meetingId, endReason]); };
+  setSignalingServer({ in: () => ({ fetchSockets: async () => connected }) });
+
+  try {
+    await assert.rejects(meetingService.cleanupParticipants(MEETING_ID), { status: 409, code: "participants_connected" });
+    assert.deepEqual(participants.map(p => p.status), ["connected", "waiting"]);
+
+    connected.length = 0;
+    await meetingService.cleanupParticipants(MEETING_ID);
+  } finally {
+    setSignalingServer(null);
+    attendanceService.closeMeetingSessions = async () => {};
+  }
+
+  assert.deepEqual(participants.map(p => p.status), ["left", "left"]);
+  assert.deepEqual(closedSessions, [[MEETING_ID, "disconnected"]]);
+});
+
+test("verifyPasscode throttles an IP after repeated failures, per meeting", async () => {
+  const meeting = addMeeting({ settings: { passcodeHash: await bcrypt.hash("2468", 4) } });
+  const other = { ...meeting, meetingId: "abc-0009-xyz" };
+
+  for (let i = 0; i < config.passcode.maxAttempts; i++) {
+    assert.equal((await meetingService.verifyPasscode(meeting, "0000", "198.51.100.1")).code, "passcode_invalid");
+  }
+
+  // Even the right passcode waits out the window from that IP
+  const throttled = await meetingService.verifyPasscode(meeting, "2468", "198.51.100.1");
+  assert.equal(throttled.code, "passcode_throttled");
+  assert.ok(throttled.retryAfter > 0);
+
+  // Other IPs and other meetings are unaffected
+  assert.equal((await meetingService.verifyPasscode(meeting, "2468", "198.51.100.2")).allowed, true);
+  assert.equal((await meetingService.verifyPasscode(other, "2468", "198.51.100.1")).allowed, true);
+});
+
+test("a correct passcode clears earlier failures", async () => {
+  const meeting = addMeeting({ meetingId: "abc-0010-xyz", settings: { passcodeHash: await bcrypt.hash("2468", 4) } });
+
+  for (let i = 0; i < config.passcode.maxAttempts - 1; i++) {
+    await meetingService.verifyPasscode(meeting, "0000", "198.51.100.3");
+  }
+  assert.equal((await meetingService.verifyPasscode(meeting, "2468", "198.51.100.3")).allowed, true);
+  assert.equal((await meetingService.verifyPasscode(meeting, "0000", "198.51.100.3")).code, "passcode_invalid");
+  assert.equal((await meetingService.verifyPasscode(meeting, "2468", "198.51.100.3")).allowed, true);
+});
+
+test("a guest waits in the lobby until admitted, then rejoins straight in", async () => {
+  addMeeting();
+
+  const first = await meetingService.joinMeeting(MEETING_ID, { userId: "guest", name: "Lee" }, { identity: { via: "anonymous" } });
+  assert.equal(first.waitingRoom, true);
+  assert.equal(first.participant.status, "waiting");
+  assert.equal(meetings.get(MEETING_ID).status, "scheduled");
+
+  const admitted = await meetingService.admitParticipant(MEETING_ID, "guest", "host-1");
+  assert.equal(admitted.status, "joined");
+  assert.equal(admitted.admittedBy, "host-1");
+  assert.equal(meetings.get(MEETING_ID).status, "active");
+  assert.equal(await meetingService.admitParticipant(MEETING_ID, "guest", "host-1"), null);
+
+  const rejoin = await meetingService.joinMeeting(MEETING_ID, { userId: "guest", name: "Lee" }, { identity: { via: "anonymous" } });
+  assert.equal(rejoin.waitingRoom, false);
+  assert.equal(rejoin.participant.status, "joined");
+});
+
+test("a denied guest cannot join again", async () => {
+  addMeeting();
+  await meetingService.joinMeeting(MEETING_ID, { userId: "guest", name: "Lee" }, { identity: { via: "anonymous" } });
+
+  assert.equal((await meetingService.denyParticipant(MEETING_ID, "guest", "host-1")).status, "denied");
+
+  const retry = await meetingService.joinMeeting(MEETING_ID, { userId: "guest", name: "Lee" }, { identity: { via: "anonymous" } });
+  assert.equal(retry.success, false);
+  assert.equal(retry.reason, "Entry denied by host");
+});
+
+test("hosts and meetings without a waiting room skip the lobby", async () => {
+  const meeting = addMeeting();
+
+  assert.equal(meetingService.requiresAdmission(meeting, { role: "host" }), false);
+  assert.equal(meetingService.requiresAdmission(meeting, { role: "participant" }), true);
+  assert.equal(meetingService.requiresAdmission(meeting, { role: "participant", admittedAt: new Date() }), false);
+  assert.equal(meetingService.requiresAdmission({ settings: { waitingRoomEnabled: false } }, { role: "participant" }), false);
+});
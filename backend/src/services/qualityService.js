@@ -0,0 +1,190 @@
+/**
+ * Quality Service
+ * Connection quality telemetry: clients sample RTCPeerConnection.getStats()
+ * and report summaries over the socket; rollups live in Participant.metrics
+ */
+
+import createError from "http-errors";
+import { meetingRepository, participantRepository } from "../repositories/index.js";
+import { logger } from "../utils/logger.js";
+
+// Rolled-up statistics and the largest value accepted for each
+const STAT_LIMITS = {
+  rttMs: 60000,
+  jitterMs: 60000,
+  packetLossPct: 100,
+  inboundKbps: 1000000,
+  outboundKbps: 1000000
+};
+
+const CANDIDATE_TYPES = ["host", "srflx", "prflx", "relay"];
+const NETWORK_TYPES = ["wifi", "ethernet", "cellular", "bluetooth", "wimax", "vpn", "unknown"];
+
+// Upper bounds of each quality level, checked in order; anything worse is "poor"
+const QUALITY_LEVELS = [
+  { level: "excellent", rttMs: 150, jitterMs: 30, packetLossPct: 1 },
+  { level: "good", rttMs: 300, jitterMs: 50, packetLossPct: 3 },
+  { level: "fair", rttMs: 500, jitterMs: 100, packetLossPct: 8 }
+];
+
+/**
+ * Rate one sample by its round-trip time, jitter and packet loss
+ */
+function classifyQuality(stats) {
+  const within = (limits) => ["rttMs", "jitterMs", "packetLossPct"]
+    .every(key => stats[key] === undefined || stats[key] <= limits[key]);
+  return QUALITY_LEVELS.find(within)?.level || "poor";
+}
+
+/**
+ * Keep only known, finite, in-range numbers from a client report
+ */
+function parseSample(report) {
+  const stats = {};
+  for (const [key, limit] of Object.entries(STAT_LIMITS)) {
+    const value = Number(report?.[key]);
+    if (report?.[key] !== undefined && report[key] !== null && Number.isFinite(value) && value >= 0) {
+      stats[key] = Math.round(Math.min(value, limit) * 10) / 10;
+    }
+  }
+
+  const fields = {};
+  if (CANDIDATE_TYPES.includes(report?.candidateType)) fields.candidateType = report.candidateType;
+  if (NETWORK_TYPES.includes(report?.networkType)) fields.networkType = report.networkType;
+
+  return { stats, fields };
+}
+
+/**
+ * Rough browser and device class from a user agent
+ */
+function describeUserAgent(userAgent = "") {
+  const browser = /Edg\//.test(userAgent) ? "Edge"
+    : /OPR\//.test(userAgent) ? "Opera"
+      : /Firefox\//.test(userAgent) ? "Firefox"
+        : /Chrome\//.test(userAgent) ? "Chrome"
+          : /Safari\//.test(userAgent) ? "Safari"
+            : "Other";
+  const device = /iPad|Tablet/.test(userAgent) ? "tablet"
+    : /Mobi|Android|iPhone/.test(userAgent) ? "mobile"
+      : "desktop";
+  return { browser, device };
+}
+
+/**
+ * Average / max / last of one rollup (null when never reported)
+ */
+function summarizeRollup(rollup) {
+  if (!rollup?.count) return null;
+  return {
+    avg: Math.round((rollup.sum / rollup.count) * 10) / 10,
+    max: rollup.max,
+    last: rollup.last
+  };
+}
+
+class QualityService {
+  /**
+   * Store one quality report from a participant's client
+   * Returns the connection quality of the sample, or null when nothing usable was reported
+   */
+  async recordSample(meetingId, userId, report) {
+    try {
+      const { stats, fields } = parseSample(report);
+      if (Object.keys(stats).length === 0 && !fields.candidateType) return null;
+
+      const connectionQuality = classifyQuality(stats);
+      await participantRepository.addQualitySample(meetingId, userId, stats, { ...fields, connectionQuality });
+      return connectionQuality;
+
+    } catch (error) {
+      logger.error("QualityService.recordSample error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Remember where a participant connects from (on entering the call)
+   */
+  async recordClientInfo(meetingId, userId, { userAgent, ip }) {
+    try {
+      await participantRepository.updateClientInfo(meetingId, userId, { userAgent, ip }, describeUserAgent(userAgent));
+    } catch (error) {
+      logger.error("QualityService.recordClientInfo error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Shape a participant's metrics for API responses
+   */
+  summarize(metrics) {
+    if (!metrics) return null;
+    return {
+      connectionQuality: metrics.connectionQuality || null,
+      networkType: metrics.networkType || null,
+      candidateType: metrics.candidateType || null,
+      browser: metrics.browser || null,
+      device: metrics.device || null,
+      samples: metrics.samples || 0,
+      relayShare: metrics.samples ? Math.round((metrics.relaySamples / metrics.samples) * 100) / 100 : null,
+      rttMs: summarizeRollup(metrics.rttMs),
+      jitterMs: summarizeRollup(metrics.jitterMs),
+      packetLossPct: summarizeRollup(metrics.packetLossPct),
+      inboundKbps: summarizeRollup(metrics.inboundKbps),
+      outboundKbps: summarizeRollup(metrics.outboundKbps),
+      firstSampleAt: metrics.firstSampleAt || null,
+      lastSampleAt: metrics.lastSampleAt || null
+    };
+  }
+
+  /**
+   * Quality report for every participant of a meeting (past ones included)
+   */
+  async getMeetingQuality(meetingId) {
+    try {
+      const meeting = await meetingRepository.findByMeetingId(meetingId);
+      if (!meeting) {
+        throw createError(404, "Meeting not found");
+      }
+
+      const participants = await participantRepository.getMeetingHistory(meetingId);
+      const reported = participants.filter(p => p.metrics?.samples > 0);
+      const totals = reported.reduce((acc, p) => ({
+        samples: acc.samples + p.metrics.samples,
+        relaySamples: acc.relaySamples + (p.metrics.relaySamples || 0)
+      }), { samples: 0, relaySamples: 0 });
+
+      const byQuality = {};
+      for (const p of reported) {
+        const level = p.metrics.connectionQuality || "unknown";
+        byQuality[level] = (byQuality[level] || 0) + 1;
+      }
+
+      return {
+        meetingId,
+        status: meeting.status,
+        summary: {
+          participantsReporting: reported.length,
+          samples: totals.samples,
+          relayShare: totals.samples ? Math.round((totals.relaySamples / totals.samples) * 100) / 100 : null,
+          byQuality
+        },
+        participants: participants.map(p => ({
+          userId: p.userId,
+          name: p.name,
+          role: p.role,
+          status: p.status,
+          clientInfo: p.clientInfo ? { userAgent: p.clientInfo.userAgent, region: p.clientInfo.region } : null,
+          metrics: this.summarize(p.metrics)
+        }))
+      };
+
+    } catch (error) {
+      logger.error("QualityService.getMeetingQuality error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new QualityService();
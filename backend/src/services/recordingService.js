@@ -0,0 +1,509 @@
+/**
+ * Recording Service
+ * Business logic for call recordings: the recording browser uploads MediaRecorder
+ * chunks as they are produced, and stopping assembles them in recording storage.
+ * Everyone in the call is told when a recording starts and stops; meetings with
+ * settings.recordingConsentRequired ask the other participants first.
+ */
+
+import createError from "http-errors";
+import { nanoid } from "nanoid";
+import { config } from "../config.js";
+import { meetingRepository, recordingRepository } from "../repositories/index.js";
+import { recordingStorage } from "../storage/index.js";
+import { logger } from "../utils/logger.js";
+import { emitAppEvent } from "../webhooks/dispatcher.js";
+import { emitToMeeting, listMeetingUsers } from "../socket/signaling.js";
+
+const RECORDING_ROLES = ["host", "participant"];
+const MIME_TYPE_PATTERN = /^(video|audio)\/[\w.+-]+(;[\w=.,\s-]*)?$/;
+
+/**
+ * Lowest chunk index not received yet (where an interrupted upload resumes)
+ */
+function getNextChunk(receivedChunks) {
+  const received = new Set(receivedChunks);
+  let next = 0;
+  while (received.has(next)) next += 1;
+  return next;
+}
+
+/**
+ * Shape a recording for API responses and webhooks
+ */
+function toPublicRecording(recording) {
+  return {
+    recordingId: recording.recordingId,
+    meetingId: recording.meetingId,
+    status: recording.status,
+    mimeType: recording.mimeType,
+    startedBy: recording.startedBy,
+    startedAt: recording.startedAt,
+    stoppedAt: recording.stoppedAt,
+    readyAt: recording.readyAt,
+    durationSeconds: recording.durationSeconds,
+    sizeBytes: recording.sizeBytes,
+    consents: recording.consents,
+    consentDeadline: recording.consentDeadline,
+    upload: {
+      receivedChunks: recording.receivedChunks.length,
+      uploadedBytes: recording.uploadedBytes,
+      totalChunks: recording.totalChunks,
+      nextChunk: getNextChunk(recording.receivedChunks)
+    },
+    error: recording.error,
+    audit: recording.audit
+  };
+}
+
+/**
+ * Tell everyone in the call that a recording is running
+ */
+function announceStarted(recording) {
+  emitToMeeting(recording.meetingId, "recording-started", {
+    recordingId: recording.recordingId,
+    userId: recording.startedBy.userId,
+    name: recording.startedBy.name,
+    startedAt: recording.startedAt
+  });
+}
+
+/**
+ * Tell everyone in the call that a recording (or a consent request) is over
+ */
+function announceStopped(recording) {
+  emitToMeeting(recording.meetingId, "recording-stopped", {
+    recordingId: recording.recordingId,
+    userId: recording.startedBy.userId,
+    name: recording.startedBy.name,
+    stoppedAt: recording.stoppedAt
+  });
+}
+
+/**
+ * File extension for a download, from the recorded container type
+ */
+function getFileExtension(mimeType) {
+  if (mimeType.includes("mp4")) return "mp4";
+  if (mimeType.startsWith("audio/")) return "weba";
+  return "webm";
+}
+
+class RecordingService {
+  /**
+   * Start a recording for a participant of an active meeting
+   * With settings.recordingConsentRequired the recording waits in "awaiting_consent"
+   * until everyone else in the call agrees (see respondToConsent)
+   */
+  async startRecording(meetingId, participant, { mimeType = "video/webm" } = {}) {
+    try {
+      if (!RECORDING_ROLES.includes(participant.role)) {
+        throw createError(403, "Observers cannot record");
+      }
+      if (typeof mimeType !== "string" || mimeType.length > 100 || !MIME_TYPE_PATTERN.test(mimeType)) {
+        throw createError(400, "mimeType must be a video or audio media type");
+      }
+
+      const meeting = await meetingRepository.findByMeetingId(meetingId);
+      if (!meeting) {
+        throw createError(404, "Meeting not found");
+      }
+      if (!meeting.settings?.recordingEnabled) {
+        throw createError(403, "Recording is disabled for this meeting", { code: "recording_disabled" });
+      }
+      if (meeting.status !== "active") {
+        throw createError(409, `Meeting is ${meeting.status}`);
+      }
+
+      // Everyone else in the call at this moment is asked
+      let consents = [];
+      if (meeting.settings.recordingConsentRequired) {
+        const users = await listMeetingUsers(meetingId);
+        if (!users) {
+          throw createError(503, "Could not reach the participants to ask for consent");
+        }
+        consents = users
+          .filter(u => u.userId !== participant.userId)
+          .map(u => ({ userId: u.userId, name: u.name }));
+      }
+      const awaitingConsent = consents.length > 0;
+
+      const recordingId = `rec_${nanoid(16)}`;
+      const actor = { userId: participant.userId, name: participant.name };
+      const timeoutSeconds = config.recording.consentTimeoutSeconds;
+      const recording = await recordingRepository.create({
+        recordingId,
+        meetingId,
+        appId: meeting.appId,
+        startedBy: actor,
+        status: awaitingConsent ? "awaiting_consent" : "recording",
+        consents,
+        consentDeadline: awaitingConsent ? new Date(Date.now() + timeoutSeconds * 1000) : null,
+        mimeType,
+        storageKey: `${encodeURIComponent(meeting.appId)}/${meetingId}/${recordingId}`,
+        audit: [{ action: awaitingConsent ? "requested" : "started", ...actor }]
+      });
+
+      if (awaitingConsent) {
+        emitToMeeting(meetingId, "recording-consent-requested", { recordingId, ...actor, timeoutSeconds });
+        // Fast path on this instance; the scheduler declines it if this process is gone
+        setTimeout(() => {
+          this.expireConsentRequest(recordingId).catch((err) =>
+            logger.error(`Recording ${recordingId} consent expiry failed:`, err.message)
+          );
+        }, timeoutSeconds * 1000).unref();
+        logger.info(`Recording ${recordingId} requested in meeting ${meetingId} by ${participant.userId}; ` +
+          `waiting for ${consents.length} consent(s)`);
+      } else {
+        announceStarted(recording);
+        logger.info(`Recording ${recordingId} started in meeting ${meetingId} by ${participant.userId}`);
+      }
+
+      return toPublicRecording(recording);
+
+    } catch (error) {
+      logger.error("RecordingService.startRecording error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record a participant's answer to a consent request
+   * One refusal declines the recording; the last approval starts it.
+   * Returns null when there is nothing (left) for this participant to answer; an answer
+   * after the deadline declines the request instead.
+   */
+  async respondToConsent(meetingId, recordingId, participant, granted) {
+    try {
+      const actor = { userId: participant.userId, name: participant.name };
+      const answered = await recordingRepository.answerConsent(meetingId, recordingId, participant.userId, !!granted, {
+        action: granted ? "consent_granted" : "consent_declined",
+        ...actor
+      });
+      if (!answered) {
+        await this.expireConsentRequest(recordingId);
+        return null;
+      }
+
+      if (!granted) {
+        const declined = await recordingRepository.transition(recordingId, "awaiting_consent", { status: "declined" }, {
+          action: "declined",
+          ...actor,
+          detail: `Declined by ${participant.name || participant.userId}`
+        });
+        if (declined) {
+          emitToMeeting(meetingId, "recording-declined", { recordingId, ...declined.startedBy, declinedBy: actor });
+          logger.info(`Recording ${recordingId} declined by ${participant.userId}`);
+        }
+        return toPublicRecording(declined || answered);
+      }
+
+      if (answered.consents.every(c => c.granted === true)) {
+        const started = await recordingRepository.transition(recordingId, "awaiting_consent", {
+          status: "recording",
+          startedAt: new Date()
+        }, { action: "started", ...answered.startedBy });
+        if (started) {
+          announceStarted(started);
+          logger.info(`Recording ${recordingId} started in meeting ${meetingId} after consent`);
+          return toPublicRecording(started);
+        }
+      }
+
+      return toPublicRecording(answered);
+
+    } catch (error) {
+      logger.error("RecordingService.respondToConsent error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Decline a consent request nobody finished answering in time
+   * No-op unless it is still pending and its consentDeadline has passed
+   */
+  async expireConsentRequest(recordingId, now = new Date()) {
+    const expired = await recordingRepository.declineOverdueConsent(recordingId, now, {
+      action: "declined",
+      detail: "Consent request timed out"
+    });
+    if (!expired) return false;
+
+    emitToMeeting(expired.meetingId, "recording-declined", {
+      recordingId,
+      ...expired.startedBy,
+      declinedBy: null
+    });
+    logger.info(`Recording ${recordingId} consent request timed out`);
+    return true;
+  }
+
+  /**
+   * Decline every consent request past its deadline (scheduler job)
+   * Returns how many were declined
+   */
+  async expireOverdueConsentRequests({ now = new Date(), limit = config.scheduler.batchSize } = {}) {
+    try {
+      let expiredCount = 0;
+      for (const overdue of await recordingRepository.findOverdueConsentRequests(now, limit)) {
+        if (await this.expireConsentRequest(overdue.recordingId, now)) expiredCount++;
+      }
+      return expiredCount;
+    } catch (error) {
+      logger.error("RecordingService.expireOverdueConsentRequests error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Store one uploaded chunk
+   * Chunks may arrive in any order and a chunk may be re-sent; the same index overwrites
+   */
+  async uploadChunk(meetingId, recordingId, userId, index, data) {
+    try {
+      if (!Number.isInteger(index) || index < 0 || index >= config.recording.maxChunks) {
+        throw createError(400, `Chunk index must be an integer from 0 to ${config.recording.maxChunks - 1}`);
+      }
+      if (!Buffer.isBuffer(data) || data.length === 0) {
+        throw createError(400, "Chunk body is required");
+      }
+
+      const recording = await this.getOwnRecording(meetingId, recordingId, userId);
+      if (recording.status !== "recording") {
+        throw createError(409, `Recording is ${recording.status}`);
+      }
+      if (recording.uploadedBytes + data.length > config.recording.maxBytes) {
+        throw createError(413, "Recording is too large");
+      }
+
+      await recordingStorage.writeChunk(recording.storageKey, index, data);
+
+      const updated = await recordingRepository.addChunk(recordingId, index, data.length)
+        || await recordingRepository.findByRecordingId(recordingId);
+      if (updated.status !== "recording") {
+        throw createError(409, `Recording is ${updated.status}`);
+      }
+
+      return toPublicRecording(updated);
+
+    } catch (error) {
+      logger.error("RecordingService.uploadChunk error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop a recording once every chunk up to `totalChunks` has arrived, then assemble it
+   * in the background; `recording.ready` is sent when the file is available.
+   * Stopping while consent is pending cancels the request.
+   * Stopping again returns the current state, so clients can retry safely.
+   */
+  async stopRecording(meetingId, recordingId, participant, { totalChunks } = {}) {
+    try {
+      const actor = { userId: participant.userId, name: participant.name };
+      const recording = await this.getOwnRecording(meetingId, recordingId, participant.userId);
+
+      if (recording.status === "awaiting_consent") {
+        const cancelled = await recordingRepository.transition(recordingId, "awaiting_consent", {
+          status: "cancelled",
+          stoppedAt: new Date()
+        }, { action: "cancelled", ...actor });
+        if (cancelled) announceStopped(cancelled);
+        return toPublicRecording(cancelled || await recordingRepository.findByRecordingId(recordingId));
+      }
+      if (recording.status !== "recording") {
+        return toPublicRecording(recording);
+      }
+
+      const expected = totalChunks ?? recording.receivedChunks.length;
+      if (!Number.isInteger(expected) || expected < 1 || expected > config.recording.maxChunks) {
+        throw createError(400, `totalChunks must be an integer from 1 to ${config.recording.maxChunks}`);
+      }
+
+      // Report the first few gaps only
+      const received = new Set(recording.receivedChunks);
+      const missing = [];
+      for (let index = 0; index < expected && missing.length < 20; index += 1) {
+        if (!received.has(index)) missing.push(index);
+      }
+      if (missing.length > 0) {
+        throw createError(409, `Missing chunks: ${missing.join(", ")}`, { code: "chunks_missing" });
+      }
+
+      const stoppedAt = new Date();
+      const stopped = await recordingRepository.transition(recordingId, "recording", {
+        status: "processing",
+        totalChunks: expected,
+        stoppedAt,
+        durationSeconds: Math.round((stoppedAt - new Date(recording.startedAt)) / 1000)
+      }, { action: "stopped", ...actor });
+      if (!stopped) {
+        return toPublicRecording(await recordingRepository.findByRecordingId(recordingId));
+      }
+
+      announceStopped(stopped);
+
+      logger.info(`Recording ${recordingId} stopped (${expected} chunks); assembling`);
+      this.finalizeRecording(stopped).catch((err) =>
+        logger.error(`Recording ${recordingId} finalize failed:`, err.message)
+      );
+
+      return toPublicRecording(stopped);
+
+    } catch (error) {
+      logger.error("RecordingService.stopRecording error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Assemble the uploaded chunks into the final file and announce it
+   */
+  async finalizeRecording(recording) {
+    let size;
+    try {
+      ({ size } = await recordingStorage.assemble(recording.storageKey, recording.totalChunks));
+    } catch (error) {
+      await recordingRepository.transition(recording.recordingId, "processing", {
+        status: "failed",
+        error: error.message
+      }, { action: "failed", detail: error.message });
+      throw error;
+    }
+
+    const ready = await recordingRepository.transition(recording.recordingId, "processing", {
+      status: "ready",
+      sizeBytes: size,
+      readyAt: new Date()
+    }, { action: "ready" });
+    if (!ready) return;
+
+    logger.info(`Recording ${recording.recordingId} ready (${size} bytes)`);
+    emitAppEvent({
+      appId: ready.appId,
+      event: "recording.ready",
+      payload: {
+        event: "recording.ready",
+        occurredAt: new Date().toISOString(),
+        appId: ready.appId,
+        meetingId: ready.meetingId,
+        recording: toPublicRecording(ready)
+      }
+    });
+  }
+
+  /**
+   * A recording of the meeting started by this user (404 otherwise)
+   */
+  async getOwnRecording(meetingId, recordingId, userId) {
+    const recording = await recordingRepository.findByRecordingId(recordingId);
+    if (!recording || recording.meetingId !== meetingId) {
+      throw createError(404, "Recording not found");
+    }
+    if (recording.startedBy.userId !== userId) {
+      throw createError(403, "Recording was started by another participant");
+    }
+    return recording;
+  }
+
+  /**
+   * Upload state of the caller's recording (used to resume an interrupted upload)
+   */
+  async getUploadStatus(meetingId, recordingId, userId) {
+    try {
+      const recording = await this.getOwnRecording(meetingId, recordingId, userId);
+      return toPublicRecording(recording);
+    } catch (error) {
+      logger.error("RecordingService.getUploadStatus error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List a meeting's recordings
+   */
+  async listRecordings(meetingId) {
+    try {
+      const recordings = await recordingRepository.findByMeetingId(meetingId);
+      return recordings.map(toPublicRecording);
+    } catch (error) {
+      logger.error("RecordingService.listRecordings error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Recordings running or waiting for consent in a meeting
+   */
+  async getActiveRecordings(meetingId) {
+    try {
+      const recordings = await recordingRepository.findActiveByMeetingId(meetingId);
+      return recordings.map(toPublicRecording);
+    } catch (error) {
+      logger.error("RecordingService.getActiveRecordings error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Every audit entry of a meeting's recordings, oldest first
+   */
+  async getAuditLog(meetingId) {
+    try {
+      const recordings = await recordingRepository.findByMeetingId(meetingId);
+      return recordings
+        .flatMap(r => r.audit.map(entry => ({ recordingId: r.recordingId, ...entry })))
+        .sort((a, b) => new Date(a.at) - new Date(b.at));
+    } catch (error) {
+      logger.error("RecordingService.getAuditLog error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * A meeting's recording, or null
+   */
+  async getRecording(meetingId, recordingId) {
+    try {
+      const recording = await recordingRepository.findByRecordingId(recordingId);
+      if (!recording || recording.meetingId !== meetingId) return null;
+      return toPublicRecording(recording);
+    } catch (error) {
+      logger.error("RecordingService.getRecording error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Open a ready recording for download: { stream, size, mimeType, filename }
+   */
+  async openRecordingFile(meetingId, recordingId) {
+    try {
+      const recording = await recordingRepository.findByRecordingId(recordingId);
+      if (!recording || recording.meetingId !== meetingId) {
+        throw createError(404, "Recording not found");
+      }
+      if (recording.status !== "ready") {
+        throw createError(409, `Recording is ${recording.status}`);
+      }
+
+      const file = await recordingStorage.stat(recording.storageKey);
+      if (!file) {
+        throw createError(410, "Recording file is no longer available");
+      }
+
+      return {
+        stream: recordingStorage.createReadStream(recording.storageKey),
+        size: file.size,
+        mimeType: recording.mimeType,
+        filename: `${meetingId}-${recordingId}.${getFileExtension(recording.mimeType)}`
+      };
+
+    } catch (error) {
+      logger.error("RecordingService.openRecordingFile error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new RecordingService();
@@ -0,0 +1,138 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import recordingService from "./recordingService.js";
+import { meetingRepository, recordingRepository } from "../repositories/index.js";
+import { recordingStorage } from "../storage/index.js";
+import { setSignalingServer } from "../socket/signaling.js";
+import { config } from "../config.js";
+
+const MEETING_ID = "abc-1234-xyz";
+const OWNER = { userId: "u1", name: "Dana" };
+let recording;
+
+recordingRepository.findByRecordingId = async () => structuredClone(recording);
+recordingRepository.addChunk = async (recordingId, index, size) => {
+  recording.receivedChunks.push(index);
+  recording.uploadedBytes += size;
+  return structuredClone(recording);
+};
+recordingStorage.writeChunk = async () => {};
+recordingRepository.create = async (data) => {
+  recording = { ...structuredClone(data), receivedChunks: [], uploadedBytes: 0 };
+  return structuredClone(recording);
+};
+recordingRepository.findOverdueConsentRequests = async (now) =>
+  recording.status === "awaiting_consent" && recording.consentDeadline <= now ? [structuredClone(recording)] : [];
+recordingRepository.declineOverdueConsent = async (recordingId, now, entry) => {
+  if (recording.status !== "awaiting_consent" || recording.consentDeadline > now) return null;
+  Object.assign(recording, { status: "declined", audit: [...recording.audit, entry] });
+  return structuredClone(recording);
+};
+recordingRepository.answerConsent = async (meetingId, recordingId, userId, granted) => {
+  const consent = recording.consents.find(c => c.userId === userId && c.granted === null);
+  if (recording.status !== "awaiting_consent" || recording.consentDeadline <= new Date() || !consent) return null;
+  consent.granted = granted;
+  return structuredClone(recording);
+};
+meetingRepository.findByMeetingId = async () => ({
+  meetingId: MEETING_ID,
+  appId: "app-1",
+  status: "active",
+  settings: { recordingEnabled: true, recordingConsentRequired: true }
+});
+
+// Lee is in the call with Dana
+const socketEvents = [];
+const fakeIo = {
+  in: () => ({ fetchSockets: async () => [{ data: { claims: { sub: "u2", name: "Lee" } } }] }),
+  to: () => ({ emit: (event, payload) => socketEvents.push([event, payload]) })
+};
+
+async function inCall(run) {
+  setSignalingServer(fakeIo);
+  try {
+    return await run();
+  } finally {
+    setSignalingServer(null);
+  }
+}
+
+const requestConsent = () => inCall(() => recordingService.startRecording(MEETING_ID, { ...OWNER, role: "host" }));
+
+beforeEach(() => {
+  recording = {
+    recordingId: "rec_1",
+    meetingId: MEETING_ID,
+    status: "recording",
+    startedBy: OWNER,
+    startedAt: new Date(),
+    receivedChunks: [0, 1],
+    uploadedBytes: 2,
+    storageKey: "app-1/abc-1234-xyz/rec_1"
+  };
+});
+
+test("stopRecording rejects totalChunks above the chunk limit without scanning", async () => {
+  const started = Date.now();
+
+  await assert.rejects(
+    recordingService.stopRecording(MEETING_ID, "rec_1", OWNER, { totalChunks: 1e9 }),
+    { status: 400 }
+  );
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("stopRecording lists at most 20 missing chunks", async () => {
+  await assert.rejects(
+    recordingService.stopRecording(MEETING_ID, "rec_1", OWNER, { totalChunks: config.recording.maxChunks }),
+    (error) => {
+      assert.equal(error.status, 409);
+      assert.equal(error.message.split(",").length, 20);
+      return true;
+    }
+  );
+});
+
+test("uploadChunk rejects indexes at or above the chunk limit", async () => {
+  await assert.rejects(
+    recordingService.uploadChunk(MEETING_ID, "rec_1", OWNER.userId, config.recording.maxChunks, Buffer.from("x")),
+    { status: 400 }
+  );
+
+  const updated = await recordingService.uploadChunk(MEETING_ID, "rec_1", OWNER.userId, 2, Buffer.from("x"));
+  assert.equal(updated.upload.nextChunk, 3);
+});
+
+test("a consent request stores its deadline on the recording", async () => {
+  const before = Date.now();
+  const requested = await requestConsent();
+
+  assert.equal(requested.status, "awaiting_consent");
+  const deadline = new Date(requested.consentDeadline).getTime();
+  assert.ok(deadline >= before + config.recording.consentTimeoutSeconds * 1000);
+  assert.ok(deadline <= Date.now() + config.recording.consentTimeoutSeconds * 1000);
+});
+
+test("the scheduler declines consent requests past their deadline", async () => {
+  await requestConsent();
+
+  assert.equal(await recordingService.expireOverdueConsentRequests(), 0);
+  assert.equal(recording.status, "awaiting_consent");
+
+  const later = new Date(recording.consentDeadline.getTime() + 1);
+  assert.equal(await recordingService.expireOverdueConsentRequests({ now: later }), 1);
+  assert.equal(recording.status, "declined");
+  assert.equal(recording.audit.at(-1).detail, "Consent request timed out");
+});
+
+test("an answer after the deadline declines the request instead of counting", async () => {
+  await requestConsent();
+  recording.consentDeadline = new Date(Date.now() - 1);
+
+  const answer = await inCall(() =>
+    recordingService.respondToConsent(MEETING_ID, recording.recordingId, { userId: "u2", name: "Lee" }, true));
+
+  assert.equal(answer, null);
+  assert.equal(recording.status, "declined");
+  assert.deepEqual(socketEvents.at(-1), ["recording-declined", { recordingId: recording.recordingId, ...OWNER, declinedBy: null }]);
+});
@@ -0,0 +1,445 @@
+/**
+ * Series Service
+ * Recurring meetings: a series expands its recurrence rule into occurrences, each hosted by
+ * its own meeting ("per_occurrence") or all by one reused meeting ("shared")
+ */
+
+import createError from "http-errors";
+import { nanoid } from "nanoid";
+import meetingService from "./meetingService.js";
+import { meetingRepository, meetingSeriesRepository } from "../repositories/index.js";
+import { normalizeRecurrence, expandOccurrences, toRRule, occurrenceIdFor } from "../utils/recurrence.js";
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+
+const MEETING_ID_MODES = ["per_occurrence", "shared"];
+
+// Meeting states in which an occurrence can still be edited or cancelled
+const NOT_STARTED = ["created", "scheduled"];
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function parseDate(value, name) {
+  const date = new Date(value);
+  if (value === undefined || value === null || Number.isNaN(date.getTime())) {
+    throw createError(400, `${name} must be an ISO 8601 date`);
+  }
+  return date;
+}
+
+function parseDuration(value) {
+  const minutes = Number(value);
+  if (!Number.isInteger(minutes) || minutes < 1) {
+    throw createError(400, "durationMinutes must be a positive integer");
+  }
+  return minutes;
+}
+
+/**
+ * Shape a series for API responses
+ * `meetings` (by meetingId) adds each occurrence's meeting status when given
+ */
+function toPublicSeries(series, meetings = null) {
+  const shared = meetings && series.meetingId ? meetings.get(series.meetingId) : null;
+
+  return {
+    seriesId: series.seriesId,
+    title: series.title,
+    status: series.status,
+    startAt: series.startAt,
+    durationMinutes: series.durationMinutes,
+    timezone: series.timezone,
+    recurrence: series.recurrence,
+    rrule: series.rrule,
+    meetingIdMode: series.meetingIdMode,
+    meetingId: series.meetingId,
+    // Shared mode: the occurrence the reused meeting currently stands for
+    current: shared ? { occurrenceId: shared.series?.occurrenceId, meetingStatus: shared.status } : null,
+    metadata: series.metadata,
+    occurrences: series.occurrences.map(o => ({
+      occurrenceId: o.occurrenceId,
+      originalStartAt: o.originalStartAt,
+      startAt: o.startAt,
+      durationMinutes: o.durationMinutes || series.durationMinutes,
+      title: o.title || series.title,
+      meetingId: o.meetingId || series.meetingId,
+      status: o.status,
+      modified: o.modified,
+      ...(meetings && series.meetingIdMode === "per_occurrence"
+        ? { meetingStatus: meetings.get(o.meetingId)?.status || null }
+        : {})
+    })),
+    cancelledAt: series.cancelledAt,
+    createdAt: series.createdAt
+  };
+}
+
+class SeriesService {
+  /**
+   * Create a recurring series and the meetings that host it
+   * `recurrence`: `{ rrule }` or `{ frequency, interval, count | until, byWeekday }`, plus
+   * `timezone` (default "UTC") and `meetingIdMode` ("per_occurrence" default, or "shared")
+   */
+  async createSeries(params, recurrence) {
+    const {
+      appId,
+      createdBy,
+      title = "Video Meeting",
+      scheduledAt,
+      durationMinutes = config.meeting.defaultDurationMinutes,
+      settings = {},
+      metadata = {}
+    } = params;
+    const created = [];
+    let series = null;
+
+    try {
+      if (!scheduledAt) {
+        throw createError(400, "scheduledAt is required for recurring meetings");
+      }
+      const startAt = parseDate(scheduledAt, "scheduledAt");
+      const duration = parseDuration(durationMinutes);
+
+      const timezone = recurrence?.timezone || "UTC";
+      if (!isValidTimezone(timezone)) {
+        throw createError(400, "Invalid recurrence.timezone");
+      }
+      const meetingIdMode = recurrence?.meetingIdMode || "per_occurrence";
+      if (!MEETING_ID_MODES.includes(meetingIdMode)) {
+        throw createError(400, `recurrence.meetingIdMode must be one of: ${MEETING_ID_MODES.join(", ")}`);
+      }
+
+      const { maxOccurrences } = config.recurrence;
+      const rule = normalizeRecurrence(recurrence, { timezone, maxOccurrences });
+      const starts = expandOccurrences(rule, { startAt, timezone, maxOccurrences });
+
+      const seriesId = `ser_${nanoid(16)}`;
+      const occurrences = starts.map(start => ({
+        occurrenceId: occurrenceIdFor(start),
+        originalStartAt: start,
+        startAt: start,
+        durationMinutes: duration,
+        meetingId: null
+      }));
+
+      // Hash the passcode once rather than once per occurrence
+      const passcodeHash = settings.passcode ? await meetingService.hashPasscode(settings.passcode) : null;
+      const meetingParams = { ...params, title, durationMinutes: duration, metadata };
+      let sharedMeetingId = null;
+
+      if (meetingIdMode === "shared") {
+        const first = occurrences[0];
+        const last = occurrences[occurrences.length - 1];
+        const meeting = await meetingService.createMeeting(
+          { ...meetingParams, scheduledAt: first.startAt },
+          {
+            series: { seriesId, occurrenceId: first.occurrenceId, shared: true },
+            passcodeHash,
+            // Stays joinable until the last occurrence is over
+            expiresAt: meetingService.computeExpiry(last.startAt, duration)
+          }
+        );
+        created.push(meeting.meetingId);
+        sharedMeetingId = meeting.meetingId;
+      } else {
+        for (const occurrence of occurrences) {
+          const meeting = await meetingService.createMeeting(
+            { ...meetingParams, scheduledAt: occurrence.startAt },
+            { series: { seriesId, occurrenceId: occurrence.occurrenceId, shared: false }, passcodeHash }
+          );
+          created.push(meeting.meetingId);
+          occurrence.meetingId = meeting.meetingId;
+        }
+      }
+
+      series = await meetingSeriesRepository.create({
+        seriesId,
+        appId,
+        createdBy,
+        title,
+        startAt,
+        durationMinutes: duration,
+        timezone,
+        recurrence: rule,
+        rrule: toRRule(rule),
+        meetingIdMode,
+        meetingId: sharedMeetingId,
+        occurrences,
+        metadata
+      });
+
+      logger.info(`Meeting series created: ${seriesId} (${occurrences.length} occurrences, ${meetingIdMode}) by ${createdBy} (app: ${appId})`);
+
+      return this.withMeetings(series);
+
+    } catch (error) {
+      // Don't leave meetings of a series that was never stored
+      if (!series) {
+        for (const meetingId of created) {
+          await meetingService.cancelMeeting(meetingId, "system").catch(() => {});
+        }
+      }
+      logger.error("SeriesService.createSeries error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Load a series of an app (404 for other apps' series)
+   */
+  async loadSeries(appId, seriesId) {
+    const series = await meetingSeriesRepository.findBySeriesId(seriesId);
+    if (!series || series.appId !== appId) {
+      throw createError(404, "Series not found");
+    }
+    return series;
+  }
+
+  /**
+   * Public form of a series with the status of its meetings
+   */
+  async withMeetings(series) {
+    const meetings = await meetingRepository.findBySeriesId(series.seriesId);
+    return toPublicSeries(series, new Map(meetings.map(m => [m.meetingId, m])));
+  }
+
+  /**
+   * Get a series with its occurrences
+   */
+  async getSeries(appId, seriesId) {
+    try {
+      return await this.withMeetings(await this.loadSeries(appId, seriesId));
+    } catch (error) {
+      logger.error("SeriesService.getSeries error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List an app's series
+   */
+  async listSeries(appId, options = {}) {
+    try {
+      const series = await meetingSeriesRepository.findByAppId(appId, options);
+      return series.map(s => toPublicSeries(s));
+    } catch (error) {
+      logger.error("SeriesService.listSeries error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Edit the whole series: title, durationMinutes, settings, metadata
+   * Applies to every occurrence that has not started; occurrences edited on their own
+   * keep their title and duration
+   */
+  async updateSeries(appId, seriesId, updates) {
+    try {
+      const series = await this.loadSeries(appId, seriesId);
+      if (series.status !== "active") {
+        throw createError(409, "Series is cancelled");
+      }
+
+      const seriesUpdate = {};
+      if (updates.title !== undefined) seriesUpdate.title = updates.title;
+      if (updates.durationMinutes !== undefined) seriesUpdate.durationMinutes = parseDuration(updates.durationMinutes);
+      if (updates.metadata !== undefined) seriesUpdate.metadata = updates.metadata;
+
+      const meetingUpdate = await meetingService.prepareMeetingUpdate({
+        settings: updates.settings,
+        metadata: updates.metadata
+      });
+      const meetings = new Map((await meetingRepository.findBySeriesId(seriesId)).map(m => [m.meetingId, m]));
+
+      if (seriesUpdate.durationMinutes !== undefined) {
+        seriesUpdate.occurrences = series.occurrences.map(o => {
+          const meeting = meetings.get(o.meetingId || series.meetingId);
+          const pending = !o.modified && o.status === "scheduled" && NOT_STARTED.includes(meeting?.status);
+          return pending ? { ...o, durationMinutes: seriesUpdate.durationMinutes } : o;
+        });
+      }
+
+      const updated = await meetingSeriesRepository.update(seriesId, seriesUpdate);
+
+      for (const meeting of meetings.values()) {
+        const occurrence = updated.occurrences.find(o => o.occurrenceId === meeting.series.occurrenceId);
+        const fields = { ...meetingUpdate };
+        if (seriesUpdate.title !== undefined && !occurrence?.title) fields.title = seriesUpdate.title;
+
+        if (series.meetingIdMode === "shared") {
+          // The reused meeting takes settings right away; its schedule follows the next occurrence
+          await meetingRepository.update(meeting.meetingId, fields);
+          await meetingService.advanceSharedMeeting(meeting.meetingId);
+        } else if (NOT_STARTED.includes(meeting.status)) {
+          if (occurrence && occurrence.durationMinutes !== meeting.durationMinutes) {
+            fields.durationMinutes = occurrence.durationMinutes;
+            fields.expiresAt = meetingService.computeExpiry(meeting.scheduledAt, occurrence.durationMinutes);
+          }
+          await meetingRepository.update(meeting.meetingId, fields);
+        }
+      }
+
+      logger.info(`Meeting series ${seriesId} updated`);
+      return this.withMeetings(updated);
+
+    } catch (error) {
+      logger.error("SeriesService.updateSeries error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find an occurrence that can still be changed, and the meeting hosting it
+   */
+  async loadPendingOccurrence(appId, seriesId, occurrenceId) {
+    const series = await this.loadSeries(appId, seriesId);
+    const occurrence = series.occurrences.find(o => o.occurrenceId === occurrenceId);
+    if (!occurrence) {
+      throw createError(404, "Occurrence not found");
+    }
+    if (occurrence.status !== "scheduled") {
+      throw createError(409, `Occurrence is ${occurrence.status}`);
+    }
+
+    const meeting = await meetingRepository.findByMeetingId(occurrence.meetingId || series.meetingId);
+    const started = series.meetingIdMode === "shared"
+      ? meeting?.series?.occurrenceId === occurrenceId && !NOT_STARTED.includes(meeting.status)
+      : !NOT_STARTED.includes(meeting?.status);
+    if (started) {
+      throw createError(409, "Occurrence has already started");
+    }
+
+    return { series, occurrence, meeting };
+  }
+
+  /**
+   * Edit one occurrence: startAt, durationMinutes, title
+   * The occurrence keeps its occurrenceId
+   */
+  async updateOccurrence(appId, seriesId, occurrenceId, updates) {
+    try {
+      const { series, occurrence, meeting } = await this.loadPendingOccurrence(appId, seriesId, occurrenceId);
+
+      const fields = { modified: true };
+      if (updates.startAt !== undefined) fields.startAt = parseDate(updates.startAt, "startAt");
+      if (updates.durationMinutes !== undefined) fields.durationMinutes = parseDuration(updates.durationMinutes);
+      if (updates.title !== undefined) fields.title = updates.title || null;
+
+      const updated = await meetingSeriesRepository.updateOccurrence(seriesId, occurrenceId, fields);
+      if (!updated) {
+        throw createError(409, "Occurrence is no longer scheduled");
+      }
+
+      if (series.meetingIdMode === "shared") {
+        // The reused meeting may now stand for a different occurrence
+        await meetingService.advanceSharedMeeting(meeting.meetingId);
+      } else {
+        const startAt = fields.startAt || occurrence.startAt;
+        const durationMinutes = fields.durationMinutes || occurrence.durationMinutes || series.durationMinutes;
+        const meetingUpdate = {
+          scheduledAt: startAt,
+          durationMinutes,
+          expiresAt: meetingService.computeExpiry(startAt, durationMinutes)
+        };
+        if (fields.title !== undefined) meetingUpdate.title = fields.title || series.title;
+        await meetingRepository.update(meeting.meetingId, meetingUpdate);
+      }
+
+      logger.info(`Occurrence ${occurrenceId} of series ${seriesId} updated`);
+      return this.withMeetings(await meetingSeriesRepository.findBySeriesId(seriesId));
+
+    } catch (error) {
+      logger.error("SeriesService.updateOccurrence error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel one occurrence; the rest of the series is unaffected
+   */
+  async cancelOccurrence(appId, seriesId, occurrenceId, cancelledBy) {
+    try {
+      const { series, meeting } = await this.loadPendingOccurrence(appId, seriesId, occurrenceId);
+
+      if (series.meetingIdMode === "shared") {
+        await meetingSeriesRepository.updateOccurrence(seriesId, occurrenceId, {
+          status: "cancelled",
+          modified: true
+        });
+
+        // Move the reused meeting on; with nothing left to hold, cancel it
+        const next = await meetingService.advanceSharedMeeting(meeting.meetingId);
+        if (!next && NOT_STARTED.includes(meeting.status)) {
+          await meetingService.cancelMeeting(meeting.meetingId, cancelledBy);
+        }
+      } else {
+        // Cancelling the occurrence's meeting cancels the occurrence
+        await meetingService.cancelMeeting(meeting.meetingId, cancelledBy);
+      }
+
+      logger.info(`Occurrence ${occurrenceId} of series ${seriesId} cancelled by ${cancelledBy}`);
+      return this.withMeetings(await meetingSeriesRepository.findBySeriesId(seriesId));
+
+    } catch (error) {
+      logger.error("SeriesService.cancelOccurrence error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel the whole series: every occurrence that has not started
+   * (a call in progress runs to its end; past occurrences stay on record)
+   */
+  async cancelSeries(appId, seriesId, cancelledBy) {
+    try {
+      const series = await this.loadSeries(appId, seriesId);
+      if (series.status !== "active") {
+        throw createError(409, "Series is already cancelled");
+      }
+
+      const meetings = await meetingRepository.findBySeriesId(seriesId);
+      const pending = meetings.filter(m => NOT_STARTED.includes(m.status));
+
+      const inProgress = meetings.find(m => m.status === "active")?.series.occurrenceId;
+      const occurrenceIds = series.meetingIdMode === "shared"
+        ? series.occurrences.filter(o => o.occurrenceId !== inProgress).map(o => o.occurrenceId)
+        : pending.map(m => m.series.occurrenceId);
+
+      await meetingSeriesRepository.cancel(seriesId, occurrenceIds);
+
+      for (const meeting of pending) {
+        await meetingService.cancelMeeting(meeting.meetingId, cancelledBy);
+      }
+
+      logger.info(`Meeting series ${seriesId} cancelled by ${cancelledBy}`);
+      return this.withMeetings(await meetingSeriesRepository.findBySeriesId(seriesId));
+
+    } catch (error) {
+      logger.error("SeriesService.cancelSeries error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate series ID format
+   */
+  isValidSeriesId(seriesId) {
+    return /^ser_[A-Za-z0-9_-]{16}$/.test(seriesId);
+  }
+
+  /**
+   * Validate occurrence ID format (original start in UTC, e.g. 20261020T090000Z)
+   */
+  isValidOccurrenceId(occurrenceId) {
+    return /^\d{8}T\d{6}Z$/.test(occurrenceId);
+  }
+}
+
+export default new SeriesService();
@@ -1,23 +1,25 @@
 import jwt from "jsonwebtoken";
 import createError from "http-errors";
 import { config } from "../config.js";
-import { apps } from "../data/store.js";
+import appService from "./appService.js";
 
-export function signAppToken(appId, user) {
-  const app = apps.get(appId);
+export async function signAppToken(appId, user) {
+  const app = await appService.getActiveApp(appId);
   if (!app) throw createError(401, "Invalid app");
   const payload = {
     sub: user?.id || appId,
     appId,
     role: user?.role || "app",
     name: user?.name,
+    email: user?.email,
     aud: config.appJwtAudience
   };
   return jwt.sign(payload, config.jwtSecret, { expiresIn: "1h" });
 }
 
-export function signRoomToken({ appId, roomId, user }) {
-  if (!apps.has(appId)) throw createError(401, "Invalid app");
+export async function signRoomToken({ appId, roomId, user }) {
+  const app = await appService.getActiveApp(appId);
+  if (!app) throw createError(401, "Invalid app");
   const payload = {
     sub: user.id,
     appId,
@@ -29,6 +31,90 @@ export function signRoomToken({ appId, roomId, user }) {
   return jwt.sign(payload, config.jwtSecret, { expiresIn: "1h" });
 }
 
+/**
+ * Short-lived token binding a participant to a meeting (socket handshake credential)
+ */
+export function signParticipantToken({ meetingId, appId, userId, name, role, identity, passcodeVerified = false }) {
+  const payload = {
+    sub: userId,
+    meetingId,
+    appId,
+    name,
+    role,
+    // How the joiner was identified ("invite", "jwt", "app" or "anonymous") and their email
+    idv: identity?.via || "anonymous",
+    email: identity?.email,
+    // Set when the join already passed the meeting's passcode check
+    pv: passcodeVerified,
+    typ: "participant",
+    aud: config.participantToken.audience
+  };
+  return jwt.sign(payload, config.jwtSecret, { expiresIn: config.participantToken.ttlSeconds });
+}
+
+export function verifyParticipantToken(token) {
+  try {
+    const claims = jwt.verify(token, config.jwtSecret, { audience: config.participantToken.audience });
+    if (claims.typ !== "participant" || !claims.meetingId || !claims.sub) {
+      throw new Error("Not a participant token");
+    }
+    return claims;
+  } catch (err) {
+    throw createError(401, "Invalid participant token");
+  }
+}
+
+/**
+ * Signed invite link token; the invite's uses and revocation live in MongoDB
+ */
+export function signInviteToken({ inviteId, meetingId, expiresAt }) {
+  const payload = {
+    sub: inviteId,
+    meetingId,
+    typ: "invite",
+    aud: config.invites.audience,
+    exp: Math.floor(new Date(expiresAt).getTime() / 1000)
+  };
+  return jwt.sign(payload, config.jwtSecret);
+}
+
+export function verifyInviteToken(token) {
+  try {
+    const claims = jwt.verify(token, config.jwtSecret, { audience: config.invites.audience });
+    if (claims.typ !== "invite" || !claims.sub) {
+      throw new Error("Not an invite token");
+    }
+    return claims;
+  } catch (err) {
+    throw createError(401, err.name === "TokenExpiredError" ? "Invite has expired" : "Invalid invite");
+  }
+}
+
+/**
+ * Calendar feed subscription token: an app's feed, or one user's meetings in it
+ */
+export function signCalendarFeedToken({ appId, userId = null }) {
+  const payload = {
+    sub: appId,
+    uid: userId || undefined,
+    typ: "calendar_feed",
+    aud: config.calendarFeed.audience
+  };
+  return jwt.sign(payload, config.jwtSecret, { expiresIn: `${config.calendarFeed.ttlDays}d` });
+}
+
+export function verifyCalendarFeedToken(token) {
+  try {
+    const claims = jwt.verify(token, config.jwtSecret, { audience: config.calendarFeed.audience });
+    if (claims.typ !== "calendar_feed" || !claims.sub) {
+      throw new Error("Not a calendar feed token");
+    }
+    return claims;
+  } catch (err) {
+    throw createError(401, err.name === "TokenExpiredError" ? "Calendar feed token has expired" : "Invalid calendar feed token");
+  }
+}
+
 export function verifyToken(token) {
   try {
     return jwt.verify(token, config.jwtSecret, { audience: config.appJwtAudience });
@@ -0,0 +1,51 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+import { signParticipantToken, verifyParticipantToken, signInviteToken, verifyToken } from "./tokenService.js";
+import { config } from "../config.js";
+
+const PARTICIPANT = {
+  meetingId: "abc-1234-xyz",
+  appId: "app-1",
+  userId: "u1",
+  name: "Dana",
+  role: "participant",
+  identity: { via: "invite" }
+};
+
+test("a participant token round-trips its meeting, user and identity", () => {
+  const claims = verifyParticipantToken(signParticipantToken(PARTICIPANT));
+
+  assert.equal(claims.meetingId, PARTICIPANT.meetingId);
+  assert.equal(claims.sub, "u1");
+  assert.equal(claims.idv, "invite");
+  assert.equal(claims.pv, false);
+  assert.equal(claims.aud, config.participantToken.audience);
+});
+
+test("participant tokens are not accepted as app tokens and vice versa", () => {
+  const participantToken = signParticipantToken(PARTICIPANT);
+  const appToken = jwt.sign({ sub: "app-1", appId: "app-1", aud: config.appJwtAudience }, config.jwtSecret);
+
+  assert.throws(() => verifyToken(participantToken), { status: 401 });
+  assert.throws(() => verifyParticipantToken(appToken), { status: 401 });
+});
+
+test("a token with the participant audience but another type is rejected", () => {
+  const invite = signInviteToken({ inviteId: "inv_1", meetingId: PARTICIPANT.meetingId, expiresAt: new Date(Date.now() + 60000) });
+  const retyped = jwt.sign({ ...jwt.decode(invite), aud: config.participantToken.audience }, config.jwtSecret);
+
+  assert.throws(() => verifyParticipantToken(retyped), { status: 401 });
+});
+
+test("an expired participant token is rejected", () => {
+  const expired = jwt.sign({
+    sub: "u1",
+    meetingId: PARTICIPANT.meetingId,
+    typ: "participant",
+    aud: config.participantToken.audience,
+    exp: Math.floor(Date.now() / 1000) - 10
+  }, config.jwtSecret);
+
+  assert.throws(() => verifyParticipantToken(expired), { status: 401 });
+});
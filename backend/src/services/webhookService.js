@@ -0,0 +1,246 @@
+/**
+ * Webhook Service
+ * Business logic for webhook subscriptions and the delivery log
+ */
+
+import createError from "http-errors";
+import { v4 as uuid } from "uuid";
+import { config } from "../config.js";
+import { webhookDeliveryRepository, webhookSubscriptionRepository } from "../repositories/index.js";
+import { enqueueDelivery } from "../webhooks/dispatcher.js";
+import appService from "./appService.js";
+import { randomSecret } from "../utils/crypto.js";
+import { logger } from "../utils/logger.js";
+
+/**
+ * Shape a subscription for API responses (secret only on create/rotate)
+ */
+function toPublicSubscription(sub, { includeSecret = false } = {}) {
+  const result = {
+    subscriptionId: sub.subscriptionId,
+    url: sub.url,
+    events: sub.events,
+    enabled: sub.enabled,
+    description: sub.description,
+    createdAt: sub.createdAt,
+    updatedAt: sub.updatedAt
+  };
+
+  if (includeSecret) {
+    result.secret = sub.secret;
+  }
+
+  return result;
+}
+
+/**
+ * Validate subscription fields shared by create and update
+ */
+function validateSubscriptionInput({ url, events }) {
+  if (url !== undefined && !/^https?:\/\/.+/.test(url || "")) {
+    throw createError(400, "url must be an http(s) URL");
+  }
+  if (events !== undefined && (!Array.isArray(events) || events.some(e => typeof e !== "string"))) {
+    throw createError(400, "events must be an array of event names");
+  }
+}
+
+/**
+ * Shape a delivery for API responses
+ */
+function toPublicDelivery(delivery, { includeLog = false } = {}) {
+  const result = {
+    deliveryId: delivery.deliveryId,
+    event: delivery.event,
+    url: delivery.url,
+    subscriptionId: delivery.subscriptionId,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    maxAttempts: delivery.maxAttempts,
+    nextAttemptAt: delivery.status === "pending" ? delivery.nextAttemptAt : null,
+    lastAttemptAt: delivery.lastAttemptAt,
+    lastResponseStatus: delivery.lastResponseStatus,
+    lastError: delivery.lastError,
+    deliveredAt: delivery.deliveredAt,
+    redeliveryOf: delivery.redeliveryOf,
+    createdAt: delivery.createdAt
+  };
+
+  if (includeLog) {
+    result.payload = delivery.payload;
+    result.attemptLog = delivery.attemptLog;
+  }
+
+  return result;
+}
+
+class WebhookService {
+  /**
+   * List an app's webhook subscriptions
+   */
+  async listSubscriptions(appId) {
+    try {
+      const subs = await webhookSubscriptionRepository.findByAppId(appId);
+      return subs.map(sub => toPublicSubscription(sub));
+    } catch (error) {
+      logger.error("WebhookService.listSubscriptions error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single subscription
+   */
+  async getSubscription(appId, subscriptionId) {
+    try {
+      const sub = await webhookSubscriptionRepository.findBySubscriptionId(appId, subscriptionId);
+      return sub ? toPublicSubscription(sub) : null;
+    } catch (error) {
+      logger.error("WebhookService.getSubscription error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Register a new webhook endpoint
+   * The signing secret is generated when omitted and returned once
+   */
+  async createSubscription(appId, params) {
+    const { url, secret, events = [], description, enabled = true } = params;
+
+    try {
+      if (!url) {
+        throw createError(400, "url is required");
+      }
+      validateSubscriptionInput({ url, events });
+
+      const count = await webhookSubscriptionRepository.countByAppId(appId);
+      if (count >= config.webhook.maxSubscriptionsPerApp) {
+        throw createError(409, `Subscription limit reached (${config.webhook.maxSubscriptionsPerApp})`);
+      }
+
+      const sub = await webhookSubscriptionRepository.create({
+        subscriptionId: `whs_${uuid()}`,
+        appId,
+        url,
+        secret: secret || randomSecret(),
+        events,
+        description,
+        enabled
+      });
+
+      logger.info(`Webhook subscription ${sub.subscriptionId} created for app ${appId}: ${url}`);
+      return toPublicSubscription(sub, { includeSecret: true });
+
+    } catch (error) {
+      logger.error("WebhookService.createSubscription error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a subscription (url, secret, events, enabled, description)
+   */
+  async updateSubscription(appId, subscriptionId, updates) {
+    try {
+      validateSubscriptionInput(updates);
+
+      const allowedUpdates = ["url", "secret", "events", "enabled", "description"];
+      const filteredUpdates = {};
+
+      for (const key of allowedUpdates) {
+        if (updates[key] !== undefined) {
+          filteredUpdates[key] = updates[key];
+        }
+      }
+
+      const sub = await webhookSubscriptionRepository.update(appId, subscriptionId, filteredUpdates);
+      if (!sub) return null;
+
+      logger.info(`Webhook subscription ${subscriptionId} updated for app ${appId}`);
+      return toPublicSubscription(sub, { includeSecret: updates.secret !== undefined });
+
+    } catch (error) {
+      logger.error("WebhookService.updateSubscription error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a subscription (pending deliveries to it will fail)
+   */
+  async deleteSubscription(appId, subscriptionId) {
+    try {
+      const deleted = await webhookSubscriptionRepository.delete(appId, subscriptionId);
+      if (deleted) logger.info(`Webhook subscription ${subscriptionId} deleted for app ${appId}`);
+      return deleted;
+    } catch (error) {
+      logger.error("WebhookService.deleteSubscription error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * List deliveries for an app
+   */
+  async listDeliveries(appId, options = {}) {
+    try {
+      const deliveries = await webhookDeliveryRepository.findByAppId(appId, options);
+      return deliveries.map(d => toPublicDelivery(d));
+    } catch (error) {
+      logger.error("WebhookService.listDeliveries error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a single delivery with payload and attempt log
+   */
+  async getDelivery(appId, deliveryId) {
+    try {
+      const delivery = await webhookDeliveryRepository.findByDeliveryId(appId, deliveryId);
+      return delivery ? toPublicDelivery(delivery, { includeLog: true }) : null;
+    } catch (error) {
+      logger.error("WebhookService.getDelivery error:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Redeliver a delivery as a new queue entry
+   * Uses the endpoint's current URL, falling back to the original one
+   */
+  async redeliver(appId, deliveryId) {
+    try {
+      const original = await webhookDeliveryRepository.findByDeliveryId(appId, deliveryId);
+      if (!original) return null;
+
+      let currentUrl;
+      if (original.subscriptionId) {
+        const sub = await webhookSubscriptionRepository.findBySubscriptionId(appId, original.subscriptionId);
+        currentUrl = sub?.url;
+      } else {
+        const app = await appService.getActiveApp(appId);
+        currentUrl = app?.webhookUrl;
+      }
+
+      const delivery = await enqueueDelivery({
+        appId,
+        event: original.event,
+        payload: original.payload,
+        url: currentUrl || original.url,
+        subscriptionId: original.subscriptionId,
+        redeliveryOf: original.deliveryId
+      });
+
+      logger.info(`Webhook ${deliveryId} redelivered as ${delivery.deliveryId}`);
+      return toPublicDelivery(delivery);
+
+    } catch (error) {
+      logger.error("WebhookService.redeliver error:", error.message);
+      throw error;
+    }
+  }
+}
+
+export default new WebhookService();
@@ -1,22 +1,46 @@
 import { Server } from "socket.io";
-import { verifyToken } from "../services/tokenService.js";
+import createRedisAdapter from "socket.io-redis";
+import { verifyToken, verifyParticipantToken, signParticipantToken } from "../services/tokenService.js";
 import { getRoom, addParticipant, removeParticipant } from "../data/store.js";
 import { logger } from "../utils/logger.js";
-import { apps } from "../data/store.js";
-import { dispatchWebhook } from "../webhooks/dispatcher.js";
+import { emitAppEvent } from "../webhooks/dispatcher.js";
 import { config } from "../config.js";
 import { participantRepository } from "../repositories/index.js";
 import meetingService from "../services/meetingService.js";
+import appService from "../services/appService.js";
+import chatService from "../services/chatService.js";
+import recordingService from "../services/recordingService.js";
+import qualityService from "../services/qualityService.js";
+import attendanceService from "../services/attendanceService.js";
+import { createEventRateLimiter } from "../utils/eventRateLimiter.js";
+import { setSignalingServer, closeMeetingRoom } from "./signaling.js";
+
+/**
+ * Client IP of a socket; X-Forwarded-For is only used behind trusted proxies (TRUST_PROXY hops)
+ */
+function getClientIp(socket) {
+  const forwarded = socket.handshake.headers["x-forwarded-for"];
+  if (!config.trustProxy || !forwarded) return socket.handshake.address;
+  const hops = forwarded.split(",").map(ip => ip.trim());
+  return hops[Math.max(hops.length - config.trustProxy, 0)];
+}
 
 /**
  * Socket.IO signaling server
  * 
  * Supports two modes:
- * 1. Legacy mode (with JWT): Uses in-memory room store
- * 2. Meeting mode (without JWT): Uses MongoDB meetings
+ * 1. Legacy mode (room JWT from signRoomToken): Uses in-memory room store
+ * 2. Meeting mode (participant token from joinMeeting): Uses MongoDB meetings
  * 
- * Authentication is modular - when JWT is disabled, meetings can be
- * joined with just the meeting ID.
+ * Meeting-mode sockets receive a refreshed participant token before the
+ * current one expires so reconnects keep working.
+ * 
+ * With config.redis.adapterEnabled, rooms and broadcasts are shared between
+ * nodes through Redis, so peers may be connected to different instances.
+ * 
+ * Calls are a full mesh: each socket keeps one peer connection per other
+ * socket in the room. Offers, answers and candidates carry a `to` socket ID
+ * and are relayed only to that socket.
  */
 export function createSocketServer(httpServer, corsConfig) {
   logger.info("Creating Socket.IO server with CORS:", JSON.stringify(corsConfig));
@@ -26,6 +50,21 @@ export function createSocketServer(httpServer, corsConfig) {
     transports: ["websocket", "polling"]
   });
 
+  if (config.redis.adapterEnabled) {
+    io.adapter(createRedisAdapter(config.redis.url, {
+      key: config.redis.key,
+      requestsTimeout: config.redis.requestsTimeoutMs
+    }));
+    // Redis client errors surface here; the clients keep reconnecting on their own
+    io.of("/").adapter.on("error", (err) => {
+      logger.error("Socket.IO Redis adapter error:", err.message);
+    });
+    logger.info(`Socket.IO Redis adapter enabled (key: ${config.redis.key})`);
+  }
+
+  // Let the service layer reach connected clients (e.g. REST end/cancel)
+  setSignalingServer(io);
+
   // Log all connection attempts
   io.engine.on("connection_error", (err) => {
     logger.error("Socket.IO connection error:", err.message, err.code, err.context);
@@ -36,14 +75,12 @@ export function createSocketServer(httpServer, corsConfig) {
     logger.info("Socket.IO middleware - checking auth");
     
     const token = socket.handshake.auth?.token;
-    const meetingId = socket.handshake.auth?.meetingId;
-    const userId = socket.handshake.auth?.userId;
-    const userName = socket.handshake.auth?.name || "Guest";
+    const participantToken = socket.handshake.auth?.participantToken;
     
-    logger.info(`Auth params - token: ${!!token}, meetingId: ${meetingId}, userId: ${userId}`);
+    logger.info(`Auth params - token: ${!!token}, participantToken: ${!!participantToken}`);
     
     // Mode 1: JWT token authentication (legacy rooms)
-    if (token) {
+    if (token && !participantToken) {
       try {
         const claims = verifyToken(token);
         socket.data.claims = claims;
@@ -51,48 +88,55 @@ export function createSocketServer(httpServer, corsConfig) {
         logger.info("Socket.IO auth success (JWT) for user:", claims.sub);
         return next();
       } catch (err) {
-        logger.error("Socket.IO JWT auth failed:", err.message);
-        // If no meetingId fallback available, fail
-        if (!meetingId || !userId) {
-          return next(new Error("Invalid token"));
-        }
-        // Otherwise, fall through to meeting mode
-        logger.info("Falling back to meeting mode auth...");
+        // Not a room token; it may be a participant token passed as `token` (embeds)
+        logger.info("Room JWT rejected, trying participant token...");
       }
     }
     
-    // Mode 2: Meeting ID authentication (new meetings API - no JWT required)
-    if (meetingId && userId) {
+    // Mode 2: Signed participant token from POST /api/meetings/:id/join
+    const credential = participantToken || token;
+    if (credential) {
       try {
-        // Validate meeting exists and is joinable
-        const canJoin = await meetingService.canJoinMeeting(meetingId, userId);
+        const claims = verifyParticipantToken(credential);
+
+        // Re-check the meeting is still joinable (and the passcode, unless the join already checked it)
+        const canJoin = await meetingService.canJoinMeeting(claims.meetingId, claims.sub, {
+          passcode: socket.handshake.auth?.passcode,
+          clientIp: getClientIp(socket),
+          passcodeVerified: claims.pv === true,
+          // Tokens from before identities were recorded count as anonymous
+          identity: { via: claims.idv || "anonymous", email: claims.email }
+        });
         
         if (!canJoin.allowed) {
           logger.error(`Socket.IO meeting auth failed: ${canJoin.reason}`);
-          return next(new Error(canJoin.reason));
+          const error = new Error(canJoin.reason);
+          error.data = { code: canJoin.code, retryAfter: canJoin.retryAfter };
+          return next(error);
         }
         
-        // Set socket data for meeting mode
+        // Identity comes from the token, never from raw handshake fields
         socket.data.claims = {
-          roomId: meetingId,
-          sub: userId,
-          name: userName,
-          appId: "public"
+          roomId: claims.meetingId,
+          sub: claims.sub,
+          name: claims.name || "Guest",
+          role: claims.role,
+          appId: claims.appId || "public",
+          identity: { via: claims.idv || "anonymous", email: claims.email }
         };
         socket.data.authMode = "meeting";
-        logger.info(`Socket.IO auth success (meeting) for user: ${userId} in meeting: ${meetingId}`);
+        logger.info(`Socket.IO auth success (meeting) for user: ${claims.sub} in meeting: ${claims.meetingId}`);
         return next();
         
       } catch (err) {
         logger.error("Socket.IO meeting auth error:", err.message);
-        return next(new Error("Meeting validation failed"));
+        return next(new Error(err.status === 401 ? "Invalid or expired token" : "Meeting validation failed"));
       }
     }
     
     // No valid auth provided
     logger.error("Socket.IO auth failed - no valid credentials provided");
-    logger.error(`Received: token=${!!token}, meetingId=${meetingId}, userId=${userId}`);
-    return next(new Error("Authentication required - provide token OR meetingId+userId"));
+    return next(new Error("Authentication required - provide a room token or participant token"));
   });
 
   io.on("connection", async (socket) => {
@@ -104,59 +148,314 @@ export function createSocketServer(httpServer, corsConfig) {
     };
     
     logger.info(`Socket connection - roomId: ${roomId}, userId: ${userId}, mode: ${socket.data.authMode}`);
-    
-    // Validate room based on auth mode
-    if (socket.data.authMode === "jwt") {
-      // Legacy: Check in-memory room store
-      const room = getRoom(roomId);
-      if (!room || room.appId !== appId) {
-        logger.error(`Room validation failed - room exists: ${!!room}, appId match: ${room?.appId === appId}`);
-        socket.disconnect(true);
+
+    // Per-user room (all of a user's tabs) and the hosts' room for waiting-room notifications
+    const userRoom = `${roomId}:user:${userId}`;
+    const hostsRoom = `${roomId}:hosts`;
+    const lobbyRoom = `${roomId}:lobby`;
+    socket.join(userRoom);
+
+    // Every handler below is registered before the first await, so nothing the client
+    // sends while the connection is being set up (e.g. answers to the offers its
+    // user-joined triggers) is lost. Until enterMeeting() puts the socket in the
+    // call, socket.data.inCall is unset and the handlers ignore its events.
+    const isHost = () => socket.data.role === "host";
+    const inCall = () => !!socket.data.inCall;
+
+    // Flood protection for chatty events (per socket). Defaults apply until the
+    // app's overrides are loaded; the limiter reads `eventLimits` on every event.
+    const socketLimits = config.rateLimits.socket;
+    const eventLimits = config.rateLimits.enabled
+      ? Object.fromEntries(Object.keys(socketLimits).map(group => [group, socketLimits[group].perSocket]))
+      : {};
+    const eventLimiter = createEventRateLimiter({
+      windowMs: config.rateLimits.socketWindowSeconds * 1000,
+      limits: eventLimits
+    });
+    if (config.rateLimits.enabled) {
+      appService.getRateLimitOverrides(appId)
+        .then((overrides) => {
+          for (const group of Object.keys(eventLimits)) {
+            eventLimits[group] = overrides[group]?.perSocket ?? eventLimits[group];
+          }
+        })
+        .catch((err) => logger.warn("Failed to load rate limit overrides:", err.message));
+    }
+
+    // Drops the event when over the limit; tells the client once per window
+    function withinRateLimit(group, event) {
+      const result = eventLimiter.consume(group);
+      if (result.allowed) return true;
+      if (result.first) {
+        logger.warn(`Socket ${socket.id} (${userId}) exceeded the ${group} event limit in room ${roomId}; dropping events`);
+        socket.emit("rate-limited", { event, retryAfter: result.retryAfter });
+      }
+      return false;
+    }
+
+    // Set once the socket is admitted (refreshes the participant token)
+    let tokenRefresh = null;
+
+    socket.on("disconnect", async (reason) => {
+      clearInterval(tokenRefresh);
+
+      // Gave up in the waiting room: never entered, so no user-left
+      if (socket.data.waiting) {
+        try {
+          const left = await meetingService.leaveWaitingRoom(roomId, userId);
+          if (left) io.to(hostsRoom).emit("knock-cancelled", { userId });
+        } catch (err) {
+          logger.warn("Failed to leave waiting room:", err.message);
+        }
         return;
       }
-      addParticipant(roomId, { userId, name, role: socket.data.claims.role });
-      const app = apps.get(appId);
-      dispatchWebhook({ app, event: "user.joined", payload: { roomId, userId } }).catch(() => {});
-    } else {
-      // Meeting mode: Update participant status in MongoDB
+
+      if (socket.data.authMode === "jwt" && socket.data.role) {
+        removeParticipant(roomId, userId);
+        emitAppEvent({ appId, event: "user.left", payload: { roomId, userId } });
+      }
+
+      // Turned away (denied, banned, room full) or gone before entering the call
+      if (!inCall()) return;
+
+      socket.to(roomId).emit("user-left", { userId, socketId: socket.id });
+
+      if (socket.data.authMode === "meeting") {
+        try {
+          await attendanceService.closeSession(socket.id, reason);
+        } catch (err) {
+          logger.warn("Failed to close attendance session:", err.message);
+        }
+
+        // Update participant status in MongoDB
+        try {
+          await meetingService.leaveMeeting(roomId, userId);
+        } catch (err) {
+          logger.warn("Failed to update leave status:", err.message);
+        }
+      }
+      
+      logger.info(`User ${userId} left room ${roomId}`);
+    });
+
+    // Guest asks to enter after receiving "admitted"; the DB record is the source of truth
+    socket.on("enter-meeting", async () => {
+      if (!socket.data.waiting) return;
       try {
-        await participantRepository.updateStatus(roomId, userId, "connected");
+        const participant = await participantRepository.findByMeetingAndUser(roomId, userId);
+        if (participant && ["joined", "connected"].includes(participant.status)) {
+          await enterMeeting();
+        }
       } catch (err) {
-        logger.warn("Failed to update participant status:", err.message);
+        logger.warn("Failed to enter meeting:", err.message);
       }
+    });
+
+    // Host: admit or deny someone in the waiting room
+    socket.on("admit-participant", async (message) => {
+      const { userId: targetId } = message || {};
+      if (!isHost() || !inCall() || !targetId) return;
+      try {
+        const admitted = await meetingService.admitParticipant(roomId, targetId, userId);
+        if (!admitted) return;
+        io.to(`${roomId}:user:${targetId}`).emit("admitted", { meetingId: roomId });
+        io.to(hostsRoom).emit("knock-resolved", { userId: targetId, admitted: true, by: userId });
+      } catch (err) {
+        logger.warn("Failed to admit participant:", err.message);
+      }
+    });
+
+    socket.on("deny-participant", async (message) => {
+      const { userId: targetId } = message || {};
+      if (!isHost() || !inCall() || !targetId) return;
+      try {
+        const denied = await meetingService.denyParticipant(roomId, targetId, userId);
+        if (!denied) return;
+        const targetRoom = `${roomId}:user:${targetId}`;
+        io.to(targetRoom).emit("admission-denied", { reason: "Entry denied by host" });
+        io.in(targetRoom).disconnectSockets(true);
+        io.to(hostsRoom).emit("knock-resolved", { userId: targetId, admitted: false, by: userId });
+      } catch (err) {
+        logger.warn("Failed to deny participant:", err.message);
+      }
+    });
+
+    // Host moderation. Mute/camera-off are requests applied by the target's own client.
+    function requireHost(action) {
+      if (isHost() && inCall()) return true;
+      logger.warn(`Rejected ${action} from non-host ${userId} in room ${roomId}`);
+      socket.emit("moderation-error", { action, reason: "Only hosts can do this" });
+      return false;
     }
-    
-    // Join Socket.IO room
-    socket.join(roomId);
-    
-    // Get count of sockets in this room
-    const roomSockets = io.sockets.adapter.rooms.get(roomId);
-    const socketCount = roomSockets ? roomSockets.size : 0;
-    logger.info(`User ${userId} joined room ${roomId}. Total sockets in room: ${socketCount}`);
-    
-    // Notify other participants
-    socket.to(roomId).emit("user-joined", { userId, name });
-    logger.info(`Emitted user-joined to room ${roomId} for user ${userId}`);
 
-    // WebRTC signaling events
-    socket.on("webrtc-offer", (payload) => {
-      logger.info(`Received offer from ${userId} in room ${roomId}`);
-      socket.to(roomId).emit("webrtc-offer", { from: userId, payload });
+    socket.on("mute-participant", (message) => {
+      const { userId: targetId } = message || {};
+      if (!requireHost("mute-participant") || !targetId) return;
+      io.to(`${roomId}:user:${targetId}`).emit("mute-requested", { by: userId });
+      logger.info(`Host ${userId} muted ${targetId} in room ${roomId}`);
+    });
+
+    socket.on("disable-camera", (message) => {
+      const { userId: targetId } = message || {};
+      if (!requireHost("disable-camera") || !targetId) return;
+      io.to(`${roomId}:user:${targetId}`).emit("camera-off-requested", { by: userId });
+      logger.info(`Host ${userId} turned off camera of ${targetId} in room ${roomId}`);
+    });
+
+    socket.on("remove-participant", async (message) => {
+      const { userId: targetId, ban = false } = message || {};
+      if (!requireHost("remove-participant") || !targetId || targetId === userId) return;
+      try {
+        if (socket.data.authMode === "meeting") {
+          const removed = await meetingService.removeParticipant(roomId, targetId, { removedBy: userId, ban });
+          if (!removed) return;
+        }
+        const targetRoom = `${roomId}:user:${targetId}`;
+        io.to(targetRoom).emit("removed", { by: userId, banned: !!ban });
+        io.in(targetRoom).disconnectSockets(true);
+      } catch (err) {
+        logger.warn("Failed to remove participant:", err.message);
+      }
+    });
+
+    socket.on("end-meeting", async () => {
+      if (!requireHost("end-meeting")) return;
+      try {
+        if (socket.data.authMode === "meeting") {
+          // The service broadcasts meeting-ended and disconnects the room
+          await meetingService.endMeeting(roomId, userId);
+        } else {
+          closeMeetingRoom(roomId, { reason: "ended", endedBy: userId });
+        }
+      } catch (err) {
+        logger.warn("Failed to end meeting:", err.message);
+      }
+    });
+
+    // Chat: persisted, then sent to everyone in the call (including the sender's tabs)
+    socket.on("chat-message", async (message, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      const { text } = message || {};
+      if (!inCall()) {
+        return reply({ ok: false, error: "Not in the call" });
+      }
+      if (!withinRateLimit("chat", "chat-message")) {
+        return reply({ ok: false, error: "You are sending messages too quickly" });
+      }
+
+      try {
+        const message = await chatService.postMessage(roomId, { appId, userId, name }, text);
+        io.to(roomId).emit("chat-message", message);
+        reply({ ok: true, messageId: message.messageId });
+      } catch (err) {
+        reply({ ok: false, error: err.expose ? err.message : "Message could not be sent" });
+      }
+    });
+
+    // Recording consent: { recordingId, granted } from someone asked by recording-consent-requested
+    socket.on("recording-consent", async (message, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      const { recordingId, granted } = message || {};
+      if (socket.data.authMode !== "meeting" || !inCall() || !recordingId) {
+        return reply({ ok: false, error: "Nothing to answer" });
+      }
+
+      try {
+        const recording = await recordingService.respondToConsent(roomId, recordingId, { userId, name }, granted === true);
+        reply(recording ? { ok: true, status: recording.status } : { ok: false, error: "Nothing to answer" });
+      } catch (err) {
+        logger.warn("Failed to record consent:", err.message);
+        reply({ ok: false, error: "Answer could not be saved" });
+      }
+    });
+
+    // Legacy rooms record locally and announce it themselves; meeting recordings
+    // are announced by the recordings API, so these client events are ignored there
+    socket.on("recording-started", () => {
+      if (socket.data.authMode !== "jwt" || !inCall()) return;
+      logger.info(`User ${userId} started recording room ${roomId}`);
+      socket.to(roomId).emit("recording-started", { recordingId: null, userId, name, startedAt: new Date() });
+    });
+
+    socket.on("recording-stopped", () => {
+      if (socket.data.authMode !== "jwt" || !inCall()) return;
+      logger.info(`User ${userId} stopped recording room ${roomId}`);
+      socket.to(roomId).emit("recording-stopped", { recordingId: null, userId, name, stoppedAt: new Date() });
+    });
+
+    // Connection quality summary sampled by the client from getStats()
+    socket.on("quality-report", async (report = {}) => {
+      if (socket.data.authMode !== "meeting" || !inCall()) return;
+      if (!withinRateLimit("quality", "quality-report")) return;
+
+      try {
+        await qualityService.recordSample(roomId, userId, report);
+      } catch (err) {
+        logger.warn("Failed to store quality report:", err.message);
+      }
+    });
+
+    // WebRTC signaling events: { to: socketId, payload } relayed to that peer only.
+    // The target must be in the same call (not another room or the lobby); it may
+    // be on another node, so the check is done once per target and shared by
+    // later messages (which keeps offer/candidate order).
+    const signalingTargets = new Map(); // socketId -> Promise<boolean>
+
+    function isPeerInCall(to) {
+      if (!signalingTargets.has(to)) {
+        const check = io.in(to).fetchSockets()
+          .then(([target]) => !!target && target.id !== socket.id && target.rooms.has(roomId))
+          .catch((err) => {
+            logger.warn(`Failed to look up peer ${to}:`, err.message);
+            signalingTargets.delete(to);
+            return false;
+          });
+        signalingTargets.set(to, check);
+      }
+      return signalingTargets.get(to);
+    }
+
+    // Never throws: handlers call it without awaiting
+    async function relayToPeer(event, message) {
+      const { to, payload } = message || {};
+      if (!inCall() || typeof to !== "string") return;
+
+      try {
+        if (!(await isPeerInCall(to))) {
+          logger.warn(`Dropped ${event} from ${userId} to unknown peer ${to} in room ${roomId}`);
+          return;
+        }
+
+        io.to(to).emit(event, { from: userId, fromSocket: socket.id, name, payload });
+      } catch (err) {
+        logger.warn(`Failed to relay ${event} from ${userId}:`, err.message);
+      }
+    }
+
+    socket.on("webrtc-offer", (message) => {
+      if (!withinRateLimit("signaling", "webrtc-offer")) return;
+      logger.info(`Received offer from ${userId} to ${message?.to} in room ${roomId}`);
+      relayToPeer("webrtc-offer", message);
     });
     
-    socket.on("webrtc-answer", (payload) => {
-      logger.info(`Received answer from ${userId} in room ${roomId}`);
-      socket.to(roomId).emit("webrtc-answer", { from: userId, payload });
+    socket.on("webrtc-answer", (message) => {
+      if (!withinRateLimit("signaling", "webrtc-answer")) return;
+      logger.info(`Received answer from ${userId} to ${message?.to} in room ${roomId}`);
+      relayToPeer("webrtc-answer", message);
     });
     
-    socket.on("ice-candidate", (payload) => {
-      logger.debug(`Received ICE candidate from ${userId} in room ${roomId}`);
-      socket.to(roomId).emit("ice-candidate", { from: userId, payload });
+    socket.on("ice-candidate", (message) => {
+      if (!withinRateLimit("signaling", "ice-candidate")) return;
+      logger.debug(`Received ICE candidate from ${userId} to ${message?.to} in room ${roomId}`);
+      relayToPeer("ice-candidate", message);
     });
 
     // Media state updates (mute/camera) for UX parity
-    socket.on("user-media-updated", async ({ audio, video }) => {
-      socket.to(roomId).emit("user-media-updated", { userId, audio, video });
+    socket.on("user-media-updated", async (message) => {
+      const { audio, video } = message || {};
+      if (!inCall() || !withinRateLimit("media", "user-media-updated")) return;
+      socket.data.media = { ...socket.data.media, audio, video };
+      socket.to(roomId).emit("user-media-updated", { userId, socketId: socket.id, audio, video });
       
       // Update participant media state in DB if using meetings
       if (socket.data.authMode === "meeting") {
@@ -165,6 +464,7 @@ export function createSocketServer(httpServer, corsConfig) {
             audioEnabled: audio,
             videoEnabled: video
           });
+          await attendanceService.recordMediaChange(socket.id, socket.data.media);
         } catch (err) {
           logger.warn("Failed to update media state:", err.message);
         }
@@ -173,11 +473,14 @@ export function createSocketServer(httpServer, corsConfig) {
 
     // Screen share signals (tracks are swapped in WebRTC; this is for UI state)
     socket.on("screen-share-started", async () => {
-      socket.to(roomId).emit("screen-share-started", { userId });
+      if (!inCall() || !withinRateLimit("media", "screen-share-started")) return;
+      socket.data.media = { ...socket.data.media, sharing: true };
+      socket.to(roomId).emit("screen-share-started", { userId, socketId: socket.id });
       
       if (socket.data.authMode === "meeting") {
         try {
           await participantRepository.updateMediaState(roomId, userId, { screenSharing: true });
+          await attendanceService.recordMediaChange(socket.id, socket.data.media);
         } catch (err) {
           logger.warn("Failed to update screen share state:", err.message);
         }
@@ -185,37 +488,216 @@ export function createSocketServer(httpServer, corsConfig) {
     });
     
     socket.on("screen-share-stopped", async () => {
-      socket.to(roomId).emit("screen-share-stopped", { userId });
+      if (!inCall() || !withinRateLimit("media", "screen-share-stopped")) return;
+      socket.data.media = { ...socket.data.media, sharing: false };
+      socket.to(roomId).emit("screen-share-stopped", { userId, socketId: socket.id });
       
       if (socket.data.authMode === "meeting") {
         try {
           await participantRepository.updateMediaState(roomId, userId, { screenSharing: false });
+          await attendanceService.recordMediaChange(socket.id, socket.data.media);
         } catch (err) {
           logger.warn("Failed to update screen share state:", err.message);
         }
       }
     });
 
-    socket.on("disconnect", async () => {
-      socket.to(roomId).emit("user-left", { userId });
-      
-      if (socket.data.authMode === "jwt") {
-        removeParticipant(roomId, userId);
-        const app = apps.get(appId);
-        dispatchWebhook({ app, event: "user.left", payload: { roomId, userId } }).catch(() => {});
-      } else {
-        // Update participant status in MongoDB
+    // Validate room based on auth mode
+    if (socket.data.authMode === "jwt") {
+      // Legacy: Check in-memory room store
+      const room = getRoom(roomId);
+      if (!room || room.appId !== appId) {
+        logger.error(`Room validation failed - room exists: ${!!room}, appId match: ${room?.appId === appId}`);
+        socket.disconnect(true);
+        return;
+      }
+      socket.data.role = socket.data.claims.role || "participant";
+      addParticipant(roomId, { userId, name, role: socket.data.role });
+      emitAppEvent({ appId, event: "user.joined", payload: { roomId, userId } });
+    } else {
+      // Meeting mode: the participant record (created by REST join) decides role and admission
+      try {
+        let participant = await participantRepository.findByMeetingAndUser(roomId, userId);
+        if (!participant) {
+          const joined = await meetingService.joinMeeting(roomId, { userId, name }, {
+            passcodeVerified: true,
+            identity: socket.data.claims.identity
+          });
+          if (!joined.success) {
+            socket.emit("admission-denied", { reason: joined.reason });
+            socket.disconnect(true);
+            return;
+          }
+          participant = await participantRepository.findByMeetingAndUser(roomId, userId);
+        }
+
+        if (participant.status === "denied") {
+          socket.emit("admission-denied", { reason: "Entry denied by host" });
+          socket.disconnect(true);
+          return;
+        }
+
+        if (participant.banned) {
+          socket.emit("removed", { banned: true });
+          socket.disconnect(true);
+          return;
+        }
+
+        socket.data.role = participant.role;
+
+        const meeting = await meetingService.getMeeting(roomId);
+        if (meetingService.requiresAdmission(meeting, participant)) {
+          if (participant.status !== "waiting") {
+            await meetingService.holdInWaitingRoom(roomId, userId);
+          }
+          // Gone while being checked: the disconnect handler found nothing to clean up
+          if (socket.disconnected) {
+            await meetingService.leaveWaitingRoom(roomId, userId);
+            return;
+          }
+          socket.data.waiting = true;
+          socket.join(lobbyRoom);
+          socket.emit("waiting-room", { meetingId: roomId, title: meeting.title });
+          io.to(hostsRoom).emit("knock", { userId, name: participant.name || name });
+          logger.info(`User ${userId} is waiting in the lobby of ${roomId}`);
+        }
+      } catch (err) {
+        // Without the record the waiting-room and ban checks can't run, so don't let the socket in
+        logger.error("Failed to load participant for socket:", err.message);
+        socket.emit("admission-denied", { reason: "Could not verify your place in the meeting; please rejoin" });
+        socket.disconnect(true);
+        return;
+      }
+    }
+
+    if (socket.disconnected) return;
+    if (!socket.data.waiting) {
+      await enterMeeting();
+    }
+
+    // Refresh the participant token at half its lifetime so reconnects can re-authenticate
+    if (socket.data.authMode === "meeting" && socket.connected) {
+      tokenRefresh = setInterval(() => {
+        socket.emit("participant-token", {
+          token: signParticipantToken({
+            meetingId: roomId, appId, userId, name, role: socket.data.role,
+            identity: socket.data.claims.identity, passcodeVerified: true
+          }),
+          expiresIn: config.participantToken.ttlSeconds
+        });
+      }, config.participantToken.ttlSeconds * 500);
+    }
+
+    // Join the call: room membership, presence and (for hosts) the waiting list
+    async function enterMeeting() {
+      socket.data.waiting = false;
+      socket.leave(lobbyRoom);
+
+      // Enforce the mesh cap before the socket is recorded anywhere (other tabs of the same user don't count)
+      const callSockets = await io.in(roomId).fetchSockets();
+      const otherUsers = new Set(callSockets.map(s => s.data.claims.sub).filter(id => id !== userId));
+      if (otherUsers.size >= config.meeting.meshMaxParticipants) {
+        logger.warn(`Room ${roomId} is full (${otherUsers.size} users); rejecting ${userId}`);
+        socket.emit("room-full", { max: config.meeting.meshMaxParticipants });
+        socket.disconnect(true);
+        return;
+      }
+
+      if (socket.data.authMode === "meeting") {
         try {
-          await meetingService.leaveMeeting(roomId, userId);
+          await participantRepository.updateStatus(roomId, userId, "connected");
         } catch (err) {
-          logger.warn("Failed to update leave status:", err.message);
+          logger.warn("Failed to update participant status:", err.message);
+        }
+        qualityService.recordClientInfo(roomId, userId, {
+          userAgent: socket.handshake.headers["user-agent"],
+          ip: getClientIp(socket)
+        }).catch((err) => logger.warn("Failed to store client info:", err.message));
+
+        // Gone meanwhile: the disconnect handler ran before the socket was in the call
+        if (socket.disconnected) {
+          await meetingService.leaveMeeting(roomId, userId)
+            .catch((err) => logger.warn("Failed to update leave status:", err.message));
+          return;
         }
       }
-      
-      logger.info(`User ${userId} left room ${roomId}`);
-    });
+
+      // Join Socket.IO room
+      socket.join(roomId);
+      socket.data.inCall = true;
+
+      // Attendance: one session per stay in the call (closed on disconnect)
+      if (socket.data.authMode === "meeting") {
+        try {
+          await attendanceService.openSession(roomId, { appId, userId, name, role: socket.data.role, socketId: socket.id });
+          // Disconnected while the session was being created
+          if (socket.disconnected) await attendanceService.closeSession(socket.id, "transport close");
+        } catch (err) {
+          logger.warn("Failed to open attendance session:", err.message);
+        }
+      }
+      socket.emit("participant-info", { userId, socketId: socket.id, role: socket.data.role });
+
+      // Existing peers will send us offers; tell us who they are
+      socket.emit("room-peers", {
+        peers: callSockets.map(s => ({
+          socketId: s.id,
+          userId: s.data.claims.sub,
+          name: s.data.claims.name,
+          ...s.data.media
+        }))
+      });
+      logger.info(`User ${userId} joined room ${roomId}. Total sockets in room: ${callSockets.length + 1}`);
+
+      // Notify other participants
+      socket.to(roomId).emit("user-joined", { userId, name, socketId: socket.id });
+      logger.info(`Emitted user-joined to room ${roomId} for user ${userId}`);
+
+      // Chat so far (legacy rooms too; they are keyed by roomId)
+      try {
+        socket.emit("chat-history", { messages: await chatService.getHistory(roomId) });
+      } catch (err) {
+        logger.warn("Failed to load chat history:", err.message);
+      }
+
+      // Whether this meeting may be recorded, and recordings already running
+      // (ignoring any left behind by a recorder who is no longer in the call)
+      if (socket.data.authMode === "meeting") {
+        try {
+          const meeting = await meetingService.getMeeting(roomId);
+          const present = new Set([userId, ...otherUsers]);
+          const recordings = await recordingService.getActiveRecordings(roomId);
+          socket.emit("recording-state", {
+            enabled: !!meeting?.settings?.recordingEnabled,
+            consentRequired: !!meeting?.settings?.recordingConsentRequired,
+            recordings: recordings
+              .filter(r => present.has(r.startedBy.userId))
+              .map(r => ({
+                recordingId: r.recordingId,
+                status: r.status,
+                userId: r.startedBy.userId,
+                name: r.startedBy.name,
+                startedAt: r.startedAt
+              }))
+          });
+        } catch (err) {
+          logger.warn("Failed to load recording state:", err.message);
+        }
+      }
+
+      if (isHost()) {
+        socket.join(hostsRoom);
+        if (socket.data.authMode === "meeting") {
+          try {
+            const waiting = await meetingService.getWaitingParticipants(roomId);
+            socket.emit("waiting-list", { participants: waiting });
+          } catch (err) {
+            logger.warn("Failed to load waiting list:", err.message);
+          }
+        }
+      }
+    }
   });
 
   return io;
 }
-
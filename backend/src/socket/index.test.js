@@ -0,0 +1,190 @@
+import { test, before, after, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import { once } from "node:events";
+import { io as connect } from "socket.io-client";
+import { createSocketServer } from "./index.js";
+import { signParticipantToken } from "../services/tokenService.js";
+import meetingService from "../services/meetingService.js";
+import appService from "../services/appService.js";
+import chatService from "../services/chatService.js";
+import recordingService from "../services/recordingService.js";
+import qualityService from "../services/qualityService.js";
+import attendanceService from "../services/attendanceService.js";
+import { participantRepository } from "../repositories/index.js";
+import { config } from "../config.js";
+
+const MEETING_ID = "abc-1234-xyz";
+let server;
+let url;
+let participant;
+let handshakes;
+
+appService.getRateLimitOverrides = async () => ({});
+meetingService.canJoinMeeting = async (meetingId, userId, options) => {
+  handshakes.push(options);
+  return { allowed: true };
+};
+meetingService.getMeeting = async () => ({ meetingId: MEETING_ID, title: "Standup", settings: { waitingRoomEnabled: true } });
+meetingService.holdInWaitingRoom = async () => {};
+meetingService.leaveWaitingRoom = async () => null;
+participantRepository.findByMeetingAndUser = async () => {
+  if (participant instanceof Error) throw participant;
+  return participant;
+};
+let statusUpdates;
+let leaves;
+participantRepository.updateStatus = async (meetingId, userId, status) => { statusUpdates.push([userId, status]); };
+meetingService.leaveMeeting = async (meetingId, userId) => { leaves.push(userId); return { success: true }; };
+qualityService.recordClientInfo = async () => {};
+attendanceService.openSession = async () => {};
+attendanceService.closeSession = async () => {};
+chatService.getHistory = async () => [];
+chatService.postMessage = async (meetingId, sender, text) => ({ messageId: "msg_1", ...sender, text });
+recordingService.getActiveRecordings = async () => [];
+meetingService.getWaitingParticipants = async () => [];
+
+const ADMITTED = { userId: "u1", name: "Dana", role: "participant", status: "joined", admittedAt: new Date() };
+
+function join(role = "participant", options = {}, userId = "u1") {
+  const token = signParticipantToken({
+    meetingId: MEETING_ID, appId: "app-1", userId, name: "Dana", role, identity: { via: "app" }, passcodeVerified: true
+  });
+  return connect(url, { auth: { participantToken: token }, transports: ["websocket"], reconnection: false, ...options });
+}
+
+before(async () => {
+  server = http.createServer();
+  createSocketServer(server, { origin: "*" });
+  server.listen(0);
+  await once(server, "listening");
+  url = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  handshakes = [];
+  statusUpdates = [];
+  leaves = [];
+});
+
+test("a socket whose participant record can't be loaded is turned away", async () => {
+  participant = new Error("connection lost");
+  const socket = join();
+  const disconnected = once(socket, "disconnect");
+
+  const [denied] = await once(socket, "admission-denied");
+  assert.match(denied.reason, /rejoin/);
+  const [reason] = await disconnected;
+  assert.equal(reason, "io server disconnect");
+});
+
+test("a participant not yet admitted waits in the lobby", async () => {
+  participant = { userId: "u1", name: "Dana", role: "participant", status: "waiting", admittedAt: null };
+  const socket = join();
+
+  const [waiting] = await once(socket, "waiting-room");
+  assert.equal(waiting.meetingId, MEETING_ID);
+  socket.close();
+});
+
+test("the handshake throttles passcodes by the client IP behind trusted proxies", async () => {
+  participant = { userId: "u1", name: "Dana", role: "participant", status: "waiting", admittedAt: null };
+  config.trustProxy = 1;
+  try {
+    const socket = join("participant", { extraHeaders: { "x-forwarded-for": "203.0.113.7" } });
+    await once(socket, "waiting-room");
+    socket.close();
+  } finally {
+    config.trustProxy = 0;
+  }
+
+  assert.equal(handshakes.at(-1).clientIp, "203.0.113.7");
+});
+
+test("malformed signaling messages are dropped without taking the server down", async () => {
+  participant = ADMITTED;
+  const socket = join();
+  await once(socket, "room-peers");
+
+  for (const event of ["webrtc-offer", "webrtc-answer", "ice-candidate"]) {
+    socket.emit(event, null);
+    socket.emit(event, { to: 42 });
+  }
+  assert.deepEqual(await socket.emitWithAck("recording-consent", null), { ok: false, error: "Nothing to answer" });
+
+  const reply = await socket.emitWithAck("chat-message", { text: "still here" });
+  assert.equal(reply.ok, true);
+  socket.close();
+});
+
+test("host commands with no payload are ignored", async () => {
+  participant = { ...ADMITTED, role: "host" };
+  const socket = join("host");
+  await once(socket, "room-peers");
+
+  for (const event of ["mute-participant", "disable-camera", "remove-participant", "admit-participant", "deny-participant"]) {
+    socket.emit(event, null);
+  }
+
+  const reply = await socket.emitWithAck("chat-message", { text: "still here" });
+  assert.equal(reply.ok, true);
+  socket.close();
+});
+
+test("a joiner's answers reach peers while its setup is still loading", async () => {
+  participant = ADMITTED;
+  const first = join("participant", {}, "u1");
+  await once(first, "room-peers");
+
+  // Hold the second socket's setup at the chat history
+  let releaseHistory;
+  chatService.getHistory = () => new Promise(resolve => { releaseHistory = () => resolve([]); });
+  try {
+    const second = join("participant", {}, "u2");
+    const [joined] = await once(first, "user-joined");
+
+    first.emit("webrtc-offer", { to: joined.socketId, payload: { sdp: "offer" } });
+    const [offer] = await once(second, "webrtc-offer");
+    second.emit("webrtc-answer", { to: offer.fromSocket, payload: { sdp: "answer" } });
+
+    let timer;
+    const answer = await Promise.race([
+      once(first, "webrtc-answer").then(([message]) => message),
+      new Promise(resolve => { timer = setTimeout(resolve, 2000, null); })
+    ]);
+    clearTimeout(timer);
+    assert.deepEqual(answer?.payload, { sdp: "answer" });
+
+    releaseHistory();
+    second.close();
+  } finally {
+    chatService.getHistory = async () => [];
+    first.close();
+  }
+});
+
+test("a socket turned away by the mesh cap is never marked connected", async () => {
+  participant = ADMITTED;
+  const cap = config.meeting.meshMaxParticipants;
+  config.meeting.meshMaxParticipants = 1;
+  const first = join("participant", {}, "u1");
+  try {
+    await once(first, "room-peers");
+
+    const turnedAway = join("participant", {}, "u3");
+    const disconnected = once(turnedAway, "disconnect");
+    const [full] = await once(turnedAway, "room-full");
+    assert.equal(full.max, 1);
+    await disconnected;
+    // Let the server run its disconnect handler
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    assert.equal(statusUpdates.some(([userId]) => userId === "u3"), false);
+    assert.equal(leaves.includes("u3"), false);
+  } finally {
+    config.meeting.meshMaxParticipants = cap;
+    first.close();
+  }
+});
@@ -0,0 +1,72 @@
+import { logger } from "../utils/logger.js";
+
+/**
+ * Bridge from the service layer to the Socket.IO server
+ *
+ * The socket server registers itself on startup; services call the helpers
+ * below without importing socket/index.js (which depends on the services).
+ * Calls are no-ops when no signaling server is running (e.g. scripts).
+ */
+let io = null;
+
+export function setSignalingServer(server) {
+  io = server;
+}
+
+/**
+ * Tell everyone in a meeting (including the waiting room) that it is over,
+ * then disconnect their sockets.
+ */
+export function closeMeetingRoom(meetingId, { reason, endedBy } = {}) {
+  if (!io) return;
+
+  const rooms = [meetingId, `${meetingId}:lobby`];
+  io.to(rooms).emit("meeting-ended", { meetingId, reason, endedBy });
+  io.in(rooms).disconnectSockets(true);
+
+  logger.info(`Closed signaling room ${meetingId} (${reason})`);
+}
+
+/**
+ * Number of sockets in a meeting's call, across all signaling nodes.
+ * Returns null when no signaling server is running or other nodes don't answer.
+ */
+export async function countRoomSockets(meetingId) {
+  if (!io) return null;
+
+  try {
+    const sockets = await io.in(meetingId).fetchSockets();
+    return sockets.length;
+  } catch (err) {
+    logger.warn(`Failed to count sockets in ${meetingId}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Send an event to everyone in a meeting's call (not the waiting room)
+ */
+export function emitToMeeting(meetingId, event, payload) {
+  if (!io) return;
+  io.to(meetingId).emit(event, payload);
+}
+
+/**
+ * Distinct users in a meeting's call ({ userId, name }), across all signaling nodes.
+ * Returns null when no signaling server is running or other nodes don't answer.
+ */
+export async function listMeetingUsers(meetingId) {
+  if (!io) return null;
+
+  try {
+    const sockets = await io.in(meetingId).fetchSockets();
+    const users = new Map();
+    for (const s of sockets) {
+      users.set(s.data.claims.sub, { userId: s.data.claims.sub, name: s.data.claims.name });
+    }
+    return [...users.values()];
+  } catch (err) {
+    logger.warn(`Failed to list users in ${meetingId}:`, err.message);
+    return null;
+  }
+}
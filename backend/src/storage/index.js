@@ -0,0 +1,27 @@
+/**
+ * Recording Storage
+ *
+ * Every backend implements the same interface, addressed by a storage key
+ * (one key per recording, e.g. "<appId>/<meetingId>/<recordingId>"):
+ *   writeChunk(key, index, buffer)  store one uploaded chunk; a retried index overwrites it
+ *   assemble(key, chunkCount)       join chunks 0..chunkCount-1 into the final file -> { size }
+ *   stat(key)                       { size } of the assembled file, or null
+ *   createReadStream(key)           readable stream of the assembled file
+ *   remove(key)                     delete the file and any chunks
+ *
+ * Only local disk is built in; an object-store backend plugs in here.
+ */
+
+import { config } from "../config.js";
+import LocalDiskStorage from "./localDiskStorage.js";
+
+function createRecordingStorage({ storage, storageDir }) {
+  switch (storage) {
+    case "local":
+      return new LocalDiskStorage({ rootDir: storageDir });
+    default:
+      throw new Error(`Unknown recording storage: ${storage}`);
+  }
+}
+
+export const recordingStorage = createRecordingStorage(config.recording);
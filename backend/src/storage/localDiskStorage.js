@@ -0,0 +1,88 @@
+/**
+ * Local Disk Storage
+ * Keeps each recording in its own directory under the storage root:
+ *   <root>/<key>/chunks/<index>.part   uploaded chunks (removed after assembly)
+ *   <root>/<key>/media                 assembled file
+ */
+
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { pipeline } from "stream/promises";
+
+export default class LocalDiskStorage {
+  constructor({ rootDir }) {
+    this.rootDir = path.resolve(rootDir);
+  }
+
+  /**
+   * Absolute directory for a key; keys must stay inside the storage root
+   */
+  dirFor(key) {
+    const dir = path.resolve(this.rootDir, key);
+    if (!dir.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return dir;
+  }
+
+  chunkPath(key, index) {
+    return path.join(this.dirFor(key), "chunks", `${index}.part`);
+  }
+
+  mediaPath(key) {
+    return path.join(this.dirFor(key), "media");
+  }
+
+  async writeChunk(key, index, buffer) {
+    const file = this.chunkPath(key, index);
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    // Write then rename so a retried or interrupted upload never leaves a partial chunk
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, buffer);
+    await fsp.rename(tmp, file);
+  }
+
+  async assemble(key, chunkCount) {
+    const target = this.mediaPath(key);
+    const tmp = `${target}.tmp`;
+    const out = fs.createWriteStream(tmp);
+
+    try {
+      for (let index = 0; index < chunkCount; index += 1) {
+        await pipeline(fs.createReadStream(this.chunkPath(key, index)), out, { end: false });
+      }
+      await new Promise((resolve, reject) => {
+        out.on("error", reject);
+        out.end(resolve);
+      });
+    } catch (error) {
+      out.destroy();
+      await fsp.rm(tmp, { force: true });
+      throw error;
+    }
+
+    await fsp.rename(tmp, target);
+    await fsp.rm(path.join(this.dirFor(key), "chunks"), { recursive: true, force: true });
+    const { size } = await fsp.stat(target);
+    return { size };
+  }
+
+  async stat(key) {
+    try {
+      const { size } = await fsp.stat(this.mediaPath(key));
+      return { size };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  createReadStream(key) {
+    return fs.createReadStream(this.mediaPath(key));
+  }
+
+  async remove(key) {
+    await fsp.rm(this.dirFor(key), { recursive: true, force: true });
+  }
+}
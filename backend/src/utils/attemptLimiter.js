@@ -0,0 +1,49 @@
+/**
+ * Failed-attempt limiter
+ * Counts failures per key in a sliding window (in-process, per node)
+ */
+
+/**
+ * Create a limiter that blocks a key after `maxAttempts` failures within `windowMs`
+ */
+export function createAttemptLimiter({ maxAttempts, windowMs, maxKeys = 10000 }) {
+  // key -> failure timestamps (oldest first)
+  const failures = new Map();
+
+  function recentFailures(key, now = Date.now()) {
+    const times = (failures.get(key) || []).filter((t) => now - t < windowMs);
+    if (times.length === 0) {
+      failures.delete(key);
+    } else {
+      failures.set(key, times);
+    }
+    return times;
+  }
+
+  return {
+    /**
+     * Seconds until the key may try again (0 when not blocked)
+     */
+    retryAfterSeconds(key) {
+      const now = Date.now();
+      const times = recentFailures(key, now);
+      if (times.length < maxAttempts) return 0;
+      return Math.ceil((times[times.length - maxAttempts] + windowMs - now) / 1000);
+    },
+
+    recordFailure(key) {
+      const times = recentFailures(key);
+      times.push(Date.now());
+      failures.set(key, times);
+
+      // Bound memory: drop the oldest tracked key
+      if (failures.size > maxKeys) {
+        failures.delete(failures.keys().next().value);
+      }
+    },
+
+    reset(key) {
+      failures.delete(key);
+    }
+  };
+}
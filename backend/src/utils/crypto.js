@@ -5,6 +5,18 @@ export function hmacSha256(payload, secret) {
   return crypto.createHmac("sha256", secret).update(payload).digest("hex");
 }
 
+export function randomSecret(bytes = 24) {
+  return crypto.randomBytes(bytes).toString("base64url");
+}
+
+export function safeEqual(a, b) {
+  if (typeof a !== "string" || typeof b !== "string") return false;
+  const bufA = Buffer.from(a);
+  const bufB = Buffer.from(b);
+  if (bufA.length !== bufB.length) return false;
+  return crypto.timingSafeEqual(bufA, bufB);
+}
+
 export function generateTurnCredentials(appId) {
   const timestamp = Math.floor(Date.now() / 1000) + config.turn.ttlSeconds;
   const username = `${timestamp}:${appId}`;
@@ -0,0 +1,42 @@
+/**
+ * Event rate limiter
+ * Fixed-window counters per event group (one instance per socket)
+ */
+
+/**
+ * Create a limiter allowing `limits[group]` events per `windowMs`
+ */
+export function createEventRateLimiter({ limits, windowMs }) {
+  // group -> { count, windowStart, notified }
+  const windows = new Map();
+
+  return {
+    /**
+     * Count one event in a group
+     * Returns { allowed: true } or { allowed: false, retryAfter, first } where
+     * `first` is true for the first rejected event of the window
+     */
+    consume(group) {
+      const limit = limits[group];
+      if (!limit) return { allowed: true };
+
+      const now = Date.now();
+      let window = windows.get(group);
+      if (!window || now - window.windowStart >= windowMs) {
+        window = { count: 0, windowStart: now, notified: false };
+        windows.set(group, window);
+      }
+
+      window.count += 1;
+      if (window.count <= limit) return { allowed: true };
+
+      const first = !window.notified;
+      window.notified = true;
+      return {
+        allowed: false,
+        retryAfter: Math.ceil((window.windowStart + windowMs - now) / 1000),
+        first
+      };
+    }
+  };
+}
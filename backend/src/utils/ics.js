@@ -0,0 +1,110 @@
+/**
+ * iCalendar (RFC 5545) output
+ * Just enough to publish meetings as VEVENTs: text escaping, UTC dates and line folding.
+ */
+
+const PRODID = "-//ChamCall//Meetings//EN";
+
+/**
+ * Escape a TEXT value (backslash, semicolon, comma, newline)
+ */
+export function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * Quote a parameter value (e.g. CN) when it contains separators; quotes themselves are not allowed
+ */
+function paramValue(value) {
+  const text = String(value ?? "").replace(/"/g, "'").replace(/[\r\n]+/g, " ");
+  return /[;:,]/.test(text) ? `"${text}"` : text;
+}
+
+/**
+ * UTC DATE-TIME (20261026T090000Z)
+ */
+export function formatDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Fold a content line to 75 octets, continuation lines starting with a space
+ * (never splits a UTF-8 character)
+ */
+function foldLine(line) {
+  const parts = [];
+  let current = "";
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join("\r\n ");
+}
+
+/**
+ * Lines of one VEVENT
+ * `event`: { uid, start, end, summary, description, url, organizer: { name, email | uri }, status,
+ * sequence, lastModified }
+ */
+export function buildEvent(event, { now = new Date() } = {}) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `DTSTAMP:${formatDate(now)}`,
+    `DTSTART:${formatDate(event.start)}`,
+    `DTEND:${formatDate(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`
+  ];
+
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+    lines.push(`LOCATION:${escapeText(event.url)}`);
+  }
+  if (event.organizer) {
+    const { name, email, uri } = event.organizer;
+    lines.push(`ORGANIZER;CN=${paramValue(name)}:${email ? `mailto:${email}` : uri}`);
+  }
+  lines.push(`STATUS:${event.status}`);
+  lines.push(`SEQUENCE:${event.sequence || 0}`);
+  if (event.lastModified) lines.push(`LAST-MODIFIED:${formatDate(event.lastModified)}`);
+  lines.push("END:VEVENT");
+
+  return lines;
+}
+
+/**
+ * A VCALENDAR document with the given events (CRLF line endings, folded lines)
+ */
+export function buildCalendar(events, { name, now = new Date() } = {}) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH"
+  ];
+
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  for (const event of events) {
+    lines.push(...buildEvent(event, { now }));
+  }
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
@@ -0,0 +1,16 @@
+/**
+ * Reporting periods
+ * Aggregation helpers for grouping dates by day, week or month
+ */
+
+export const PERIOD_UNITS = ["day", "week", "month"];
+
+/**
+ * $dateTrunc expression for the start of the period containing `date`
+ * Weeks start on Monday; requires MongoDB 5.0+
+ */
+export function periodStartExpression(date, { unit, timezone = "UTC" }) {
+  const expression = { date, unit, timezone };
+  if (unit === "week") expression.startOfWeek = "monday";
+  return { $dateTrunc: expression };
+}
@@ -0,0 +1,263 @@
+/**
+ * Recurrence rules
+ * A subset of RFC 5545 RRULE: FREQ=DAILY|WEEKLY|MONTHLY, INTERVAL, COUNT or UNTIL and BYDAY
+ * (ordinals such as 1MO or -1FR only with MONTHLY). Weeks start on Monday.
+ * Every occurrence keeps the first one's wall-clock time in the series' timezone.
+ */
+
+import createError from "http-errors";
+
+export const FREQUENCIES = ["daily", "weekly", "monthly"];
+
+const WEEKDAYS = ["MO", "TU", "WE", "TH", "FR", "SA", "SU"];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Periods scanned before giving up on a rule that never matches (e.g. BYDAY=5FR every 12 months)
+const MAX_PERIODS = 5000;
+
+/**
+ * Wall-clock parts of a date in a timezone
+ */
+function zonedParts(date, timezone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit"
+    }).formatToParts(date).map(p => [p.type, Number(p.value)])
+  );
+  return { year: parts.year, month: parts.month, day: parts.day, hour: parts.hour, minute: parts.minute, second: parts.second };
+}
+
+/**
+ * The instant a wall-clock time happens in a timezone
+ * (times skipped by a DST change land one offset later)
+ */
+function zonedToDate({ year, month, day, hour, minute, second }, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  let instant = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(instant), timezone);
+    const offset = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - instant;
+    instant = wallClock - offset;
+  }
+  return new Date(instant);
+}
+
+// Calendar days are handled as UTC midnights
+const weekdayIndex = (dayMs) => (new Date(dayMs).getUTCDay() + 6) % 7;
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * Parse a BYDAY entry ("MO", "1MO", "-1FR")
+ */
+function parseWeekday(entry) {
+  const match = /^([+-]?\d{1,2})?(MO|TU|WE|TH|FR|SA|SU)$/.exec(String(entry).trim().toUpperCase());
+  if (!match) {
+    throw createError(400, `Invalid weekday: ${entry}`);
+  }
+  const ordinal = match[1] ? Number(match[1]) : null;
+  if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+    throw createError(400, `Invalid weekday ordinal: ${entry}`);
+  }
+  return { ordinal, day: match[2] };
+}
+
+/**
+ * Parse an UNTIL value: RRULE form (20261231 or 20261231T170000Z) or an ISO date
+ * A bare date includes that whole day in the series' timezone
+ */
+function parseUntil(value, timezone) {
+  const compact = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z)?$/.exec(String(value));
+  if (compact) {
+    const [year, month, day, hour, minute, second] = compact.slice(1).map(Number);
+    return compact[4] === undefined
+      ? zonedToDate({ year, month, day, hour: 23, minute: 59, second: 59 }, timezone)
+      : new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(String(value))) {
+    const [year, month, day] = String(value).split("-").map(Number);
+    return zonedToDate({ year, month, day, hour: 23, minute: 59, second: 59 }, timezone);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createError(400, "recurrence.until must be a date");
+  }
+  return date;
+}
+
+/**
+ * Turn an RRULE string ("RRULE:FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10") into rule fields
+ */
+function parseRRule(rrule) {
+  const fields = {};
+  for (const part of String(rrule).replace(/^RRULE:/i, "").split(";").filter(Boolean)) {
+    const [key, value] = part.split("=");
+    switch (key?.toUpperCase()) {
+      case "FREQ": fields.frequency = value?.toLowerCase(); break;
+      case "INTERVAL": fields.interval = Number(value); break;
+      case "COUNT": fields.count = Number(value); break;
+      case "UNTIL": fields.until = value; break;
+      case "BYDAY": fields.byWeekday = value ? value.split(",") : []; break;
+      case "WKST":
+        if (value?.toUpperCase() !== "MO") throw createError(400, "Only WKST=MO is supported");
+        break;
+      default:
+        throw createError(400, `Unsupported RRULE part: ${key}`);
+    }
+  }
+  return fields;
+}
+
+/**
+ * Validate a recurrence (`{ rrule }` or `{ frequency, interval, count | until, byWeekday }`)
+ * Returns { frequency, interval, count, until, byWeekday } with byWeekday as RRULE strings
+ */
+export function normalizeRecurrence(input, { timezone = "UTC", maxOccurrences }) {
+  if (!input || typeof input !== "object") {
+    throw createError(400, "recurrence must be an object");
+  }
+
+  const fields = input.rrule ? parseRRule(input.rrule) : input;
+  const frequency = String(fields.frequency || "").toLowerCase();
+  const interval = fields.interval === undefined ? 1 : Number(fields.interval);
+  const count = fields.count === undefined || fields.count === null ? null : Number(fields.count);
+  const hasUntil = fields.until !== undefined && fields.until !== null;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    throw createError(400, `recurrence.frequency must be one of: ${FREQUENCIES.join(", ")}`);
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > 99) {
+    throw createError(400, "recurrence.interval must be an integer from 1 to 99");
+  }
+  if ((count === null) === !hasUntil) {
+    throw createError(400, "recurrence needs exactly one of count or until");
+  }
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > maxOccurrences)) {
+    throw createError(400, `recurrence.count must be an integer from 1 to ${maxOccurrences}`);
+  }
+
+  if (fields.byWeekday !== undefined && fields.byWeekday !== null && !Array.isArray(fields.byWeekday)) {
+    throw createError(400, "recurrence.byWeekday must be an array");
+  }
+
+  const byWeekday = (fields.byWeekday || []).map(parseWeekday);
+  if (frequency !== "monthly" && byWeekday.some(w => w.ordinal !== null)) {
+    throw createError(400, "Weekday ordinals (e.g. 1MO) are only allowed with monthly recurrence");
+  }
+
+  return {
+    frequency,
+    interval,
+    count,
+    until: hasUntil ? parseUntil(fields.until, timezone) : null,
+    byWeekday: [...new Set(byWeekday.map(w => `${w.ordinal ?? ""}${w.day}`))]
+  };
+}
+
+/**
+ * RRULE string for a normalized recurrence
+ */
+export function toRRule({ frequency, interval, count, until, byWeekday }) {
+  const parts = [`FREQ=${frequency.toUpperCase()}`, `INTERVAL=${interval}`];
+  if (byWeekday?.length) parts.push(`BYDAY=${byWeekday.join(",")}`);
+  if (count) parts.push(`COUNT=${count}`);
+  if (until) parts.push(`UNTIL=${occurrenceIdFor(until)}`);
+  return parts.join(";");
+}
+
+/**
+ * Stable occurrence ID: the occurrence's original start in UTC (as in iCalendar RECURRENCE-ID)
+ */
+export function occurrenceIdFor(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+/**
+ * Candidate days (UTC midnights, ascending) of one period of the rule
+ */
+function periodDays(rule, startDay, period, weekdays) {
+  const { frequency, interval } = rule;
+
+  if (frequency === "daily") {
+    const day = startDay + period * interval * DAY_MS;
+    return weekdays.length === 0 || weekdays.some(w => WEEKDAYS.indexOf(w.day) === weekdayIndex(day)) ? [day] : [];
+  }
+
+  if (frequency === "weekly") {
+    const weekStart = startDay - weekdayIndex(startDay) * DAY_MS + period * interval * 7 * DAY_MS;
+    const indexes = weekdays.length ? weekdays.map(w => WEEKDAYS.indexOf(w.day)) : [weekdayIndex(startDay)];
+    return [...new Set(indexes)].sort((a, b) => a - b).map(i => weekStart + i * DAY_MS);
+  }
+
+  // monthly
+  const start = new Date(startDay);
+  const monthIndex = start.getUTCMonth() + period * interval;
+  const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = (monthIndex % 12) + 1;
+  const length = daysInMonth(year, month);
+
+  if (weekdays.length === 0) {
+    // Months without that day (e.g. the 31st) are skipped
+    return start.getUTCDate() <= length ? [Date.UTC(year, month - 1, start.getUTCDate())] : [];
+  }
+
+  const days = new Set();
+  for (const { ordinal, day } of weekdays) {
+    const matching = [];
+    for (let d = 1; d <= length; d++) {
+      const dayMs = Date.UTC(year, month - 1, d);
+      if (weekdayIndex(dayMs) === WEEKDAYS.indexOf(day)) matching.push(dayMs);
+    }
+    if (ordinal === null) matching.forEach(d => days.add(d));
+    else {
+      const picked = ordinal > 0 ? matching[ordinal - 1] : matching[matching.length + ordinal];
+      if (picked !== undefined) days.add(picked);
+    }
+  }
+  return [...days].sort((a, b) => a - b);
+}
+
+/**
+ * Start times of a series: the rule's matches on or after `startAt`
+ * (the first occurrence is the first match, which need not be `startAt` itself)
+ */
+export function expandOccurrences(rule, { startAt, timezone = "UTC", maxOccurrences }) {
+  const start = zonedParts(startAt, timezone);
+  const startDay = Date.UTC(start.year, start.month - 1, start.day);
+  const weekdays = rule.byWeekday.map(parseWeekday);
+  const occurrences = [];
+
+  for (let period = 0; period < MAX_PERIODS; period++) {
+    for (const day of periodDays(rule, startDay, period, weekdays)) {
+      if (day < startDay) continue;
+
+      const date = new Date(day);
+      const occurrence = zonedToDate({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: start.hour,
+        minute: start.minute,
+        second: start.second
+      }, timezone);
+
+      if (rule.until && occurrence > rule.until) return occurrences;
+      occurrences.push(occurrence);
+      if (rule.count && occurrences.length === rule.count) return occurrences;
+      if (occurrences.length > maxOccurrences) {
+        throw createError(400, `recurrence produces more than ${maxOccurrences} occurrences`);
+      }
+    }
+  }
+
+  if (occurrences.length === 0) {
+    throw createError(400, "recurrence produces no occurrences");
+  }
+  return occurrences;
+}
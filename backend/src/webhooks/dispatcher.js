@@ -1,47 +1,178 @@
+import os from "os";
+import { v4 as uuid } from "uuid";
 import { hmacSha256 } from "../utils/crypto.js";
 import { logger } from "../utils/logger.js";
 import { config } from "../config.js";
+import { webhookDeliveryRepository, webhookSubscriptionRepository } from "../repositories/index.js";
+import appService from "../services/appService.js";
+
+// Identifies this process when leasing deliveries
+const workerId = `${os.hostname()}:${process.pid}`;
 
 async function postJson(url, body, headers = {}) {
   const res = await fetch(url, {
     method: "POST",
     headers: { "Content-Type": "application/json", ...headers },
-    body: JSON.stringify(body)
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(config.webhook.requestTimeoutMs)
   });
   return res;
 }
 
-export async function dispatchWebhook({ app, event, payload }) {
-  if (!app.webhookUrl) {
-    logger.info("Webhook skipped; not configured", app.appId, event);
-    return;
-  }
+function signedHeaders({ app, secret, event, deliveryId, payload }) {
   const timestamp = Date.now().toString();
-  const secret = app.webhookSecret || config.webhook.defaultSecret;
   const signature = hmacSha256(`${timestamp}.${JSON.stringify(payload)}`, secret);
-  const headers = {
+  return {
     "X-App-Id": app.appId,
     "X-Event": event,
+    "X-Delivery-Id": deliveryId,
     "X-Timestamp": timestamp,
     "X-Signature": `sha256=${signature}`
   };
-  const schedule = config.webhook.retryScheduleSeconds;
-  let attempt = 0;
-  // Simple inline retry for demo; replace with queue/worker for production.
-  for (const waitSec of schedule) {
-    if (attempt > 0) await new Promise((r) => setTimeout(r, waitSec * 1000));
-    attempt += 1;
+}
+
+/**
+ * Persist a delivery in the queue and try it right away.
+ * The background worker picks it up again if this attempt fails or the process dies.
+ */
+export async function enqueueDelivery({ appId, event, payload, url, subscriptionId = null, redeliveryOf = null }) {
+  const delivery = await webhookDeliveryRepository.create({
+    deliveryId: uuid(),
+    appId,
+    event,
+    payload,
+    url,
+    subscriptionId,
+    maxAttempts: config.webhook.retryScheduleSeconds.length,
+    nextAttemptAt: new Date(Date.now() + config.webhook.retryScheduleSeconds[0] * 1000),
+    redeliveryOf
+  });
+
+  setImmediate(() => {
+    processDelivery(delivery.deliveryId).catch((err) => {
+      logger.error("Webhook immediate attempt error", err.message);
+    });
+  });
+
+  return delivery;
+}
+
+/**
+ * Endpoints that should receive an event: the app's legacy webhookUrl (all events)
+ * plus every enabled subscription whose filter matches.
+ * `subscriptionId` targets a single subscription; `allEndpoints` ignores filters (test events).
+ */
+async function resolveTargets(app, event, { subscriptionId = null, allEndpoints = false } = {}) {
+  if (subscriptionId) {
+    const sub = await webhookSubscriptionRepository.findBySubscriptionId(app.appId, subscriptionId);
+    return sub?.enabled ? [{ url: sub.url, subscriptionId }] : [];
+  }
+
+  const targets = [];
+  if (app.webhookUrl) targets.push({ url: app.webhookUrl, subscriptionId: null });
+
+  const subs = allEndpoints
+    ? (await webhookSubscriptionRepository.findByAppId(app.appId)).filter((sub) => sub.enabled)
+    : await webhookSubscriptionRepository.findForEvent(app.appId, event);
+  subs.forEach((sub) => targets.push({ url: sub.url, subscriptionId: sub.subscriptionId }));
+
+  return targets;
+}
+
+/**
+ * Fan an event out to every matching endpoint; returns the queued deliveries.
+ */
+export async function dispatchWebhook({ app, event, payload, subscriptionId = null, allEndpoints = false }) {
+  const targets = await resolveTargets(app, event, { subscriptionId, allEndpoints });
+  if (targets.length === 0) {
+    logger.info("Webhook skipped; no matching endpoints", app.appId, event);
+    return [];
+  }
+  return Promise.all(
+    targets.map((target) => enqueueDelivery({ appId: app.appId, event, payload, ...target }))
+  );
+}
+
+/**
+ * Signing secret for a delivery, read at send time so secret rotation applies to retries.
+ * Returns null when the target subscription was removed or disabled.
+ */
+async function resolveSecret(app, delivery) {
+  if (!delivery.subscriptionId) return app.webhookSecret || config.webhook.defaultSecret;
+  const sub = await webhookSubscriptionRepository.findBySubscriptionId(app.appId, delivery.subscriptionId);
+  return sub?.enabled ? sub.secret : null;
+}
+
+/**
+ * Fire-and-forget: resolve the app and dispatch an event to its webhook.
+ * Apps that are unknown, disabled or have no webhook are skipped.
+ */
+export function emitAppEvent({ appId, event, payload }) {
+  appService.getActiveApp(appId)
+    .then((app) => app && dispatchWebhook({ app, event, payload }))
+    .catch((err) => logger.error(`Webhook dispatch failed for ${event}`, err.message));
+}
+
+/**
+ * Claim one due delivery (or the given one, if due) and make a single attempt.
+ * Returns false when there was nothing to claim.
+ */
+export async function processDelivery(deliveryId = null) {
+  const leaseMs = config.webhook.leaseSeconds * 1000;
+  const delivery = await webhookDeliveryRepository.claimNextDue(workerId, leaseMs, deliveryId);
+  if (!delivery) return false;
+
+  const { event, payload, url } = delivery;
+  const attempt = { attemptedAt: new Date() };
+  let ok = false;
+
+  const app = await appService.getActiveApp(delivery.appId);
+  const secret = app ? await resolveSecret(app, delivery) : null;
+  if (!app) {
+    attempt.error = "App not found or disabled";
+  } else if (!secret) {
+    attempt.error = "Subscription removed or disabled";
+  } else {
+    const startedAt = Date.now();
     try {
-      const res = await postJson(app.webhookUrl, payload, headers);
-      if (res.ok) {
-        logger.info(`Webhook delivered ${event} to ${app.webhookUrl}`);
-        return;
-      }
-      logger.warn(`Webhook attempt ${attempt} failed with status ${res.status}`);
+      const headers = signedHeaders({ app, secret, event, deliveryId: delivery.deliveryId, payload });
+      const res = await postJson(url, payload, headers);
+      attempt.responseStatus = res.status;
+      ok = res.ok;
+      if (!ok) attempt.error = `HTTP ${res.status}`;
     } catch (err) {
-      logger.error("Webhook attempt error", err.message);
+      attempt.error = err.message;
     }
+    attempt.durationMs = Date.now() - startedAt;
+  }
+
+  const attemptsMade = delivery.attempts + 1;
+  const schedule = config.webhook.retryScheduleSeconds;
+  let outcome;
+
+  if (ok) {
+    outcome = { status: "succeeded" };
+    logger.info(`Webhook delivered ${event} to ${url}`);
+  } else if (!app || !secret || attemptsMade >= delivery.maxAttempts) {
+    outcome = { status: "failed" };
+    logger.error(`Webhook failed after ${attemptsMade} attempts`, event, url, attempt.error);
+  } else {
+    const waitSec = schedule[Math.min(attemptsMade, schedule.length - 1)];
+    outcome = { status: "pending", nextAttemptAt: new Date(Date.now() + waitSec * 1000) };
+    logger.warn(`Webhook attempt ${attemptsMade} failed (${attempt.error}); retrying in ${waitSec}s`);
   }
-  logger.error(`Webhook failed after ${attempt} attempts`, event, app.webhookUrl);
+
+  await webhookDeliveryRepository.recordAttempt(delivery.deliveryId, attempt, outcome);
+  return true;
 }
 
+/**
+ * Drain up to `limit` due deliveries. Used by the background worker.
+ */
+export async function processDueDeliveries(limit = config.webhook.batchSize) {
+  let processed = 0;
+  while (processed < limit && (await processDelivery())) {
+    processed += 1;
+  }
+  return processed;
+}
@@ -0,0 +1,36 @@
+import { config } from "../config.js";
+import { logger } from "../utils/logger.js";
+import { isDBConnected } from "../db/connection.js";
+import { processDueDeliveries } from "./dispatcher.js";
+
+// Background worker that drains the persisted webhook queue.
+// Safe to run on several instances: deliveries are leased atomically.
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running || !isDBConnected()) return;
+  running = true;
+  try {
+    const processed = await processDueDeliveries(config.webhook.batchSize);
+    if (processed > 0) logger.debug(`Webhook worker processed ${processed} deliveries`);
+  } catch (err) {
+    logger.error("Webhook worker error", err.message);
+  } finally {
+    running = false;
+  }
+}
+
+export function startWebhookWorker() {
+  if (timer) return;
+  timer = setInterval(tick, config.webhook.pollIntervalSeconds * 1000);
+  timer.unref();
+  logger.info(`Webhook worker started (poll every ${config.webhook.pollIntervalSeconds}s)`);
+}
+
+export function stopWebhookWorker() {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+  logger.info("Webhook worker stopped");
+}
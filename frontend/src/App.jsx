@@ -12,6 +12,7 @@ export default function App() {
   const [appId, setAppId] = useState("demo-app");
   const [appSecret, setAppSecret] = useState("demo-secret");
   const [meetingId, setMeetingId] = useState("");
+  const [createdMeetingId, setCreatedMeetingId] = useState(""); // meeting this client created (joined as host)
   const [userId, setUserId] = useState("user-" + Math.random().toString(16).slice(2, 6));
   const [userName, setUserName] = useState("Guest");
   const [joinData, setJoinData] = useState(null);
@@ -20,7 +21,13 @@ export default function App() {
   const [meetingTitle, setMeetingTitle] = useState("");
   const [autoJoinPending, setAutoJoinPending] = useState(false);
   const [autoRecording, setAutoRecording] = useState(false);
-  const [userRole, setUserRole] = useState("participant"); // interviewer, candidate, participant
+  const [inviteToken, setInviteToken] = useState(""); // signed invite from /meet/:id?invite=...
+  const [passcode, setPasscode] = useState(""); // meeting passcode (set on create, or ?pwd= / prompt on join)
+  const [passcodeRequired, setPasscodeRequired] = useState(false);
+  const [waitingRoomEnabled, setWaitingRoomEnabled] = useState(false);
+  const [allowAnonymous, setAllowAnonymous] = useState(true);
+  const [recordingEnabled, setRecordingEnabled] = useState(false);
+  const [recordingConsentRequired, setRecordingConsentRequired] = useState(true);
 
   useEffect(() => {
     async function fetchConfig() {
@@ -39,7 +46,7 @@ export default function App() {
     }
     fetchConfig();
     
-    // Check if we're on a direct meeting URL (/meet/abc-1234-xyz?name=John&recording=true)
+    // Check if we're on a direct meeting URL (/meet/abc-1234-xyz?invite=...&recording=true)
     const path = window.location.pathname;
     const meetMatch = path.match(/^\/meet\/([a-z]{3}-\d{4}-[a-z]{3})$/);
     if (meetMatch) {
@@ -54,16 +61,22 @@ export default function App() {
         setUserName(decodeURIComponent(nameFromUrl));
       }
       
-      // Get recording preference from URL
+      // Record button for legacy rooms (meetings follow settings.recordingEnabled)
       const recordingFromUrl = params.get("recording");
       if (recordingFromUrl === "true") {
         setAutoRecording(true);
       }
       
-      // Get role from URL (interviewer/candidate)
-      const roleFromUrl = params.get("role");
-      if (roleFromUrl) {
-        setUserRole(roleFromUrl);
+      // Share links may embed the passcode
+      const pwdFromUrl = params.get("pwd");
+      if (pwdFromUrl) {
+        setPasscode(pwdFromUrl);
+      }
+      
+      // Invite links carry the participant's name and role (signed by the backend)
+      const inviteFromUrl = params.get("invite");
+      if (inviteFromUrl) {
+        setInviteToken(inviteFromUrl);
       }
       
       setAutoJoinPending(true);
@@ -91,7 +104,14 @@ export default function App() {
         },
         body: JSON.stringify({ 
           createdBy: userId,
-          title: meetingTitle || "Video Meeting"
+          title: meetingTitle || "Video Meeting",
+          settings: {
+            allowAnonymous,
+            waitingRoomEnabled,
+            recordingEnabled,
+            recordingConsentRequired,
+            passcode: passcode || undefined
+          }
         })
       });
       if (!res.ok) {
@@ -100,6 +120,7 @@ export default function App() {
       }
       const data = await res.json();
       setMeetingId(data.meetingId);
+      setCreatedMeetingId(data.meetingId);
       // Auto-copy meeting link to clipboard
       navigator.clipboard?.writeText(data.meetingUrl);
     } catch (err) {
@@ -123,19 +144,36 @@ export default function App() {
       return;
     }
     
+    // The backend decides the role: meeting creators join as host, invitees get the invite's role
+    const body = inviteToken
+      ? { invite: inviteToken, userId }
+      : { userId, name: userName, passcode: passcode || undefined };
+    
+    // The creator joins with the app credentials it created the meeting with,
+    // so the backend trusts its userId (host role, no invite needed)
+    const headers = { "Content-Type": "application/json" };
+    if (!inviteToken && targetId === createdMeetingId) {
+      Object.assign(headers, { "X-App-Id": appId, "X-App-Key": appSecret });
+    }
+    
     try {
       const res = await fetch(`${backendUrl}/api/meetings/${targetId}/join`, {
         method: "POST",
-        headers: {
-          "Content-Type": "application/json"
-        },
-        body: JSON.stringify({ userId, name: userName })
+        headers,
+        body: JSON.stringify(body)
       });
       if (!res.ok) {
         const errData = await res.json().catch(() => ({}));
+        // Ask for the passcode (missing, wrong or throttled)
+        if (errData.code?.startsWith("passcode_")) {
+          setPasscodeRequired(true);
+        }
         throw new Error(errData.error || `HTTP ${res.status}`);
       }
       const data = await res.json();
+      // Invites may assign the identity and display name
+      setUserId(data.participant.userId);
+      setUserName(data.participant.name);
       setJoinData(data);
     } catch (err) {
       setError(err.message);
@@ -196,6 +234,9 @@ export default function App() {
   function leaveCall() {
     setJoinData(null);
     setMeetingId("");
+    setInviteToken("");
+    setPasscode("");
+    setPasscodeRequired(false);
   }
 
   if (joinData) {
@@ -206,6 +247,7 @@ export default function App() {
           roomId={meetingId}
           userId={userId}
           token={joinData.token}
+          participantToken={joinData.participantToken}
           iceServers={joinData.iceServers}
           signalingUrl={joinData.signalingUrl}
           userName={userName}
@@ -260,6 +302,56 @@ export default function App() {
             />
           </div>
 
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={waitingRoomEnabled}
+              onChange={(e) => setWaitingRoomEnabled(e.target.checked)}
+            />
+            Waiting room (admit guests manually)
+          </label>
+
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={allowAnonymous}
+              onChange={(e) => setAllowAnonymous(e.target.checked)}
+            />
+            Allow guests without an invite
+          </label>
+
+          <label className="checkbox-row">
+            <input
+              type="checkbox"
+              checked={recordingEnabled}
+              onChange={(e) => setRecordingEnabled(e.target.checked)}
+            />
+            Allow recording
+          </label>
+
+          {recordingEnabled && (
+            <label className="checkbox-row">
+              <input
+                type="checkbox"
+                checked={recordingConsentRequired}
+                onChange={(e) => setRecordingConsentRequired(e.target.checked)}
+              />
+              Ask everyone before recording starts
+            </label>
+          )}
+
+          {!passcodeRequired && (
+            <div className="form-group">
+              <label>Passcode (optional)</label>
+              <input
+                value={passcode}
+                onChange={(e) => setPasscode(e.target.value.replace(/[^A-Za-z0-9]/g, ""))}
+                placeholder="4-32 letters or digits"
+                maxLength={32}
+              />
+            </div>
+          )}
+
           <button className="btn-primary btn-large" onClick={createMeeting}>
             🚀 Create New Meeting
           </button>
@@ -277,6 +369,20 @@ export default function App() {
             />
           </div>
 
+          {passcodeRequired && (
+            <div className="form-group">
+              <label>Meeting Passcode</label>
+              <input
+                autoFocus
+                value={passcode}
+                onChange={(e) => setPasscode(e.target.value.replace(/[^A-Za-z0-9]/g, ""))}
+                onKeyDown={(e) => e.key === "Enter" && joinMeeting()}
+                placeholder="Enter the meeting passcode"
+                maxLength={32}
+              />
+            </div>
+          )}
+
           <button className="btn-secondary btn-large" onClick={joinMeeting}>
             📞 Join Meeting
           </button>
@@ -286,7 +392,7 @@ export default function App() {
           {meetingId && (
             <div className="meeting-link-box">
               <p>Share this meeting link:</p>
-              <code>{backendUrl}/meet/{meetingId}</code>
+              <code>{backendUrl}/meet/{meetingId}{passcode && `?pwd=${encodeURIComponent(passcode)}`}</code>
             </div>
           )}
         </div>
@@ -5,25 +5,33 @@ import { io } from "socket.io-client";
  * Google Meet-like VideoCall component (Optimized)
  * - Pre-join: preview camera/mic, select devices, toggle on/off
  * - In-call: video grid, controls bar, screen share, keyboard shortcuts
+ * - Mesh: one RTCPeerConnection per remote socket; existing peers offer to newcomers
  */
-export default function VideoCall({ roomId, userId, userName, token, signalingUrl, iceServers, backendUrl, onLeave, recording }) {
+export default function VideoCall({ roomId, userId, userName, token, participantToken, signalingUrl, iceServers, backendUrl, onLeave, recording }) {
   // ═══════════════════════════════════════════════════════════════
   // REFS - Mutable values that don't trigger re-renders
   // ═══════════════════════════════════════════════════════════════
   const localVideoRef = useRef(null);
-  const remoteVideoRef = useRef(null);
-  const pcRef = useRef(null);
+  const peersRef = useRef(new Map()); // socketId -> { pc, candidates }
+  const remoteVideosRef = useRef(new Map()); // socketId -> <video>
   const socketRef = useRef(null);
   const localStreamRef = useRef(null);
   const screenTrackRef = useRef(null);
-  const iceCandidatesQueue = useRef([]);
   const isUnmountedRef = useRef(false);
+  const chatOpenRef = useRef(false);
+  const chatEndRef = useRef(null);
 
   // Recording refs
   const mediaRecorderRef = useRef(null);
   const recordedChunksRef = useRef([]);
   const recordingCanvasRef = useRef(null);
   const recordingStreamRef = useRef(null);
+  const recordingUploadRef = useRef(null); // { recordingId, nextIndex, queue, failed: Map index -> Blob }
+  const participantTokenRef = useRef(participantToken); // latest rotated token, for REST calls
+  const pendingRecordingRef = useRef(null); // { upload, mimeType } held back until everyone consents
+
+  // Connection quality: last getStats() counters per peer, for per-interval rates
+  const qualityCountersRef = useRef(new Map()); // socketId -> { at, bytesReceived, bytesSent, packetsLost, packetsReceived }
 
   // ═══════════════════════════════════════════════════════════════
   // STATE - Only values that need to trigger re-renders
@@ -39,16 +47,32 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
   const [isRecording, setIsRecording] = useState(false);
   const [recordingDuration, setRecordingDuration] = useState(0);
 
-  // Connection state
-  const [peerConnected, setPeerConnected] = useState(false);
-  const [peerName, setPeerName] = useState("");
-  const [connectionState, setConnectionState] = useState("");
-  const [iceState, setIceState] = useState("");
-
-  // Remote state
-  const [remoteAudio, setRemoteAudio] = useState(true);
-  const [remoteVideo, setRemoteVideo] = useState(true);
-  const [remoteSharing, setRemoteSharing] = useState(false);
+  // Recording policy and who is recording: meetings get these from the server (recording-state)
+  const [recordingPolicy, setRecordingPolicy] = useState(null); // { enabled, consentRequired }
+  const [activeRecordings, setActiveRecordings] = useState({}); // recordingId (or "user:<id>") -> { userId, name, startedAt }
+  const [consentRequest, setConsentRequest] = useState(null); // someone asks us: { recordingId, userId, name }
+  const [consentPending, setConsentPending] = useState(null); // our request: { recordingId, approved }
+
+  // Remote peers: socketId -> { userId, name, stream, connected, connectionState, audio, video, sharing }
+  const [peers, setPeers] = useState({});
+
+  // Waiting room state
+  const [admission, setAdmission] = useState("none"); // none | waiting | denied
+  const [isHost, setIsHost] = useState(false);
+  const [isObserver, setIsObserver] = useState(false);
+  const [waitingList, setWaitingList] = useState([]);
+
+  // Host moderation state
+  const [hostRequest, setHostRequest] = useState(null); // "mute" | "camera-off" from a host
+  const [notice, setNotice] = useState("");
+  const [callEnded, setCallEnded] = useState(null); // { title, message } once removed or ended
+
+  // Chat state
+  const [chatOpen, setChatOpen] = useState(false);
+  const [chatMessages, setChatMessages] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [chatDraft, setChatDraft] = useState("");
+  const [chatError, setChatError] = useState("");
 
   // Devices
   const [devices, setDevices] = useState({ audio: [], video: [] });
@@ -60,9 +84,10 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
   // ═══════════════════════════════════════════════════════════════
   const socketUrl = useMemo(() => backendUrl || signalingUrl, [backendUrl, signalingUrl]);
 
+  // Legacy room JWT, or the signed participant token from the meetings join API
   const authPayload = useMemo(() =>
-    token ? { token } : { meetingId: roomId, userId, name: userName },
-    [token, roomId, userId, userName]
+    token ? { token } : { participantToken },
+    [token, participantToken]
   );
 
   const defaultIceServers = useMemo(() =>
@@ -88,12 +113,30 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
     return name.split(" ").map(n => n[0]).join("").toUpperCase().slice(0, 2);
   }, []);
 
+  const formatTime = useCallback((date) => {
+    return new Date(date).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+  }, []);
+
+  // Split message text so URLs render as links (everything else stays plain text)
+  const linkify = useCallback((text) => {
+    return text.split(/(https?:\/\/[^\s]+)/g).map((part, i) =>
+      i % 2 === 1
+        ? <a key={i} href={part} target="_blank" rel="noopener noreferrer">{part}</a>
+        : part
+    );
+  }, []);
+
   const formatDuration = useCallback((seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
     return `${mins}:${secs.toString().padStart(2, "0")}`;
   }, []);
 
+  // Apply a change to every peer connection (track swaps, closing)
+  const forEachPeerConnection = useCallback((fn) => {
+    peersRef.current.forEach(({ pc }) => fn(pc));
+  }, []);
+
   // ═══════════════════════════════════════════════════════════════
   // DEVICE ENUMERATION
   // ═══════════════════════════════════════════════════════════════
@@ -197,9 +240,11 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
       }
       if (localVideoRef.current) localVideoRef.current.srcObject = null;
 
-      // Update peer connection in background
-      const videoSender = pcRef.current?.getSenders().find(s => s.track?.kind === "video");
-      if (videoSender) videoSender.replaceTrack(null).catch(() => { });
+      // Update peer connections in background
+      forEachPeerConnection(pc => {
+        const videoSender = pc.getSenders().find(s => s.track?.kind === "video");
+        if (videoSender) videoSender.replaceTrack(null).catch(() => { });
+      });
       console.log("toggleVideo", newState);
     } else {
       // TURNING ON - acquire camera in background (async, non-blocking)
@@ -229,13 +274,15 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
             localVideoRef.current.srcObject = localStreamRef.current;
           }
 
-          // Update peer connection
-          const videoSender = pcRef.current?.getSenders().find(s => s.track?.kind === "video" || !s.track);
-          if (videoSender) {
-            videoSender.replaceTrack(newVideoTrack).catch(console.error);
-          } else if (pcRef.current && localStreamRef.current) {
-            pcRef.current.addTrack(newVideoTrack, localStreamRef.current);
-          }
+          // Update peer connections
+          forEachPeerConnection(pc => {
+            const videoSender = pc.getSenders().find(s => s.track?.kind === "video" || !s.track);
+            if (videoSender) {
+              videoSender.replaceTrack(newVideoTrack).catch(console.error);
+            } else if (localStreamRef.current) {
+              pc.addTrack(newVideoTrack, localStreamRef.current);
+            }
+          });
         })
         .catch(err => {
           console.error("Failed to restart camera:", err);
@@ -245,13 +292,62 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
           }
         });
     }
-  }, [audioEnabled, videoEnabled, selectedVideoId, stopAllTracks]);
+  }, [audioEnabled, videoEnabled, selectedVideoId, stopAllTracks, forEachPeerConnection]);
+
+  // ═══════════════════════════════════════════════════════════════
+  // PEER STATE
+  // ═══════════════════════════════════════════════════════════════
+  const addPeer = useCallback((socketId, info) => {
+    setPeers(prev => ({
+      ...prev,
+      [socketId]: {
+        stream: null, connected: false, connectionState: "new",
+        audio: true, video: true, sharing: false,
+        ...prev[socketId],
+        ...info
+      }
+    }));
+  }, []);
+
+  const updatePeer = useCallback((socketId, changes) => {
+    setPeers(prev => prev[socketId]
+      ? { ...prev, [socketId]: { ...prev[socketId], ...changes } }
+      : prev);
+  }, []);
+
+  const closePeer = useCallback((socketId) => {
+    peersRef.current.get(socketId)?.pc.close();
+    peersRef.current.delete(socketId);
+    remoteVideosRef.current.delete(socketId);
+    setPeers(prev => {
+      const { [socketId]: _removed, ...rest } = prev;
+      return rest;
+    });
+  }, []);
+
+  const closeAllPeers = useCallback(() => {
+    forEachPeerConnection(pc => pc.close());
+    peersRef.current.clear();
+    remoteVideosRef.current.clear();
+    setPeers({});
+  }, [forEachPeerConnection]);
+
+  // Attach a peer's stream to its tile (ref callback, runs on every render)
+  const attachRemoteVideo = useCallback((socketId, el, stream) => {
+    if (!el) return;
+    remoteVideosRef.current.set(socketId, el);
+    if (el.srcObject !== stream) el.srcObject = stream;
+  }, []);
 
   // ═══════════════════════════════════════════════════════════════
   // PEER CONNECTION FACTORY
   // ═══════════════════════════════════════════════════════════════
-  const createPeerConnection = useCallback(() => {
+  const getPeerConnection = useCallback((socketId) => {
+    const existing = peersRef.current.get(socketId);
+    if (existing) return existing.pc;
+
     const pc = new RTCPeerConnection({ iceServers: defaultIceServers });
+    peersRef.current.set(socketId, { pc, candidates: [] });
 
     // Add local tracks
     localStreamRef.current?.getTracks().forEach(track => {
@@ -261,45 +357,35 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
     // Handle remote tracks
     pc.ontrack = (event) => {
       const [remoteStream] = event.streams;
-      if (remoteVideoRef.current) {
-        remoteVideoRef.current.srcObject = remoteStream;
-      }
-      setPeerConnected(true);
+      if (!isUnmountedRef.current) updatePeer(socketId, { stream: remoteStream, connected: true });
     };
 
-    // ICE candidates
+    // ICE candidates go to this peer only
     pc.onicecandidate = (event) => {
       if (event.candidate) {
-        socketRef.current?.emit("ice-candidate", event.candidate);
+        socketRef.current?.emit("ice-candidate", { to: socketId, payload: event.candidate });
       }
     };
 
     // Connection state changes
     pc.onconnectionstatechange = () => {
-      if (isUnmountedRef.current) return;
-      setConnectionState(pc.connectionState);
-      if (pc.connectionState === "connected") setStatus("in-call");
-      else if (pc.connectionState === "failed" || pc.connectionState === "disconnected") setStatus("reconnecting");
-    };
-
-    pc.oniceconnectionstatechange = () => {
-      if (!isUnmountedRef.current) setIceState(pc.iceConnectionState);
+      if (!isUnmountedRef.current) updatePeer(socketId, { connectionState: pc.connectionState });
     };
 
     return pc;
-  }, [defaultIceServers]);
+  }, [defaultIceServers, updatePeer]);
 
   // ═══════════════════════════════════════════════════════════════
   // ICE CANDIDATE QUEUE PROCESSING
   // ═══════════════════════════════════════════════════════════════
-  const processQueuedCandidates = useCallback(async () => {
-    const pc = pcRef.current;
-    if (!pc?.remoteDescription) return;
+  const processQueuedCandidates = useCallback(async (socketId) => {
+    const peer = peersRef.current.get(socketId);
+    if (!peer?.pc.remoteDescription) return;
 
-    while (iceCandidatesQueue.current.length > 0) {
-      const candidate = iceCandidatesQueue.current.shift();
+    while (peer.candidates.length > 0) {
+      const candidate = peer.candidates.shift();
       try {
-        await pc.addIceCandidate(new RTCIceCandidate(candidate));
+        await peer.pc.addIceCandidate(new RTCIceCandidate(candidate));
       } catch (err) {
         console.error("Failed to add ICE candidate:", err);
       }
@@ -324,10 +410,6 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
         localStreamRef.current = stream;
       }
 
-      // Create peer connection
-      const pc = createPeerConnection();
-      pcRef.current = pc;
-
       // Connect to signaling
       const socket = io(socketUrl, {
         transports: ["polling", "websocket"],
@@ -339,10 +421,18 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
       // Socket events
       socket.on("connect", () => {
         if (isUnmountedRef.current) return;
+        // After a reconnect we have a new socket ID; peers will offer again
+        closeAllPeers();
         setStatus("waiting");
         emitToParent("call.connected", { roomId, userId });
       });
 
+      // Server rotates the short-lived participant token; reconnects use the latest one
+      socket.on("participant-token", ({ token: freshToken }) => {
+        socket.auth = { ...socket.auth, participantToken: freshToken };
+        participantTokenRef.current = freshToken;
+      });
+
       socket.on("connect_error", (err) => {
         if (isUnmountedRef.current) return;
         setError("Failed to connect: " + err.message);
@@ -350,46 +440,206 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
         emitToParent("call.failed", { roomId, reason: err.message });
       });
 
-      socket.on("user-joined", async ({ userId: peerId, name }) => {
-        if (peerId === userId || isUnmountedRef.current) return;
+      // Waiting room: guests are held until a host admits them
+      socket.on("waiting-room", () => {
+        if (isUnmountedRef.current) return;
+        setAdmission("waiting");
+        emitToParent("call.waiting", { roomId, userId });
+      });
+
+      socket.on("admitted", () => {
+        if (isUnmountedRef.current) return;
+        setAdmission("none");
+        socket.emit("enter-meeting");
+        emitToParent("call.admitted", { roomId, userId });
+      });
+
+      socket.on("admission-denied", ({ reason } = {}) => {
+        if (isUnmountedRef.current) return;
+        setAdmission("denied");
+        setError(reason || "The host did not let you in");
+        emitToParent("call.denied", { roomId, reason });
+      });
+
+      socket.on("participant-info", ({ role }) => {
+        if (isUnmountedRef.current) return;
+        setIsHost(role === "host");
+        setIsObserver(role === "observer");
+      });
+
+      // Recording: the server announces every recording to the whole call
+      const recordingKey = ({ recordingId, userId: recorderId }) => recordingId || `user:${recorderId}`;
+      const forgetRecording = (key) => setActiveRecordings(({ [key]: _, ...rest }) => rest);
+
+      socket.on("recording-state", ({ enabled, consentRequired, recordings = [] }) => {
+        if (isUnmountedRef.current) return;
+        setRecordingPolicy({ enabled, consentRequired });
+        setActiveRecordings(Object.fromEntries(recordings
+          .filter(r => r.status === "recording")
+          .map(r => [recordingKey(r), { userId: r.userId, name: r.name, startedAt: r.startedAt }])));
+      });
+
+      socket.on("recording-consent-requested", (request) => {
+        if (isUnmountedRef.current || request.userId === userId) return;
+        setConsentRequest(request);
+        emitToParent("recording.consent_requested", { recordingId: request.recordingId, userId: request.userId });
+      });
+
+      socket.on("recording-started", (rec) => {
+        if (isUnmountedRef.current) return;
+        setActiveRecordings(all => ({ ...all, [recordingKey(rec)]: { userId: rec.userId, name: rec.name, startedAt: rec.startedAt } }));
+        setConsentRequest(req => req?.recordingId === rec.recordingId ? null : req);
+        // Everyone agreed to our request: the recorder starts in an effect
+        setConsentPending(p => p?.recordingId === rec.recordingId ? { ...p, approved: true } : p);
+        if (rec.userId !== userId) emitToParent("recording.started", { recordingId: rec.recordingId, userId: rec.userId });
+      });
+
+      socket.on("recording-stopped", (rec) => {
+        if (isUnmountedRef.current) return;
+        forgetRecording(recordingKey(rec));
+        setConsentRequest(req => req?.recordingId === rec.recordingId ? null : req);
+        if (rec.userId !== userId) emitToParent("recording.stopped", { recordingId: rec.recordingId, userId: rec.userId });
+      });
 
-        setPeerName(name || "Guest");
+      socket.on("recording-declined", ({ recordingId, declinedBy }) => {
+        if (isUnmountedRef.current) return;
+        setConsentRequest(req => req?.recordingId === recordingId ? null : req);
+        if (pendingRecordingRef.current?.upload.recordingId === recordingId) {
+          pendingRecordingRef.current = null;
+          setConsentPending(null);
+          setNotice(declinedBy
+            ? `${declinedBy.name || "A participant"} declined to be recorded`
+            : "Not everyone agreed to be recorded in time");
+        }
+      });
+
+      // Host: people knocking
+      socket.on("waiting-list", ({ participants = [] }) => {
+        if (!isUnmountedRef.current) setWaitingList(participants);
+      });
+
+      socket.on("knock", ({ userId: guestId, name }) => {
+        if (isUnmountedRef.current) return;
+        setWaitingList(list => list.some(p => p.userId === guestId)
+          ? list
+          : [...list, { userId: guestId, name }]);
+      });
+
+      const removeFromWaitingList = ({ userId: guestId }) => {
+        if (!isUnmountedRef.current) setWaitingList(list => list.filter(p => p.userId !== guestId));
+      };
+      socket.on("knock-resolved", removeFromWaitingList);
+      socket.on("knock-cancelled", removeFromWaitingList);
+
+      // Host moderation commands aimed at us
+      socket.on("mute-requested", () => {
+        if (!isUnmountedRef.current) setHostRequest("mute");
+      });
+
+      socket.on("camera-off-requested", () => {
+        if (!isUnmountedRef.current) setHostRequest("camera-off");
+      });
+
+      socket.on("removed", ({ banned } = {}) => {
+        if (isUnmountedRef.current) return;
+        setCallEnded({
+          title: "You were removed from the meeting",
+          message: banned ? "The host has blocked you from rejoining." : "A host removed you from this call."
+        });
+        emitToParent("call.removed", { roomId, userId, banned: !!banned });
+      });
+
+      socket.on("meeting-ended", ({ reason, endedBy } = {}) => {
+        if (isUnmountedRef.current) return;
+        setCallEnded({
+          title: reason === "cancelled" ? "This meeting was cancelled" : "The meeting has ended",
+          message: endedBy === userId
+            ? "You ended the meeting for everyone."
+            : reason === "cancelled"
+              ? "The organizer cancelled this meeting."
+              : "The meeting was ended for everyone."
+        });
+        emitToParent("meeting.ended", { roomId, reason });
+      });
+
+      // Chat: history on entering, then live messages (ours included)
+      socket.on("chat-history", ({ messages = [] }) => {
+        if (!isUnmountedRef.current) setChatMessages(messages);
+      });
+
+      socket.on("chat-message", (message) => {
+        if (isUnmountedRef.current) return;
+        setChatMessages(list => list.some(m => m.messageId === message.messageId) ? list : [...list, message]);
+        if (message.userId !== userId && !chatOpenRef.current) {
+          setUnreadCount(count => count + 1);
+        }
+        emitToParent("chat.message", message);
+      });
+
+      socket.on("moderation-error", ({ reason }) => {
+        if (!isUnmountedRef.current) setError(reason);
+      });
+
+      socket.on("room-full", ({ max } = {}) => {
+        if (isUnmountedRef.current) return;
+        setCallEnded({
+          title: "This meeting is full",
+          message: `Calls are limited to ${max} people.`
+        });
+        emitToParent("call.failed", { roomId, reason: "room_full" });
+      });
+
+      // Peers already in the call; each of them sends us an offer
+      socket.on("room-peers", ({ peers: existing = [] }) => {
+        if (isUnmountedRef.current) return;
+        existing.forEach(({ socketId, ...info }) => addPeer(socketId, info));
+      });
+
+      socket.on("user-joined", async ({ userId: peerId, name, socketId }) => {
+        if (isUnmountedRef.current) return;
+
+        addPeer(socketId, { userId: peerId, name: name || "Guest" });
         emitToParent("user.joined", { roomId, userId: peerId });
 
         try {
+          const pc = getPeerConnection(socketId);
           const offer = await pc.createOffer();
           await pc.setLocalDescription(offer);
-          socket.emit("webrtc-offer", pc.localDescription);
+          socket.emit("webrtc-offer", { to: socketId, payload: pc.localDescription });
         } catch (err) {
           console.error("Failed to create offer:", err);
         }
       });
 
-      socket.on("webrtc-offer", async ({ from, payload }) => {
+      socket.on("webrtc-offer", async ({ from, fromSocket, name, payload }) => {
         if (isUnmountedRef.current) return;
+        addPeer(fromSocket, { userId: from, name: name || "Guest" });
         try {
+          const pc = getPeerConnection(fromSocket);
           await pc.setRemoteDescription(new RTCSessionDescription(payload));
-          await processQueuedCandidates();
+          await processQueuedCandidates(fromSocket);
           const answer = await pc.createAnswer();
           await pc.setLocalDescription(answer);
-          socket.emit("webrtc-answer", pc.localDescription);
+          socket.emit("webrtc-answer", { to: fromSocket, payload: pc.localDescription });
         } catch (err) {
           console.error("Failed to handle offer:", err);
         }
       });
 
-      socket.on("webrtc-answer", async ({ from, payload }) => {
-        if (isUnmountedRef.current || pc.currentRemoteDescription) return;
+      socket.on("webrtc-answer", async ({ fromSocket, payload }) => {
+        const pc = peersRef.current.get(fromSocket)?.pc;
+        if (isUnmountedRef.current || !pc || pc.currentRemoteDescription) return;
         try {
           await pc.setRemoteDescription(new RTCSessionDescription(payload));
-          await processQueuedCandidates();
+          await processQueuedCandidates(fromSocket);
         } catch (err) {
           console.error("Failed to handle answer:", err);
         }
       });
 
-      socket.on("ice-candidate", async ({ from, payload }) => {
+      socket.on("ice-candidate", async ({ fromSocket, payload }) => {
         if (isUnmountedRef.current) return;
+        const pc = getPeerConnection(fromSocket);
         if (pc.remoteDescription) {
           try {
             await pc.addIceCandidate(new RTCIceCandidate(payload));
@@ -397,31 +647,27 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
             console.error("Failed to add ICE candidate:", err);
           }
         } else {
-          iceCandidatesQueue.current.push(payload);
+          peersRef.current.get(fromSocket).candidates.push(payload);
         }
       });
 
-      socket.on("user-left", ({ userId: peerId }) => {
-        if (peerId === userId || isUnmountedRef.current) return;
-        setPeerConnected(false);
-        setPeerName("");
-        setStatus("waiting");
+      socket.on("user-left", ({ userId: peerId, socketId }) => {
+        if (isUnmountedRef.current) return;
+        closePeer(socketId);
+        setActiveRecordings(all => Object.fromEntries(Object.entries(all).filter(([, r]) => r.userId !== peerId)));
         emitToParent("user.left", { roomId, userId: peerId });
-        if (remoteVideoRef.current) remoteVideoRef.current.srcObject = null;
       });
 
-      socket.on("user-media-updated", ({ userId: peerId, audio, video }) => {
-        if (peerId === userId || isUnmountedRef.current) return;
-        setRemoteAudio(audio);
-        setRemoteVideo(video);
+      socket.on("user-media-updated", ({ socketId, audio, video }) => {
+        if (!isUnmountedRef.current) updatePeer(socketId, { audio, video });
       });
 
-      socket.on("screen-share-started", ({ userId: peerId }) => {
-        if (peerId !== userId && !isUnmountedRef.current) setRemoteSharing(true);
+      socket.on("screen-share-started", ({ socketId }) => {
+        if (!isUnmountedRef.current) updatePeer(socketId, { sharing: true });
       });
 
-      socket.on("screen-share-stopped", ({ userId: peerId }) => {
-        if (peerId !== userId && !isUnmountedRef.current) setRemoteSharing(false);
+      socket.on("screen-share-stopped", ({ socketId }) => {
+        if (!isUnmountedRef.current) updatePeer(socketId, { sharing: false });
       });
 
       setPhase("incall");
@@ -433,7 +679,8 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
       }
     }
   }, [
-    acquireMedia, createPeerConnection, processQueuedCandidates, stopAllTracks,
+    acquireMedia, getPeerConnection, processQueuedCandidates, stopAllTracks,
+    addPeer, updatePeer, closePeer, closeAllPeers,
     socketUrl, authPayload, roomId, userId, audioEnabled, videoEnabled,
     selectedAudioId, selectedVideoId, emitToParent
   ]);
@@ -441,7 +688,7 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
   // ═══════════════════════════════════════════════════════════════
   // LEAVE CALL
   // ═══════════════════════════════════════════════════════════════
-  const leaveCall = useCallback(() => {
+  const teardownCall = useCallback(() => {
     // Stop recording if active
     if (mediaRecorderRef.current && mediaRecorderRef.current.state !== "inactive") {
       mediaRecorderRef.current.stop();
@@ -457,28 +704,104 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
     socketRef.current?.disconnect();
     socketRef.current = null;
 
-    pcRef.current?.close();
-    pcRef.current = null;
+    closeAllPeers();
 
     stopAllTracks(localStreamRef.current);
     localStreamRef.current = null;
 
     if (localVideoRef.current) localVideoRef.current.srcObject = null;
-    if (remoteVideoRef.current) remoteVideoRef.current.srcObject = null;
+  }, [stopAllTracks, closeAllPeers]);
 
-    iceCandidatesQueue.current = [];
+  const leaveCall = useCallback(() => {
+    teardownCall();
 
     setPhase("prejoin");
     setStatus("ended");
-    setPeerConnected(false);
-    setPeerName("");
+    setAdmission("none");
+    setIsHost(false);
+    setIsObserver(false);
+    setRecordingPolicy(null);
+    setActiveRecordings({});
+    setConsentRequest(null);
+    setConsentPending(null);
+    pendingRecordingRef.current = null;
+    setWaitingList([]);
+    setCallEnded(null);
+    setNotice("");
+    setChatOpen(false);
+    setChatMessages([]);
+    setUnreadCount(0);
+    setChatDraft("");
     setError("");
     setVideoEnabled(true);
     setAudioEnabled(true);
 
     emitToParent("call.ended", { roomId, userId });
     onLeave?.();
-  }, [stopAllTracks, roomId, userId, emitToParent, onLeave]);
+  }, [teardownCall, roomId, userId, emitToParent, onLeave]);
+
+  // ═══════════════════════════════════════════════════════════════
+  // WAITING ROOM (host)
+  // ═══════════════════════════════════════════════════════════════
+  const admitParticipant = useCallback((guestId) => {
+    socketRef.current?.emit("admit-participant", { userId: guestId });
+  }, []);
+
+  const denyParticipant = useCallback((guestId) => {
+    socketRef.current?.emit("deny-participant", { userId: guestId });
+  }, []);
+
+  // ═══════════════════════════════════════════════════════════════
+  // HOST MODERATION
+  // ═══════════════════════════════════════════════════════════════
+  const muteParticipant = useCallback((targetId) => {
+    socketRef.current?.emit("mute-participant", { userId: targetId });
+  }, []);
+
+  const disableParticipantCamera = useCallback((targetId) => {
+    socketRef.current?.emit("disable-camera", { userId: targetId });
+  }, []);
+
+  const removeParticipant = useCallback((targetId, ban = false) => {
+    const prompt = ban ? "Remove and block this person from rejoining?" : "Remove this person from the call?";
+    if (!window.confirm(prompt)) return;
+    socketRef.current?.emit("remove-participant", { userId: targetId, ban });
+  }, []);
+
+  const endMeetingForAll = useCallback(() => {
+    if (!window.confirm("End the meeting for everyone?")) return;
+    socketRef.current?.emit("end-meeting");
+  }, []);
+
+  // ═══════════════════════════════════════════════════════════════
+  // CHAT
+  // ═══════════════════════════════════════════════════════════════
+  const toggleChat = useCallback(() => {
+    setChatOpen(open => !open);
+  }, []);
+
+  const sendChatMessage = useCallback(() => {
+    const text = chatDraft.trim();
+    if (!text || !socketRef.current) return;
+
+    setChatError("");
+    socketRef.current.emit("chat-message", { text }, (result) => {
+      if (isUnmountedRef.current) return;
+      if (result?.ok) {
+        setChatDraft("");
+      } else {
+        setChatError(result?.error || "Message could not be sent");
+      }
+    });
+  }, [chatDraft]);
+
+  const handleChatKeyDown = useCallback((e) => {
+    // Enter sends; Shift+Enter adds a line (for code snippets)
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      sendChatMessage();
+    }
+  }, [sendChatMessage]);
 
   // ═══════════════════════════════════════════════════════════════
   // SCREEN SHARE
@@ -487,10 +810,11 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
     if (isSharing) {
       // Stop sharing
       const videoTrack = localStreamRef.current?.getVideoTracks()[0];
-      const sender = pcRef.current?.getSenders().find(s => s.track?.kind === "video");
-
-      if (sender && videoTrack) {
-        await sender.replaceTrack(videoTrack);
+      if (videoTrack) {
+        forEachPeerConnection(pc => {
+          const sender = pc.getSenders().find(s => s.track?.kind === "video");
+          sender?.replaceTrack(videoTrack).catch(console.error);
+        });
       }
 
       screenTrackRef.current?.stop();
@@ -505,8 +829,10 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
       const screenTrack = displayStream.getVideoTracks()[0];
       screenTrackRef.current = screenTrack;
 
-      const sender = pcRef.current?.getSenders().find(s => s.track?.kind === "video");
-      if (sender) await sender.replaceTrack(screenTrack);
+      forEachPeerConnection(pc => {
+        const sender = pc.getSenders().find(s => s.track?.kind === "video");
+        sender?.replaceTrack(screenTrack).catch(console.error);
+      });
 
       setIsSharing(true);
       socketRef.current?.emit("screen-share-started");
@@ -519,29 +845,79 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
         setError("Screen share failed: " + err.message);
       }
     }
-  }, [isSharing]);
+  }, [isSharing, forEachPeerConnection]);
 
   // ═══════════════════════════════════════════════════════════════
   // RECORDING
   // ═══════════════════════════════════════════════════════════════
 
-  const startRecording = useCallback(() => {
+  // Recordings API of the current meeting, authenticated with the participant token
+  const recordingRequest = useCallback(async (path, { method = "POST", body, contentType = "application/json" } = {}) => {
+    const res = await fetch(`${socketUrl}/api/meetings/${roomId}/record${path}`, {
+      method,
+      headers: {
+        "Content-Type": contentType,
+        Authorization: `Bearer ${participantTokenRef.current}`
+      },
+      body
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(data.error || `HTTP ${res.status}`);
+    return data;
+  }, [socketUrl, roomId]);
+
+  // Upload one chunk with retries; chunks that still fail are retried once more on stop
+  const uploadRecordingChunk = useCallback(async (upload, index, blob) => {
+    for (let attempt = 1; attempt <= 3; attempt++) {
+      try {
+        await recordingRequest(`/${upload.recordingId}/chunks/${index}`, {
+          method: "PUT",
+          body: blob,
+          contentType: "application/octet-stream"
+        });
+        upload.failed.delete(index);
+        return;
+      } catch (err) {
+        console.warn(`Recording chunk ${index} upload failed (attempt ${attempt}):`, err.message);
+        if (attempt < 3) await new Promise(resolve => setTimeout(resolve, attempt * 1000));
+      }
+    }
+    upload.failed.set(index, blob);
+  }, [recordingRequest]);
+
+  // Wait for queued uploads, re-send failed chunks, then stop the server-side recording
+  const finishRecordingUpload = useCallback(async (upload) => {
+    await upload.queue;
+    for (const [index, blob] of [...upload.failed]) {
+      await uploadRecordingChunk(upload, index, blob);
+    }
+    if (upload.failed.size > 0) {
+      throw new Error(`${upload.failed.size} chunk(s) could not be uploaded`);
+    }
+    return recordingRequest("/stop", {
+      body: JSON.stringify({ recordingId: upload.recordingId, totalChunks: upload.nextIndex })
+    });
+  }, [recordingRequest, uploadRecordingChunk]);
+
+  // Run the recorder; `upload` is null for legacy rooms (local download)
+  const beginRecording = useCallback((upload, mimeType) => {
     try {
-      // Create a canvas to combine local and remote video
+      // Create a canvas to combine local and remote videos
       const canvas = document.createElement("canvas");
       canvas.width = 1280;
       canvas.height = 720;
       const ctx = canvas.getContext("2d");
       recordingCanvasRef.current = canvas;
 
-      // Get audio tracks from both streams
+      // Get audio tracks from every stream
       const audioTracks = [];
       const localAudio = localStreamRef.current?.getAudioTracks()[0];
-      const remoteStream = remoteVideoRef.current?.srcObject;
-      const remoteAudioTrack = remoteStream?.getAudioTracks()[0];
-
       if (localAudio) audioTracks.push(localAudio);
-      if (remoteAudioTrack) audioTracks.push(remoteAudioTrack);
+
+      remoteVideosRef.current.forEach(video => {
+        const remoteAudioTrack = video.srcObject?.getAudioTracks()[0];
+        if (remoteAudioTrack) audioTracks.push(remoteAudioTrack);
+      });
 
       // Create audio context to mix audio tracks
       let audioDestination = null;
@@ -563,11 +939,16 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
         ctx.fillStyle = "#1a1a1a";
         ctx.fillRect(0, 0, canvas.width, canvas.height);
 
-        // Draw remote video (main - larger)
-        const remoteVideo = remoteVideoRef.current;
-        if (remoteVideo && remoteVideo.srcObject && remoteVideo.videoWidth > 0) {
-          ctx.drawImage(remoteVideo, 0, 0, canvas.width, canvas.height);
-        }
+        // Draw remote videos in a grid
+        const remoteVideos = [...remoteVideosRef.current.values()]
+          .filter(video => video.srcObject && video.videoWidth > 0);
+        const cols = Math.ceil(Math.sqrt(remoteVideos.length));
+        const rows = Math.ceil(remoteVideos.length / cols);
+        remoteVideos.forEach((video, i) => {
+          const w = canvas.width / cols;
+          const h = canvas.height / rows;
+          ctx.drawImage(video, (i % cols) * w, Math.floor(i / cols) * h, w, h);
+        });
 
         // Draw local video (PIP - smaller, bottom right)
         const localVideo = localVideoRef.current;
@@ -611,21 +992,21 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
       recordingStreamRef.current = combinedStream;
 
       // Setup MediaRecorder
-      const mimeType = MediaRecorder.isTypeSupported("video/webm;codecs=vp9")
-        ? "video/webm;codecs=vp9"
-        : MediaRecorder.isTypeSupported("video/webm")
-          ? "video/webm"
-          : "video/mp4";
-
       const mediaRecorder = new MediaRecorder(combinedStream, {
         mimeType,
         videoBitsPerSecond: 2500000 // 2.5 Mbps
       });
 
       recordedChunksRef.current = [];
+      recordingUploadRef.current = upload;
 
       mediaRecorder.ondataavailable = (event) => {
-        if (event.data.size > 0) {
+        if (event.data.size === 0) return;
+        if (upload) {
+          // Upload in order, one chunk at a time
+          const index = upload.nextIndex++;
+          upload.queue = upload.queue.then(() => uploadRecordingChunk(upload, index, event.data));
+        } else {
           recordedChunksRef.current.push(event.data);
         }
       };
@@ -634,6 +1015,21 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
         cancelAnimationFrame(animationId);
         recordingCanvasRef.current = null;
 
+        if (upload) {
+          recordingUploadRef.current = null;
+          finishRecordingUpload(upload)
+            .then((result) => {
+              emitToParent("recording.uploaded", { recordingId: result.recordingId, status: result.status });
+              if (!isUnmountedRef.current) setNotice("Recording saved; it will be available once processed");
+            })
+            .catch((err) => {
+              console.error("Failed to upload recording:", err);
+              emitToParent("recording.failed", { recordingId: upload.recordingId, reason: err.message });
+              if (!isUnmountedRef.current) setError("Recording upload failed: " + err.message);
+            });
+          return;
+        }
+
         // Create downloadable file
         const blob = new Blob(recordedChunksRef.current, { type: mimeType });
         const url = URL.createObjectURL(blob);
@@ -648,19 +1044,66 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
         recordedChunksRef.current = [];
       };
 
-      mediaRecorder.start(1000); // Collect data every second
+      mediaRecorder.start(5000); // Emit (and upload) a chunk every 5 seconds
       mediaRecorderRef.current = mediaRecorder;
       setIsRecording(true);
       setRecordingDuration(0);
 
-      // Notify others
-      socketRef.current?.emit("recording-started", { userId });
+      // Legacy rooms announce it themselves; meeting recordings are announced by the server
+      if (!upload) socketRef.current?.emit("recording-started", { userId });
 
     } catch (err) {
       console.error("Failed to start recording:", err);
       setError("Failed to start recording: " + err.message);
     }
-  }, [roomId, userId]);
+  }, [roomId, userId, uploadRecordingChunk, finishRecordingUpload, emitToParent]);
+
+  const startRecording = useCallback(async () => {
+    try {
+      const mimeType = MediaRecorder.isTypeSupported("video/webm;codecs=vp9")
+        ? "video/webm;codecs=vp9"
+        : MediaRecorder.isTypeSupported("video/webm")
+          ? "video/webm"
+          : "video/mp4";
+
+      // Legacy rooms have no recordings API
+      if (!participantTokenRef.current) {
+        beginRecording(null, mimeType);
+        return;
+      }
+
+      // Meetings upload to the server as they record; with consent required we wait for everyone
+      const { recordingId, status } = await recordingRequest("/start", { body: JSON.stringify({ mimeType }) });
+      const upload = { recordingId, nextIndex: 0, queue: Promise.resolve(), failed: new Map() };
+      if (status === "awaiting_consent") {
+        pendingRecordingRef.current = { upload, mimeType };
+        setConsentPending({ recordingId, approved: false });
+        return;
+      }
+      beginRecording(upload, mimeType);
+
+    } catch (err) {
+      console.error("Failed to start recording:", err);
+      setError("Failed to start recording: " + err.message);
+    }
+  }, [recordingRequest, beginRecording]);
+
+  // Withdraw our recording request before everyone has answered
+  const cancelRecordingRequest = useCallback(() => {
+    const pending = pendingRecordingRef.current;
+    pendingRecordingRef.current = null;
+    setConsentPending(null);
+    if (!pending) return;
+    recordingRequest("/stop", { body: JSON.stringify({ recordingId: pending.upload.recordingId }) })
+      .catch(err => console.warn("Failed to cancel recording request:", err.message));
+  }, [recordingRequest]);
+
+  const answerConsentRequest = useCallback((granted) => {
+    if (!consentRequest) return;
+    socketRef.current?.emit("recording-consent", { recordingId: consentRequest.recordingId, granted });
+    emitToParent("recording.consent_answered", { recordingId: consentRequest.recordingId, granted });
+    setConsentRequest(null);
+  }, [consentRequest, emitToParent]);
 
   const stopRecording = useCallback(() => {
     if (mediaRecorderRef.current && mediaRecorderRef.current.state !== "inactive") {
@@ -676,17 +1119,113 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
     setIsRecording(false);
     setRecordingDuration(0);
 
-    // Notify others
-    socketRef.current?.emit("recording-stopped", { userId });
+    // Legacy rooms announce it themselves; the recordings API announces meeting recordings
+    if (!participantTokenRef.current) socketRef.current?.emit("recording-stopped", { userId });
   }, [userId]);
 
+  // Meetings follow settings.recordingEnabled (observers never record); legacy rooms the `recording` prop
+  const canRecord = participantToken && !token
+    ? !!recordingPolicy?.enabled && !isObserver
+    : !!recording;
+
   const toggleRecording = useCallback(() => {
     if (isRecording) {
       stopRecording();
-    } else {
+    } else if (consentPending) {
+      cancelRecordingRequest();
+    } else if (canRecord) {
       startRecording();
     }
-  }, [isRecording, startRecording, stopRecording]);
+  }, [isRecording, consentPending, canRecord, startRecording, stopRecording, cancelRecordingRequest]);
+
+  // Everyone agreed to our request: start the recorder we held back
+  useEffect(() => {
+    if (!consentPending?.approved) return;
+    const pending = pendingRecordingRef.current;
+    pendingRecordingRef.current = null;
+    setConsentPending(null);
+    if (pending) beginRecording(pending.upload, pending.mimeType);
+  }, [consentPending, beginRecording]);
+
+  // ═══════════════════════════════════════════════════════════════
+  // CONNECTION QUALITY
+  // ═══════════════════════════════════════════════════════════════
+
+  // One getStats() pass over the connected peers, summarized for the server:
+  // worst RTT/jitter/loss across peers, total bitrate, "relay" if any of our paths goes through TURN
+  const sampleConnectionQuality = useCallback(async () => {
+    const now = Date.now();
+    const previous = qualityCountersRef.current;
+    const counters = new Map();
+    const sample = {
+      rttMs: null, jitterMs: null, packetLossPct: null, inboundKbps: 0, outboundKbps: 0,
+      candidateType: null, networkType: null, peers: 0
+    };
+    const worst = (current, value) => (current === null ? value : Math.max(current, value));
+
+    await Promise.all([...peersRef.current.entries()].map(async ([socketId, { pc }]) => {
+      if (pc.connectionState !== "connected") return;
+      let report;
+      try {
+        report = await pc.getStats();
+      } catch {
+        return;
+      }
+
+      const peerCounters = { at: now, bytesReceived: 0, bytesSent: 0, packetsLost: 0, packetsReceived: 0 };
+      let selectedPairId = null;
+      let nominatedPair = null;
+      let jitterMs = null;
+      report.forEach((stat) => {
+        if (stat.type === "transport" && stat.selectedCandidatePairId) {
+          selectedPairId = stat.selectedCandidatePairId;
+        } else if (stat.type === "candidate-pair" && stat.nominated && stat.state === "succeeded") {
+          nominatedPair = nominatedPair || stat;
+        } else if (stat.type === "inbound-rtp") {
+          peerCounters.bytesReceived += stat.bytesReceived || 0;
+          peerCounters.packetsLost += stat.packetsLost || 0;
+          peerCounters.packetsReceived += stat.packetsReceived || 0;
+          if (stat.jitter !== undefined) jitterMs = worst(jitterMs, stat.jitter * 1000);
+        } else if (stat.type === "outbound-rtp") {
+          peerCounters.bytesSent += stat.bytesSent || 0;
+        }
+      });
+      counters.set(socketId, peerCounters);
+      sample.peers += 1;
+
+      // Firefox has no transport stats; fall back to the nominated pair
+      const pair = (selectedPairId && report.get(selectedPairId)) || nominatedPair;
+      if (pair?.currentRoundTripTime !== undefined) sample.rttMs = worst(sample.rttMs, pair.currentRoundTripTime * 1000);
+      if (jitterMs !== null) sample.jitterMs = worst(sample.jitterMs, jitterMs);
+
+      const local = pair && report.get(pair.localCandidateId);
+      if (local?.candidateType && sample.candidateType !== "relay") sample.candidateType = local.candidateType;
+      if (local?.networkType && !sample.networkType) sample.networkType = local.networkType;
+
+      // Rates need the previous sample of the same peer
+      const before = previous.get(socketId);
+      if (!before) return;
+      const seconds = (now - before.at) / 1000;
+      sample.inboundKbps += Math.max(peerCounters.bytesReceived - before.bytesReceived, 0) * 8 / 1000 / seconds;
+      sample.outboundKbps += Math.max(peerCounters.bytesSent - before.bytesSent, 0) * 8 / 1000 / seconds;
+      const lost = Math.max(peerCounters.packetsLost - before.packetsLost, 0);
+      const received = Math.max(peerCounters.packetsReceived - before.packetsReceived, 0);
+      if (lost + received > 0) sample.packetLossPct = worst(sample.packetLossPct, (lost / (lost + received)) * 100);
+    }));
+
+    qualityCountersRef.current = counters;
+    if (sample.peers === 0) return null;
+
+    const round = (value) => (value === null ? null : Math.round(value * 10) / 10);
+    return {
+      ...sample,
+      rttMs: round(sample.rttMs),
+      jitterMs: round(sample.jitterMs),
+      packetLossPct: round(sample.packetLossPct),
+      inboundKbps: round(sample.inboundKbps),
+      outboundKbps: round(sample.outboundKbps)
+    };
+  }, []);
 
   // ═══════════════════════════════════════════════════════════════
   // EFFECTS
@@ -701,17 +1240,17 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
     return () => {
       isUnmountedRef.current = true;
       socketRef.current?.disconnect();
-      pcRef.current?.close();
+      peersRef.current.forEach(({ pc }) => pc.close());
       stopAllTracks(localStreamRef.current);
     };
   }, []); // Empty deps - run once on mount
 
-  // Re-attach video when entering call
+  // Re-attach video when entering call (or leaving the waiting room)
   useEffect(() => {
     if (phase === "incall" && localStreamRef.current && localVideoRef.current) {
       localVideoRef.current.srcObject = localStreamRef.current;
     }
-  }, [phase]);
+  }, [phase, admission]);
 
   // Device selection changes (prejoin only)
   useEffect(() => {
@@ -720,6 +1259,58 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
     }
   }, [selectedAudioId, selectedVideoId]); // Only on device change
 
+  // Apply mute/camera-off requested by a host
+  useEffect(() => {
+    if (!hostRequest) return;
+
+    if (hostRequest === "mute") {
+      if (audioEnabled) toggleAudio();
+      setNotice("A host muted your microphone");
+    } else if (hostRequest === "camera-off") {
+      if (videoEnabled) toggleVideo();
+      setNotice("A host turned off your camera");
+    }
+    setHostRequest(null);
+  }, [hostRequest, audioEnabled, videoEnabled, toggleAudio, toggleVideo]);
+
+  // Auto-hide moderation notices
+  useEffect(() => {
+    if (!notice) return;
+    const timeout = setTimeout(() => setNotice(""), 4000);
+    return () => clearTimeout(timeout);
+  }, [notice]);
+
+  // Removed or meeting ended: release camera/mic and the connection
+  useEffect(() => {
+    if (callEnded) teardownCall();
+  }, [callEnded, teardownCall]);
+
+  // Opening the chat marks everything read
+  useEffect(() => {
+    chatOpenRef.current = chatOpen;
+    if (chatOpen) setUnreadCount(0);
+  }, [chatOpen]);
+
+  // Keep the newest message in view
+  useEffect(() => {
+    if (chatOpen) chatEndRef.current?.scrollIntoView({ block: "end" });
+  }, [chatOpen, chatMessages]);
+
+  // Report connection quality every 10s while in a meeting call (legacy rooms have nowhere to store it)
+  useEffect(() => {
+    if (phase !== "incall" || admission === "waiting" || token || !participantToken) return;
+
+    const interval = setInterval(async () => {
+      const sample = await sampleConnectionQuality();
+      if (sample) socketRef.current?.emit("quality-report", sample);
+    }, 10000);
+
+    return () => {
+      clearInterval(interval);
+      qualityCountersRef.current = new Map();
+    };
+  }, [phase, admission, token, participantToken, sampleConnectionQuality]);
+
   // Recording duration timer
   useEffect(() => {
     if (!isRecording) return;
@@ -736,7 +1327,7 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
     if (phase !== "incall") return;
 
     const handleKeyDown = (e) => {
-      if (e.target.tagName === "INPUT" || e.target.tagName === "SELECT") return;
+      if (["INPUT", "SELECT", "TEXTAREA"].includes(e.target.tagName)) return;
 
       const key = e.key.toLowerCase();
       if (key === "m") { e.preventDefault(); toggleAudio(); }
@@ -828,9 +1419,153 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
     </div>
   );
 
+  // ═══════════════════════════════════════════════════════════════
+  // RENDER: WAITING ROOM (guest)
+  // ═══════════════════════════════════════════════════════════════
+  const renderLobby = () => (
+    <div className="prejoin-container">
+      <div className="prejoin-card lobby-card">
+        {admission === "denied" ? (
+          <>
+            <h2>You can't join this meeting</h2>
+            <p className="room-info">{error || "The host did not let you in"}</p>
+            <button className="join-btn" onClick={leaveCall}>
+              Back
+            </button>
+          </>
+        ) : (
+          <>
+            <h2>Waiting for the host to let you in</h2>
+            <p className="room-info">Room: {roomId}</p>
+
+            <div className="video-preview">
+              <video
+                ref={localVideoRef}
+                autoPlay
+                muted
+                playsInline
+                style={{ display: videoEnabled ? "block" : "none" }}
+              />
+              {!videoEnabled && (
+                <div className="avatar-placeholder">
+                  <div className="avatar">{getInitials(userName)}</div>
+                  <p>Camera is off</p>
+                </div>
+              )}
+            </div>
+
+            <p className="hint">Someone in the meeting will admit you shortly.</p>
+            <button className="join-btn leave-lobby-btn" onClick={leaveCall}>
+              Leave
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+
+  // ═══════════════════════════════════════════════════════════════
+  // RENDER: REMOVED / ENDED
+  // ═══════════════════════════════════════════════════════════════
+  const renderEnded = () => (
+    <div className="prejoin-container">
+      <div className="prejoin-card lobby-card">
+        <h2>{callEnded.title}</h2>
+        {callEnded.message && <p className="room-info">{callEnded.message}</p>}
+        <button className="join-btn" onClick={leaveCall}>
+          Back
+        </button>
+      </div>
+    </div>
+  );
+
+  // Someone wants to record: recording only starts if everyone agrees
+  const renderConsentPrompt = () => (
+    <div className="consent-panel">
+      <p>
+        <strong>{consentRequest.name || "A participant"}</strong> wants to record this call.
+        Recording starts only if everyone agrees.
+      </p>
+      <div className="consent-actions">
+        <button className="deny-btn" onClick={() => answerConsentRequest(false)}>Decline</button>
+        <button className="admit-btn" onClick={() => answerConsentRequest(true)}>Allow</button>
+      </div>
+    </div>
+  );
+
+  // Host panel listing people in the waiting room
+  const renderWaitingPanel = () => (
+    <div className="waiting-panel">
+      <div className="waiting-panel-header">
+        Waiting to join ({waitingList.length})
+      </div>
+      {waitingList.map(p => (
+        <div key={p.userId} className="waiting-row">
+          <div className="avatar small">{getInitials(p.name)}</div>
+          <span className="waiting-name">{p.name || "Guest"}</span>
+          <button className="admit-btn" onClick={() => admitParticipant(p.userId)}>Admit</button>
+          <button className="deny-btn" onClick={() => denyParticipant(p.userId)}>Deny</button>
+        </div>
+      ))}
+    </div>
+  );
+
+  // Chat side panel
+  const renderChatPanel = () => (
+    <aside className="chat-panel">
+      <div className="chat-panel-header">
+        <span>In-call messages</span>
+        <button className="chat-close" onClick={toggleChat} title="Close chat">✕</button>
+      </div>
+
+      <div className="chat-messages">
+        {chatMessages.length === 0 && (
+          <p className="chat-empty">Messages are visible to everyone in the call and kept with the meeting.</p>
+        )}
+        {chatMessages.map(m => (
+          <div key={m.messageId} className={`chat-message ${m.userId === userId ? "own" : ""}`}>
+            <div className="chat-meta">
+              <span className="chat-author">{m.userId === userId ? "You" : m.name}</span>
+              <span className="chat-time">{formatTime(m.sentAt)}</span>
+            </div>
+            <div className="chat-text">{linkify(m.text)}</div>
+          </div>
+        ))}
+        <div ref={chatEndRef} />
+      </div>
+
+      {chatError && <div className="chat-error">{chatError}</div>}
+
+      <div className="chat-input">
+        <textarea
+          value={chatDraft}
+          onChange={(e) => setChatDraft(e.target.value)}
+          onKeyDown={handleChatKeyDown}
+          placeholder="Send a message"
+          rows={2}
+          maxLength={4000}
+        />
+        <button onClick={sendChatMessage} disabled={!chatDraft.trim()} title="Send (Enter)">Send</button>
+      </div>
+    </aside>
+  );
+
   // ═══════════════════════════════════════════════════════════════
   // RENDER: IN-CALL
   // ═══════════════════════════════════════════════════════════════
+  const peerEntries = Object.entries(peers);
+  const connectedPeers = peerEntries.filter(([, peer]) => peer.connected);
+  const reconnecting = peerEntries.some(([, peer]) => ["failed", "disconnected"].includes(peer.connectionState));
+  const callStatus = status === "connecting"
+    ? "connecting"
+    : reconnecting ? "reconnecting" : connectedPeers.length > 0 ? "in-call" : "waiting";
+
+  // Recordings by other people (our own shows in the header)
+  const othersRecording = Object.values(activeRecordings).filter(r => r.userId !== userId);
+
+  // Remote tiles plus your own (or a placeholder while alone)
+  const tileCount = Math.max(peerEntries.length, 1) + 1;
+
   const renderInCall = () => (
     <div className="incall-container">
       <div className="call-header">
@@ -844,63 +1579,101 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
           )}
         </div>
         <span className="call-status">
-          {status === "waiting" && "Waiting for others..."}
-          {status === "in-call" && `Connected${peerName ? ` with ${peerName}` : ""}`}
-          {status === "reconnecting" && "Reconnecting..."}
-          {status === "connecting" && "Connecting..."}
+          {callStatus === "waiting" && "Waiting for others..."}
+          {callStatus === "in-call" && (connectedPeers.length === 1
+            ? `Connected with ${connectedPeers[0][1].name || "Guest"}`
+            : `Connected with ${connectedPeers.length} people`)}
+          {callStatus === "reconnecting" && "Reconnecting..."}
+          {callStatus === "connecting" && "Connecting..."}
         </span>
         <span className="connection-info">
-          {connectionState && `Conn: ${connectionState}`}
-          {iceState && ` | ICE: ${iceState}`}
+          {peerEntries.length > 0 && `Peers: ${connectedPeers.length}/${peerEntries.length} connected`}
         </span>
       </div>
 
       {error && <div className="error-banner">{error}</div>}
+      {notice && <div className="notice-banner">{notice}</div>}
+
+      {othersRecording.length > 0 && (
+        <div className="recording-banner">
+          <span className="rec-dot"></span>
+          {othersRecording.map(r => r.name || "A participant").join(", ")}
+          {othersRecording.length === 1 ? " is" : " are"} recording this call
+        </div>
+      )}
 
-      <div className="video-grid">
-        {/* Remote video */}
-        <div className="video-tile main-video">
-          <video
-            ref={remoteVideoRef}
-            autoPlay
-            playsInline
-            style={{ display: peerConnected && remoteVideo ? "block" : "none" }}
-          />
-          {(!peerConnected || !remoteVideo) && (
-            <div className="avatar-placeholder large">
-              <div className="avatar">{peerConnected ? getInitials(peerName) : "?"}</div>
-              <p>
-                {!peerConnected ? "Waiting for participant..." : remoteSharing ? "Screen sharing" : "Camera is off"}
-              </p>
+      {consentPending && (
+        <div className="notice-banner">Waiting for everyone to agree to be recorded...</div>
+      )}
+
+      {consentRequest && renderConsentPrompt()}
+
+      {isHost && waitingList.length > 0 && renderWaitingPanel()}
+
+      <div className="call-body">
+        <div className="video-grid" data-tiles={Math.min(tileCount, 9)}>
+          {peerEntries.length === 0 && (
+            <div className="video-tile">
+              <div className="avatar-placeholder">
+                <div className="avatar">?</div>
+                <p>Waiting for participants...</p>
+              </div>
             </div>
           )}
-          {peerConnected && (
-            <div className="video-label">
-              {peerName || "Guest"}
-              {!remoteAudio && " 🔇"}
-              {remoteSharing && " 📺"}
+
+          {peerEntries.map(([socketId, peer]) => (
+            <div key={socketId} className="video-tile">
+              <video
+                ref={el => attachRemoteVideo(socketId, el, peer.stream)}
+                autoPlay
+                playsInline
+                style={{ display: peer.connected && peer.video ? "block" : "none" }}
+              />
+              {(!peer.connected || !peer.video) && (
+                <div className="avatar-placeholder">
+                  <div className="avatar">{getInitials(peer.name)}</div>
+                  <p>
+                    {!peer.connected ? "Connecting..." : peer.sharing ? "Screen sharing" : "Camera is off"}
+                  </p>
+                </div>
+              )}
+              <div className="video-label">
+                {peer.name || "Guest"}
+                {!peer.audio && " 🔇"}
+                {peer.sharing && " 📺"}
+              </div>
+              {isHost && peer.userId && peer.userId !== userId && (
+                <div className="host-controls">
+                  <button onClick={() => muteParticipant(peer.userId)} disabled={!peer.audio} title="Mute">🔇</button>
+                  <button onClick={() => disableParticipantCamera(peer.userId)} disabled={!peer.video} title="Turn off camera">📷</button>
+                  <button onClick={() => removeParticipant(peer.userId)} title="Remove from call">Remove</button>
+                  <button className="danger" onClick={() => removeParticipant(peer.userId, true)} title="Remove and block from rejoining">Ban</button>
+                </div>
+              )}
             </div>
-          )}
-        </div>
+          ))}
 
-        {/* Local video (PIP) */}
-        <div className="video-tile pip-video">
-          <video
-            ref={localVideoRef}
-            autoPlay
-            muted
-            playsInline
-            style={{ display: videoEnabled && !isSharing ? "block" : "none" }}
-          />
-          {(!videoEnabled || isSharing) && (
-            <div className="avatar-placeholder small">
-              <div className="avatar small">{getInitials(userName)}</div>
+          {/* Local video */}
+          <div className="video-tile self-video">
+            <video
+              ref={localVideoRef}
+              autoPlay
+              muted
+              playsInline
+              style={{ display: videoEnabled && !isSharing ? "block" : "none" }}
+            />
+            {(!videoEnabled || isSharing) && (
+              <div className="avatar-placeholder">
+                <div className="avatar">{getInitials(userName)}</div>
+              </div>
+            )}
+            <div className="video-label">
+              You {!audioEnabled && "🔇"} {isSharing && "📺"}
             </div>
-          )}
-          <div className="video-label">
-            You {!audioEnabled && "🔇"} {isSharing && "📺"}
           </div>
         </div>
+
+        {chatOpen && renderChatPanel()}
       </div>
 
       <div className="controls-bar">
@@ -931,20 +1704,39 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
           <span>{isSharing ? "Stop share" : "Share"}</span>
         </button>
 
-        {recording && (
+        {(canRecord || isRecording || consentPending) && (
           <button
             className={`control-btn large ${isRecording ? "recording" : ""}`}
             onClick={toggleRecording}
-            title="Record call (R)"
+            title={consentPending ? "Cancel recording request" : "Record call (R)"}
           >
-            {isRecording ? "⏹️" : "⏺️"}
-            <span>{isRecording ? `Stop (${formatDuration(recordingDuration)})` : "Record"}</span>
+            {isRecording ? "⏹️" : consentPending ? "⏳" : "⏺️"}
+            <span>
+              {isRecording ? `Stop (${formatDuration(recordingDuration)})` : consentPending ? "Cancel request" : "Record"}
+            </span>
           </button> )}
 
+        <button
+          className={`control-btn large chat-btn ${chatOpen ? "active" : ""}`}
+          onClick={toggleChat}
+          title="Chat with everyone"
+        >
+          💬
+          <span>Chat</span>
+          {unreadCount > 0 && <span className="unread-badge">{unreadCount > 99 ? "99+" : unreadCount}</span>}
+        </button>
+
         <button className="control-btn large end-call" onClick={leaveCall} title="Leave call">
           📞
           <span>Leave</span>
         </button>
+
+        {isHost && (
+          <button className="control-btn large end-all" onClick={endMeetingForAll} title="End meeting for everyone">
+            ⏏️
+            <span>End for all</span>
+          </button>
+        )}
       </div>
     </div>
   );
@@ -954,7 +1746,11 @@ export default function VideoCall({ roomId, userId, userName, token, signalingUr
   // ═══════════════════════════════════════════════════════════════
   return (
     <div className="video-call">
-      {phase === "prejoin" ? renderPrejoin() : renderInCall()}
+      {callEnded
+        ? renderEnded()
+        : phase === "prejoin"
+          ? renderPrejoin()
+          : admission !== "none" ? renderLobby() : renderInCall()}
     </div>
   );
 }